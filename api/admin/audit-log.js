@@ -0,0 +1,158 @@
+// /api/admin/audit-log.js
+// Query and export the admin audit log
+//
+// GET returns a page of `admin_audit_log` entries (newest first). With `format=csv` or
+// `format=xlsx` the whole filtered log is streamed as a download for compliance reviews.
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { EXPORT_FORMATS, streamExport } from '../../lib/export.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Every column goes into exports; JSON columns are written as JSON text
+const EXPORT_COLUMNS = [
+  'id', 'created_at', 'actor_id', 'actor_name', 'actor_role', 'action', 'target_type',
+  'target_ids', 'result', 'error_message', 'before', 'after', 'request', 'metadata'
+].map(column => ({ header: column, value: entry => entry[column] }));
+
+export default async function handler(req, res) {
+  console.log('📜 ============ AUDIT LOG REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Verify admin authentication and permission
+    const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_AUDIT_LOG);
+    if (!adminUser) return;
+
+    // Parse query parameters
+    const {
+      page = 1,
+      limit = 50,
+      format = 'json',   // json, csv or xlsx
+      actor_id = '',
+      action = '',       // e.g. tickets.revoke, see AUDIT_ACTIONS in lib/audit.js
+      target_type = '',  // ticket, purchase, user, contract, tx_job
+      target_id = '',
+      result = '',       // success, partial_success, failure
+      from = '',         // ISO date, entries at or after
+      to = ''            // ISO date, entries before
+    } = req.query;
+
+    const filters = { actor_id, action, target_type, target_id, result, from, to };
+
+    console.log('📋 Query parameters:');
+    console.log('   📄 Format:', format);
+    console.log('   👮 Actor filter:', actor_id || 'none');
+    console.log('   ⚙️ Action filter:', action || 'none');
+    console.log('   🎯 Target filter:', target_type || 'any', target_id || '');
+    console.log('   🔍 Result filter:', result || 'none');
+
+    if (EXPORT_FORMATS.includes(format)) {
+      // Oldest first, so entries written during the export land after the rows already sent
+      await streamExport(res, {
+        format: format,
+        filename: 'audit-log',
+        sheetName: 'Audit log',
+        columns: EXPORT_COLUMNS,
+        fetchPage: (first, last) => applyFilters(supabase.from('admin_audit_log').select('*'), filters)
+          .order('created_at', { ascending: true })
+          .order('id', { ascending: true })
+          .range(first, last)
+      });
+      return;
+    }
+
+    if (format !== 'json') {
+      return res.status(400).json({
+        status: 'error',
+        message: "format must be 'json', 'csv' or 'xlsx'"
+      });
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    let query = applyFilters(
+      supabase.from('admin_audit_log').select('*', { count: 'exact' }),
+      filters
+    ).order('created_at', { ascending: false });
+
+    query = query.range(offset, offset + limitNum - 1);
+
+    const { data: entries, error: entriesError, count } = await query;
+
+    if (entriesError) {
+      console.error('❌ Database query failed:', entriesError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch audit log',
+        error: entriesError.message
+      });
+    }
+
+    console.log(`✅ Found ${entries?.length || 0} audit entries (total: ${count || 0})`);
+
+    const totalPages = Math.ceil((count || 0) / limitNum);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Retrieved ${entries?.length || 0} audit log entries`,
+      data: {
+        entries: entries || [],
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: count || 0,
+          totalPages: totalPages,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error in audit log endpoint:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
+
+function applyFilters(query, { actor_id, action, target_type, target_id, result, from, to }) {
+  if (actor_id) query = query.eq('actor_id', actor_id);
+  if (action) query = query.eq('action', action);
+  if (target_type) query = query.eq('target_type', target_type);
+  if (target_id) query = query.contains('target_ids', [String(target_id)]);
+  if (result) query = query.eq('result', result);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lt('created_at', to);
+  return query;
+}
@@ -0,0 +1,204 @@
+// /api/admin/blockchain-spending.js
+// On-chain fee spending per network, admin, event and day, with each network's caps and
+// today's budget (settled and reserved fees)
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { getSpendLimits } from '../../lib/spend-guard.js';
+import { BLOCKCHAIN_REGISTRY, listContractKeys } from '../../lib/blockchain-config.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const WEI_PER_ETH = 10n ** 18n;
+
+// Format a wei amount (BigInt) as an ETH decimal string
+function formatEth(wei) {
+  const whole = wei / WEI_PER_ETH;
+  const fraction = (wei % WEI_PER_ETH).toString().padStart(18, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+}
+
+// Parse an ETH decimal string (e.g. a cap) to wei
+function parseEthToWei(eth) {
+  const [whole, fraction = ''] = String(eth).split('.');
+  return BigInt(whole || '0') * WEI_PER_ETH + BigInt(fraction.padEnd(18, '0').slice(0, 18) || '0');
+}
+
+export default async function handler(req, res) {
+  console.log('💸 ============ BLOCKCHAIN SPENDING REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Verify admin authentication and permission
+    const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_BLOCKCHAIN);
+    if (!adminUser) return;
+
+    const {
+      from = '',        // ISO date, default: 30 days ago
+      to = '',          // ISO date, default: now
+      network = '',
+      admin_id = '',
+      event_id = ''
+    } = req.query;
+
+    const fromDate = from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+    console.log('📋 Query parameters:');
+    console.log('   📅 From:', fromDate);
+    console.log('   📅 To:', to || 'now');
+    console.log('   🌐 Network filter:', network || 'none');
+    console.log('   👮 Admin filter:', admin_id || 'none');
+    console.log('   🎭 Event filter:', event_id || 'none');
+
+    let query = supabase
+      .from('blockchain_spend_ledger')
+      .select('tx_hash, action, tx_status, network, contract_key, admin_id, event_id, token_count, gas_used, cost_wei, created_at')
+      .gte('created_at', fromDate)
+      .order('created_at', { ascending: false });
+
+    if (to) query = query.lt('created_at', to);
+    if (network) query = query.eq('network', network);
+    if (admin_id) query = query.eq('admin_id', admin_id);
+    if (event_id) query = query.eq('event_id', event_id);
+
+    const { data: rows, error: ledgerError } = await query;
+
+    if (ledgerError) {
+      console.error('❌ Database query failed:', ledgerError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch spending ledger',
+        error: ledgerError.message
+      });
+    }
+
+    // Aggregate in wei to avoid floating point drift
+    const groups = { by_network: {}, by_admin: {}, by_event: {}, by_day: {}, by_action: {} };
+    let totalWei = 0n;
+
+    (rows || []).forEach(row => {
+      const cost = BigInt(row.cost_wei || '0');
+      const day = row.created_at.slice(0, 10);
+      totalWei += cost;
+
+      [
+        ['by_network', row.network ?? 'unknown'],
+        ['by_admin', row.admin_id ?? 'system'],
+        ['by_event', row.event_id ?? 'unknown'],
+        ['by_day', day],
+        ['by_action', row.action]
+      ].forEach(([group, key]) => {
+        if (!groups[group][key]) {
+          groups[group][key] = { cost_wei: 0n, transactions: new Set(), tokens: 0 };
+        }
+        groups[group][key].cost_wei += cost;
+        groups[group][key].transactions.add(row.tx_hash);
+        groups[group][key].tokens += row.token_count || 0;
+      });
+    });
+
+    const summarize = group => Object.entries(group)
+      .map(([key, value]) => ({
+        key: key,
+        cost_eth: formatEth(value.cost_wei),
+        transactions: value.transactions.size,
+        tokens: value.tokens
+      }))
+      .sort((a, b) => parseFloat(b.cost_eth) - parseFloat(a.cost_eth));
+
+    // Today's budget per network: what the caps are checked against, including fees
+    // reserved by transactions still in flight
+    const today = new Date().toISOString().slice(0, 10);
+    let budgetQuery = supabase
+      .from('spend_budgets')
+      .select('network, spent_wei, reserved_wei')
+      .eq('day', today);
+    if (network) budgetQuery = budgetQuery.eq('network', network);
+
+    const { data: budgets, error: budgetError } = await budgetQuery;
+
+    if (budgetError) {
+      console.error('❌ Database query failed:', budgetError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch spending budgets',
+        error: budgetError.message
+      });
+    }
+
+    const networks = network
+      ? [network]
+      : [...new Set([
+        ...listContractKeys().map(key => BLOCKCHAIN_REGISTRY.contracts[key].network),
+        ...(budgets || []).map(b => b.network),
+        ...(rows || []).map(r => r.network).filter(Boolean)
+      ])].sort();
+
+    const limits = networks.map(name => {
+      const caps = getSpendLimits(name);
+      const budget = (budgets || []).find(b => b.network === name);
+      const spent = BigInt(budget?.spent_wei || '0');
+      const reserved = BigInt(budget?.reserved_wei || '0');
+      const dailyCapWei = parseEthToWei(caps.maxDailySpendEth);
+      return {
+        network: name,
+        tx_fee_cap_eth: caps.maxFeePerTxEth,
+        daily_cap_eth: caps.maxDailySpendEth,
+        spent_today_eth: formatEth(spent),
+        reserved_today_eth: formatEth(reserved),
+        remaining_today_eth: formatEth(dailyCapWei > spent + reserved ? dailyCapWei - spent - reserved : 0n)
+      };
+    });
+
+    console.log(`✅ ${rows?.length || 0} ledger rows, total ${formatEth(totalWei)} ETH`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Spending report for ${rows?.length || 0} ledger entries`,
+      data: {
+        period: { from: fromDate, to: to || new Date().toISOString() },
+        total_cost_eth: formatEth(totalWei),
+        transaction_count: new Set((rows || []).map(r => r.tx_hash)).size,
+        limits: limits,
+        by_network: summarize(groups.by_network),
+        by_admin: summarize(groups.by_admin),
+        by_event: summarize(groups.by_event),
+        by_day: summarize(groups.by_day).sort((a, b) => b.key.localeCompare(a.key)),
+        by_action: summarize(groups.by_action),
+        recent: (rows || []).slice(0, 50).map(row => ({
+          ...row,
+          cost_eth: formatEth(BigInt(row.cost_wei || '0'))
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error in blockchain spending endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
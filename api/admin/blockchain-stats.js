@@ -2,6 +2,8 @@
 // Get blockchain statistics for dashboard cards
 
 import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -30,46 +32,9 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Verify admin authentication
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ 
-        status: 'error', 
-        message: 'Authorization token required' 
-      });
-    }
-
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        status: 'error', 
-        message: 'Invalid authentication token' 
-      });
-    }
-
-    // Look up admin's user_id in the users table
-    const { data: adminUser, error: adminError } = await supabase
-      .from('users')
-      .select('user_id, id_name, role')
-      .eq('auth_id', user.id)
-      .single();
-
-    if (adminError || !adminUser) {
-      return res.status(401).json({ 
-        status: 'error', 
-        message: 'Admin user not found' 
-      });
-    }
-
-    if (adminUser.role !== 'admin' && adminUser.role !== 'super_admin') {
-      return res.status(403).json({ 
-        status: 'error', 
-        message: 'Admin privileges required' 
-      });
-    }
-
-    console.log('✅ Admin authentication verified:', adminUser.id_name);
+    // Verify admin authentication and permission
+    const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_BLOCKCHAIN);
+    if (!adminUser) return;
 
     // Gather blockchain statistics
     console.log('📊 ============ GATHERING BLOCKCHAIN STATISTICS ============');
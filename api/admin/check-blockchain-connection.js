@@ -1,34 +1,25 @@
 // /api/admin/check-blockchain-connection.js
 // Verifies blockchain connectivity and contract interaction
+//
+// POST runs the diagnostics in lib/blockchain-diagnostics.js for one registry contract and
+// returns a pass/warn/fail result per check with remediation hints. GET lists earlier runs.
 
 import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { getContractConfig, DEFAULT_CONTRACT_KEY } from '../../lib/blockchain-config.js';
+import { runBlockchainDiagnostics } from '../../lib/blockchain-diagnostics.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-// Blockchain configuration
-const BLOCKCHAIN_CONFIG = {
-  rpcUrl: process.env.ETHEREUM_RPC_URL || 'https://sepolia.infura.io/v3/' + process.env.INFURA_PROJECT_ID,
-  contractAddress: process.env.REVOCATION_CONTRACT_ADDRESS || '0x86d22947cE0D2908eC0CAC78f7EC405f15cB9e50',
-  privateKey: process.env.ADMIN_PRIVATE_KEY,
-  network: 'sepolia'
-};
-
-// Contract ABI for basic read operations
-const CONTRACT_ABI = [
-  "function getTicketStatus(uint256 tokenId) external view returns (uint8)",
-  "function isRevoked(uint256 tokenId) external view returns (bool)",
-  "function owner() external view returns (address)",
-  "function name() external view returns (string)",
-  "function totalSupply() external view returns (uint256)"
-];
-
 export default async function handler(req, res) {
   console.log('🔍 ============ BLOCKCHAIN CONNECTION CHECK ============');
   console.log('⏰ Timestamp:', new Date().toISOString());
-  
+
   // CORS Headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
@@ -39,108 +30,19 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
-  if (req.method !== 'POST') {
-    return res.status(405).json({ 
-      status: 'error', 
-      message: 'Method not allowed' 
-    });
-  }
-
   try {
-    // Verify admin authentication
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ 
-        status: 'error', 
-        message: 'Authorization token required' 
-      });
-    }
-
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        status: 'error', 
-        message: 'Invalid authentication token' 
-      });
-    }
-
-    // Look up admin's user_id in the users table
-    const { data: adminUser, error: adminError } = await supabase
-      .from('users')
-      .select('user_id, id_name, role')
-      .eq('auth_id', user.id)
-      .single();
-
-    if (adminError || !adminUser) {
-      return res.status(401).json({ 
-        status: 'error', 
-        message: 'Admin user not found' 
-      });
+    if (req.method === 'GET') {
+      return await listDiagnosticRuns(req, res);
     }
 
-    if (adminUser.role !== 'admin' && adminUser.role !== 'super_admin') {
-      return res.status(403).json({ 
-        status: 'error', 
-        message: 'Admin privileges required' 
-      });
+    if (req.method === 'POST') {
+      return await runConnectionCheck(req, res);
     }
 
-    console.log('✅ Admin authentication verified:', adminUser.id_name);
-    console.log('👮 Admin role:', adminUser.role);
-
-    // Start blockchain connection check
-    console.log('🔗 ============ BLOCKCHAIN CONNECTION TEST ============');
-    
-    const connectionResult = await performBlockchainConnectionCheck();
-    
-    if (connectionResult.success) {
-      console.log('✅ ============ CONNECTION CHECK SUCCESSFUL ============');
-      console.log('🌐 Network:', connectionResult.network);
-      console.log('📋 Contract:', connectionResult.contractAddress);
-      console.log('👛 Connected Wallet:', connectionResult.walletAddress);
-      console.log('💰 Wallet Balance:', connectionResult.walletBalance);
-      console.log('📊 Block Number:', connectionResult.currentBlock);
-      console.log('🏠 Contract Owner:', connectionResult.contractOwner);
-      
-      return res.status(200).json({
-        status: 'success',
-        message: 'Blockchain connection verified successfully',
-        data: {
-          connection_status: 'connected',
-          network: connectionResult.network,
-          contract_address: connectionResult.contractAddress,
-          wallet_address: connectionResult.walletAddress,
-          wallet_balance_eth: connectionResult.walletBalance,
-          current_block: connectionResult.currentBlock,
-          contract_owner: connectionResult.contractOwner,
-          rpc_url: BLOCKCHAIN_CONFIG.rpcUrl.replace(process.env.INFURA_PROJECT_ID || '', '[HIDDEN]'),
-          gas_price_gwei: connectionResult.gasPrice,
-          connection_latency_ms: connectionResult.latency,
-          contract_accessible: true,
-          last_check: new Date().toISOString()
-        }
-      });
-      
-    } else {
-      console.error('❌ ============ CONNECTION CHECK FAILED ============');
-      console.error('🔥 Error:', connectionResult.error);
-      console.error('📄 Details:', connectionResult.details);
-      
-      return res.status(500).json({
-        status: 'error',
-        message: 'Blockchain connection failed',
-        data: {
-          connection_status: 'failed',
-          error: connectionResult.error,
-          details: connectionResult.details,
-          network: BLOCKCHAIN_CONFIG.network,
-          contract_address: BLOCKCHAIN_CONFIG.contractAddress,
-          rpc_url: BLOCKCHAIN_CONFIG.rpcUrl.replace(process.env.INFURA_PROJECT_ID || '', '[HIDDEN]'),
-          last_check: new Date().toISOString()
-        }
-      });
-    }
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
 
   } catch (error) {
     console.error('❌ Critical error in connection check:', error);
@@ -152,160 +54,145 @@ export default async function handler(req, res) {
   }
 }
 
-// Main blockchain connection check function
-async function performBlockchainConnectionCheck() {
+async function runConnectionCheck(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.CHECK_CONNECTION);
+  if (!adminUser) return;
+
+  // Contract to check, from the registry in lib/blockchain-config.js
+  const { contract_key = DEFAULT_CONTRACT_KEY } = req.body || {};
+
+  let config;
   try {
-    console.log('📚 ============ IMPORTING ETHERS.JS ============');
-    
-    // Import ethers dynamically
-    const ethersModule = await import('ethers');
-    const ethers = ethersModule.default || ethersModule;
-    console.log('✅ Ethers.js imported successfully');
+    config = getContractConfig(contract_key);
+  } catch (configError) {
+    return res.status(400).json({
+      status: 'error',
+      message: configError.message
+    });
+  }
 
-    // Step 1: Validate configuration
-    console.log('🔧 ============ CONFIGURATION VALIDATION ============');
-    
-    if (!BLOCKCHAIN_CONFIG.rpcUrl) {
-      throw new Error('RPC URL not configured');
+  console.log('📋 Contract key:', config.key);
+  console.log('👮 Admin ID:', adminUser.user_id);
+
+  const report = await runBlockchainDiagnostics(supabase, config, { runBy: adminUser.user_id });
+  const { connection, checks } = report;
+
+  const connected = connection.current_block !== null && !checks.some(c => c.id === 'rpc_connection');
+  const problems = checks.filter(c => c.result !== 'pass');
+
+  const data = {
+    run_id: report.runId,
+    overall_status: report.overallStatus,
+    connection_status: connected ? 'connected' : 'failed',
+    contract_key: config.key,
+    network: connection.network,
+    chain_id: connection.chain_id,
+    contract_address: connection.contract_address,
+    wallet_address: connection.wallet_address,
+    wallet_balance_eth: connection.wallet_balance_eth,
+    current_block: connection.current_block,
+    contract_owner: connection.contract_owner,
+    rpc_url: connection.rpc_url,
+    rpc_endpoints: connection.rpc_endpoints,
+    rpc_health: connection.rpc_health,
+    gas_price_gwei: connection.gas_price_gwei,
+    connection_latency_ms: connection.latency_ms,
+    contract_accessible: checks.some(c => c.id === 'contract_code' && c.result === 'pass'),
+    checks: checks,
+    check_duration_ms: report.duration,
+    last_check: new Date().toISOString()
+  };
+
+  await recordAudit(supabase, req, {
+    actor: adminUser,
+    action: AUDIT_ACTIONS.BLOCKCHAIN_CONNECTION_CHECK,
+    targetType: 'contract',
+    targetIds: [config.key],
+    result: !connected ? 'failure' : report.overallStatus === 'pass' ? 'success' : 'partial_success',
+    metadata: {
+      run_id: report.runId,
+      overall_status: report.overallStatus,
+      network: connection.network,
+      contract_address: connection.contract_address,
+      failed_checks: problems.map(c => c.id)
     }
-    
-    if (!BLOCKCHAIN_CONFIG.contractAddress) {
-      throw new Error('Contract address not configured');
-    }
-    
-    if (!BLOCKCHAIN_CONFIG.privateKey) {
-      throw new Error('Private key not configured');
-    }
-    
-    console.log('✅ Configuration validation passed');
-    console.log('   🌐 RPC URL:', BLOCKCHAIN_CONFIG.rpcUrl.substring(0, 30) + '...');
-    console.log('   📋 Contract:', BLOCKCHAIN_CONFIG.contractAddress);
-    console.log('   🔑 Private Key:', BLOCKCHAIN_CONFIG.privateKey.substring(0, 10) + '...');
+  });
 
-    // Step 2: Test RPC connection
-    console.log('🌐 ============ RPC CONNECTION TEST ============');
-    const startTime = Date.now();
-    
-    const provider = new ethers.providers.JsonRpcProvider(BLOCKCHAIN_CONFIG.rpcUrl);
-    console.log('🔌 Provider created');
-    
-    // Test basic connection
-    const network = await provider.getNetwork();
-    console.log('✅ Network connected:', network.name || 'Unknown');
-    console.log('   🆔 Chain ID:', network.chainId);
-    
-    const currentBlock = await provider.getBlockNumber();
-    console.log('✅ Current block number:', currentBlock);
-    
-    const latency = Date.now() - startTime;
-    console.log('⚡ Connection latency:', latency + 'ms');
+  if (!connected) {
+    console.error('❌ ============ CONNECTION CHECK FAILED ============');
+    return res.status(500).json({
+      status: 'error',
+      message: 'Blockchain connection failed',
+      data: data,
+      warnings: problems.map(c => `${c.name}: ${c.message}`)
+    });
+  }
 
-    // Step 3: Test wallet connection
-    console.log('👛 ============ WALLET CONNECTION TEST ============');
-    
-    const wallet = new ethers.Wallet(BLOCKCHAIN_CONFIG.privateKey, provider);
-    console.log('✅ Wallet created');
-    console.log('   📍 Wallet Address:', wallet.address);
-    
-    // Check wallet balance
-    const balance = await wallet.getBalance();
-    const balanceEth = ethers.utils.formatEther(balance);
-    console.log('💰 Wallet Balance:', balanceEth, 'ETH');
-    
-    if (balance.lt(ethers.utils.parseEther('0.001'))) {
-      console.warn('⚠️ Warning: Low wallet balance (< 0.001 ETH)');
-    }
+  console.log(`✅ ============ CONNECTION CHECK ${report.overallStatus.toUpperCase()} ============`);
 
-    // Step 4: Test gas price
-    console.log('⛽ ============ GAS PRICE CHECK ============');
-    
-    const gasPrice = await provider.getGasPrice();
-    const gasPriceGwei = ethers.utils.formatUnits(gasPrice, 'gwei');
-    console.log('⛽ Current Gas Price:', gasPriceGwei, 'Gwei');
+  return res.status(200).json({
+    status: 'success',
+    message: report.overallStatus === 'pass'
+      ? 'Blockchain connection verified successfully'
+      : `Blockchain connected with ${problems.length} diagnostic ${problems.length === 1 ? 'issue' : 'issues'}`,
+    data: data,
+    warnings: problems.map(c => `${c.name}: ${c.message}`)
+  });
+}
 
-    // Step 5: Test contract connection
-    console.log('📋 ============ CONTRACT CONNECTION TEST ============');
-    
-    const contract = new ethers.Contract(BLOCKCHAIN_CONFIG.contractAddress, CONTRACT_ABI, wallet);
-    console.log('✅ Contract instance created');
-    
-    // Test contract owner read (this should work if contract is deployed correctly)
-    try {
-      const contractOwner = await contract.owner();
-      console.log('👑 Contract Owner:', contractOwner);
-      console.log('🔍 Is admin wallet the owner?', contractOwner.toLowerCase() === wallet.address.toLowerCase());
-    } catch (ownerError) {
-      console.warn('⚠️ Could not read contract owner:', ownerError.message);
-      console.warn('   📄 This might indicate contract deployment issues');
-    }
+async function listDiagnosticRuns(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_BLOCKCHAIN);
+  if (!adminUser) return;
 
-    // Step 6: Test a sample token status read (if any tokens exist)
-    console.log('🎫 ============ SAMPLE TOKEN STATUS TEST ============');
-    
-    try {
-      // Try to read status of token ID 1 (common test case)
-      const sampleTokenStatus = await contract.getTicketStatus(1);
-      console.log('✅ Sample token status read successful');
-      console.log('   🎫 Token ID 1 status:', sampleTokenStatus.toString());
-      console.log('   📊 Status meanings: 0=Unregistered, 1=Registered, 2=Revoked');
-    } catch (tokenError) {
-      console.log('ℹ️ Sample token read failed (this is normal if no tokens exist yet)');
-      console.log('   📄 Error:', tokenError.message);
-    }
+  const {
+    page = 1,
+    limit = 20,
+    contract_key = '',
+    status = ''    // pass, warn, fail
+  } = req.query;
 
-    // Step 7: Test contract function availability
-    console.log('🔍 ============ CONTRACT FUNCTION TEST ============');
-    
-    try {
-      // Test if we can call a simple view function
-      const isRevokedTest = await contract.isRevoked(999999); // Test with non-existent token
-      console.log('✅ Contract function test successful');
-      console.log('   🧪 Test result for token 999999:', isRevokedTest);
-    } catch (functionError) {
-      console.warn('⚠️ Contract function test failed:', functionError.message);
-    }
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const offset = (pageNum - 1) * limitNum;
 
-    // Success response
-    return {
-      success: true,
-      network: network.name || 'Sepolia',
-      contractAddress: BLOCKCHAIN_CONFIG.contractAddress,
-      walletAddress: wallet.address,
-      walletBalance: balanceEth,
-      currentBlock: currentBlock,
-      contractOwner: 'Successfully connected', // We'll put actual owner if available
-      gasPrice: gasPriceGwei,
-      latency: latency
-    };
+  let query = supabase
+    .from('blockchain_diagnostic_runs')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false });
 
-  } catch (error) {
-    console.error('🔥 ============ CONNECTION CHECK FAILED ============');
-    console.error('❌ Error type:', error.code || 'Unknown');
-    console.error('❌ Error message:', error.message);
-    console.error('📊 Error stack:', error.stack);
+  if (contract_key) query = query.eq('contract_key', contract_key);
+  if (status) query = query.eq('overall_status', status);
 
-    // Analyze error type for better user feedback
-    let errorDetails = 'Unknown connection error';
-    
-    if (error.message.includes('network')) {
-      errorDetails = 'Network connection failed - check RPC URL and internet connection';
-    } else if (error.message.includes('private key') || error.message.includes('invalid key')) {
-      errorDetails = 'Invalid private key format';
-    } else if (error.message.includes('contract')) {
-      errorDetails = 'Contract interaction failed - check contract address and deployment';
-    } else if (error.message.includes('gas') || error.message.includes('insufficient')) {
-      errorDetails = 'Insufficient gas or wallet balance';
-    } else if (error.code === 'NETWORK_ERROR') {
-      errorDetails = 'Network error - RPC endpoint may be down or unreachable';
-    } else if (error.code === 'INVALID_ARGUMENT') {
-      errorDetails = 'Invalid configuration - check contract address and private key format';
-    }
+  query = query.range(offset, offset + limitNum - 1);
 
-    return {
-      success: false,
-      error: error.message,
-      details: errorDetails,
-      errorCode: error.code || 'UNKNOWN_ERROR'
-    };
+  const { data: runs, error: runsError, count } = await query;
+
+  if (runsError) {
+    console.error('❌ Database query failed:', runsError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch diagnostic runs',
+      error: runsError.message
+    });
   }
-}
\ No newline at end of file
+
+  const totalPages = Math.ceil((count || 0) / limitNum);
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Retrieved ${runs?.length || 0} diagnostic runs`,
+    data: {
+      runs: runs || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    }
+  });
+}
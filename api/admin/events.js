@@ -0,0 +1,400 @@
+// /api/admin/events.js
+// Create, list, edit and delete events
+//
+// GET lists events (or returns one with its sales when event_id is given), POST creates one,
+// PUT updates one and DELETE removes a draft with no tickets. Events that have sold tickets
+// are cancelled (status 'cancelled') instead of deleted. See lib/events.js for the fields
+// and the rules a change has to pass.
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
+import { EVENT_STATUSES, EVENT_COLUMNS, pickEventFields, getEventSales, validateEvent } from '../../lib/events.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  console.log('🎭 ============ EVENTS REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return req.query.event_id
+          ? await getEvent(req, res)
+          : await listEvents(req, res);
+      case 'POST':
+        return await createEvent(req, res);
+      case 'PUT':
+        return await updateEvent(req, res);
+      case 'DELETE':
+        return await deleteEvent(req, res);
+      default:
+        return res.status(405).json({
+          status: 'error',
+          message: 'Method not allowed'
+        });
+    }
+
+  } catch (error) {
+    console.error('❌ Error in events endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
+
+async function listEvents(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_EVENTS);
+  if (!adminUser) return;
+
+  const {
+    page = 1,
+    limit = 20,
+    status = '',   // draft, on_sale, sold_out, cancelled
+    search = '',   // event name or venue
+    from = '',     // ISO date, events on or after
+    to = ''        // ISO date, events before
+  } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const offset = (pageNum - 1) * limitNum;
+
+  console.log('📋 Query parameters:');
+  console.log('   📄 Page:', pageNum);
+  console.log('   📊 Limit:', limitNum);
+  console.log('   🔍 Status filter:', status || 'none');
+  console.log('   🔎 Search:', search || 'none');
+
+  if (status && !EVENT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `status must be one of: ${EVENT_STATUSES.join(', ')}`
+    });
+  }
+
+  let query = supabase
+    .from('events')
+    .select(EVENT_COLUMNS, { count: 'exact' })
+    .order('event_date', { ascending: true });
+
+  if (status) query = query.eq('status', status);
+  if (search) query = query.or(`event_name.ilike.%${search}%,venue.ilike.%${search}%`);
+  if (from) query = query.gte('event_date', from);
+  if (to) query = query.lt('event_date', to);
+
+  query = query.range(offset, offset + limitNum - 1);
+
+  const { data: events, error: eventsError, count } = await query;
+
+  if (eventsError) {
+    console.error('❌ Database query failed:', eventsError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch events',
+      error: eventsError.message
+    });
+  }
+
+  // Sales per event on this page
+  const withSales = await Promise.all((events || []).map(async event => {
+    const sales = await getEventSales(supabase, event.event_id);
+    return {
+      ...event,
+      tickets_sold: sales.ticketsSold,
+      tickets_remaining: event.capacity ? Math.max(0, event.capacity - sales.ticketsSold) : null
+    };
+  }));
+
+  console.log(`✅ Found ${withSales.length} events (total: ${count || 0})`);
+
+  const totalPages = Math.ceil((count || 0) / limitNum);
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Retrieved ${withSales.length} events`,
+    data: {
+      events: withSales,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    }
+  });
+}
+
+async function getEvent(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_EVENTS);
+  if (!adminUser) return;
+
+  const event = await findEvent(req.query.event_id);
+  if (!event) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Event not found'
+    });
+  }
+
+  const sales = await getEventSales(supabase, event.event_id);
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Retrieved event ${event.event_name}`,
+    data: {
+      event: event,
+      sales: {
+        tickets_sold: sales.ticketsSold,
+        tickets_on_chain: sales.ticketsOnChain,
+        tickets_remaining: event.capacity ? Math.max(0, event.capacity - sales.ticketsSold) : null
+      }
+    }
+  });
+}
+
+async function createEvent(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.MANAGE_EVENTS);
+  if (!adminUser) return;
+
+  const fields = pickEventFields(req.body);
+  if (fields.status === undefined) fields.status = 'draft';
+
+  console.log('📝 New event:', fields.event_name);
+  console.log('👮 Admin ID:', adminUser.user_id);
+
+  const errors = validateEvent(fields);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid event',
+      errors: errors
+    });
+  }
+
+  const now = new Date().toISOString();
+  const { data: event, error: insertError } = await supabase
+    .from('events')
+    .insert({ ...fields, created_at: now, updated_at: now })
+    .select(EVENT_COLUMNS)
+    .single();
+
+  if (insertError) {
+    console.error('❌ Failed to create event:', insertError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to create event',
+      error: insertError.message
+    });
+  }
+
+  console.log(`✅ Event ${event.event_id} created`);
+
+  await recordAudit(supabase, req, {
+    actor: adminUser,
+    action: AUDIT_ACTIONS.EVENTS_CREATE,
+    targetType: 'event',
+    targetIds: [event.event_id],
+    after: { [event.event_id]: fields }
+  });
+
+  return res.status(201).json({
+    status: 'success',
+    message: `Event ${event.event_name} created`,
+    data: { event: event }
+  });
+}
+
+async function updateEvent(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.MANAGE_EVENTS);
+  if (!adminUser) return;
+
+  const eventId = req.query.event_id || req.body?.event_id;
+  if (!eventId) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'event_id is required'
+    });
+  }
+
+  const existing = await findEvent(eventId);
+  if (!existing) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Event not found'
+    });
+  }
+
+  // Only send the fields that actually change
+  const fields = Object.fromEntries(Object.entries(pickEventFields(req.body))
+    .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(existing[field])));
+
+  if (Object.keys(fields).length === 0) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'No changes to apply',
+      data: { event: existing }
+    });
+  }
+
+  console.log(`📝 Updating event ${eventId}:`, Object.keys(fields).join(', '));
+  console.log('👮 Admin ID:', adminUser.user_id);
+
+  const sales = await getEventSales(supabase, eventId);
+  const errors = validateEvent(fields, { existing, sales });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid event change',
+      errors: errors
+    });
+  }
+
+  // Guard against a concurrent edit slipping in between the checks and the write
+  let updateQuery = supabase
+    .from('events')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('event_id', eventId);
+
+  updateQuery = existing.updated_at
+    ? updateQuery.eq('updated_at', existing.updated_at)
+    : updateQuery.is('updated_at', null);
+
+  const { data: updated, error: updateError } = await updateQuery.select(EVENT_COLUMNS);
+
+  if (updateError) {
+    console.error('❌ Failed to update event:', updateError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to update event',
+      error: updateError.message
+    });
+  }
+
+  if (!updated || updated.length === 0) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'Event was changed by someone else; reload it and try again'
+    });
+  }
+
+  console.log(`✅ Event ${eventId} updated`);
+
+  await recordAudit(supabase, req, {
+    actor: adminUser,
+    action: AUDIT_ACTIONS.EVENTS_UPDATE,
+    targetType: 'event',
+    targetIds: [eventId],
+    before: { [eventId]: Object.fromEntries(Object.keys(fields).map(field => [field, existing[field]])) },
+    after: { [eventId]: fields },
+    metadata: { tickets_sold: sales.ticketsSold }
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Event ${updated[0].event_name} updated`,
+    data: { event: updated[0] }
+  });
+}
+
+async function deleteEvent(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.MANAGE_EVENTS);
+  if (!adminUser) return;
+
+  const eventId = req.query.event_id || req.body?.event_id;
+  if (!eventId) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'event_id is required'
+    });
+  }
+
+  const existing = await findEvent(eventId);
+  if (!existing) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Event not found'
+    });
+  }
+
+  // Any ticket, even a revoked one, ties purchases and payments to the event
+  const { count: ticketCount } = await supabase
+    .from('tickets')
+    .select('ticket_id', { count: 'exact', head: true })
+    .eq('event_id', eventId);
+
+  if (existing.status !== 'draft' || ticketCount > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Only draft events without tickets can be deleted; set status to cancelled instead'
+    });
+  }
+
+  const { error: deleteError } = await supabase
+    .from('events')
+    .delete()
+    .eq('event_id', eventId)
+    .eq('status', 'draft');
+
+  if (deleteError) {
+    console.error('❌ Failed to delete event:', deleteError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete event',
+      error: deleteError.message
+    });
+  }
+
+  console.log(`🗑️ Event ${eventId} deleted`);
+
+  await recordAudit(supabase, req, {
+    actor: adminUser,
+    action: AUDIT_ACTIONS.EVENTS_DELETE,
+    targetType: 'event',
+    targetIds: [eventId],
+    before: { [eventId]: existing }
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Event ${existing.event_name} deleted`,
+    data: { event_id: eventId }
+  });
+}
+
+async function findEvent(eventId) {
+  const { data, error } = await supabase
+    .from('events')
+    .select(EVENT_COLUMNS)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load event: ${error.message}`);
+  }
+  return data;
+}
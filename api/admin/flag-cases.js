@@ -0,0 +1,554 @@
+// /api/admin/flag-cases.js
+// Review cases for flagged purchases
+//
+// GET lists cases (or returns one with its notes when case_id / purchase_id is given).
+// POST runs one operation on a case:
+//   assign   - give the case to an analyst (assignee_id, defaults to the caller)
+//   note     - add a note, optionally with evidence links
+//   dismiss  - false positive: the purchase goes back to `normal` (reason required)
+//   escalate - hand the case up for a senior decision (reason required)
+// Revoking the purchase through revoke-flagged-tickets.js closes its case.
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS, hasPermission } from '../../lib/permissions.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
+import { CASE_STATES, ACTIVE_CASE_STATES, CASE_COLUMNS, findCase, getOrOpenCase } from '../../lib/flag-cases.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const CASE_OPERATIONS = ['assign', 'note', 'dismiss', 'escalate'];
+
+export default async function handler(req, res) {
+  console.log('🗃️ ============ FLAG CASES REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { case_id, purchase_id } = req.query;
+      return case_id || purchase_id
+        ? await getCase(req, res)
+        : await listCases(req, res);
+    }
+
+    if (req.method === 'POST') {
+      return await runCaseOperation(req, res);
+    }
+
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+
+  } catch (error) {
+    console.error('❌ Error in flag cases endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
+
+async function listCases(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_PURCHASES);
+  if (!adminUser) return;
+
+  const {
+    page = 1,
+    limit = 50,
+    state = '',        // open, in_review, escalated, dismissed, revoked
+    assigned_to = '',  // analyst user_id, or 'unassigned'
+    event_id = ''
+  } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const offset = (pageNum - 1) * limitNum;
+
+  console.log('📋 Query parameters:');
+  console.log('   📄 Page:', pageNum);
+  console.log('   📊 Limit:', limitNum);
+  console.log('   🔍 State filter:', state || 'none');
+  console.log('   👤 Assignee filter:', assigned_to || 'none');
+  console.log('   🎭 Event filter:', event_id || 'none');
+
+  if (state && !CASE_STATES.includes(state)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `state must be one of: ${CASE_STATES.join(', ')}`
+    });
+  }
+
+  let query = supabase
+    .from('flag_cases')
+    .select(`
+      ${CASE_COLUMNS},
+      purchase_history!inner(
+        id,
+        event_id,
+        quantity,
+        status,
+        flag,
+        risk_score,
+        purchase_timestamp,
+        users!inner(user_id, id_name),
+        events!inner(event_id, event_name, event_date)
+      )
+    `, { count: 'exact' })
+    .order('created_at', { ascending: false });
+
+  if (state) query = query.eq('state', state);
+  if (assigned_to === 'unassigned') query = query.is('assigned_to', null);
+  else if (assigned_to) query = query.eq('assigned_to', assigned_to);
+  if (event_id) query = query.eq('purchase_history.event_id', event_id);
+
+  query = query.range(offset, offset + limitNum - 1);
+
+  const { data: cases, error: casesError, count } = await query;
+
+  if (casesError) {
+    console.error('❌ Database query failed:', casesError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch review cases',
+      error: casesError.message
+    });
+  }
+
+  const staffById = await fetchStaff((cases || []).map(c => c.assigned_to));
+
+  const entries = (cases || []).map(({ purchase_history: purchase, ...flagCase }) => ({
+    ...flagCase,
+    assignee: staffById[flagCase.assigned_to] || null,
+    purchase: purchase
+  }));
+
+  console.log(`✅ Found ${entries.length} review cases (total: ${count || 0})`);
+
+  const totalPages = Math.ceil((count || 0) / limitNum);
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Retrieved ${entries.length} review cases`,
+    data: {
+      cases: entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    }
+  });
+}
+
+async function getCase(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_PURCHASES);
+  if (!adminUser) return;
+
+  const { case_id, purchase_id } = req.query;
+
+  const flagCase = await findCase(supabase, { caseId: case_id || null, purchaseId: purchase_id || null });
+
+  // A flagged purchase nobody has acted on yet has no case row; show it as open
+  const purchaseId = flagCase?.purchase_id || purchase_id;
+  if (!purchaseId) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Review case not found'
+    });
+  }
+
+  const { data: purchase, error: purchaseError } = await supabase
+    .from('purchase_history')
+    .select(`
+      *,
+      users!inner(user_id, id_name, id_number, verification_status),
+      events!inner(event_id, event_name, event_date, venue),
+      payments!inner(payment_id, amount, payment_status)
+    `)
+    .eq('id', purchaseId)
+    .maybeSingle();
+
+  if (purchaseError) {
+    console.error('❌ Purchase lookup failed:', purchaseError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to look up purchase',
+      error: purchaseError.message
+    });
+  }
+
+  if (!purchase || (!flagCase && purchase.status !== 'flagged')) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Review case not found'
+    });
+  }
+
+  let notes = [];
+  if (flagCase) {
+    const { data: caseNotes, error: notesError } = await supabase
+      .from('flag_case_notes')
+      .select('id, author_id, note, evidence, created_at')
+      .eq('case_id', flagCase.id)
+      .order('created_at', { ascending: true });
+
+    if (notesError) {
+      console.error('❌ Case notes query failed:', notesError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch case notes',
+        error: notesError.message
+      });
+    }
+    notes = caseNotes || [];
+  }
+
+  const staffById = await fetchStaff([
+    flagCase?.assigned_to,
+    flagCase?.escalated_by,
+    flagCase?.resolved_by,
+    ...notes.map(n => n.author_id)
+  ]);
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Retrieved review case for purchase ${purchaseId}`,
+    data: {
+      case: flagCase
+        ? { ...flagCase, assignee: staffById[flagCase.assigned_to] || null }
+        : { id: null, purchase_id: purchaseId, state: 'open', assigned_to: null, assignee: null },
+      purchase: purchase,
+      notes: notes.map(note => ({ ...note, author: staffById[note.author_id] || null }))
+    }
+  });
+}
+
+async function runCaseOperation(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.REVIEW_FLAGS);
+  if (!adminUser) return;
+
+  const { operation, case_id, purchase_id } = req.body || {};
+
+  console.log('📋 Operation:', operation, case_id ? `(case ${case_id})` : `(purchase ${purchase_id})`);
+  console.log('👮 Admin ID:', adminUser.user_id);
+
+  if (!CASE_OPERATIONS.includes(operation)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `operation must be one of: ${CASE_OPERATIONS.join(', ')}`
+    });
+  }
+
+  if (!case_id && !purchase_id) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'case_id or purchase_id is required'
+    });
+  }
+
+  let flagCase = await findCase(supabase, { caseId: case_id || null, purchaseId: purchase_id || null });
+
+  // First action on a purchase flagged before cases existed opens its case
+  if (!flagCase && purchase_id) {
+    const { data: purchase } = await supabase
+      .from('purchase_history')
+      .select('id, status')
+      .eq('id', purchase_id)
+      .maybeSingle();
+
+    if (purchase?.status === 'flagged') {
+      flagCase = await getOrOpenCase(supabase, purchase.id);
+    }
+  }
+
+  if (!flagCase) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Review case not found'
+    });
+  }
+
+  switch (operation) {
+    case 'assign':
+      return assignCase(req, res, adminUser, flagCase);
+    case 'note':
+      return addNote(req, res, adminUser, flagCase);
+    case 'dismiss':
+      return dismissCase(req, res, adminUser, flagCase);
+    case 'escalate':
+      return escalateCase(req, res, adminUser, flagCase);
+  }
+}
+
+async function assignCase(req, res, adminUser, flagCase) {
+  const { assignee_id = adminUser.user_id } = req.body;
+
+  if (!ACTIVE_CASE_STATES.includes(flagCase.state)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Case is already ${flagCase.state}`
+    });
+  }
+
+  const { data: assignee } = await supabase
+    .from('users')
+    .select('user_id, id_name, role')
+    .eq('user_id', assignee_id)
+    .maybeSingle();
+
+  if (!assignee || !hasPermission(assignee.role, PERMISSIONS.REVIEW_FLAGS)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Assignee must be a staff member who can review flagged purchases'
+    });
+  }
+
+  const updatedCase = await transitionCase(flagCase, {
+    assigned_to: assignee.user_id,
+    assigned_at: new Date().toISOString(),
+    state: flagCase.state === 'open' ? 'in_review' : flagCase.state
+  });
+  if (!updatedCase) return sendConflict(res);
+
+  console.log(`✅ Case ${flagCase.id} assigned to ${assignee.id_name}`);
+
+  await recordAudit(supabase, req, {
+    actor: adminUser,
+    action: AUDIT_ACTIONS.FLAG_CASES_ASSIGN,
+    targetType: 'flag_case',
+    targetIds: [flagCase.id],
+    before: { [flagCase.id]: { state: flagCase.state, assigned_to: flagCase.assigned_to } },
+    after: { [flagCase.id]: { state: updatedCase.state, assigned_to: updatedCase.assigned_to } },
+    metadata: { purchase_id: flagCase.purchase_id }
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Case assigned to ${assignee.id_name}`,
+    data: { case: { ...updatedCase, assignee: assignee } }
+  });
+}
+
+async function addNote(req, res, adminUser, flagCase) {
+  const { note, evidence = [] } = req.body;
+
+  if (!note || typeof note !== 'string' || !note.trim()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'note is required'
+    });
+  }
+
+  // Evidence is a list of links or short references, e.g. { type: 'screenshot', url, description }
+  if (!Array.isArray(evidence)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'evidence must be an array'
+    });
+  }
+
+  const { data: inserted, error: insertError } = await supabase
+    .from('flag_case_notes')
+    .insert({
+      case_id: flagCase.id,
+      author_id: adminUser.user_id,
+      note: note.trim(),
+      evidence: evidence,
+      created_at: new Date().toISOString()
+    })
+    .select('id, author_id, note, evidence, created_at')
+    .single();
+
+  if (insertError) {
+    console.error('❌ Failed to add case note:', insertError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to add case note',
+      error: insertError.message
+    });
+  }
+
+  await supabase
+    .from('flag_cases')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', flagCase.id);
+
+  console.log(`📝 Note ${inserted.id} added to case ${flagCase.id}`);
+
+  await recordAudit(supabase, req, {
+    actor: adminUser,
+    action: AUDIT_ACTIONS.FLAG_CASES_NOTE,
+    targetType: 'flag_case',
+    targetIds: [flagCase.id],
+    metadata: { purchase_id: flagCase.purchase_id, note_id: inserted.id, evidence_count: evidence.length }
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    message: 'Note added to case',
+    data: { note: { ...inserted, author: { user_id: adminUser.user_id, id_name: adminUser.id_name, role: adminUser.role } } }
+  });
+}
+
+async function dismissCase(req, res, adminUser, flagCase) {
+  const { reason } = req.body;
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'reason is required to dismiss a case'
+    });
+  }
+
+  if (!ACTIVE_CASE_STATES.includes(flagCase.state)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Case is already ${flagCase.state}`
+    });
+  }
+
+  const now = new Date().toISOString();
+  const updatedCase = await transitionCase(flagCase, {
+    state: 'dismissed',
+    resolved_by: adminUser.user_id,
+    resolved_at: now,
+    resolution_reason: reason.trim()
+  });
+  if (!updatedCase) return sendConflict(res);
+
+  // Back to normal so the purchase leaves the flagged queue
+  const { data: restored, error: restoreError } = await supabase
+    .from('purchase_history')
+    .update({ status: 'normal' })
+    .eq('id', flagCase.purchase_id)
+    .eq('status', 'flagged')
+    .select('id');
+
+  if (restoreError) {
+    console.error('⚠️ Warning: Failed to restore purchase status:', restoreError);
+  }
+
+  console.log(`✅ Case ${flagCase.id} dismissed; purchase ${flagCase.purchase_id} restored to normal`);
+
+  await recordAudit(supabase, req, {
+    actor: adminUser,
+    action: AUDIT_ACTIONS.FLAG_CASES_DISMISS,
+    targetType: 'flag_case',
+    targetIds: [flagCase.id],
+    before: { [flagCase.id]: { state: flagCase.state, purchase_status: 'flagged' } },
+    after: { [flagCase.id]: { state: 'dismissed', purchase_status: restored?.length ? 'normal' : 'flagged' } },
+    result: restoreError ? 'partial_success' : 'success',
+    error: restoreError?.message || null,
+    metadata: { purchase_id: flagCase.purchase_id, reason: reason.trim() }
+  });
+
+  return res.status(200).json({
+    status: restoreError ? 'partial_success' : 'success',
+    message: 'Case dismissed and purchase restored to normal',
+    data: {
+      case: updatedCase,
+      purchase_restored: Boolean(restored?.length)
+    },
+    warnings: restoreError ? [`Purchase status could not be restored: ${restoreError.message}`] : []
+  });
+}
+
+async function escalateCase(req, res, adminUser, flagCase) {
+  const { reason } = req.body;
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'reason is required to escalate a case'
+    });
+  }
+
+  if (!['open', 'in_review'].includes(flagCase.state)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Case is already ${flagCase.state}`
+    });
+  }
+
+  const updatedCase = await transitionCase(flagCase, {
+    state: 'escalated',
+    escalated_by: adminUser.user_id,
+    escalated_at: new Date().toISOString(),
+    escalation_reason: reason.trim()
+  });
+  if (!updatedCase) return sendConflict(res);
+
+  console.log(`⬆️ Case ${flagCase.id} escalated`);
+
+  await recordAudit(supabase, req, {
+    actor: adminUser,
+    action: AUDIT_ACTIONS.FLAG_CASES_ESCALATE,
+    targetType: 'flag_case',
+    targetIds: [flagCase.id],
+    before: { [flagCase.id]: { state: flagCase.state } },
+    after: { [flagCase.id]: { state: 'escalated' } },
+    metadata: { purchase_id: flagCase.purchase_id, reason: reason.trim() }
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    message: 'Case escalated',
+    data: { case: updatedCase }
+  });
+}
+
+// Compare-and-swap on the state, so two analysts acting at once cannot both win.
+// Returns the updated case, or null when it changed underneath us.
+async function transitionCase(flagCase, update) {
+  const { data, error } = await supabase
+    .from('flag_cases')
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('id', flagCase.id)
+    .eq('state', flagCase.state)
+    .select(CASE_COLUMNS);
+
+  if (error) {
+    throw new Error(`Failed to update review case: ${error.message}`);
+  }
+  return data?.[0] || null;
+}
+
+function sendConflict(res) {
+  return res.status(409).json({
+    status: 'error',
+    message: 'Case was changed by someone else; reload it and try again'
+  });
+}
+
+async function fetchStaff(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const { data: staff } = await supabase
+    .from('users')
+    .select('user_id, id_name, role')
+    .in('user_id', ids);
+
+  return Object.fromEntries((staff || []).map(user => [user.user_id, user]));
+}
@@ -1,6 +1,33 @@
 import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { EXPORT_FORMATS, streamExport } from '../../lib/export.js';
+import { embeddedCase } from '../../lib/flag-cases.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// Columns in CSV / XLSX exports, with the joined user, event and payment details
+const FLAGGED_EXPORT_COLUMNS = [
+    { header: 'purchase_id', value: p => p.id },
+    { header: 'purchase_timestamp', value: p => p.purchase_timestamp },
+    { header: 'flag', value: p => p.flag },
+    { header: 'risk_score', value: p => p.risk_score },
+    { header: 'risk_factors', value: p => p.risk_factors },
+    { header: 'case_state', value: p => embeddedCase(p)?.state || 'open' },
+    { header: 'assigned_to', value: p => embeddedCase(p)?.assigned_to },
+    { header: 'quantity', value: p => p.quantity },
+    { header: 'user_id', value: p => p.users.user_id },
+    { header: 'user_name', value: p => p.users.id_name },
+    { header: 'user_id_number', value: p => p.users.id_number },
+    { header: 'user_verification_status', value: p => p.users.verification_status },
+    { header: 'event_id', value: p => p.events.event_id },
+    { header: 'event_name', value: p => p.events.event_name },
+    { header: 'event_date', value: p => p.events.event_date },
+    { header: 'venue', value: p => p.events.venue },
+    { header: 'payment_id', value: p => p.payments.payment_id },
+    { header: 'payment_amount', value: p => p.payments.amount },
+    { header: 'payment_status', value: p => p.payments.payment_status }
+];
 
 export default async function handler(req, res) {
     // CORS Headers
@@ -21,40 +48,47 @@ export default async function handler(req, res) {
     }
 
     try {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) {
-            return res.status(401).json({ 
-                status: 'error', 
-                message: 'Authorization token required' 
-            });
-        }
+        // Verify admin authentication and permission
+        const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_PURCHASES);
+        if (!adminUser) return;
 
         const { 
             page = 1, 
             limit = 50,
             event_id,
-            user_id 
+            user_id,
+            flag,
+            case_state,  // open, in_review, escalated
+            assigned_to, // reviewing analyst's user_id, or 'unassigned'
+            format = 'json' // 'json', or 'csv' / 'xlsx' to export every matching row
         } = req.query;
 
         console.log('📋 ============ FETCHING FLAGGED ACTIVITIES ============');
         console.log('📄 Page:', page, 'Limit:', limit);
         console.log('🎭 Event filter:', event_id || 'All');
         console.log('👤 User filter:', user_id || 'All');
+        console.log('🏷️ Flag filter:', flag || 'All');
+        console.log('🗃️ Case state filter:', case_state || 'All');
+        console.log('🕵️ Reviewer filter:', assigned_to || 'All');
+
+        const filters = { event_id, user_id, flag, case_state, assigned_to };
+
+        if (EXPORT_FORMATS.includes(format)) {
+            // Oldest first, so purchases flagged during the export do not shift the pages
+            await streamExport(res, {
+                format: format,
+                filename: 'flagged-activities',
+                sheetName: 'Flagged activities',
+                columns: FLAGGED_EXPORT_COLUMNS,
+                fetchPage: (from, to) => buildFlaggedQuery(filters)
+                    .order('purchase_timestamp', { ascending: true })
+                    .order('id', { ascending: true })
+                    .range(from, to)
+            });
+            return;
+        }
 
-        // Build query
-        let query = supabase
-            .from('purchase_history')
-            .select(`
-                *,
-                users!inner(user_id, id_name, id_number, verification_status),
-                events!inner(event_id, event_name, event_date, venue),
-                payments!inner(payment_id, amount, payment_status)
-            `)
-            .eq('status', 'flagged');
-
-        // Apply filters
-        if (event_id) query = query.eq('event_id', event_id);
-        if (user_id) query = query.eq('user_id', user_id);
+        let query = buildFlaggedQuery(filters);
 
         // Get total count for pagination
         const { count } = await query;
@@ -78,11 +112,20 @@ export default async function handler(req, res) {
 
         console.log(`✅ Found ${flaggedActivities?.length || 0} flagged activities`);
 
+        // One review case per purchase; no case yet means nobody has picked it up
+        const activities = (flaggedActivities || []).map(({ flag_cases, ...activity }) => {
+            const flagCase = embeddedCase({ flag_cases });
+            return {
+                ...activity,
+                review_case: flagCase || { id: null, state: 'open', assigned_to: null }
+            };
+        });
+
         return res.status(200).json({
             status: 'success',
             message: 'Flagged activities retrieved successfully',
             data: {
-                activities: flaggedActivities || [],
+                activities: activities,
                 pagination: {
                     total: count,
                     page: parseInt(page),
@@ -96,10 +139,40 @@ export default async function handler(req, res) {
 
     } catch (error) {
         console.error('Error retrieving flagged activities:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
         return res.status(500).json({
             status: 'error',
             message: 'Internal server error',
             error: error.message
         });
     }
-}
\ No newline at end of file
+}
+
+function buildFlaggedQuery({ event_id, user_id, flag, case_state, assigned_to }) {
+    // Filtering on the case needs an inner join, which only matches purchases that have one
+    // (see scripts/backfill-flag-cases.js); otherwise purchases without a case are kept
+    const caseJoin = case_state || assigned_to ? 'flag_cases!inner' : 'flag_cases';
+
+    let query = supabase
+        .from('purchase_history')
+        .select(`
+            *,
+            users!inner(user_id, id_name, id_number, verification_status),
+            events!inner(event_id, event_name, event_date, venue),
+            payments!inner(payment_id, amount, payment_status),
+            ${caseJoin}(id, state, assigned_to, assigned_at, escalated_at, updated_at)
+        `)
+        .eq('status', 'flagged');
+
+    // Apply filters
+    if (event_id) query = query.eq('event_id', event_id);
+    if (user_id) query = query.eq('user_id', user_id);
+    if (flag) query = query.eq('flag', flag);
+    if (case_state) query = query.eq('flag_cases.state', case_state);
+    if (assigned_to === 'unassigned') query = query.is('flag_cases.assigned_to', null);
+    else if (assigned_to) query = query.eq('flag_cases.assigned_to', assigned_to);
+
+    return query;
+}
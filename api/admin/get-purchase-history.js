@@ -1,6 +1,30 @@
 import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { EXPORT_FORMATS, streamExport } from '../../lib/export.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// Columns in CSV / XLSX exports, with the joined user, event and payment details
+const PURCHASE_EXPORT_COLUMNS = [
+    { header: 'purchase_id', value: p => p.id },
+    { header: 'purchase_timestamp', value: p => p.purchase_timestamp },
+    { header: 'status', value: p => p.status },
+    { header: 'flag', value: p => p.flag },
+    { header: 'risk_score', value: p => p.risk_score },
+    { header: 'quantity', value: p => p.quantity },
+    { header: 'user_id', value: p => p.users.user_id },
+    { header: 'user_name', value: p => p.users.id_name },
+    { header: 'user_id_number', value: p => p.users.id_number },
+    { header: 'user_verification_status', value: p => p.users.verification_status },
+    { header: 'event_id', value: p => p.events.event_id },
+    { header: 'event_name', value: p => p.events.event_name },
+    { header: 'event_date', value: p => p.events.event_date },
+    { header: 'venue', value: p => p.events.venue },
+    { header: 'payment_id', value: p => p.payments.payment_id },
+    { header: 'payment_amount', value: p => p.payments.amount },
+    { header: 'payment_status', value: p => p.payments.payment_status }
+];
 
 export default async function handler(req, res) {
     // CORS Headers
@@ -21,13 +45,9 @@ export default async function handler(req, res) {
     }
 
     try {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) {
-            return res.status(401).json({ 
-                status: 'error', 
-                message: 'Authorization token required' 
-            });
-        }
+        // Verify admin authentication and permission
+        const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_PURCHASES);
+        if (!adminUser) return;
 
         const { 
             page = 1, 
@@ -35,7 +55,8 @@ export default async function handler(req, res) {
             event_id, 
             user_id, 
             status,
-            flag
+            flag,
+            format = 'json' // 'json', or 'csv' / 'xlsx' to export every matching row
         } = req.query;
 
         console.log('📚 ============ FETCHING PURCHASE HISTORY ============');
@@ -45,20 +66,24 @@ export default async function handler(req, res) {
         console.log('📊 Status filter:', status || 'All');
         console.log('🏷️ Flag filter:', flag || 'All');
 
-        let query = supabase
-            .from('purchase_history')
-            .select(`
-                *,
-                users!inner(user_id, id_name, id_number, verification_status),
-                events!inner(event_id, event_name, event_date, venue),
-                payments!inner(payment_id, amount, payment_status)
-            `);
-
-        // Apply filters
-        if (event_id) query = query.eq('event_id', event_id);
-        if (user_id) query = query.eq('user_id', user_id);
-        if (status) query = query.eq('status', status);
-        if (flag) query = query.eq('flag', flag);
+        const filters = { event_id, user_id, status, flag };
+
+        if (EXPORT_FORMATS.includes(format)) {
+            // Oldest first, so purchases made during the export do not shift the pages
+            await streamExport(res, {
+                format: format,
+                filename: 'purchase-history',
+                sheetName: 'Purchases',
+                columns: PURCHASE_EXPORT_COLUMNS,
+                fetchPage: (from, to) => buildPurchaseQuery(filters)
+                    .order('purchase_timestamp', { ascending: true })
+                    .order('id', { ascending: true })
+                    .range(from, to)
+            });
+            return;
+        }
+
+        let query = buildPurchaseQuery(filters);
 
         // Get total count for pagination
         const { count } = await query;
@@ -104,10 +129,31 @@ export default async function handler(req, res) {
 
     } catch (error) {
         console.error('Error retrieving purchase history:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
         return res.status(500).json({
             status: 'error',
             message: 'Internal server error',
             error: error.message
         });
     }
-}
\ No newline at end of file
+}
+function buildPurchaseQuery({ event_id, user_id, status, flag }) {
+    let query = supabase
+        .from('purchase_history')
+        .select(`
+            *,
+            users!inner(user_id, id_name, id_number, verification_status),
+            events!inner(event_id, event_name, event_date, venue),
+            payments!inner(payment_id, amount, payment_status)
+        `);
+
+    // Apply filters
+    if (event_id) query = query.eq('event_id', event_id);
+    if (user_id) query = query.eq('user_id', user_id);
+    if (status) query = query.eq('status', status);
+    if (flag) query = query.eq('flag', flag);
+
+    return query;
+}
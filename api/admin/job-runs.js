@@ -0,0 +1,130 @@
+// /api/admin/job-runs.js
+// List scheduled job runs and their outcomes
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { JOBS, isJobEnabled } from '../../lib/jobs.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  console.log('⏱️ ============ JOB RUNS REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Verify admin authentication and permission
+    const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_JOBS);
+    if (!adminUser) return;
+
+    // Parse query parameters
+    const {
+      page = 1,
+      limit = 20,
+      job_name = '',   // bot-scan, tx-queue, event-indexer, blockchain-sync, token-verification, account-expiry
+      status = '',     // running, success, failed
+      from = '',       // ISO date, runs started at or after
+      to = ''          // ISO date, runs started before
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    console.log('📋 Query parameters:');
+    console.log('   📄 Page:', pageNum);
+    console.log('   📊 Limit:', limitNum);
+    console.log('   ⚙️ Job filter:', job_name || 'none');
+    console.log('   🔍 Status filter:', status || 'none');
+
+    let query = supabase
+      .from('job_runs')
+      .select('*', { count: 'exact' })
+      .order('started_at', { ascending: false });
+
+    if (job_name) query = query.eq('job_name', job_name);
+    if (status) query = query.eq('status', status);
+    if (from) query = query.gte('started_at', from);
+    if (to) query = query.lt('started_at', to);
+
+    query = query.range(offset, offset + limitNum - 1);
+
+    const { data: runs, error: runsError, count } = await query;
+
+    if (runsError) {
+      console.error('❌ Database query failed:', runsError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch job runs',
+        error: runsError.message
+      });
+    }
+
+    console.log(`✅ Found ${runs?.length || 0} job runs (total: ${count || 0})`);
+
+    // Latest run per job for the dashboard overview
+    const jobs = await Promise.all(Object.entries(JOBS).map(async ([name, job]) => {
+      const { data: lastRun } = await supabase
+        .from('job_runs')
+        .select('id, status, started_at, finished_at, duration_ms, items_processed, items_affected, error')
+        .eq('job_name', name)
+        .order('started_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      return {
+        job_name: name,
+        description: job.description,
+        enabled: isJobEnabled(name),
+        last_run: lastRun || null
+      };
+    }));
+
+    const totalPages = Math.ceil((count || 0) / limitNum);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Retrieved ${runs?.length || 0} job runs`,
+      data: {
+        runs: runs || [],
+        jobs: jobs,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: count || 0,
+          totalPages: totalPages,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error in job runs endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
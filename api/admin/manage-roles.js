@@ -0,0 +1,171 @@
+// /api/admin/manage-roles.js
+// List staff role assignments and assign roles (super_admin only)
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS, ROLE_PERMISSIONS, STAFF_ROLES, CUSTOMER_ROLE } from '../../lib/permissions.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  console.log('🛂 ============ MANAGE ROLES REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Verify admin authentication and permission
+    const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.MANAGE_ROLES);
+    if (!adminUser) return;
+
+    if (req.method === 'GET') {
+      return await listRoleAssignments(res);
+    }
+
+    return await assignRole(req, res, adminUser);
+
+  } catch (error) {
+    console.error('❌ Error in manage roles endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
+
+// List every staff member with their role, plus the role → permission map
+async function listRoleAssignments(res) {
+  const { data: staff, error } = await supabase
+    .from('users')
+    .select('user_id, id_name, role')
+    .in('role', STAFF_ROLES)
+    .order('id_name', { ascending: true });
+
+  if (error) {
+    console.error('❌ Failed to fetch staff users:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to retrieve role assignments',
+      error: error.message
+    });
+  }
+
+  console.log(`✅ Found ${staff?.length || 0} staff accounts`);
+
+  return res.status(200).json({
+    status: 'success',
+    message: 'Role assignments retrieved successfully',
+    data: {
+      staff: staff || [],
+      roles: ROLE_PERMISSIONS
+    }
+  });
+}
+
+// Assign a staff role to a user, or remove admin access with role = 'user'
+async function assignRole(req, res, adminUser) {
+  const { user_id, role } = req.body || {};
+
+  if (!user_id || !role) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'user_id and role are required'
+    });
+  }
+
+  if (!STAFF_ROLES.includes(role) && role !== CUSTOMER_ROLE) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Invalid role. Must be one of: ${[...STAFF_ROLES, CUSTOMER_ROLE].join(', ')}`
+    });
+  }
+
+  // Prevent the last line of defence from locking themselves out
+  if (user_id === adminUser.user_id && role !== 'super_admin') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'You cannot change your own super_admin role'
+    });
+  }
+
+  const { data: targetUser, error: fetchError } = await supabase
+    .from('users')
+    .select('user_id, id_name, role')
+    .eq('user_id', user_id)
+    .single();
+
+  if (fetchError || !targetUser) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'User not found'
+    });
+  }
+
+  console.log(`🛂 ${adminUser.id_name} assigning role: ${targetUser.id_name} ${targetUser.role} → ${role}`);
+
+  const { data: updatedUser, error: updateError } = await supabase
+    .from('users')
+    .update({ role })
+    .eq('user_id', user_id)
+    .select('user_id, id_name, role')
+    .single();
+
+  if (updateError) {
+    console.error('❌ Failed to update role:', updateError);
+    await recordAudit(supabase, req, {
+      actor: adminUser,
+      action: AUDIT_ACTIONS.ROLES_CHANGE,
+      targetType: 'user',
+      targetIds: [user_id],
+      before: { [user_id]: { role: targetUser.role } },
+      result: 'failure',
+      error: updateError.message
+    });
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to update role',
+      error: updateError.message
+    });
+  }
+
+  console.log('✅ Role updated successfully');
+
+  await recordAudit(supabase, req, {
+    actor: adminUser,
+    action: AUDIT_ACTIONS.ROLES_CHANGE,
+    targetType: 'user',
+    targetIds: [user_id],
+    before: { [user_id]: { role: targetUser.role } },
+    after: { [user_id]: { role: updatedUser.role } }
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Role for ${updatedUser.id_name} set to ${role}`,
+    data: {
+      user: updatedUser,
+      previous_role: targetUser.role,
+      permissions: ROLE_PERMISSIONS[role] || []
+    }
+  });
+}
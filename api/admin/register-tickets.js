@@ -0,0 +1,301 @@
+// /api/admin/register-tickets.js
+// Registers pending or failed tickets on the revocation contract
+//
+// Tokens are sent through the transaction queue in batches, one batchRegisterTickets
+// transaction per batch; tokens the contract already knows about are marked registered
+// without a transaction. Each ticket is registered on the contract its event uses. To try
+// this against a local dev chain, add a contract on the 'local' network (LOCAL_RPC_URLS,
+// Hardhat/Anvil) through BLOCKCHAIN_REGISTRY, point the event's contract_key at it and set
+// LOCAL_ADMIN_PRIVATE_KEY to the local account. test/tx-queue.test.js runs the same queue
+// flow against an in-process chain.
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { enqueueTransactions, processTransaction } from '../../lib/tx-queue.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const DEFAULT_REGISTER_BATCH_SIZE = parseInt(process.env.REGISTER_BATCH_SIZE) || 50;
+const MAX_TICKETS_PER_REQUEST = 500;
+
+// How long the request waits for its first queued transaction before leaving it to the cron job
+const TX_INLINE_WAIT_MS = parseInt(process.env.TX_INLINE_WAIT_MS) || 20000;
+
+export default async function handler(req, res) {
+  console.log('📝 ============ TICKET REGISTRATION STARTED ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  let adminUser = null;
+
+  try {
+    // Verify admin authentication and permission
+    adminUser = await requirePermission(supabase, req, res, PERMISSIONS.REGISTER_TICKETS);
+    if (!adminUser) return;
+
+    // Parse request parameters
+    const {
+      ticket_ids,            // Specific tickets to register; otherwise pick by status
+      status = 'all',        // pending, failed, all
+      limit = 100,           // Max tickets picked when ticket_ids is not given
+      batch_size = DEFAULT_REGISTER_BATCH_SIZE
+    } = req.body || {};
+
+    const hasTicketIds = Array.isArray(ticket_ids) && ticket_ids.length > 0;
+    const batchSize = Math.max(1, parseInt(batch_size) || DEFAULT_REGISTER_BATCH_SIZE);
+    const limitNum = Math.min(parseInt(limit) || 100, MAX_TICKETS_PER_REQUEST);
+
+    if (!['pending', 'failed', 'all'].includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: "status must be 'pending', 'failed' or 'all'"
+      });
+    }
+
+    if (hasTicketIds && ticket_ids.length > MAX_TICKETS_PER_REQUEST) {
+      return res.status(400).json({
+        status: 'error',
+        message: `At most ${MAX_TICKETS_PER_REQUEST} tickets can be registered per request`
+      });
+    }
+
+    console.log('📋 Registration parameters:');
+    console.log('   🎫 Ticket IDs:', hasTicketIds ? ticket_ids : 'none');
+    console.log('   🔍 Status:', status);
+    console.log('   📊 Limit:', limitNum);
+    console.log('   📦 Batch size:', batchSize);
+    console.log('👮 Admin ID:', adminUser.user_id);
+
+    // Only valid tickets with a token that are not yet on chain (or whose mint failed)
+    let query = supabase
+      .from('tickets')
+      .select('ticket_id, nft_token_id, ticket_status, blockchain_registered, nft_mint_status')
+      .eq('ticket_status', 'valid')
+      .not('nft_token_id', 'is', null);
+
+    if (status === 'pending') {
+      query = query.eq('blockchain_registered', false);
+    } else if (status === 'failed') {
+      query = query.eq('nft_mint_status', 'failed');
+    } else {
+      query = query.or('blockchain_registered.eq.false,nft_mint_status.eq.failed');
+    }
+
+    query = hasTicketIds
+      ? query.in('ticket_id', ticket_ids)
+      : query.order('ticket_id', { ascending: true }).limit(limitNum);
+
+    const { data: tickets, error: ticketsError } = await query;
+
+    if (ticketsError) {
+      console.error('❌ Database query failed:', ticketsError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch tickets for registration',
+        error: ticketsError.message
+      });
+    }
+
+    console.log(`🎫 Found ${tickets?.length || 0} tickets to register`);
+
+    if (!tickets || tickets.length === 0) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'No pending or failed tickets to register',
+        data: {
+          requested: hasTicketIds ? ticket_ids.length : 0,
+          registered_count: 0,
+          already_registered_count: 0,
+          failed_count: 0,
+          batches: []
+        }
+      });
+    }
+
+    const registration = await registerTicketsOnBlockchain(tickets, batchSize, adminUser.user_id);
+    const skippedTicketIds = hasTicketIds
+      ? ticket_ids.filter(id => !tickets.some(t => String(t.ticket_id) === String(id)))
+      : [];
+
+    console.log('🎉 ============ TICKET REGISTRATION COMPLETE ============');
+    console.log(`   ✅ Registered: ${registration.registered}`);
+    console.log(`   ℹ️ Already registered: ${registration.alreadyRegistered}`);
+    console.log(`   ⏳ In flight: ${registration.queued}`);
+    console.log(`   ❌ Failed: ${registration.failed}`);
+
+    const responseStatus = registration.failed === 0 ? 'success' : 'partial_success';
+
+    await recordAudit(supabase, req, {
+      actor: adminUser,
+      action: AUDIT_ACTIONS.TICKETS_REGISTER,
+      targetType: 'ticket',
+      targetIds: tickets.map(t => t.ticket_id),
+      before: Object.fromEntries(tickets.map(t => [t.ticket_id, {
+        blockchain_registered: t.blockchain_registered,
+        nft_mint_status: t.nft_mint_status
+      }])),
+      result: responseStatus,
+      metadata: {
+        status_filter: status,
+        registered: registration.registered,
+        already_registered: registration.alreadyRegistered,
+        failed: registration.failed,
+        in_flight: registration.queued,
+        job_ids: registration.batches.map(b => b.job_id),
+        skipped_ticket_ids: skippedTicketIds
+      }
+    });
+
+    return res.status(200).json({
+      status: responseStatus,
+      message: `Registered ${registration.registered} of ${tickets.length} tickets on blockchain`,
+      data: {
+        requested: hasTicketIds ? ticket_ids.length : tickets.length,
+        registered_count: registration.registered,
+        already_registered_count: registration.alreadyRegistered,
+        failed_count: registration.failed,
+        in_flight_count: registration.queued,
+        skipped_ticket_ids: skippedTicketIds,
+        batches: registration.batches,
+        errors: registration.errors
+      },
+      warnings: [
+        ...(skippedTicketIds.length > 0 ? [`${skippedTicketIds.length} tickets were not pending or failed and were skipped`] : []),
+        ...(registration.failed > 0 ? [`Registration failed for ${registration.failed} tickets`] : []),
+        ...(registration.queued > 0 ? [`Registration of ${registration.queued} tickets is still in flight and will be completed by the transaction queue` +
+          `; poll /api/admin/tx-queue?job_ids=${registration.batches.filter(j => !['confirmed', 'failed'].includes(j.status)).map(j => j.job_id).join(',')}`] : [])
+      ]
+    });
+
+  } catch (error) {
+    console.error('❌ Error registering tickets:', error);
+    if (adminUser) {
+      await recordAudit(supabase, req, {
+        actor: adminUser,
+        action: AUDIT_ACTIONS.TICKETS_REGISTER,
+        targetType: 'ticket',
+        targetIds: req.body?.ticket_ids || [],
+        result: 'failure',
+        error: error.message
+      });
+    }
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during ticket registration',
+      error: error.message
+    });
+  }
+}
+
+function cleanTokenId(rawTokenId) {
+  const tokenId = String(rawTokenId).trim().replace(/[^0-9]/g, '');
+  if (!/^\d+$/.test(tokenId)) {
+    throw new Error(`Invalid token ID format: ${rawTokenId} -> ${tokenId}`);
+  }
+  return tokenId;
+}
+
+async function updateTickets(ticketIds, update) {
+  const { error } = await supabase
+    .from('tickets')
+    .update(update)
+    .in('ticket_id', ticketIds);
+
+  if (error) {
+    console.error(`⚠️ Failed to update ${ticketIds.length} tickets:`, error.message);
+  }
+}
+
+// Queue registration batches and wait briefly for the first to settle
+async function registerTicketsOnBlockchain(tickets, batchSize, adminId) {
+  const result = {
+    registered: 0,
+    alreadyRegistered: 0,
+    failed: 0,
+    queued: 0,
+    batches: [],
+    errors: []
+  };
+
+  // Tickets with malformed token IDs can never be registered
+  const items = [];
+  for (const ticket of tickets) {
+    try {
+      items.push({ ticket_id: ticket.ticket_id, token_id: cleanTokenId(ticket.nft_token_id), source_id: null });
+    } catch (error) {
+      result.failed++;
+      result.errors.push({ ticket_id: ticket.ticket_id, error: error.message });
+      await updateTickets([ticket.ticket_id], { nft_mint_status: 'failed', blockchain_error: error.message });
+    }
+  }
+
+  if (items.length === 0) return result;
+
+  const jobs = await enqueueTransactions(supabase, 'register', items, { createdBy: adminId, batchSize });
+
+  // Only the first job is waited on; the rest are left to the queue and polled by job ID
+  for (const [index, queuedJob] of jobs.entries()) {
+    let job = queuedJob;
+    if (index === 0) {
+      try {
+        job = await processTransaction(supabase, queuedJob.id, { waitMs: TX_INLINE_WAIT_MS });
+      } catch (error) {
+        console.error(`⚠️ Could not process transaction job ${queuedJob.id} now: ${error.message}`);
+      }
+    }
+
+    const sentCount = job.sent_items ? job.sent_items.length : 0;
+    if (job.status === 'confirmed') {
+      const failedTokens = job.verification_results?.failed || [];
+      // Tokens that could not be read back yet are still in flight
+      const unreadTokens = job.verification_results?.unreadable || [];
+      result.registered += sentCount - failedTokens.length - unreadTokens.length;
+      result.alreadyRegistered += job.items.length - sentCount;
+      result.failed += failedTokens.length;
+      result.queued += unreadTokens.length;
+      failedTokens.forEach(token => result.errors.push({ batch: index + 1, ticket_id: token.ticket_id, error: token.error }));
+    } else if (job.status === 'failed') {
+      result.failed += job.items.length;
+      result.errors.push({ batch: index + 1, ticket_ids: job.items.map(i => i.ticket_id), error: job.last_error });
+    } else {
+      result.queued += job.items.length;
+    }
+
+    console.log(`📦 Batch ${index + 1}: job ${job.id} ${job.status}`);
+
+    result.batches.push({
+      batch: index + 1,
+      job_id: job.id,
+      ticket_ids: job.items.map(i => i.ticket_id),
+      token_ids: job.items.map(i => i.token_id),
+      status: job.status,
+      transaction_hash: job.tx_hash || null,
+      block_number: job.block_number || null,
+      gas_used: job.gas_used || null,
+      error: job.status === 'failed' ? job.last_error : null
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,505 @@
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { enqueueTransactions, processTransaction } from '../../lib/tx-queue.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
+import { dismissRevokedCases } from '../../lib/flag-cases.js';
+import { isAlreadyRefunded } from '../../lib/refunds.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// How long the request waits for its first queued transaction before leaving it to the cron job
+const TX_INLINE_WAIT_MS = parseInt(process.env.TX_INLINE_WAIT_MS) || 20000;
+
+export default async function handler(req, res) {
+    // CORS Headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle OPTIONS preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            status: 'error',
+            message: 'Method not allowed'
+        });
+    }
+
+    let adminUser = null;
+
+    try {
+        // Verify admin authentication and permission
+        adminUser = await requirePermission(supabase, req, res, PERMISSIONS.REINSTATE_TICKETS);
+        if (!adminUser) return;
+
+        const {
+            ticket_ids,
+            purchase_ids,
+            justification,
+            allow_refunded = false     // reinstate even if the payment was refunded (free tickets)
+        } = req.body || {};
+
+        const hasTicketIds = Array.isArray(ticket_ids) && ticket_ids.length > 0;
+        const hasPurchaseIds = Array.isArray(purchase_ids) && purchase_ids.length > 0;
+
+        if (!hasTicketIds && !hasPurchaseIds) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'ticket_ids or purchase_ids array is required and cannot be empty'
+            });
+        }
+
+        // IDs end up in query filters; only accept plain identifiers
+        const invalidIds = [...(hasTicketIds ? ticket_ids : []), ...(hasPurchaseIds ? purchase_ids : [])]
+            .filter(id => !isValidId(id));
+
+        if (invalidIds.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'ticket_ids and purchase_ids must contain only numeric or alphanumeric IDs',
+                invalid_ids: invalidIds
+            });
+        }
+
+        if (!justification || typeof justification !== 'string' || !justification.trim()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'justification is required to reinstate tickets'
+            });
+        }
+
+        const admin_id = adminUser.user_id;
+
+        console.log('♻️ ============ REINSTATING REVOKED TICKETS ============');
+        console.log('🎫 Ticket IDs:', ticket_ids || 'none');
+        console.log('📋 Purchase IDs:', purchase_ids || 'none');
+        console.log('📝 Justification:', justification);
+        console.log('👮 Admin ID:', admin_id);
+
+        // Resolve the revoked tickets to reinstate, by ticket ID and by purchase
+        const ticketQueries = [];
+
+        if (hasTicketIds) {
+            ticketQueries.push(supabase
+                .from('tickets')
+                .select('*')
+                .eq('ticket_status', 'revoked')
+                .in('ticket_id', ticket_ids));
+        }
+
+        if (hasPurchaseIds) {
+            const { data: purchases, error: purchaseError } = await supabase
+                .from('purchase_history')
+                .select('id, payment_id')
+                .in('id', purchase_ids);
+
+            if (purchaseError || !purchases || purchases.length === 0) {
+                console.error('❌ Failed to retrieve purchase details:', purchaseError);
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Failed to retrieve purchase details or no purchases found'
+                });
+            }
+
+            ticketQueries.push(supabase
+                .from('tickets')
+                .select('*')
+                .eq('ticket_status', 'revoked')
+                .in('payment_id', purchases.map(p => p.payment_id)));
+        }
+
+        const ticketResults = await Promise.all(ticketQueries);
+        const ticketsError = ticketResults.find(r => r.error)?.error;
+
+        // A ticket named directly and through its purchase is only reinstated once
+        const ticketsById = new Map();
+        ticketResults.forEach(r => (r.data || []).forEach(t => ticketsById.set(t.ticket_id, t)));
+        const ticketsToReinstate = [...ticketsById.values()];
+
+        if (ticketsError) {
+            console.error('❌ Failed to retrieve tickets:', ticketsError);
+            return res.status(500).json({
+                status: 'error',
+                message: 'Failed to retrieve tickets for reinstatement'
+            });
+        }
+
+        console.log(`🎫 Found ${ticketsToReinstate?.length || 0} revoked tickets to reinstate`);
+
+        if (!ticketsToReinstate || ticketsToReinstate.length === 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'No revoked tickets found for the specified IDs'
+            });
+        }
+
+        // A refunded payment means the holder got their money back; reinstating would
+        // hand out free tickets unless an admin explicitly says so
+        const { data: ticketPayments, error: paymentsError } = await supabase
+            .from('payments')
+            .select('payment_id, payment_status, refund_id, refund_amount')
+            .in('payment_id', [...new Set(ticketsToReinstate.map(t => t.payment_id))]);
+
+        if (paymentsError) {
+            console.error('❌ Failed to retrieve payments:', paymentsError);
+            return res.status(500).json({
+                status: 'error',
+                message: 'Failed to check payments of the tickets to reinstate'
+            });
+        }
+
+        const refundedPaymentIds = new Set((ticketPayments || []).filter(isAlreadyRefunded).map(p => p.payment_id));
+        const refundedTicketIds = ticketsToReinstate
+            .filter(t => refundedPaymentIds.has(t.payment_id))
+            .map(t => t.ticket_id);
+
+        if (refundedTicketIds.length > 0 && allow_refunded !== true) {
+            console.warn(`🚫 ${refundedTicketIds.length} tickets belong to refunded payments`);
+            return res.status(400).json({
+                status: 'error',
+                message: 'Some tickets belong to refunded payments; reinstating them would make them free. Pass allow_refunded: true to reinstate them anyway',
+                refunded_ticket_ids: refundedTicketIds,
+                refunded_payment_ids: [...refundedPaymentIds]
+            });
+        }
+
+        const ticketIdsToReinstate = ticketsToReinstate.map(t => t.ticket_id);
+
+        // Find the revocation each reinstatement reverses (latest one per ticket)
+        const { data: revocationLogs, error: revocationLogError } = await supabase
+            .from('revocation_log')
+            .select('id, ticket_id, revoked_at, blockchain_status')
+            .in('ticket_id', ticketIdsToReinstate)
+            .order('revoked_at', { ascending: false });
+
+        if (revocationLogError) {
+            console.error('❌ Failed to retrieve revocation logs:', revocationLogError);
+            return res.status(500).json({
+                status: 'error',
+                message: 'Failed to retrieve original revocation records'
+            });
+        }
+
+        const latestRevocationByTicket = {};
+        (revocationLogs || []).forEach(log => {
+            if (!latestRevocationByTicket[log.ticket_id]) {
+                latestRevocationByTicket[log.ticket_id] = log;
+            }
+        });
+
+        // 1. REINSTATE TICKETS IN DATABASE
+        console.log('💾 ============ DATABASE REINSTATEMENT ============');
+
+        const { data: reinstatedTickets, error: reinstateError } = await supabase
+            .from('tickets')
+            .update({ ticket_status: 'valid' })
+            .in('ticket_id', ticketIdsToReinstate)
+            .eq('ticket_status', 'revoked')
+            .select();
+
+        if (reinstateError) {
+            console.error('❌ Error reinstating tickets:', reinstateError);
+            await recordAudit(supabase, req, {
+                actor: adminUser,
+                action: AUDIT_ACTIONS.TICKETS_REINSTATE,
+                targetType: 'ticket',
+                targetIds: ticketIdsToReinstate,
+                result: 'failure',
+                error: reinstateError.message,
+                metadata: { justification: justification.trim() }
+            });
+            return res.status(500).json({
+                status: 'error',
+                message: 'Failed to reinstate tickets in database',
+                error: reinstateError.message
+            });
+        }
+
+        console.log(`✅ Successfully reinstated ${reinstatedTickets?.length || 0} tickets in database`);
+
+        // 2. RESTORE PURCHASE HISTORY STATUS
+        // A purchase goes back to normal once none of its tickets are still revoked
+        const paymentIds = [...new Set(reinstatedTickets.map(t => t.payment_id))];
+
+        const { data: stillRevoked } = await supabase
+            .from('tickets')
+            .select('payment_id')
+            .in('payment_id', paymentIds)
+            .eq('ticket_status', 'revoked');
+
+        const stillRevokedPaymentIds = new Set((stillRevoked || []).map(t => t.payment_id));
+        const restorablePaymentIds = paymentIds.filter(id => !stillRevokedPaymentIds.has(id));
+
+        let restoredPurchases = [];
+        if (restorablePaymentIds.length > 0) {
+            const { data: updatedPurchases, error: updateError } = await supabase
+                .from('purchase_history')
+                .update({ status: 'normal' })
+                .in('payment_id', restorablePaymentIds)
+                .eq('status', 'revoked')
+                .select('id');
+
+            if (updateError) {
+                console.error('⚠️ Warning: Failed to restore purchase history status:', updateError);
+            } else {
+                restoredPurchases = updatedPurchases || [];
+                console.log(`✅ Restored ${restoredPurchases.length} purchases to normal`);
+
+                // The revocation was overturned, so their review cases count as dismissed
+                await dismissRevokedCases(supabase, restoredPurchases.map(p => p.id), admin_id, justification.trim());
+            }
+        }
+
+        // 3. CREATE REINSTATEMENT LOG ENTRIES
+        console.log('📝 ============ CREATING REINSTATEMENT LOGS ============');
+        const reinstatementLogs = reinstatedTickets.map(ticket => ({
+            ticket_id: ticket.ticket_id,
+            revocation_log_id: latestRevocationByTicket[ticket.ticket_id]?.id || null,
+            admin_id: admin_id,
+            justification: justification.trim(),
+            reinstated_at: new Date().toISOString(),
+            blockchain_status: isOnChain(ticket) ? 'pending' : 'not_required',
+            blockchain_tx_hash: null,
+            blockchain_error: null
+        }));
+
+        const { data: insertedLogs, error: logError } = await supabase
+            .from('reinstatement_log')
+            .insert(reinstatementLogs)
+            .select('id, ticket_id, revocation_log_id');
+
+        if (logError) {
+            console.error('❌ Failed to create reinstatement logs:', logError);
+            return res.status(500).json({
+                status: 'error',
+                message: 'Failed to create reinstatement audit logs'
+            });
+        }
+
+        console.log(`📝 Created ${insertedLogs.length} reinstatement log entries`);
+
+        // Mark the reversed revocations. One that never reached the chain is superseded, so
+        // the transaction queue's re-drive does not revoke the token after all.
+        await markRevocationsReversed(insertedLogs.filter(l => l.revocation_log_id));
+
+        // 4. QUEUE BLOCKCHAIN REINSTATEMENT
+        // Sent through the durable transaction queue; the tx-queue cron job finishes
+        // anything that is still in flight when we stop waiting.
+        console.log('⛓️ ============ BLOCKCHAIN REINSTATEMENT ============');
+
+        const blockchainTickets = reinstatedTickets.filter(isOnChain);
+
+        let blockchainResults = {
+            attempted: blockchainTickets.length,
+            successful: 0,
+            failed: 0,
+            queued: 0,
+            transaction_hash: null,
+            gas_used: null,
+            failed_tokens: [],
+            jobs: [],
+            errors: []
+        };
+
+        if (blockchainTickets.length > 0) {
+            const logIdByTicket = {};
+            insertedLogs.forEach(log => { logIdByTicket[log.ticket_id] = log.id; });
+
+            let queuedJobs = [];
+            try {
+                const items = blockchainTickets.map(t => ({
+                    ticket_id: t.ticket_id,
+                    token_id: cleanTokenId(t.nft_token_id),
+                    source_id: logIdByTicket[t.ticket_id]
+                }));
+                console.log('🎫 Token IDs to reinstate:', items.map(i => i.token_id));
+
+                queuedJobs = await enqueueTransactions(supabase, 'reinstate', items, { createdBy: admin_id });
+            } catch (error) {
+                blockchainResults.failed = blockchainTickets.length;
+                blockchainResults.errors.push(error.message);
+
+                console.error(`❌ Failed to queue blockchain reinstatement: ${error.message}`);
+
+                await supabase
+                    .from('reinstatement_log')
+                    .update({
+                        blockchain_status: 'failed',
+                        blockchain_error: error.message
+                    })
+                    .in('id', blockchainTickets.map(t => logIdByTicket[t.ticket_id]));
+            }
+
+            // Only the first job is waited on; the rest are left to the queue and polled by job ID
+            for (const [index, queuedJob] of queuedJobs.entries()) {
+                let job = queuedJob;
+                if (index === 0) {
+                    try {
+                        job = await processTransaction(supabase, queuedJob.id, { waitMs: TX_INLINE_WAIT_MS });
+                    } catch (error) {
+                        console.error(`⚠️ Could not process transaction job ${queuedJob.id} now: ${error.message}`);
+                        blockchainResults.errors.push(error.message);
+                    }
+                }
+
+                const tokenCount = job.items.length;
+                if (job.status === 'confirmed') {
+                    // Tokens the contract did not report in the expected state after confirmation
+                    const failedTokens = job.verification_results?.failed || [];
+                    // Tokens that could not be read back yet are still in flight
+                    const unreadTokens = job.verification_results?.unreadable || [];
+                    blockchainResults.successful += tokenCount - failedTokens.length - unreadTokens.length;
+                    blockchainResults.failed += failedTokens.length;
+                    blockchainResults.queued += unreadTokens.length;
+                    blockchainResults.failed_tokens.push(...failedTokens);
+                    blockchainResults.transaction_hash = job.tx_hash || blockchainResults.transaction_hash;
+                    blockchainResults.gas_used = job.gas_used || blockchainResults.gas_used;
+                } else if (job.status === 'failed') {
+                    blockchainResults.failed += tokenCount;
+                    blockchainResults.errors.push(job.last_error);
+                } else {
+                    blockchainResults.queued += tokenCount;
+                }
+
+                blockchainResults.jobs.push({
+                    job_id: job.id,
+                    status: job.status,
+                    token_count: tokenCount,
+                    transaction_hash: job.tx_hash || null
+                });
+            }
+        } else {
+            console.log('ℹ️ No blockchain-registered tickets to reinstate on chain');
+        }
+
+        console.log('🎉 ============ REINSTATEMENT COMPLETE ============');
+        console.log(`   🎫 Tickets reinstated: ${reinstatedTickets.length}`);
+        console.log(`   📋 Purchases restored: ${restoredPurchases.length}`);
+        console.log(`   ⛓️ Blockchain attempts: ${blockchainResults.attempted}`);
+        console.log(`   ⏳ Blockchain in flight: ${blockchainResults.queued}`);
+        console.log(`   ❌ Blockchain failed: ${blockchainResults.failed}`);
+
+        const responseStatus = blockchainResults.failed === 0 ? 'success' : 'partial_success';
+
+        await recordAudit(supabase, req, {
+            actor: adminUser,
+            action: AUDIT_ACTIONS.TICKETS_REINSTATE,
+            targetType: 'ticket',
+            targetIds: reinstatedTickets.map(t => t.ticket_id),
+            before: Object.fromEntries(reinstatedTickets.map(t => [t.ticket_id, { ticket_status: 'revoked' }])),
+            after: Object.fromEntries(reinstatedTickets.map(t => [t.ticket_id, { ticket_status: 'valid' }])),
+            result: responseStatus,
+            metadata: {
+                justification: justification.trim(),
+                restored_purchase_ids: restoredPurchases.map(p => p.id),
+                refunded_ticket_ids: refundedTicketIds,
+                allow_refunded: allow_refunded === true,
+                reinstatement_log_ids: insertedLogs.map(l => l.id),
+                revocation_log_ids: insertedLogs.map(l => l.revocation_log_id).filter(Boolean),
+                blockchain: {
+                    attempted: blockchainResults.attempted,
+                    successful: blockchainResults.successful,
+                    failed: blockchainResults.failed,
+                    queued: blockchainResults.queued,
+                    job_ids: blockchainResults.jobs.map(j => j.job_id)
+                }
+            }
+        });
+
+        return res.status(200).json({
+            status: responseStatus,
+            message: `Successfully reinstated ${reinstatedTickets.length} tickets`,
+            data: {
+                reinstated_tickets_count: reinstatedTickets.length,
+                restored_purchases_count: restoredPurchases.length,
+                reinstatement_logs_created: insertedLogs.length,
+                blockchain_reinstatement: blockchainResults,
+                reinstated_ticket_ids: reinstatedTickets.map(t => t.ticket_id),
+                reversed_revocations: insertedLogs.map(l => ({
+                    ticket_id: l.ticket_id,
+                    reinstatement_log_id: l.id,
+                    revocation_log_id: l.revocation_log_id
+                }))
+            },
+            warnings: [
+                ...(blockchainResults.failed > 0 ? [`Blockchain reinstatement failed for ${blockchainResults.failed} tickets${blockchainResults.errors.length > 0 ? `: ${blockchainResults.errors.join(', ')}` : ''}`] : []),
+                ...(blockchainResults.failed_tokens.length > 0 ? [`Tokens not reinstated on chain after confirmation: ${blockchainResults.failed_tokens.map(t => t.token_id).join(', ')}`] : []),
+                ...(blockchainResults.queued > 0 ? [`Blockchain reinstatement of ${blockchainResults.queued} tickets is still in flight and will be completed by the transaction queue` +
+                    `; poll /api/admin/tx-queue?job_ids=${blockchainResults.jobs.filter(j => !['confirmed', 'failed'].includes(j.status)).map(j => j.job_id).join(',')}`] : [])
+            ]
+        });
+
+    } catch (error) {
+        console.error('❌ Error reinstating tickets:', error);
+        if (adminUser) {
+            await recordAudit(supabase, req, {
+                actor: adminUser,
+                action: AUDIT_ACTIONS.TICKETS_REINSTATE,
+                targetType: 'ticket',
+                targetIds: req.body?.ticket_ids || [],
+                result: 'failure',
+                error: error.message,
+                metadata: { purchase_ids: req.body?.purchase_ids || [] }
+            });
+        }
+        return res.status(500).json({
+            status: 'error',
+            message: 'Internal server error during reinstatement',
+            error: error.message
+        });
+    }
+}
+
+// revocation_log.reversed_at / reversed_by (reinstatement_log.id) record the reversal; a
+// revocation still pending or failed on chain becomes 'superseded'
+async function markRevocationsReversed(reinstatementLogs) {
+    const now = new Date().toISOString();
+
+    for (const log of reinstatementLogs) {
+        const { error } = await supabase
+            .from('revocation_log')
+            .update({ reversed_at: now, reversed_by: log.id })
+            .eq('id', log.revocation_log_id);
+
+        if (error) {
+            console.error(`⚠️ Failed to mark revocation ${log.revocation_log_id} as reversed:`, error.message);
+        }
+    }
+
+    const revocationIds = reinstatementLogs.map(l => l.revocation_log_id);
+    if (revocationIds.length === 0) return;
+
+    const { error: supersedeError } = await supabase
+        .from('revocation_log')
+        .update({ blockchain_status: 'superseded', blockchain_error: null })
+        .in('id', revocationIds)
+        .in('blockchain_status', ['pending', 'failed']);
+
+    if (supersedeError) {
+        console.error('⚠️ Failed to supersede unfinished revocations:', supersedeError.message);
+    }
+}
+
+function isValidId(id) {
+    return (Number.isInteger(id) && id > 0) || (typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id));
+}
+
+// Whether a ticket has a token on the contract that may need reversing
+function isOnChain(ticket) {
+    return ticket.blockchain_registered === true &&
+        ticket.nft_token_id !== null &&
+        ticket.nft_token_id !== undefined &&
+        String(ticket.nft_token_id).trim() !== '';
+}
+
+function cleanTokenId(rawTokenId) {
+    const tokenId = String(rawTokenId).trim().replace(/[^0-9]/g, '');
+    if (!/^\d+$/.test(tokenId)) {
+        throw new Error(`Invalid token ID format: ${rawTokenId} -> ${tokenId}`);
+    }
+    return tokenId;
+}
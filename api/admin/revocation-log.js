@@ -0,0 +1,174 @@
+// /api/admin/revocation-log.js
+// Browse revocation_log entries with the ticket, holder, event and revoking admin
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  console.log('🗂️ ============ REVOCATION LOG REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Verify admin authentication and permission
+    const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_TICKETS);
+    if (!adminUser) return;
+
+    // Parse query parameters
+    const {
+      page = 1,
+      limit = 50,
+      event_id = '',
+      admin_id = '',
+      blockchain_status = '',  // pending, completed, failed, not_required
+      from = '',               // ISO date, revoked at or after
+      to = ''                  // ISO date, revoked before
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    console.log('📋 Query parameters:');
+    console.log('   📄 Page:', pageNum);
+    console.log('   📊 Limit:', limitNum);
+    console.log('   🎭 Event filter:', event_id || 'none');
+    console.log('   👮 Admin filter:', admin_id || 'none');
+    console.log('   ⛓️ Blockchain status filter:', blockchain_status || 'none');
+
+    let query = supabase
+      .from('revocation_log')
+      .select(`
+        id,
+        ticket_id,
+        admin_id,
+        reason,
+        revoked_at,
+        blockchain_status,
+        blockchain_tx_hash,
+        blockchain_error,
+        tx_queue_id,
+        tickets!inner(
+          ticket_id,
+          event_id,
+          ticket_number,
+          ticket_status,
+          nft_token_id,
+          blockchain_registered,
+          users!inner(user_id, id_name, id_number),
+          events!inner(event_id, event_name, event_date, venue)
+        )
+      `, { count: 'exact' })
+      .order('revoked_at', { ascending: false });
+
+    if (event_id) query = query.eq('tickets.event_id', event_id);
+    if (admin_id) query = query.eq('admin_id', admin_id);
+    if (blockchain_status) query = query.eq('blockchain_status', blockchain_status);
+    if (from) query = query.gte('revoked_at', from);
+    if (to) query = query.lt('revoked_at', to);
+
+    query = query.range(offset, offset + limitNum - 1);
+
+    const { data: logs, error: logsError, count } = await query;
+
+    if (logsError) {
+      console.error('❌ Database query failed:', logsError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch revocation log',
+        error: logsError.message
+      });
+    }
+
+    // Revoking admins are users too; look their names up in one query
+    const adminIds = [...new Set((logs || []).map(log => log.admin_id).filter(Boolean))];
+    const adminsById = {};
+
+    if (adminIds.length > 0) {
+      const { data: admins } = await supabase
+        .from('users')
+        .select('user_id, id_name, role')
+        .in('user_id', adminIds);
+
+      (admins || []).forEach(admin => { adminsById[admin.user_id] = admin; });
+    }
+
+    // Whether each revocation has since been reversed
+    const logIds = (logs || []).map(log => log.id);
+    const reinstatedLogIds = new Set();
+
+    if (logIds.length > 0) {
+      const { data: reinstatements } = await supabase
+        .from('reinstatement_log')
+        .select('revocation_log_id')
+        .in('revocation_log_id', logIds);
+
+      (reinstatements || []).forEach(r => reinstatedLogIds.add(r.revocation_log_id));
+    }
+
+    const entries = (logs || []).map(({ tickets: ticket, ...log }) => ({
+      ...log,
+      admin: adminsById[log.admin_id] || null,
+      reinstated: reinstatedLogIds.has(log.id),
+      ticket: {
+        ticket_id: ticket.ticket_id,
+        ticket_number: ticket.ticket_number,
+        ticket_status: ticket.ticket_status,
+        nft_token_id: ticket.nft_token_id,
+        blockchain_registered: ticket.blockchain_registered
+      },
+      user: ticket.users,
+      event: ticket.events
+    }));
+
+    console.log(`✅ Found ${entries.length} revocation log entries (total: ${count || 0})`);
+
+    const totalPages = Math.ceil((count || 0) / limitNum);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Retrieved ${entries.length} revocation log entries`,
+      data: {
+        revocations: entries,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: count || 0,
+          totalPages: totalPages,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error in revocation log endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
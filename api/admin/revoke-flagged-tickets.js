@@ -1,22 +1,24 @@
 import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
-
-// Blockchain configuration
-const BLOCKCHAIN_CONFIG = {
-    rpcUrl: process.env.ETHEREUM_RPC_URL || 'https://sepolia.infura.io/v3/' + process.env.INFURA_PROJECT_ID,
-    contractAddress: process.env.REVOCATION_CONTRACT_ADDRESS || '0x86d22947cE0D2908eC0CAC78f7EC405f15cB9e50',
-    privateKey: process.env.ADMIN_PRIVATE_KEY,
-    network: 'sepolia'
-};
-
-// Contract ABI for revocation
-const CONTRACT_ABI = [
-    "function revokeTicket(uint256 tokenId) external",
-    "function batchRevokeTickets(uint256[] calldata tokenIds) external",
-    "function getTicketStatus(uint256 tokenId) external view returns (uint8)",
-    "function isRevoked(uint256 tokenId) external view returns (bool)"
-];
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS, hasPermission } from '../../lib/permissions.js';
+import { enqueueTransactions, processTransaction } from '../../lib/tx-queue.js';
+import { checkSpend } from '../../lib/spend-guard.js';
+import { getContractConfig, connectProvider, groupTicketsByContract } from '../../lib/blockchain-config.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
+import { resolveCasesAsRevoked } from '../../lib/flag-cases.js';
+import {
+    REFUND_MODES,
+    isAlreadyRefunded,
+    isRefundRetryable,
+    calculateRefundAmount,
+    loadRevokedShares,
+    refundPurchases
+} from '../../lib/refunds.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// How long the request waits for its first queued transaction before leaving it to the cron job
+const TX_INLINE_WAIT_MS = parseInt(process.env.TX_INLINE_WAIT_MS) || 20000;
 
 export default async function handler(req, res) {
     // CORS Headers
@@ -36,45 +38,48 @@ export default async function handler(req, res) {
         });
     }
 
+    let adminUser = null;
+
     try {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) {
-            return res.status(401).json({ 
+        // Verify admin authentication and permission
+        adminUser = await requirePermission(supabase, req, res, PERMISSIONS.REVOKE_TICKETS);
+        if (!adminUser) return;
+
+        const { 
+            purchase_ids, 
+            reason = 'Bot activity detected - rapid purchases',
+            refund_mode = 'none',      // 'none', 'full', 'partial'
+            refund_percentage,         // required for partial refunds (1-99)
+            dry_run = false            // preview what would be revoked without writing anything
+        } = req.body;
+
+        if (!purchase_ids || !Array.isArray(purchase_ids) || purchase_ids.length === 0) {
+            return res.status(400).json({ 
                 status: 'error', 
-                message: 'Authorization token required' 
+                message: 'purchase_ids array is required and cannot be empty' 
             });
         }
-        const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-        
-        if (authError || !user) {
-            return res.status(401).json({ 
+
+        if (!REFUND_MODES.includes(refund_mode)) {
+            return res.status(400).json({ 
                 status: 'error', 
-                message: 'Invalid authentication token' 
+                message: "refund_mode must be one of: none, full, partial" 
             });
         }
 
-        // 🆕 Look up admin's user_id in the users table
-        const { data: adminUser, error: adminError } = await supabase
-            .from('users')
-            .select('user_id, id_name, role')
-            .eq('auth_id', user.id)
-            .single();
-
-        if (adminError || !adminUser) {
-            return res.status(401).json({ 
+        const refundPercentage = parseFloat(refund_percentage);
+        if (refund_mode === 'partial' && !(refundPercentage > 0 && refundPercentage < 100)) {
+            return res.status(400).json({ 
                 status: 'error', 
-                message: 'Admin user not found' 
+                message: 'refund_percentage between 0 and 100 is required for partial refunds' 
             });
         }
-        const { 
-            purchase_ids, 
-            reason = 'Bot activity detected - rapid purchases',
-        } = req.body;
 
-        if (!purchase_ids || !Array.isArray(purchase_ids) || purchase_ids.length === 0) {
-            return res.status(400).json({ 
+        if (refund_mode !== 'none' && !hasPermission(adminUser.role, PERMISSIONS.REFUND_PAYMENTS)) {
+            return res.status(403).json({ 
                 status: 'error', 
-                message: 'purchase_ids array is required and cannot be empty' 
+                message: 'Insufficient permissions to issue refunds',
+                required_permission: PERMISSIONS.REFUND_PAYMENTS
             });
         }
         const admin_id = adminUser.user_id;
@@ -83,13 +88,15 @@ export default async function handler(req, res) {
         console.log('📋 Purchase IDs to revoke:', purchase_ids);
         console.log('📝 Reason:', reason);
         console.log('👮 Admin ID:', admin_id);
+        console.log('🧪 Dry run:', dry_run);
+        console.log('💸 Refund mode:', refund_mode, refund_mode === 'partial' ? `(${refundPercentage}%)` : '');
 
         // Get purchase details with payment info
         const { data: purchases, error: fetchError } = await supabase
             .from('purchase_history')
             .select(`
                 *,
-                payments!inner(payment_id, user_id, amount),
+                payments!inner(payment_id, user_id, amount, currency, payment_status, paypal_transaction_id, refund_id, refund_amount, refund_error),
                 users!inner(user_id, id_name),
                 events!inner(event_id, event_name)
             `)
@@ -126,9 +133,38 @@ export default async function handler(req, res) {
         console.log(`🎫 Found ${ticketsToRevoke?.length || 0} tickets to revoke`);
 
         if (!ticketsToRevoke || ticketsToRevoke.length === 0) {
+            // Already revoked, but the refund failed: a rerun with a refund_mode retries it
+            const retryablePurchases = purchases.filter(isRefundRetryable);
+
+            if (refund_mode !== 'none' && retryablePurchases.length > 0) {
+                return retryFailedRefunds(req, res, adminUser, retryablePurchases, {
+                    refundMode: refund_mode,
+                    refundPercentage: refundPercentage,
+                    reason: reason,
+                    dryRun: dry_run
+                });
+            }
+
             return res.status(400).json({ 
                 status: 'error', 
-                message: 'No valid tickets found for the specified purchases' 
+                message: retryablePurchases.length > 0
+                    ? 'No valid tickets found for the specified purchases; pass a refund_mode to retry their failed refunds'
+                    : 'No valid tickets found for the specified purchases' 
+            });
+        }
+
+        // DRY RUN: report what would happen and stop before any write or transaction
+        if (dry_run) {
+            const preview = await buildRevocationPreview(purchases, ticketsToRevoke, refund_mode, refundPercentage);
+
+            console.log('🧪 ============ DRY RUN COMPLETE (NO CHANGES MADE) ============');
+            console.log(`   🎫 Would revoke ${preview.tickets_to_revoke_count} tickets`);
+            console.log(`   ⛓️ Would revoke ${preview.blockchain_revocation.token_ids.length} tokens on chain`);
+
+            return res.status(200).json({
+                status: 'success',
+                message: `Dry run: ${preview.tickets_to_revoke_count} tickets from ${purchases.length} purchases would be revoked`,
+                data: preview
             });
         }
 
@@ -144,6 +180,15 @@ export default async function handler(req, res) {
 
         if (revokeError) {
             console.error('❌ Error revoking tickets:', revokeError);
+            await recordAudit(supabase, req, {
+                actor: adminUser,
+                action: AUDIT_ACTIONS.TICKETS_REVOKE,
+                targetType: 'ticket',
+                targetIds: ticketIdsToRevoke,
+                result: 'failure',
+                error: revokeError.message,
+                metadata: { purchase_ids, reason }
+            });
             return res.status(500).json({ 
                 status: 'error', 
                 message: 'Failed to revoke tickets in database',
@@ -165,6 +210,9 @@ export default async function handler(req, res) {
             console.log('✅ Updated purchase history status to revoked');
         }
 
+        // Close the review cases of the revoked purchases
+        await resolveCasesAsRevoked(supabase, purchase_ids, admin_id, reason);
+
         // 3. CREATE REVOCATION LOG ENTRIES
         console.log('📝 ============ CREATING REVOCATION LOGS ============');
         const revocationLogs = revokedTickets.map(ticket => ({
@@ -172,7 +220,7 @@ export default async function handler(req, res) {
             admin_id: admin_id,
             reason: reason,
             revoked_at: new Date().toISOString(),
-            blockchain_status: 'pending',
+            blockchain_status: isBlockchainRevocable(ticket) ? 'pending' : 'not_required',
             blockchain_tx_hash: null,
             blockchain_error: null
         }));
@@ -192,129 +240,100 @@ export default async function handler(req, res) {
 
         console.log(`📝 Created ${insertedLogs.length} revocation log entries`);
 
-        // 4. IMMEDIATE BLOCKCHAIN REVOCATION
+        // 4. QUEUE BLOCKCHAIN REVOCATION
+        // Transactions go through the durable queue. We wait briefly for confirmation here;
+        // anything still in flight is finished by the tx-queue cron job.
         console.log('⛓️ ============ BLOCKCHAIN REVOCATION ============');
         
         // Filter tickets that need blockchain revocation
-        const blockchainTickets = revokedTickets.filter(ticket => {
-            console.log(`🔍 Checking ticket ${ticket.ticket_id}:`);
-            console.log(`   ⛓️ blockchain_registered: ${ticket.blockchain_registered}`);
-            console.log(`   🎫 nft_token_id: ${ticket.nft_token_id} (type: ${typeof ticket.nft_token_id})`);
-            console.log(`   📝 Raw value: "${ticket.nft_token_id}"`);
-            
-            // Check if blockchain_registered is true
-            const isRegistered = ticket.blockchain_registered === true;
-            
-            // Check if nft_token_id exists (handles 0, "0", and other values)
-            const hasTokenId = ticket.nft_token_id !== null && 
-                            ticket.nft_token_id !== undefined && 
-                            ticket.nft_token_id !== '' &&
-                            String(ticket.nft_token_id).trim() !== '';
-            
-            console.log(`   ✅ Is registered: ${isRegistered}`);
-            console.log(`   🎯 Has token ID: ${hasTokenId}`);
-            console.log(`   🔄 Will include: ${isRegistered && hasTokenId}`);
-            
-            return isRegistered && hasTokenId;
-        });
+        const blockchainTickets = revokedTickets.filter(isBlockchainRevocable);
+        console.log(`🔍 ${blockchainTickets.length} of ${revokedTickets.length} revoked tickets are registered on chain`);
 
         let blockchainResults = {
             attempted: blockchainTickets.length,
             successful: 0,
             failed: 0,
+            queued: 0,
             transaction_hash: null,
             gas_used: null,
+            failed_tokens: [],
+            jobs: [],
             errors: []
         };
 
         if (blockchainTickets.length > 0) {
-            console.log(`🔗 Attempting to revoke ${blockchainTickets.length} tickets on blockchain...`);
-            
+            console.log(`🔗 Queueing revocation of ${blockchainTickets.length} tickets on blockchain...`);
+
+            const logIdByTicket = {};
+            insertedLogs.forEach(log => { logIdByTicket[log.ticket_id] = log.id; });
+
+            let queuedJobs = [];
             try {
-                // 🚀 FIXED: Improved token ID cleaning that handles all edge cases
-                const tokenIds = blockchainTickets.map(t => {
-                    const rawTokenId = t.nft_token_id;
-                    console.log(`🧹 Processing token ID: ${rawTokenId} (type: ${typeof rawTokenId})`);
-                    
-                    // Convert to string and clean
-                    let tokenId = String(rawTokenId).trim();
-                    
-                    // Remove any non-numeric characters (just in case)
-                    tokenId = tokenId.replace(/[^0-9]/g, '');
-                    
-                    // Validate it's a valid number
-                    if (!/^\d+$/.test(tokenId)) {
-                        throw new Error(`Invalid token ID format: ${rawTokenId} -> ${tokenId}`);
-                    }
-                    
-                    console.log(`✅ Clean token ID: ${tokenId}`);
-                    return tokenId;
-                });
-                
-                console.log('🎫 Final token IDs to revoke:', tokenIds);
-                
-                const blockchainResult = await revokeTicketsOnBlockchain(tokenIds);
-                
-                if (blockchainResult.success) {
-                    blockchainResults.successful = blockchainTickets.length;
-                    blockchainResults.transaction_hash = blockchainResult.transactionHash;
-                    blockchainResults.gas_used = blockchainResult.gasUsed;
-                    
-                    console.log(`✅ Successfully revoked ${blockchainTickets.length} tickets on blockchain`);
-                    console.log(`   🔗 Transaction Hash: ${blockchainResult.transactionHash}`);
-                    console.log(`   ⛽ Gas Used: ${blockchainResult.gasUsed}`);
-                    
-                    // Update revocation logs with blockchain success
-                    const blockchainTicketIds = blockchainTickets.map(t => t.ticket_id);
-                    await supabase
-                        .from('revocation_log')
-                        .update({ 
-                            blockchain_status: 'completed',
-                            blockchain_tx_hash: blockchainResult.transactionHash
-                        })
-                        .in('ticket_id', blockchainTicketIds);
-                        
-                    // Update tickets with blockchain transaction hash
-                    await supabase
-                        .from('tickets')
-                        .update({ 
-                            blockchain_tx_hash: blockchainResult.transactionHash 
-                        })
-                        .in('ticket_id', blockchainTicketIds);
-                        
-                } else {
-                    blockchainResults.failed = blockchainTickets.length;
-                    blockchainResults.errors.push(blockchainResult.error);
-                    
-                    console.error(`❌ Failed to revoke tickets on blockchain: ${blockchainResult.error}`);
-                    
-                    // Update revocation logs with blockchain failure
-                    const blockchainTicketIds = blockchainTickets.map(t => t.ticket_id);
-                    await supabase
-                        .from('revocation_log')
-                        .update({ 
-                            blockchain_status: 'failed',
-                            blockchain_error: blockchainResult.error
-                        })
-                        .in('ticket_id', blockchainTicketIds);
-                }
-                
+                const items = blockchainTickets.map(t => ({
+                    ticket_id: t.ticket_id,
+                    token_id: cleanTokenId(t.nft_token_id),
+                    source_id: logIdByTicket[t.ticket_id]
+                }));
+
+                console.log('🎫 Final token IDs to revoke:', items.map(i => i.token_id));
+
+                queuedJobs = await enqueueTransactions(supabase, 'revoke', items, { createdBy: admin_id });
             } catch (error) {
                 blockchainResults.failed = blockchainTickets.length;
                 blockchainResults.errors.push(error.message);
-                
-                console.error(`❌ Blockchain revocation exception: ${error.message}`);
-                
-                // Update revocation logs with error
-                const blockchainTicketIds = blockchainTickets.map(t => t.ticket_id);
+
+                console.error(`❌ Failed to queue blockchain revocation: ${error.message}`);
+
+                // Logs stay re-drivable: the tx-queue job picks up failed rows without a job
                 await supabase
                     .from('revocation_log')
                     .update({ 
                         blockchain_status: 'failed',
                         blockchain_error: error.message
                     })
-                    .in('ticket_id', blockchainTicketIds);
+                    .in('id', blockchainTickets.map(t => logIdByTicket[t.ticket_id]));
             }
+
+            // Only the first job is waited on; the rest are left to the queue and polled by job ID
+            for (const [index, queuedJob] of queuedJobs.entries()) {
+                let job = queuedJob;
+                if (index === 0) {
+                    try {
+                        job = await processTransaction(supabase, queuedJob.id, { waitMs: TX_INLINE_WAIT_MS });
+                    } catch (error) {
+                        console.error(`⚠️ Could not process transaction job ${queuedJob.id} now: ${error.message}`);
+                        blockchainResults.errors.push(error.message);
+                    }
+                }
+
+                const tokenCount = job.items.length;
+                if (job.status === 'confirmed') {
+                    // Tokens the contract did not report in the expected state after confirmation
+                    const failedTokens = job.verification_results?.failed || [];
+                    // Tokens that could not be read back yet are still in flight
+                    const unreadTokens = job.verification_results?.unreadable || [];
+                    blockchainResults.successful += tokenCount - failedTokens.length - unreadTokens.length;
+                    blockchainResults.failed += failedTokens.length;
+                    blockchainResults.queued += unreadTokens.length;
+                    blockchainResults.failed_tokens.push(...failedTokens);
+                    blockchainResults.transaction_hash = job.tx_hash || blockchainResults.transaction_hash;
+                    blockchainResults.gas_used = job.gas_used || blockchainResults.gas_used;
+                } else if (job.status === 'failed') {
+                    blockchainResults.failed += tokenCount;
+                    blockchainResults.errors.push(job.last_error);
+                } else {
+                    blockchainResults.queued += tokenCount;
+                }
+
+                blockchainResults.jobs.push({
+                    job_id: job.id,
+                    status: job.status,
+                    token_count: tokenCount,
+                    transaction_hash: job.tx_hash || null
+                });
+            }
+
+            console.log(`⛓️ Revocation jobs: ${blockchainResults.successful} confirmed, ${blockchainResults.queued} in flight, ${blockchainResults.failed} failed`);
         } else {
             console.log('ℹ️ No blockchain-registered tickets found for revocation');
             
@@ -331,17 +350,72 @@ export default async function handler(req, res) {
             });
         }
 
+        // 5. REFUND REVOKED PURCHASES
+        let refundResults = null;
+        if (refund_mode !== 'none') {
+            refundResults = await refundPurchases(supabase, purchases, {
+                mode: refund_mode,
+                percentage: refundPercentage,
+                reason: reason
+            });
+        }
+
         console.log('🎉 ============ REVOCATION COMPLETE ============');
         console.log(`📊 Summary:`);
         console.log(`   🎫 Total tickets revoked: ${revokedTickets.length}`);
         console.log(`   📝 Revocation logs created: ${insertedLogs.length}`);
         console.log(`   ⛓️ Blockchain attempts: ${blockchainResults.attempted}`);
         console.log(`   ✅ Blockchain successful: ${blockchainResults.successful}`);
+        console.log(`   ⏳ Blockchain in flight: ${blockchainResults.queued}`);
         console.log(`   ❌ Blockchain failed: ${blockchainResults.failed}`);
+        if (refundResults) {
+            console.log(`   💸 Refunds issued: ${refundResults.refunded}, skipped: ${refundResults.skipped}, failed: ${refundResults.failed}`);
+        }
 
         const isPartialSuccess = blockchainResults.failed > 0 && blockchainResults.successful > 0;
-        const responseStatus = blockchainResults.failed === 0 ? 'success' : 
-                              blockchainResults.successful === 0 ? 'partial_success' : 'partial_success';
+        const responseStatus = blockchainResults.failed === 0 && !(refundResults?.failed > 0) ? 'success' : 'partial_success';
+
+        const warnings = [];
+        if (blockchainResults.failed > 0) {
+            warnings.push(`Blockchain revocation failed for ${blockchainResults.failed} tickets${blockchainResults.errors.length > 0 ? `: ${blockchainResults.errors.join(', ')}` : ''}`);
+        }
+        if (blockchainResults.failed_tokens.length > 0) {
+            const requeued = blockchainResults.failed_tokens.filter(t => t.retry_job_id).length;
+            warnings.push(`${blockchainResults.failed_tokens.length} tokens were not revoked on chain after confirmation (${requeued} re-queued): ${blockchainResults.failed_tokens.map(t => t.token_id).join(', ')}`);
+        }
+        if (blockchainResults.queued > 0) {
+            warnings.push(`Blockchain revocation of ${blockchainResults.queued} tickets is still in flight and will be completed by the transaction queue` +
+                `; poll /api/admin/tx-queue?job_ids=${blockchainResults.jobs.filter(j => !['confirmed', 'failed'].includes(j.status)).map(j => j.job_id).join(',')}`);
+        }
+        if (refundResults?.failed > 0) {
+            warnings.push(`Refund failed for ${refundResults.failed} payments`);
+        }
+
+        await recordAudit(supabase, req, {
+            actor: adminUser,
+            action: AUDIT_ACTIONS.TICKETS_REVOKE,
+            targetType: 'ticket',
+            targetIds: revokedTickets.map(t => t.ticket_id),
+            before: Object.fromEntries(ticketsToRevoke.map(t => [t.ticket_id, { ticket_status: t.ticket_status }])),
+            after: Object.fromEntries(revokedTickets.map(t => [t.ticket_id, { ticket_status: 'revoked' }])),
+            result: responseStatus,
+            metadata: {
+                purchase_ids: purchase_ids,
+                purchase_status_before: Object.fromEntries(purchases.map(p => [p.id, p.status])),
+                reason: reason,
+                refund_mode: refund_mode,
+                revocation_log_ids: insertedLogs.map(l => l.id),
+                blockchain: {
+                    attempted: blockchainResults.attempted,
+                    successful: blockchainResults.successful,
+                    failed: blockchainResults.failed,
+                    queued: blockchainResults.queued,
+                    job_ids: blockchainResults.jobs.map(j => j.job_id)
+                },
+                refunds: refundResults ? { refunded: refundResults.refunded, skipped: refundResults.skipped, failed: refundResults.failed } : null,
+                warnings: warnings
+            }
+        });
 
         return res.status(200).json({
             status: responseStatus,
@@ -353,15 +427,24 @@ export default async function handler(req, res) {
                 blockchain_revocation: blockchainResults,
                 revoked_ticket_ids: revokedTickets.map(t => t.ticket_id),
                 affected_users: [...new Set(purchases.map(p => p.users.id_name))],
-                total_amount_affected: purchases.reduce((sum, p) => sum + parseFloat(p.payments.amount), 0)
+                total_amount_affected: purchases.reduce((sum, p) => sum + parseFloat(p.payments.amount), 0),
+                refunds: refundResults
             },
-            warnings: blockchainResults.errors.length > 0 ? [
-                `Blockchain revocation failed for ${blockchainResults.failed} tickets: ${blockchainResults.errors.join(', ')}`
-            ] : []
+            warnings: warnings
         });
 
     } catch (error) {
         console.error('❌ Error revoking tickets:', error);
+        if (adminUser && !req.body?.dry_run) {
+            await recordAudit(supabase, req, {
+                actor: adminUser,
+                action: AUDIT_ACTIONS.TICKETS_REVOKE,
+                targetType: 'purchase',
+                targetIds: req.body?.purchase_ids || [],
+                result: 'failure',
+                error: error.message
+            });
+        }
         return res.status(500).json({
             status: 'error',
             message: 'Internal server error during revocation',
@@ -370,101 +453,245 @@ export default async function handler(req, res) {
     }
 }
 
-// Blockchain revocation function
-async function revokeTicketsOnBlockchain(tokenIds) {
+// Build the dry-run report: affected tickets, users, amounts, token IDs and estimated gas
+async function buildRevocationPreview(purchases, ticketsToRevoke, refundMode, refundPercentage) {
+    const blockchainTickets = ticketsToRevoke.filter(isBlockchainRevocable);
+    const tokenIds = [];
+    const estimableTickets = [];
+    const invalidTokens = [];
+
+    blockchainTickets.forEach(ticket => {
+        try {
+            const tokenId = cleanTokenId(ticket.nft_token_id);
+            tokenIds.push(tokenId);
+            estimableTickets.push({ ...ticket, token_id: tokenId });
+        } catch (error) {
+            invalidTokens.push({ ticket_id: ticket.ticket_id, nft_token_id: ticket.nft_token_id, error: error.message });
+        }
+    });
+
+    const gasEstimate = tokenIds.length > 0
+        ? await estimateRevocationGas(estimableTickets)
+        : { success: true, estimated_cost_eth: '0.0', contracts: [] };
+
+    let refundPreview = null;
+    if (refundMode !== 'none') {
+        const payments = [...new Map(purchases.map(p => [p.payments.payment_id, p.payments])).values()];
+        const refundable = payments.filter(payment => !isAlreadyRefunded(payment));
+        // The tickets about to be revoked count towards each payment's refunded share
+        const shares = await loadRevokedShares(supabase, refundable.map(p => p.payment_id), ticketsToRevoke.map(t => t.ticket_id));
+        const refundAmountOf = payment => calculateRefundAmount(payment, refundMode, refundPercentage, shares.get(payment.payment_id));
+        refundPreview = {
+            mode: refundMode,
+            percentage: refundMode === 'partial' ? refundPercentage : 100,
+            payments_to_refund: refundable.map(payment => ({
+                payment_id: payment.payment_id,
+                amount: payment.amount,
+                currency: payment.currency,
+                revoked_tickets: shares.get(payment.payment_id).revoked,
+                total_tickets: shares.get(payment.payment_id).total,
+                refund_amount: refundAmountOf(payment)
+            })),
+            already_refunded: payments.filter(isAlreadyRefunded).map(payment => payment.payment_id),
+            total_to_refund: Math.round(refundable.reduce((sum, payment) =>
+                sum + parseFloat(refundAmountOf(payment)), 0) * 100) / 100
+        };
+    }
+
+    const usersById = {};
+    purchases.forEach(p => {
+        usersById[p.users.user_id] = { user_id: p.users.user_id, id_name: p.users.id_name };
+    });
+
+    return {
+        dry_run: true,
+        tickets_to_revoke_count: ticketsToRevoke.length,
+        purchases_to_revoke_count: purchases.length,
+        tickets_to_revoke: ticketsToRevoke.map(t => ({
+            ticket_id: t.ticket_id,
+            payment_id: t.payment_id,
+            event_id: t.event_id,
+            nft_token_id: t.nft_token_id,
+            blockchain_registered: t.blockchain_registered
+        })),
+        affected_users: Object.values(usersById),
+        affected_events: [...new Map(purchases.map(p => [p.events.event_id, p.events])).values()],
+        total_amount_affected: purchases.reduce((sum, p) => sum + parseFloat(p.payments.amount), 0),
+        blockchain_revocation: {
+            token_ids: tokenIds,
+            invalid_tokens: invalidTokens,
+            method: tokenIds.length === 1 ? 'revokeTicket' : 'batchRevokeTickets',
+            gas_estimate: gasEstimate
+        },
+        refunds: refundPreview
+    };
+}
+
+// Re-run the refunds of purchases revoked by an earlier call whose refund failed. Tickets
+// and the chain are left alone; only the payments are retried, with the same PayPal request
+// ID as before so a refund that did go through is returned rather than issued twice.
+async function retryFailedRefunds(req, res, adminUser, purchases, { refundMode, refundPercentage, reason, dryRun }) {
+    const paymentIds = [...new Set(purchases.map(p => p.payments.payment_id))];
+    console.log(`🔁 Retrying failed refunds of ${paymentIds.length} payments:`, paymentIds);
+
+    if (dryRun) {
+        const payments = [...new Map(purchases.map(p => [p.payments.payment_id, p.payments])).values()];
+        const shares = await loadRevokedShares(supabase, paymentIds);
+        return res.status(200).json({
+            status: 'success',
+            message: `Dry run: refunds of ${payments.length} payments would be retried`,
+            data: {
+                dry_run: true,
+                refund_retry: true,
+                payments_to_refund: payments.map(payment => ({
+                    payment_id: payment.payment_id,
+                    amount: payment.amount,
+                    currency: payment.currency,
+                    refund_amount: calculateRefundAmount(payment, refundMode, refundPercentage, shares.get(payment.payment_id)),
+                    previous_error: payment.refund_error
+                }))
+            }
+        });
+    }
+
+    const refundResults = await refundPurchases(supabase, purchases, {
+        mode: refundMode,
+        percentage: refundPercentage,
+        reason: reason
+    });
+
+    const responseStatus = refundResults.failed === 0 ? 'success' : 'partial_success';
+
+    await recordAudit(supabase, req, {
+        actor: adminUser,
+        action: AUDIT_ACTIONS.PAYMENTS_REFUND,
+        targetType: 'payment',
+        targetIds: paymentIds,
+        before: Object.fromEntries(purchases.map(p => [p.payments.payment_id, {
+            payment_status: p.payments.payment_status,
+            refund_error: p.payments.refund_error
+        }])),
+        result: refundResults.failed === 0 ? 'success' : refundResults.refunded > 0 ? 'partial_success' : 'failure',
+        metadata: {
+            purchase_ids: purchases.map(p => p.id),
+            reason: reason,
+            refund_mode: refundMode,
+            refunds: { refunded: refundResults.refunded, skipped: refundResults.skipped, failed: refundResults.failed }
+        }
+    });
+
+    return res.status(200).json({
+        status: responseStatus,
+        message: `Retried refunds of ${paymentIds.length} payments: ${refundResults.refunded} refunded, ${refundResults.failed} failed`,
+        data: {
+            refund_retry: true,
+            refunds: refundResults
+        },
+        warnings: refundResults.failed > 0 ? [`Refund failed for ${refundResults.failed} payments`] : []
+    });
+}
+
+// Whether a ticket is registered on chain with a usable token ID (handles 0, "0" and other values)
+function isBlockchainRevocable(ticket) {
+    return ticket.blockchain_registered === true &&
+        ticket.nft_token_id !== null &&
+        ticket.nft_token_id !== undefined &&
+        ticket.nft_token_id !== '' &&
+        String(ticket.nft_token_id).trim() !== '';
+}
+
+// Normalise a token ID to a plain numeric string
+function cleanTokenId(rawTokenId) {
+    // Convert to string and remove any non-numeric characters (just in case)
+    const tokenId = String(rawTokenId).trim().replace(/[^0-9]/g, '');
+
+    if (!/^\d+$/.test(tokenId)) {
+        throw new Error(`Invalid token ID format: ${rawTokenId} -> ${tokenId}`);
+    }
+
+    return tokenId;
+}
+
+// Estimate gas and cost of the revocation transactions without sending them, one per contract
+async function estimateRevocationGas(tickets) {
     try {
-        console.log('🔗 ============ BLOCKCHAIN CONNECTION ============');
-        
         const ethersModule = await import('ethers');
         const ethers = ethersModule.default || ethersModule;
-        
-        if (!BLOCKCHAIN_CONFIG.privateKey || !BLOCKCHAIN_CONFIG.rpcUrl) {
-            throw new Error('Blockchain configuration missing: privateKey or rpcUrl');
-        }
 
-        console.log('🌐 Connecting to blockchain...');
-        console.log('   🌐 RPC URL:', BLOCKCHAIN_CONFIG.rpcUrl);
-        console.log('   📋 Contract:', BLOCKCHAIN_CONFIG.contractAddress);
-        console.log(`   🎫 Tokens to revoke: [${tokenIds.join(', ')}]`);
-        
-        const provider = new ethers.providers.JsonRpcProvider(BLOCKCHAIN_CONFIG.rpcUrl);
-        const wallet = new ethers.Wallet(BLOCKCHAIN_CONFIG.privateKey, provider);
-        const contract = new ethers.Contract(BLOCKCHAIN_CONFIG.contractAddress, CONTRACT_ABI, wallet);
-        
-        console.log('👛 Wallet Address:', wallet.address);
-        
-        // Check wallet balance
-        const balance = await wallet.getBalance();
-        const balanceEth = ethers.utils.formatEther(balance);
-        console.log(`💰 Wallet balance: ${balanceEth} ETH`);
-        
-        if (balance.lt(ethers.utils.parseEther('0.001'))) {
-            throw new Error(`Insufficient gas: ${balanceEth} ETH (minimum 0.001 ETH required)`);
+        const groups = await groupTicketsByContract(supabase, tickets);
+        const contracts = [];
+        for (const [contractKey, group] of groups) {
+            contracts.push(await estimateContractRevocationGas(ethers, contractKey, group.map(t => t.token_id)));
         }
-        
-        // Execute revocation transaction
-        console.log('📝 Preparing revocation transaction...');
-        let transaction;
-        
-        if (tokenIds.length === 1) {
-            console.log(`📝 Using single revocation for token: ${tokenIds[0]}`);
-            transaction = await contract.revokeTicket(tokenIds[0]);
-        } else {
-            console.log(`📝 Using batch revocation for ${tokenIds.length} tokens`);
-            transaction = await contract.batchRevokeTickets(tokenIds);
-        }
-        
-        console.log(`⏳ Transaction sent: ${transaction.hash}`);
-        console.log('⏱️ Waiting for confirmation...');
-        
-        // Wait for confirmation with timeout
-        const receipt = await Promise.race([
-            transaction.wait(2), // Wait for 2 confirmations
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Transaction timeout after 3 minutes')), 180000)
-            )
+
+        const estimated = contracts.filter(c => c.success);
+        const totalCost = estimated.reduce((sum, c) => sum.add(c.estimatedCost), ethers.BigNumber.from(0));
+        const failed = contracts.find(c => !c.success);
+
+        return {
+            success: !failed,
+            estimated_cost_eth: ethers.utils.formatEther(totalCost),
+            sufficient_balance: estimated.every(c => c.sufficient_balance),
+            within_spending_caps: estimated.every(c => c.within_spending_caps),
+            ...(failed ? { error: failed.error } : {}),
+            contracts: contracts.map(({ estimatedCost, ...details }) => details)
+        };
+
+    } catch (error) {
+        console.warn('⚠️ Gas estimation failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+async function estimateContractRevocationGas(ethers, contractKey, tokenIds) {
+    try {
+        const config = getContractConfig(contractKey, { signer: true });
+
+        const provider = await connectProvider(ethers, config);
+        const wallet = new ethers.Wallet(config.privateKey, provider);
+        const contract = new ethers.Contract(config.contractAddress, config.abi, wallet);
+
+        const [gasLimit, gasPrice, balance] = await Promise.all([
+            tokenIds.length === 1
+                ? contract.estimateGas.revokeTicket(tokenIds[0])
+                : contract.estimateGas.batchRevokeTickets(tokenIds),
+            provider.getGasPrice(),
+            wallet.getBalance()
         ]);
-        
-        console.log('✅ ============ BLOCKCHAIN SUCCESS ============');
-        console.log('🔗 Transaction Hash:', receipt.transactionHash);
-        console.log('📦 Block Number:', receipt.blockNumber);
-        console.log('⛽ Gas Used:', receipt.gasUsed.toString());
-        console.log('🔴 Status:', receipt.status === 1 ? 'SUCCESS' : 'FAILED');
-        
-        if (receipt.status !== 1) {
-            throw new Error('Transaction failed on blockchain');
-        }
-        
-        // Verify revocation for first ticket
-        console.log('🔍 Verifying revocation...');
-        const firstTokenStatus = await contract.getTicketStatus(tokenIds[0]);
-        console.log('📊 First token status after revocation:', firstTokenStatus.toString());
-        
-        if (firstTokenStatus.toString() !== '2') { // 2 = REVOKED
-            console.error('⚠️ Warning: Token status verification failed');
-            console.error('   📊 Expected: 2 (REVOKED)');
-            console.error('   📊 Actual:', firstTokenStatus.toString());
-        } else {
-            console.log('✅ Revocation verified successfully');
-        }
-        
+
+        const estimatedCost = gasLimit.mul(gasPrice);
+        console.log(`⛽ Estimated gas on ${contractKey}: ${gasLimit.toString()} @ ${ethers.utils.formatUnits(gasPrice, 'gwei')} Gwei`);
+
+        // Oversized batches are split by the transaction queue; daily overruns wait a day
+        const spend = await checkSpend(supabase, config.network, estimatedCost);
+
         return {
+            contract_key: contractKey,
+            network: config.network,
+            token_count: tokenIds.length,
             success: true,
-            transactionHash: transaction.hash,
-            gasUsed: receipt.gasUsed.toString(),
-            blockNumber: receipt.blockNumber,
-            tokensRevoked: tokenIds.length
+            estimatedCost: estimatedCost,
+            gas_limit: gasLimit.toString(),
+            gas_price_gwei: ethers.utils.formatUnits(gasPrice, 'gwei'),
+            estimated_cost_eth: ethers.utils.formatEther(estimatedCost),
+            wallet_balance_eth: ethers.utils.formatEther(balance),
+            sufficient_balance: balance.gte(estimatedCost),
+            within_spending_caps: spend.allowed,
+            spending_cap_warning: spend.reason,
+            tx_fee_cap_eth: spend.tx_fee_cap_eth,
+            daily_remaining_eth: spend.daily_remaining_eth
         };
-        
+
     } catch (error) {
-        console.error('🔥 ============ BLOCKCHAIN FAILURE ============');
-        console.error('❌ Error message:', error.message);
-        console.error('📊 Error type:', error.code || 'Unknown');
-        
+        console.warn(`⚠️ Gas estimation failed for ${contractKey}:`, error.message);
         return {
+            contract_key: contractKey,
+            token_count: tokenIds.length,
             success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
+            error: error.message
         };
     }
-}
\ No newline at end of file
+}
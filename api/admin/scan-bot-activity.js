@@ -1,6 +1,10 @@
 import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { runBotScan } from '../../lib/bot-scan.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
 export default async function handler(req, res) {
     // CORS Headers
@@ -20,174 +24,67 @@ export default async function handler(req, res) {
         });
     }
 
-    try {
-        // Get admin token and verify
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) {
-            return res.status(401).json({ 
-                status: 'error', 
-                message: 'Authorization token required' 
-            });
-        }
-
-        // Optional: filter by event_id
-        const { event_id, time_window_minutes = 5 } = req.body;
-
-        console.log('🔍 ============ BOT SCAN STARTED ============');
-        console.log('⏰ Time window:', time_window_minutes, 'minutes');
-        console.log('🎭 Event filter:', event_id || 'All events');
-
-        // Calculate the time threshold
-        const timeThreshold = new Date();
-        timeThreshold.setMinutes(timeThreshold.getMinutes() - time_window_minutes);
-        const timeThresholdISO = timeThreshold.toISOString();
-
-        console.log('🕐 Scanning purchases since:', timeThresholdISO);
-
-        // Build base query for purchases in the time window
-        let query = supabase
-            .from('purchase_history')
-            .select('*')
-            .gte('purchase_timestamp', timeThresholdISO)
-            .eq('status', 'normal');
+    let adminUser = null;
 
-        // Add event filter if specified
-        if (event_id) {
-            query = query.eq('event_id', event_id);
-        }
-
-        // Get all purchases in the time window
-        const { data: recentPurchases, error } = await query
-            .order('purchase_timestamp', { ascending: false });
-
-        if (error) {
-            console.error('Database error:', error);
-            return res.status(500).json({ 
-                status: 'error', 
-                message: 'Database scan failed',
-                error: error.message
-            });
-        }
-
-        console.log(`📊 Found ${recentPurchases?.length || 0} purchases in time window`);
+    try {
+        // Verify admin authentication and permission
+        adminUser = await requirePermission(supabase, req, res, PERMISSIONS.SCAN_BOTS);
+        if (!adminUser) return;
+
+        // Optional: filter by event_id, override rule thresholds for this scan,
+        // dry_run reports what would be flagged without updating any purchase
+        const { event_id, time_window_minutes = 5, rules = {}, dry_run = false } = req.body;
+
+        const scanResult = await runBotScan(supabase, {
+            eventId: event_id,
+            timeWindowMinutes: time_window_minutes,
+            rules,
+            dryRun: dry_run
+        });
 
-        if (!recentPurchases || recentPurchases.length === 0) {
-            return res.status(200).json({
-                status: 'success',
-                message: 'Scan completed. No purchases found in time window',
-                data: {
-                    scan_timestamp: new Date().toISOString(),
-                    time_window_minutes,
-                    event_filter: event_id || null,
-                    flagged_users_count: 0,
-                    flagged_purchases: []
+        // Dry runs change nothing, so only real scans are audited
+        if (!dry_run) {
+            const flagged = scanResult.data.flagged_purchases || [];
+            const scored = scanResult.data.scored_purchases || [];
+            const changed = [...flagged, ...scored];
+
+            await recordAudit(supabase, req, {
+                actor: adminUser,
+                action: AUDIT_ACTIONS.PURCHASES_BOT_SCAN,
+                targetType: 'purchase',
+                targetIds: changed.map(p => p.purchase_id),
+                // The scan only looks at purchases in 'normal' status
+                before: Object.fromEntries(changed.map(p => [p.purchase_id, { status: 'normal' }])),
+                after: Object.fromEntries([
+                    ...flagged.map(p => [p.purchase_id, { status: 'flagged', flag: p.flag, risk_score: p.risk_score }]),
+                    ...scored.map(p => [p.purchase_id, { status: 'normal', risk_score: p.risk_score }])
+                ]),
+                metadata: {
+                    event_id: event_id || null,
+                    time_window_minutes: time_window_minutes,
+                    flagged_users_count: scanResult.data.flagged_users_count,
+                    rule_summary: scanResult.data.rule_summary || {}
                 }
             });
         }
 
-        // Group purchases by user_id and analyze patterns
-        const userPurchases = {};
-        
-        recentPurchases.forEach(purchase => {
-            const userId = purchase.user_id;
-            if (!userPurchases[userId]) {
-                userPurchases[userId] = [];
-            }
-            userPurchases[userId].push(purchase);
-        });
-
-        console.log(`👥 Analyzing ${Object.keys(userPurchases).length} unique users`);
-
-        // Find users with multiple purchases (suspicious activity)
-        const suspiciousUsers = [];
-        
-        Object.entries(userPurchases).forEach(([userId, purchases]) => {
-            if (purchases.length >= 2) {
-                // Calculate time span between first and last purchase
-                const timestamps = purchases.map(p => new Date(p.purchase_timestamp));
-                const firstPurchase = new Date(Math.min(...timestamps));
-                const lastPurchase = new Date(Math.max(...timestamps));
-                const timeSpanMinutes = (lastPurchase - firstPurchase) / (1000 * 60);
-                
-                // Calculate total tickets
-                const totalTickets = purchases.reduce((sum, p) => sum + p.quantity, 0);
-                
-                suspiciousUsers.push({
-                    user_id: userId,
-                    purchase_count: purchases.length,
-                    purchase_ids: purchases.map(p => p.id),
-                    event_ids: [...new Set(purchases.map(p => p.event_id))],
-                    payment_ids: purchases.map(p => p.payment_id),
-                    quantities: purchases.map(p => p.quantity),
-                    total_tickets: totalTickets,
-                    first_purchase: firstPurchase.toISOString(),
-                    last_purchase: lastPurchase.toISOString(),
-                    time_span_minutes: Math.round(timeSpanMinutes * 100) / 100,
-                    purchases: purchases
-                });
-                
-                console.log(`🚨 Suspicious user ${userId}: ${purchases.length} purchases, ${totalTickets} tickets, ${timeSpanMinutes.toFixed(1)} min span`);
-            }
-        });
-
-        console.log(`🎯 Found ${suspiciousUsers.length} users with rapid purchases`);
-
-        // Flag the suspicious purchases in the database
-        const flaggedPurchases = [];
-        
-        for (const userActivity of suspiciousUsers) {
-            console.log(`🏷️ Flagging ${userActivity.purchase_count} purchases for user ${userActivity.user_id}`);
-            
-            // Update all purchases for this user as flagged
-            const { error: updateError } = await supabase
-                .from('purchase_history')
-                .update({ 
-                    status: 'flagged', 
-                    flag: 'rapid_purchase' 
-                })
-                .in('id', userActivity.purchase_ids);
-
-            if (!updateError) {
-                flaggedPurchases.push({
-                    user_id: userActivity.user_id,
-                    purchase_count: userActivity.purchase_count,
-                    total_tickets: userActivity.total_tickets,
-                    time_span_minutes: userActivity.time_span_minutes,
-                    first_purchase: userActivity.first_purchase,
-                    last_purchase: userActivity.last_purchase,
-                    purchase_ids: userActivity.purchase_ids,
-                    event_ids: userActivity.event_ids
-                });
-
-                console.log(`✅ Successfully flagged ${userActivity.purchase_count} purchases for user ${userActivity.user_id}`);
-            } else {
-                console.error(`❌ Failed to flag purchases for user ${userActivity.user_id}:`, updateError);
-            }
-        }
-
-        console.log('🎉 ============ BOT SCAN COMPLETE ============');
-        console.log(`📈 Results: ${flaggedPurchases.length} users flagged, ${flaggedPurchases.reduce((sum, u) => sum + u.purchase_count, 0)} purchases flagged`);
-
         return res.status(200).json({
             status: 'success',
-            message: `Scan completed. Found ${flaggedPurchases.length} suspicious users`,
-            data: {
-                scan_timestamp: new Date().toISOString(),
-                time_window_minutes,
-                event_filter: event_id || null,
-                flagged_users_count: flaggedPurchases.length,
-                flagged_purchases: flaggedPurchases,
-                scan_details: {
-                    total_purchases_in_window: recentPurchases.length,
-                    unique_users_in_window: Object.keys(userPurchases).length,
-                    suspicious_users_found: suspiciousUsers.length,
-                    time_threshold: timeThresholdISO
-                }
-            }
+            message: scanResult.message,
+            data: scanResult.data
         });
 
     } catch (error) {
         console.error('Bot scan error:', error);
+        if (adminUser && !req.body?.dry_run) {
+            await recordAudit(supabase, req, {
+                actor: adminUser,
+                action: AUDIT_ACTIONS.PURCHASES_BOT_SCAN,
+                targetType: 'purchase',
+                result: 'failure',
+                error: error.message
+            });
+        }
         return res.status(500).json({
             status: 'error',
             message: 'Internal server error during bot scan',
@@ -0,0 +1,120 @@
+// /api/admin/search.js
+// One search box for support: users, events, payments and tickets
+//
+// GET ?q=<term> matches customer names and ID numbers, event names, PayPal order and
+// transaction IDs, ticket transaction hashes and token IDs. Results are typed and ranked
+// best first (see lib/search.js); narrow them with types=user,ticket. Only the best `limit`
+// matches are returned, with `has_more` set when there may be others.
+//
+// Users are only searched for callers who may read users (users:read); for anyone else
+// they are left out of the default types, and asking for them explicitly is refused.
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS, hasPermission } from '../../lib/permissions.js';
+import { SEARCH_TYPES, MIN_SEARCH_LENGTH, runSearch } from '../../lib/search.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const MAX_SEARCH_LIMIT = 100;
+
+export default async function handler(req, res) {
+  console.log('🔎 ============ ADMIN SEARCH REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Verify admin authentication and permission
+    const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_PURCHASES);
+    if (!adminUser) return;
+
+    const {
+      q = '',
+      types = '',   // comma-separated: user, event, payment, ticket (default all)
+      limit = 20
+    } = req.query;
+
+    const canReadUsers = hasPermission(adminUser.role, PERMISSIONS.READ_USERS);
+    const term = String(q).trim();
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_SEARCH_LIMIT);
+    const requestedTypes = types
+      ? String(types).split(',').map(type => type.trim()).filter(Boolean)
+      : SEARCH_TYPES.filter(type => type !== 'user' || canReadUsers);
+
+    console.log('📋 Query parameters:');
+    console.log('   🔎 Term:', term || 'none');
+    console.log('   🏷️ Types:', requestedTypes.join(', '));
+    console.log('   📊 Limit:', limitNum);
+
+    if (term.length < MIN_SEARCH_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: `q must be at least ${MIN_SEARCH_LENGTH} characters`
+      });
+    }
+
+    const unknownTypes = requestedTypes.filter(type => !SEARCH_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown types: ${unknownTypes.join(', ')}. Must be among: ${SEARCH_TYPES.join(', ')}`
+      });
+    }
+
+    if (requestedTypes.includes('user') && !canReadUsers) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Insufficient permissions to search users',
+        required_permission: PERMISSIONS.READ_USERS
+      });
+    }
+
+    const { results, counts, has_more, warnings } = await runSearch(supabase, term, {
+      types: requestedTypes,
+      limit: limitNum
+    });
+
+    console.log(`✅ Returning ${results.length} matches${has_more ? ' (more available)' : ''}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: has_more
+        ? `Showing the ${results.length} best matches for "${term}"; refine the search to see others`
+        : `Found ${results.length} matches for "${term}"`,
+      data: {
+        query: term,
+        results: results,
+        counts: counts,
+        has_more: has_more
+      },
+      warnings: warnings
+    });
+
+  } catch (error) {
+    console.error('❌ Error in admin search endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
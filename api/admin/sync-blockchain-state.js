@@ -2,27 +2,17 @@
 // Syncs database ticket states with actual blockchain state
 
 import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { performBlockchainSync } from '../../lib/blockchain-sync.js';
+import { indexContractEvents } from '../../lib/event-indexer.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-// Blockchain configuration
-const BLOCKCHAIN_CONFIG = {
-  rpcUrl: process.env.ETHEREUM_RPC_URL || 'https://sepolia.infura.io/v3/' + process.env.INFURA_PROJECT_ID,
-  contractAddress: process.env.REVOCATION_CONTRACT_ADDRESS || '0x86d22947cE0D2908eC0CAC78f7EC405f15cB9e50',
-  privateKey: process.env.ADMIN_PRIVATE_KEY,
-  network: 'sepolia'
-};
-
-// Contract ABI for reading ticket states
-const CONTRACT_ABI = [
-  "function getTicketStatus(uint256 tokenId) external view returns (uint8)",
-  "function isRevoked(uint256 tokenId) external view returns (bool)",
-  "function owner() external view returns (address)"
-];
-
 export default async function handler(req, res) {
   console.log('🔄 ============ BLOCKCHAIN STATE SYNC STARTED ============');
   console.log('⏰ Timestamp:', new Date().toISOString());
@@ -44,61 +34,124 @@ export default async function handler(req, res) {
     });
   }
 
+  let adminUser = null;
+
   try {
-    // Verify admin authentication
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ 
-        status: 'error', 
-        message: 'Authorization token required' 
-      });
-    }
+    // Verify admin authentication and permission
+    adminUser = await requirePermission(supabase, req, res, PERMISSIONS.SYNC_BLOCKCHAIN);
+    if (!adminUser) return;
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        status: 'error', 
-        message: 'Invalid authentication token' 
+    // Parse request parameters
+    const { 
+      mode = 'full',         // 'full' polls every ticket; 'incremental' applies new contract events only
+      limit = 100,           // How many tickets to sync in this invocation
+      force_resync = false,  // Force resync even if recently synced
+      reset_cursor = false,  // Start a new full pass instead of resuming
+      max_duration_ms,       // Stop picking up tickets after this long
+      batch_size             // Token statuses read per RPC round trip
+    } = req.body || {};
+
+    if (!['full', 'incremental'].includes(mode)) {
+      return res.status(400).json({
+        status: 'error',
+        message: "mode must be 'full' or 'incremental'"
       });
     }
 
-    // Look up admin's user_id in the users table
-    const { data: adminUser, error: adminError } = await supabase
-      .from('users')
-      .select('user_id, id_name, role')
-      .eq('auth_id', user.id)
-      .single();
+    console.log('📋 Sync parameters:');
+    console.log('   🧭 Mode:', mode);
+    console.log('   📊 Limit:', limit);
+    console.log('   🔄 Force resync:', force_resync);
+    console.log('   📍 Reset cursor:', reset_cursor);
 
-    if (adminError || !adminUser) {
-      return res.status(401).json({ 
-        status: 'error', 
-        message: 'Admin user not found' 
+    // Incremental sync: apply contract events since the indexer checkpoint
+    if (mode === 'incremental') {
+      const indexResult = await indexContractEvents(supabase, {
+        ...(max_duration_ms ? { maxDurationMs: parseInt(max_duration_ms) } : {})
       });
-    }
 
-    if (adminUser.role !== 'admin' && adminUser.role !== 'super_admin') {
-      return res.status(403).json({ 
-        status: 'error', 
-        message: 'Admin privileges required' 
+      // The indexer does not report per-ticket changes, so record what each contract covered
+      await recordAudit(supabase, req, {
+        actor: adminUser,
+        action: AUDIT_ACTIONS.BLOCKCHAIN_SYNC,
+        targetType: 'contract',
+        targetIds: indexResult.contracts.map(c => c.contractKey),
+        result: indexResult.contracts.some(c => c.error) ? 'partial_success' : 'success',
+        metadata: {
+          mode: 'incremental',
+          tickets_updated: indexResult.ticketsUpdated,
+          contracts: indexResult.contracts.map(c => ({
+            contract_key: c.contractKey,
+            from_block: c.fromBlock,
+            to_block: c.toBlock,
+            events_indexed: c.eventsIndexed,
+            tickets_updated: c.ticketsUpdated,
+            error: c.error || null
+          }))
+        }
       });
-    }
 
-    console.log('✅ Admin authentication verified:', adminUser.id_name);
-    console.log('👮 Admin role:', adminUser.role);
+      return res.status(200).json({
+        status: 'success',
+        message: `Incremental sync indexed ${indexResult.eventsIndexed} events and updated ${indexResult.ticketsUpdated} tickets.`,
+        data: {
+          mode: 'incremental',
+          contracts: indexResult.contracts.map(c => ({
+            contract_key: c.contractKey,
+            network: c.network,
+            from_block: c.fromBlock,
+            to_block: c.toBlock,
+            head_block: c.headBlock,
+            blocks_remaining: c.blocksRemaining,
+            events_indexed: c.eventsIndexed,
+            error: c.error || null
+          })),
+          blocks_remaining: indexResult.blocksRemaining,
+          events_indexed: indexResult.eventsIndexed,
+          updated_count: indexResult.ticketsUpdated,
+          sync_duration_ms: indexResult.duration,
+          last_sync: new Date().toISOString(),
+          has_more: !indexResult.caughtUp
+        }
+      });
+    }
 
-    // Parse request parameters
-    const { 
-      limit = 100,           // How many tickets to sync at once
-      force_resync = false   // Force resync even if recently synced
-    } = req.body || {};
+    // Start (or resume) the blockchain sync process
+    const syncResult = await performBlockchainSync(supabase, limit, force_resync, {
+      resetCursor: reset_cursor,
+      batchSize: batch_size,
+      ...(max_duration_ms ? { maxDurationMs: parseInt(max_duration_ms) } : {})
+    });
 
-    console.log('📋 Sync parameters:');
-    console.log('   📊 Limit:', limit);
-    console.log('   🔄 Force resync:', force_resync);
+    // Another invocation (admin or cron) is partway through the pass
+    if (syncResult.busy) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A blockchain sync is already running; try again once it finishes',
+        data: {
+          locked_until: syncResult.lockedUntil
+        }
+      });
+    }
 
-    // Start the blockchain sync process
-    const syncResult = await performBlockchainSync(limit, force_resync);
+    const updatedDetails = (syncResult.syncDetails || []).filter(d => d.status === 'updated');
+
+    await recordAudit(supabase, req, {
+      actor: adminUser,
+      action: AUDIT_ACTIONS.BLOCKCHAIN_SYNC,
+      targetType: 'ticket',
+      targetIds: updatedDetails.map(d => d.ticket_id),
+      before: Object.fromEntries(updatedDetails.map(d => [d.ticket_id, { ticket_status: d.old_status, blockchain_registered: d.old_registered }])),
+      after: Object.fromEntries(updatedDetails.map(d => [d.ticket_id, { ticket_status: d.new_status, blockchain_registered: d.new_registered }])),
+      result: !syncResult.success ? 'failure' : syncResult.failedSyncs > 0 ? 'partial_success' : 'success',
+      error: syncResult.success ? null : syncResult.error,
+      metadata: {
+        mode: 'full',
+        force_resync: force_resync,
+        total_checked: syncResult.totalChecked ?? null,
+        failed_syncs: syncResult.failedSyncs ?? null
+      }
+    });
 
     if (syncResult.success) {
       console.log('✅ ============ BLOCKCHAIN SYNC SUCCESSFUL ============');
@@ -107,20 +160,31 @@ export default async function handler(req, res) {
       console.log('   🔄 Database updates made:', syncResult.updatedCount);
       console.log('   ✅ Successfully synced:', syncResult.successfulSyncs);
       console.log('   ❌ Failed syncs:', syncResult.failedSyncs);
+      console.log('   📈 Pass progress:', `${syncResult.progress.processed}/${syncResult.progress.total}`);
       console.log('   ⏱️ Sync duration:', syncResult.duration + 'ms');
 
       return res.status(200).json({
         status: 'success',
         message: `Blockchain sync completed successfully. Updated ${syncResult.updatedCount} tickets.`,
         data: {
+          mode: 'full',
           total_checked: syncResult.totalChecked,
           updated_count: syncResult.updatedCount,
           successful_syncs: syncResult.successfulSyncs,
           failed_syncs: syncResult.failedSyncs,
           sync_duration_ms: syncResult.duration,
           discrepancies_found: syncResult.discrepanciesFound,
+          skipped_recently_synced: syncResult.skippedRecent,
           last_sync: new Date().toISOString(),
-          sync_details: syncResult.details
+          sync_details: syncResult.details,
+          progress: syncResult.progress,
+          cursor: {
+            last_ticket_id: syncResult.cursor.last_ticket_id,
+            pass_started_at: syncResult.cursor.pass_started_at,
+            last_pass_completed_at: syncResult.cursor.completed_at
+          },
+          retries: syncResult.retries,
+          has_more: !syncResult.progress.pass_complete
         }
       });
 
@@ -143,6 +207,16 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('❌ Critical error in blockchain sync:', error);
+    if (adminUser) {
+      await recordAudit(supabase, req, {
+        actor: adminUser,
+        action: AUDIT_ACTIONS.BLOCKCHAIN_SYNC,
+        targetType: 'ticket',
+        result: 'failure',
+        error: error.message,
+        metadata: { mode: req.body?.mode || 'full' }
+      });
+    }
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error during blockchain sync',
@@ -150,241 +224,3 @@ export default async function handler(req, res) {
     });
   }
 }
-
-// Main blockchain sync function
-async function performBlockchainSync(limit, forceResync) {
-  const startTime = Date.now();
-  
-  try {
-    console.log('🔍 ============ FETCHING TICKETS FOR SYNC ============');
-
-    // Get tickets that have blockchain token IDs
-    let query = supabase
-      .from('tickets')
-      .select(`
-        ticket_id,
-        nft_token_id,
-        ticket_status,
-        blockchain_registered,
-        nft_mint_status,
-        blockchain_tx_hash,
-        users!inner(id_name),
-        events!inner(event_name)
-      `)
-      .not('nft_token_id', 'is', null)
-      .limit(limit)
-      .order('purchase_date', { ascending: false });
-
-    // If not forcing resync, only get tickets that haven't been synced recently
-    if (!forceResync) {
-      // Only sync tickets that were last synced more than 1 hour ago or never synced
-      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
-      query = query.or(`last_blockchain_sync.is.null,last_blockchain_sync.lt.${oneHourAgo}`);
-    }
-
-    const { data: tickets, error: fetchError } = await query;
-
-    if (fetchError) {
-      throw new Error(`Failed to fetch tickets: ${fetchError.message}`);
-    }
-
-    if (!tickets || tickets.length === 0) {
-      console.log('ℹ️ No tickets found that need syncing');
-      return {
-        success: true,
-        totalChecked: 0,
-        updatedCount: 0,
-        successfulSyncs: 0,
-        failedSyncs: 0,
-        discrepanciesFound: 0,
-        duration: Date.now() - startTime,
-        details: 'No tickets required syncing'
-      };
-    }
-
-    console.log(`📋 Found ${tickets.length} tickets to sync`);
-
-    // Initialize blockchain connection
-    console.log('🔗 ============ CONNECTING TO BLOCKCHAIN ============');
-    const ethersModule = await import('ethers');
-    const ethers = ethersModule.default || ethersModule;
-
-    const provider = new ethers.providers.JsonRpcProvider(BLOCKCHAIN_CONFIG.rpcUrl);
-    const wallet = new ethers.Wallet(BLOCKCHAIN_CONFIG.privateKey, provider);
-    const contract = new ethers.Contract(BLOCKCHAIN_CONFIG.contractAddress, CONTRACT_ABI, wallet);
-
-    console.log('✅ Blockchain connection established');
-    console.log('   👛 Wallet:', wallet.address);
-    console.log('   📋 Contract:', BLOCKCHAIN_CONFIG.contractAddress);
-
-    // Sync each ticket
-    console.log('🔄 ============ SYNCING TICKET STATES ============');
-
-    let updatedCount = 0;
-    let successfulSyncs = 0;
-    let failedSyncs = 0;
-    let discrepanciesFound = 0;
-    const syncDetails = [];
-
-    for (let i = 0; i < tickets.length; i++) {
-      const ticket = tickets[i];
-      console.log(`\n🎫 ---- Syncing Ticket ${i + 1}/${tickets.length} ----`);
-      console.log(`   🆔 Ticket ID: ${ticket.ticket_id}`);
-      console.log(`   🔢 Token ID: ${ticket.nft_token_id}`);
-      console.log(`   📊 DB Status: ${ticket.ticket_status}`);
-      console.log(`   ⛓️ DB Registered: ${ticket.blockchain_registered}`);
-
-      try {
-        // Get blockchain status for this token
-        const tokenId = ticket.nft_token_id.toString();
-        const blockchainStatus = await contract.getTicketStatus(tokenId);
-        const blockchainStatusInt = parseInt(blockchainStatus.toString());
-
-        console.log(`   🔗 Blockchain Status: ${blockchainStatusInt}`);
-
-        // Interpret blockchain status
-        let expectedTicketStatus;
-        let expectedBlockchainRegistered;
-        
-        switch (blockchainStatusInt) {
-          case 0: // Unregistered
-            expectedTicketStatus = ticket.ticket_status; // Keep current status
-            expectedBlockchainRegistered = false;
-            break;
-          case 1: // Registered
-            expectedTicketStatus = 'valid';
-            expectedBlockchainRegistered = true;
-            break;
-          case 2: // Revoked
-            expectedTicketStatus = 'revoked';
-            expectedBlockchainRegistered = true;
-            break;
-          default:
-            console.warn(`   ⚠️ Unknown blockchain status: ${blockchainStatusInt}`);
-            expectedTicketStatus = ticket.ticket_status;
-            expectedBlockchainRegistered = ticket.blockchain_registered;
-        }
-
-        // Check if update is needed
-        const needsUpdate = 
-          ticket.ticket_status !== expectedTicketStatus ||
-          ticket.blockchain_registered !== expectedBlockchainRegistered;
-
-        if (needsUpdate) {
-          console.log(`   🔄 Discrepancy found - updating database`);
-          console.log(`      📊 Status: ${ticket.ticket_status} → ${expectedTicketStatus}`);
-          console.log(`      ⛓️ Registered: ${ticket.blockchain_registered} → ${expectedBlockchainRegistered}`);
-
-          // Update the ticket in database
-          const { error: updateError } = await supabase
-            .from('tickets')
-            .update({
-              ticket_status: expectedTicketStatus,
-              blockchain_registered: expectedBlockchainRegistered,
-              nft_mint_status: blockchainStatusInt > 0 ? 'minted' : ticket.nft_mint_status,
-              last_blockchain_sync: new Date().toISOString(),
-              blockchain_sync_status: blockchainStatusInt
-            })
-            .eq('ticket_id', ticket.ticket_id);
-
-          if (updateError) {
-            console.error(`   ❌ Failed to update ticket: ${updateError.message}`);
-            failedSyncs++;
-            syncDetails.push({
-              ticket_id: ticket.ticket_id,
-              token_id: ticket.nft_token_id,
-              status: 'failed',
-              error: updateError.message
-            });
-          } else {
-            console.log(`   ✅ Ticket updated successfully`);
-            updatedCount++;
-            successfulSyncs++;
-            discrepanciesFound++;
-            syncDetails.push({
-              ticket_id: ticket.ticket_id,
-              token_id: ticket.nft_token_id,
-              status: 'updated',
-              old_status: ticket.ticket_status,
-              new_status: expectedTicketStatus,
-              blockchain_status: blockchainStatusInt
-            });
-          }
-
-        } else {
-          console.log(`   ✅ Ticket already in sync`);
-          
-          // Just update the last sync timestamp
-          await supabase
-            .from('tickets')
-            .update({
-              last_blockchain_sync: new Date().toISOString(),
-              blockchain_sync_status: blockchainStatusInt
-            })
-            .eq('ticket_id', ticket.ticket_id);
-
-          successfulSyncs++;
-          syncDetails.push({
-            ticket_id: ticket.ticket_id,
-            token_id: ticket.nft_token_id,
-            status: 'in_sync',
-            blockchain_status: blockchainStatusInt
-          });
-        }
-
-        // Add small delay to avoid rate limiting
-        if (i < tickets.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-
-      } catch (error) {
-        console.error(`   ❌ Failed to sync ticket ${ticket.ticket_id}:`, error.message);
-        failedSyncs++;
-        syncDetails.push({
-          ticket_id: ticket.ticket_id,
-          token_id: ticket.nft_token_id,
-          status: 'failed',
-          error: error.message
-        });
-
-        // Continue with next ticket even if this one fails
-        continue;
-      }
-    }
-
-    const duration = Date.now() - startTime;
-
-    console.log('✅ ============ SYNC OPERATION COMPLETED ============');
-    console.log(`📊 Final summary:`);
-    console.log(`   🎫 Total tickets processed: ${tickets.length}`);
-    console.log(`   🔄 Database updates made: ${updatedCount}`);
-    console.log(`   ✅ Successful syncs: ${successfulSyncs}`);
-    console.log(`   ❌ Failed syncs: ${failedSyncs}`);
-    console.log(`   🔍 Discrepancies found: ${discrepanciesFound}`);
-    console.log(`   ⏱️ Total duration: ${duration}ms`);
-
-    return {
-      success: true,
-      totalChecked: tickets.length,
-      updatedCount: updatedCount,
-      successfulSyncs: successfulSyncs,
-      failedSyncs: failedSyncs,
-      discrepanciesFound: discrepanciesFound,
-      duration: duration,
-      details: `Processed ${tickets.length} tickets, found ${discrepanciesFound} discrepancies`,
-      syncDetails: syncDetails
-    };
-
-  } catch (error) {
-    console.error('🔥 ============ SYNC OPERATION FAILED ============');
-    console.error('❌ Error message:', error.message);
-    console.error('📊 Error stack:', error.stack);
-
-    return {
-      success: false,
-      error: error.message,
-      details: 'Blockchain sync operation failed',
-      duration: Date.now() - startTime
-    };
-  }
-}
\ No newline at end of file
@@ -0,0 +1,395 @@
+// /api/admin/ticket-timeline.js
+// Everything that happened to one ticket, oldest first
+//
+// Combines the purchase, bot-scan flag, revocations, reinstatements, gate check-ins, queued
+// contract transactions and indexed on-chain events into one timeline, plus a short summary
+// of why the ticket is in its current status, so support can answer "why was my ticket
+// cancelled?".
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { AUDIT_ACTIONS } from '../../lib/audit.js';
+import { getContractConfig, resolveEventContracts, DEFAULT_CONTRACT_KEY } from '../../lib/blockchain-config.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  console.log('🕰️ ============ TICKET TIMELINE REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Verify admin authentication and permission
+    const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_TICKETS);
+    if (!adminUser) return;
+
+    const { ticket_id = '', token_id = '' } = req.query;
+
+    if (!ticket_id && !token_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'ticket_id or token_id is required'
+      });
+    }
+
+    let ticketQuery = supabase
+      .from('tickets')
+      .select(`
+        ticket_id,
+        event_id,
+        payment_id,
+        ticket_number,
+        purchase_date,
+        ticket_status,
+        nft_token_id,
+        nft_mint_status,
+        blockchain_registered,
+        blockchain_sync_status,
+        users!inner(user_id, id_name, id_number),
+        events!inner(event_id, event_name, event_date, venue)
+      `);
+
+    ticketQuery = ticket_id
+      ? ticketQuery.eq('ticket_id', ticket_id)
+      : ticketQuery.eq('nft_token_id', token_id);
+
+    const { data: ticket, error: ticketError } = await ticketQuery.maybeSingle();
+
+    if (ticketError) {
+      console.error('❌ Ticket lookup failed:', ticketError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to look up ticket',
+        error: ticketError.message
+      });
+    }
+
+    if (!ticket) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ticket not found'
+      });
+    }
+
+    console.log('🎫 Ticket ID:', ticket.ticket_id);
+
+    const [purchase, revocations, reinstatements, checkIns, onchainEvents, registerJobs] = await Promise.all([
+      fetchPurchase(ticket.payment_id),
+      fetchRows('revocation_log', ticket.ticket_id, 'revoked_at'),
+      fetchRows('reinstatement_log', ticket.ticket_id, 'reinstated_at'),
+      fetchRows('ticket_check_ins', ticket.ticket_id, 'checked_in_at'),
+      fetchOnchainEvents(ticket),
+      fetchRegisterJobs(ticket.ticket_id)
+    ]);
+
+    // Jobs that carried this ticket's revocations and reinstatements
+    const logJobIds = [...revocations, ...reinstatements].map(log => log.tx_queue_id).filter(Boolean);
+    const logJobs = await fetchJobs(logJobIds);
+    const jobs = [...registerJobs, ...logJobs.filter(job => !registerJobs.some(j => j.id === job.id))];
+
+    const flagAudit = purchase ? await fetchFlagAudit(purchase.id) : null;
+
+    const adminIds = [...revocations, ...reinstatements].map(log => log.admin_id).filter(Boolean);
+    const adminsById = await fetchAdmins(adminIds);
+    const adminName = adminId => adminsById[adminId]?.id_name || adminId || null;
+
+    const timeline = [];
+
+    if (purchase) {
+      timeline.push({
+        at: purchase.purchase_timestamp || ticket.purchase_date,
+        type: 'purchased',
+        summary: `Bought ${purchase.quantity || 1} ticket(s) for ${ticket.events.event_name}`,
+        details: {
+          purchase_id: purchase.id,
+          quantity: purchase.quantity,
+          payment_id: purchase.payments?.payment_id || ticket.payment_id,
+          amount: purchase.payments?.amount ?? null,
+          payment_status: purchase.payments?.payment_status || null
+        }
+      });
+    }
+
+    if (purchase?.flag) {
+      timeline.push({
+        // Cron scans are not audited; then only the purchase is known to come before the flag
+        at: flagAudit?.created_at || null,
+        type: 'flagged',
+        summary: `Purchase flagged by the bot scan: ${purchase.flag}`,
+        details: {
+          flag: purchase.flag,
+          risk_score: purchase.risk_score,
+          risk_factors: purchase.risk_factors || [],
+          flagged_by: flagAudit ? flagAudit.actor_name || flagAudit.actor_id : 'scheduled scan'
+        }
+      });
+    }
+
+    revocations.forEach(log => {
+      timeline.push({
+        at: log.revoked_at,
+        type: 'revoked',
+        summary: `Revoked by ${adminName(log.admin_id) || 'an admin'}: ${log.reason || 'no reason given'}`,
+        details: {
+          revocation_log_id: log.id,
+          reason: log.reason,
+          admin_id: log.admin_id,
+          admin_name: adminName(log.admin_id),
+          blockchain_status: log.blockchain_status,
+          blockchain_tx_hash: log.blockchain_tx_hash,
+          blockchain_error: log.blockchain_error
+        }
+      });
+    });
+
+    reinstatements.forEach(log => {
+      timeline.push({
+        at: log.reinstated_at,
+        type: 'reinstated',
+        summary: `Reinstated by ${adminName(log.admin_id) || 'an admin'}: ${log.justification}`,
+        details: {
+          reinstatement_log_id: log.id,
+          revocation_log_id: log.revocation_log_id,
+          justification: log.justification,
+          admin_id: log.admin_id,
+          admin_name: adminName(log.admin_id),
+          blockchain_status: log.blockchain_status,
+          blockchain_tx_hash: log.blockchain_tx_hash,
+          blockchain_error: log.blockchain_error
+        }
+      });
+    });
+
+    checkIns.forEach(scan => {
+      timeline.push({
+        at: scan.checked_in_at,
+        type: scan.result === 'accepted' ? 'checked_in' : 'check_in_rejected',
+        summary: scan.result === 'accepted'
+          ? `Checked in at gate ${scan.gate}`
+          : `Turned away at gate ${scan.gate}: ${scan.reason}`,
+        details: scan
+      });
+    });
+
+    // Indexed contract events are the on-chain record; queue jobs fill in until they are indexed
+    const indexedTxHashes = new Set(onchainEvents.map(e => e.tx_hash?.toLowerCase()));
+
+    onchainEvents.forEach(event => {
+      timeline.push({
+        at: event.block_timestamp,
+        type: 'onchain_event',
+        summary: `${event.event_name} confirmed on chain in block ${event.block_number}`,
+        details: event
+      });
+    });
+
+    jobs
+      .filter(job => ['confirmed', 'failed'].includes(job.status))
+      .filter(job => !job.tx_hash || !indexedTxHashes.has(job.tx_hash.toLowerCase()))
+      .forEach(job => {
+        timeline.push({
+          at: job.confirmed_at || job.updated_at,
+          type: job.status === 'confirmed' ? 'transaction_confirmed' : 'transaction_failed',
+          summary: job.status === 'confirmed'
+            ? `${job.action} transaction confirmed (not yet indexed)`
+            : `${job.action} transaction failed: ${job.last_error || 'unknown error'}`,
+          details: {
+            job_id: job.id,
+            action: job.action,
+            status: job.status,
+            tx_hash: job.tx_hash || null,
+            block_number: job.block_number || null,
+            contract_key: job.contract_key,
+            last_error: job.last_error || null
+          }
+        });
+      });
+
+    // Entries without a known time go right after the purchase
+    const purchaseTime = purchase?.purchase_timestamp || ticket.purchase_date || null;
+    const sortTime = entry => new Date(entry.at || purchaseTime || 0).getTime();
+    timeline.sort((a, b) => sortTime(a) - sortTime(b));
+
+    const inFlightJobs = jobs.filter(job => !['confirmed', 'failed'].includes(job.status));
+    const latestRevocation = revocations[revocations.length - 1] || null;
+
+    console.log(`✅ Built timeline with ${timeline.length} entries`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Retrieved ${timeline.length} timeline entries for ticket ${ticket.ticket_id}`,
+      data: {
+        ticket: {
+          ticket_id: ticket.ticket_id,
+          ticket_number: ticket.ticket_number,
+          ticket_status: ticket.ticket_status,
+          nft_token_id: ticket.nft_token_id,
+          nft_mint_status: ticket.nft_mint_status,
+          blockchain_registered: ticket.blockchain_registered,
+          blockchain_sync_status: ticket.blockchain_sync_status
+        },
+        user: ticket.users,
+        event: ticket.events,
+        summary: {
+          current_status: ticket.ticket_status,
+          flagged: Boolean(purchase?.flag),
+          flag: purchase?.flag || null,
+          cancellation: ticket.ticket_status === 'revoked' && latestRevocation ? {
+            reason: latestRevocation.reason,
+            revoked_at: latestRevocation.revoked_at,
+            revoked_by: adminName(latestRevocation.admin_id),
+            blockchain_status: latestRevocation.blockchain_status
+          } : null,
+          refund: purchase?.payments?.refund_id ? {
+            refund_id: purchase.payments.refund_id,
+            refund_amount: purchase.payments.refund_amount,
+            payment_status: purchase.payments.payment_status
+          } : null,
+          transactions_in_flight: inFlightJobs.map(job => ({ job_id: job.id, action: job.action, status: job.status }))
+        },
+        timeline: timeline
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error in ticket timeline endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
+
+async function fetchPurchase(paymentId) {
+  if (!paymentId) return null;
+
+  const { data, error } = await supabase
+    .from('purchase_history')
+    .select(`
+      id,
+      quantity,
+      status,
+      flag,
+      risk_score,
+      risk_factors,
+      purchase_timestamp,
+      payments(payment_id, amount, payment_status, refund_id, refund_amount)
+    `)
+    .eq('payment_id', paymentId)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('⚠️ Could not load purchase:', error.message);
+  }
+  return data || null;
+}
+
+async function fetchRows(table, ticketId, timeColumn) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq('ticket_id', ticketId)
+    .order(timeColumn, { ascending: true });
+
+  if (error) {
+    console.warn(`⚠️ Could not load ${table}:`, error.message);
+  }
+  return data || [];
+}
+
+// Indexed events for the token on its event's contract (see token-history.js)
+async function fetchOnchainEvents(ticket) {
+  if (!ticket.nft_token_id) return [];
+
+  const contractByEvent = await resolveEventContracts(supabase, [ticket.event_id]);
+  const contract = getContractConfig(contractByEvent[ticket.event_id] || DEFAULT_CONTRACT_KEY);
+
+  const { data, error } = await supabase
+    .from('onchain_events')
+    .select('event_name, resulting_status, tx_hash, log_index, block_number, block_timestamp, contract_address, network')
+    .eq('token_id', String(ticket.nft_token_id))
+    .eq('contract_address', contract.contractAddress.toLowerCase())
+    .eq('network', contract.network)
+    .order('block_number', { ascending: true })
+    .order('log_index', { ascending: true });
+
+  if (error) {
+    console.warn('⚠️ Could not load on-chain events:', error.message);
+  }
+  return data || [];
+}
+
+const JOB_COLUMNS = 'id, action, status, contract_key, tx_hash, block_number, last_error, created_at, confirmed_at, updated_at';
+
+async function fetchRegisterJobs(ticketId) {
+  const { data, error } = await supabase
+    .from('blockchain_tx_queue')
+    .select(JOB_COLUMNS)
+    .eq('action', 'register')
+    .contains('items', [{ ticket_id: ticketId }]);
+
+  if (error) {
+    console.warn('⚠️ Could not load registration jobs:', error.message);
+  }
+  return data || [];
+}
+
+async function fetchJobs(jobIds) {
+  if (jobIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('blockchain_tx_queue')
+    .select(JOB_COLUMNS)
+    .in('id', [...new Set(jobIds)]);
+
+  if (error) {
+    console.warn('⚠️ Could not load transaction jobs:', error.message);
+  }
+  return data || [];
+}
+
+// When (and by whom) a manual bot scan flagged the purchase, from the audit log
+async function fetchFlagAudit(purchaseId) {
+  const { data: entries } = await supabase
+    .from('admin_audit_log')
+    .select('actor_id, actor_name, after, created_at')
+    .eq('action', AUDIT_ACTIONS.PURCHASES_BOT_SCAN)
+    .contains('target_ids', [String(purchaseId)])
+    .order('created_at', { ascending: true });
+
+  return (entries || []).find(entry => entry.after?.[purchaseId]?.status === 'flagged') || null;
+}
+
+async function fetchAdmins(adminIds) {
+  const ids = [...new Set(adminIds)];
+  if (ids.length === 0) return {};
+
+  const { data: admins } = await supabase
+    .from('users')
+    .select('user_id, id_name, role')
+    .in('user_id', ids);
+
+  return Object.fromEntries((admins || []).map(admin => [admin.user_id, admin]));
+}
@@ -0,0 +1,141 @@
+// /api/admin/token-history.js
+// Full on-chain event history for a token, from the event indexer
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { getContractConfig, resolveEventContracts, DEFAULT_CONTRACT_KEY } from '../../lib/blockchain-config.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  console.log('📚 ============ TOKEN HISTORY REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Verify admin authentication and permission
+    const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_BLOCKCHAIN);
+    if (!adminUser) return;
+
+    const { token_id = '', ticket_id = '' } = req.query;
+
+    if (!token_id && !ticket_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'token_id or ticket_id is required'
+      });
+    }
+
+    // Resolve the ticket (and its token) either way round
+    let ticketQuery = supabase
+      .from('tickets')
+      .select('ticket_id, event_id, nft_token_id, ticket_status, blockchain_registered, blockchain_sync_status, last_blockchain_sync, purchase_id');
+
+    ticketQuery = ticket_id
+      ? ticketQuery.eq('ticket_id', ticket_id)
+      : ticketQuery.eq('nft_token_id', token_id);
+
+    const { data: ticket, error: ticketError } = await ticketQuery.maybeSingle();
+
+    if (ticketError) {
+      console.error('❌ Ticket lookup failed:', ticketError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to look up ticket',
+        error: ticketError.message
+      });
+    }
+
+    const tokenId = ticket?.nft_token_id || token_id;
+    if (!tokenId) {
+      return res.status(404).json({
+        status: 'error',
+        message: ticket ? 'Ticket has no NFT token' : 'Ticket not found'
+      });
+    }
+
+    // A known ticket only has history on its event's contract; a bare token ID shows every contract
+    let contract = null;
+    if (ticket) {
+      const contractByEvent = await resolveEventContracts(supabase, [ticket.event_id]);
+      contract = getContractConfig(contractByEvent[ticket.event_id] || DEFAULT_CONTRACT_KEY);
+    }
+
+    console.log('🎫 Token ID:', tokenId);
+    console.log('📋 Contract:', contract ? contract.key : 'any');
+
+    let eventsQuery = supabase
+      .from('onchain_events')
+      .select('event_name, resulting_status, tx_hash, log_index, block_number, block_timestamp, contract_address, network')
+      .eq('token_id', String(tokenId));
+
+    if (contract) {
+      eventsQuery = eventsQuery
+        .eq('contract_address', contract.contractAddress.toLowerCase())
+        .eq('network', contract.network);
+    }
+
+    const { data: events, error: eventsError } = await eventsQuery
+      .order('block_number', { ascending: true })
+      .order('log_index', { ascending: true });
+
+    if (eventsError) {
+      console.error('❌ Event history query failed:', eventsError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch token history',
+        error: eventsError.message
+      });
+    }
+
+    const { data: checkpoints } = await supabase
+      .from('indexer_checkpoints')
+      .select('contract_key, contract_address, network, last_indexed_block, updated_at');
+
+    const lastEvent = events?.length ? events[events.length - 1] : null;
+
+    console.log(`✅ Found ${events?.length || 0} on-chain events`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Retrieved ${events?.length || 0} on-chain events for token ${tokenId}`,
+      data: {
+        token_id: String(tokenId),
+        ticket: ticket || null,
+        contract_key: contract ? contract.key : null,
+        events: events || [],
+        indexed_status: lastEvent ? lastEvent.resulting_status : null,
+        in_sync: ticket && lastEvent ? ticket.blockchain_sync_status === lastEvent.resulting_status : null,
+        indexer_checkpoints: checkpoints || []
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error in token history endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
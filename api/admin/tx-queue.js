@@ -0,0 +1,220 @@
+// /api/admin/tx-queue.js
+// Inspect the blockchain transaction queue, retry failed jobs or process it on demand
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { TX_STATES, processQueue, processTransaction } from '../../lib/tx-queue.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  console.log('📤 ============ TX QUEUE REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return await listJobs(req, res);
+    }
+
+    if (req.method === 'POST') {
+      return await runQueueOperation(req, res);
+    }
+
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+
+  } catch (error) {
+    console.error('❌ Error in tx queue endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
+
+async function listJobs(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_BLOCKCHAIN);
+  if (!adminUser) return;
+
+  const {
+    page = 1,
+    limit = 20,
+    status = '',   // queued, pending, mined, confirmed, dropped, failed
+    action = '',   // revoke, reinstate, register
+    job_ids = ''   // comma-separated, to poll the jobs an admin request left in flight
+  } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const offset = (pageNum - 1) * limitNum;
+
+  let query = supabase
+    .from('blockchain_tx_queue')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false });
+
+  if (status) query = query.eq('status', status);
+  if (action) query = query.eq('action', action);
+  if (job_ids) query = query.in('id', String(job_ids).split(',').map(id => id.trim()).filter(Boolean));
+
+  query = query.range(offset, offset + limitNum - 1);
+
+  const { data: jobs, error: jobsError, count } = await query;
+
+  if (jobsError) {
+    console.error('❌ Database query failed:', jobsError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch transaction queue',
+      error: jobsError.message
+    });
+  }
+
+  // Job count per state for the dashboard overview
+  const stateCounts = {};
+  await Promise.all(TX_STATES.map(async state => {
+    const { count: stateCount } = await supabase
+      .from('blockchain_tx_queue')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', state);
+    stateCounts[state] = stateCount || 0;
+  }));
+
+  const totalPages = Math.ceil((count || 0) / limitNum);
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Retrieved ${jobs?.length || 0} transaction jobs`,
+    data: {
+      jobs: (jobs || []).map(job => ({
+        ...job,
+        token_count: job.items?.length || 0
+      })),
+      state_counts: stateCounts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    }
+  });
+}
+
+async function runQueueOperation(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.MANAGE_TX_QUEUE);
+  if (!adminUser) return;
+
+  const { operation, job_id } = req.body || {};
+
+  console.log('📋 Operation:', operation, job_id ? `(job ${job_id})` : '');
+  console.log('👮 Admin ID:', adminUser.user_id);
+
+  if (operation === 'process') {
+    const summary = await processQueue(supabase);
+
+    await recordAudit(supabase, req, {
+      actor: adminUser,
+      action: AUDIT_ACTIONS.TX_QUEUE_PROCESS,
+      targetType: 'tx_job',
+      result: summary.failed > 0 ? 'partial_success' : 'success',
+      metadata: summary
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Processed ${summary.processed} transaction jobs`,
+      data: summary
+    });
+  }
+
+  if (operation === 'retry') {
+    if (!job_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'job_id is required to retry a job'
+      });
+    }
+
+    // Only jobs that gave up can be restarted; live jobs are already being retried
+    const { data: resetJobs, error: resetError } = await supabase
+      .from('blockchain_tx_queue')
+      .update({
+        status: 'queued',
+        attempts: 0,
+        bump_count: 0,
+        nonce: null,
+        tx_request: null,
+        next_attempt_at: null,
+        last_error: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job_id)
+      .eq('status', 'failed')
+      .select('id');
+
+    if (resetError) {
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to reset transaction job',
+        error: resetError.message
+      });
+    }
+
+    if (!resetJobs || resetJobs.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Job not found or not in failed state'
+      });
+    }
+
+    const job = await processTransaction(supabase, job_id);
+
+    await recordAudit(supabase, req, {
+      actor: adminUser,
+      action: AUDIT_ACTIONS.TX_QUEUE_RETRY,
+      targetType: 'tx_job',
+      targetIds: [job_id],
+      before: { [job_id]: { status: 'failed' } },
+      after: { [job_id]: { status: 'queued' } },
+      metadata: {
+        status_after_processing: job.status,
+        tx_hash: job.tx_hash || null,
+        ticket_ids: (job.items || []).map(i => i.ticket_id)
+      }
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Job ${job_id} requeued`,
+      data: job
+    });
+  }
+
+  return res.status(400).json({
+    status: 'error',
+    message: "operation must be 'process' or 'retry'"
+  });
+}
@@ -0,0 +1,428 @@
+// /api/admin/users.js
+// Customer accounts: profile view, suspensions and bans
+//
+// GET lists accounts, or returns one account's full profile when user_id is given: its
+// purchases, tickets, flags with their review cases, revocations and moderation history.
+// POST runs one operation on an account (reason required):
+//   suspend   - restrict the account until expires_at
+//   ban       - restrict the account, until expires_at if given, otherwise until reinstated
+//   reinstate - lift a suspension or ban
+// The restriction is written to `users` (see lib/user-moderation.js) so purchase flows
+// can refuse restricted accounts with canPurchase().
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
+import { embeddedCase, ACTIVE_CASE_STATES } from '../../lib/flag-cases.js';
+import {
+  ACCOUNT_STATUSES,
+  ACCOUNT_COLUMNS,
+  effectiveAccountStatus,
+  validateModeration,
+  applyModeration
+} from '../../lib/user-moderation.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const USER_COLUMNS = `user_id, id_name, id_number, verification_status, role, ${ACCOUNT_COLUMNS}`;
+
+// Cap on each list in a profile; heavy scalper accounts are flagged as truncated
+const PROFILE_LIST_LIMIT = 500;
+
+const MODERATION_AUDIT_ACTIONS = {
+  suspend: AUDIT_ACTIONS.USERS_SUSPEND,
+  ban: AUDIT_ACTIONS.USERS_BAN,
+  reinstate: AUDIT_ACTIONS.USERS_REINSTATE
+};
+
+export default async function handler(req, res) {
+  console.log('👤 ============ USERS REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return req.query.user_id
+        ? await getUserProfile(req, res)
+        : await listUsers(req, res);
+    }
+
+    if (req.method === 'POST') {
+      return await moderateUser(req, res);
+    }
+
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+
+  } catch (error) {
+    console.error('❌ Error in users endpoint:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
+
+async function listUsers(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_USERS);
+  if (!adminUser) return;
+
+  const {
+    page = 1,
+    limit = 50,
+    account_status = '',       // active, suspended, banned
+    verification_status = '',
+    search = ''                // name or ID number
+  } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const offset = (pageNum - 1) * limitNum;
+
+  console.log('📋 Query parameters:');
+  console.log('   📄 Page:', pageNum);
+  console.log('   📊 Limit:', limitNum);
+  console.log('   🚫 Account status filter:', account_status || 'none');
+  console.log('   🪪 Verification filter:', verification_status || 'none');
+  console.log('   🔎 Search:', search || 'none');
+
+  if (account_status && !ACCOUNT_STATUSES.includes(account_status)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `account_status must be one of: ${ACCOUNT_STATUSES.join(', ')}`
+    });
+  }
+
+  let query = supabase
+    .from('users')
+    .select(USER_COLUMNS, { count: 'exact' })
+    .order('id_name', { ascending: true });
+
+  if (account_status === 'active') query = query.or('account_status.is.null,account_status.eq.active');
+  else if (account_status) query = query.eq('account_status', account_status);
+  if (verification_status) query = query.eq('verification_status', verification_status);
+  if (search) query = query.or(`id_name.ilike.%${search}%,id_number.ilike.%${search}%`);
+
+  query = query.range(offset, offset + limitNum - 1);
+
+  const { data: users, error: usersError, count } = await query;
+
+  if (usersError) {
+    console.error('❌ Database query failed:', usersError);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch users',
+      error: usersError.message
+    });
+  }
+
+  const entries = (users || []).map(user => ({
+    ...user,
+    effective_status: effectiveAccountStatus(user)
+  }));
+
+  console.log(`✅ Found ${entries.length} users (total: ${count || 0})`);
+
+  const totalPages = Math.ceil((count || 0) / limitNum);
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Retrieved ${entries.length} users`,
+    data: {
+      users: entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    }
+  });
+}
+
+async function getUserProfile(req, res) {
+  // Verify admin authentication and permission
+  const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_USERS);
+  if (!adminUser) return;
+
+  const userId = req.query.user_id;
+  console.log('🔍 Profile for user:', userId);
+
+  const user = await findUser(userId);
+  if (!user) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'User not found'
+    });
+  }
+
+  const [purchasesResult, ticketsResult, moderationResult] = await Promise.all([
+    supabase
+      .from('purchase_history')
+      .select(`
+        *,
+        events!inner(event_id, event_name, event_date, venue),
+        payments!inner(payment_id, amount, payment_status),
+        flag_cases(id, state, assigned_to, resolved_at, resolution_reason)
+      `, { count: 'exact' })
+      .eq('user_id', userId)
+      .order('purchase_timestamp', { ascending: false })
+      .limit(PROFILE_LIST_LIMIT),
+    supabase
+      .from('tickets')
+      .select(`
+        ticket_id,
+        event_id,
+        payment_id,
+        ticket_number,
+        purchase_date,
+        ticket_status,
+        nft_token_id,
+        nft_mint_status,
+        blockchain_registered,
+        events!inner(event_id, event_name, event_date)
+      `, { count: 'exact' })
+      .eq('user_id', userId)
+      .order('purchase_date', { ascending: false })
+      .limit(PROFILE_LIST_LIMIT),
+    supabase
+      .from('user_moderation_actions')
+      .select('id, action, reason, expires_at, previous_status, new_status, admin_id, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+  ]);
+
+  const failed = [purchasesResult, ticketsResult, moderationResult].find(result => result.error);
+  if (failed) {
+    console.error('❌ Profile query failed:', failed.error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch user profile',
+      error: failed.error.message
+    });
+  }
+
+  const purchases = (purchasesResult.data || []).map(({ flag_cases: flagCase, ...purchase }) => ({
+    ...purchase,
+    review_case: embeddedCase({ flag_cases: flagCase })
+  }));
+  const tickets = ticketsResult.data || [];
+  const moderation = moderationResult.data || [];
+
+  // Revocations of any of the user's tickets, with whether each was later reversed
+  let revocations = [];
+  const ticketIds = tickets.map(t => t.ticket_id);
+
+  if (ticketIds.length > 0) {
+    const { data: logs, error: logsError } = await supabase
+      .from('revocation_log')
+      .select('id, ticket_id, admin_id, reason, revoked_at, blockchain_status, blockchain_tx_hash')
+      .in('ticket_id', ticketIds)
+      .order('revoked_at', { ascending: false });
+
+    if (logsError) {
+      console.error('❌ Revocation log query failed:', logsError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch revocations',
+        error: logsError.message
+      });
+    }
+
+    const reinstatedLogIds = new Set();
+    if ((logs || []).length > 0) {
+      const { data: reinstatements } = await supabase
+        .from('reinstatement_log')
+        .select('revocation_log_id')
+        .in('revocation_log_id', logs.map(log => log.id));
+
+      (reinstatements || []).forEach(r => reinstatedLogIds.add(r.revocation_log_id));
+    }
+
+    revocations = (logs || []).map(log => ({ ...log, reinstated: reinstatedLogIds.has(log.id) }));
+  }
+
+  // Purchases the bot scan has flagged, now or in the past (a dismissed case goes back to normal)
+  const flags = purchases
+    .filter(p => p.status === 'flagged' || p.review_case)
+    .map(p => ({
+      purchase_id: p.id,
+      event: p.events,
+      flag: p.flag,
+      risk_score: p.risk_score,
+      status: p.status,
+      purchase_timestamp: p.purchase_timestamp,
+      review_case: p.review_case
+    }));
+
+  const staffById = await fetchStaff([
+    user.account_status_set_by,
+    ...moderation.map(m => m.admin_id),
+    ...revocations.map(r => r.admin_id)
+  ]);
+
+  console.log(`✅ Profile: ${purchases.length} purchases, ${tickets.length} tickets, ${flags.length} flags, ${revocations.length} revocations`);
+
+  return res.status(200).json({
+    status: 'success',
+    message: `Retrieved profile for ${user.id_name}`,
+    data: {
+      user: {
+        ...user,
+        effective_status: effectiveAccountStatus(user),
+        account_status_set_by_user: staffById[user.account_status_set_by] || null
+      },
+      summary: {
+        purchases: purchasesResult.count || 0,
+        tickets: ticketsResult.count || 0,
+        active_tickets: tickets.filter(t => t.ticket_status !== 'revoked').length,
+        revoked_tickets: tickets.filter(t => t.ticket_status === 'revoked').length,
+        flagged_purchases: flags.length,
+        open_cases: flags.filter(f => f.review_case && ACTIVE_CASE_STATES.includes(f.review_case.state)).length,
+        revocations: revocations.length
+      },
+      purchases: purchases,
+      tickets: tickets,
+      flags: flags,
+      revocations: revocations.map(r => ({ ...r, admin: staffById[r.admin_id] || null })),
+      moderation_history: moderation.map(m => ({ ...m, admin: staffById[m.admin_id] || null })),
+      truncated: {
+        purchases: (purchasesResult.count || 0) > purchases.length,
+        tickets: (ticketsResult.count || 0) > tickets.length
+      }
+    }
+  });
+}
+
+async function moderateUser(req, res) {
+  let adminUser = null;
+  const { operation, user_id, reason, expires_at = null } = req.body || {};
+
+  try {
+    // Verify admin authentication and permission
+    adminUser = await requirePermission(supabase, req, res, PERMISSIONS.MODERATE_USERS);
+    if (!adminUser) return;
+
+    console.log('📋 Operation:', operation, `(user ${user_id})`);
+    console.log('👮 Admin ID:', adminUser.user_id);
+
+    if (!user_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'user_id is required'
+      });
+    }
+
+    const target = await findUser(user_id);
+    if (!target) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const errors = validateModeration(target, adminUser, { operation, reason, expiresAt: expires_at });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid moderation request',
+        errors: errors
+      });
+    }
+
+    const expiresAt = expires_at ? new Date(expires_at).toISOString() : null;
+    const updated = await applyModeration(supabase, target, {
+      operation,
+      reason,
+      expiresAt,
+      adminId: adminUser.user_id
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Account was changed by someone else; reload it and try again'
+      });
+    }
+
+    console.log(`✅ User ${user_id} is now ${updated.account_status}${expiresAt ? ` until ${expiresAt}` : ''}`);
+
+    await recordAudit(supabase, req, {
+      actor: adminUser,
+      action: MODERATION_AUDIT_ACTIONS[operation],
+      targetType: 'user',
+      targetIds: [user_id],
+      before: { [user_id]: { account_status: target.account_status || 'active', account_status_until: target.account_status_until } },
+      after: { [user_id]: { account_status: updated.account_status, account_status_until: updated.account_status_until } },
+      metadata: { reason: reason.trim() }
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `${updated.id_name} is now ${updated.account_status}`,
+      data: { user: { ...updated, effective_status: effectiveAccountStatus(updated) } }
+    });
+
+  } catch (error) {
+    console.error('❌ Error moderating user:', error);
+    if (adminUser && MODERATION_AUDIT_ACTIONS[operation]) {
+      await recordAudit(supabase, req, {
+        actor: adminUser,
+        action: MODERATION_AUDIT_ACTIONS[operation],
+        targetType: 'user',
+        targetIds: [user_id],
+        result: 'failure',
+        error: error.message
+      });
+    }
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to update account',
+      error: error.message
+    });
+  }
+}
+
+async function findUser(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select(USER_COLUMNS)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load user: ${error.message}`);
+  }
+  return data;
+}
+
+async function fetchStaff(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const { data: staff } = await supabase
+    .from('users')
+    .select('user_id, id_name, role')
+    .in('user_id', ids);
+
+  return Object.fromEntries((staff || []).map(user => [user.user_id, user]));
+}
@@ -0,0 +1,66 @@
+// /api/cron/[job].js
+// Scheduled background jobs: /api/cron/<job name> runs that entry of JOBS in lib/jobs.js
+// (schedules in vercel.json)
+
+import { createClient } from '@supabase/supabase-js';
+import { JOBS, runJob, isJobEnabled, isAuthorizedCronRequest } from '../../lib/jobs.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  const jobName = String(req.query?.job || '');
+
+  console.log(`⏰ ============ CRON: ${jobName.toUpperCase()} ============`);
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  if (!isAuthorizedCronRequest(req)) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Unauthorized cron request'
+    });
+  }
+
+  if (!Object.hasOwn(JOBS, jobName)) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Unknown job: ${jobName}. Must be one of: ${Object.keys(JOBS).join(', ')}`
+    });
+  }
+
+  if (!isJobEnabled(jobName)) {
+    console.log(`⏸️ Job ${jobName} is disabled, skipping`);
+    return res.status(200).json({
+      status: 'success',
+      message: `Job ${jobName} is disabled`,
+      data: { skipped: true }
+    });
+  }
+
+  try {
+    const run = await runJob(supabase, jobName);
+
+    return res.status(run.status === 'success' ? 200 : 500).json({
+      status: run.status === 'success' ? 'success' : 'error',
+      message: `Job ${jobName} ${run.status === 'success' ? 'completed' : 'failed'}`,
+      data: run
+    });
+
+  } catch (error) {
+    console.error(`❌ Critical error in cron job ${jobName}:`, error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during scheduled job',
+      error: error.message
+    });
+  }
+}
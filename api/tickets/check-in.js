@@ -0,0 +1,174 @@
+// /api/tickets/check-in.js
+// Gate check-in for venue scanner devices
+//
+// POST { qr_data, event_id, gate, verify_on_chain } resolves the scanned QR payload to a
+// ticket, lets in only valid tickets for the event that have not been used yet, and records
+// the scan. Accepted entries are also written to the audit log.
+// With verify_on_chain the event's contract is asked whether the token is revoked as well;
+// if the chain cannot be reached the ticket is let in on the database state, with a warning.
+// Accepted and rejected scans both answer 200 with `accepted` and a reason the scanner can show.
+
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import {
+  CHECK_IN_REASONS,
+  findTicketByQrPayload,
+  findAcceptedCheckIn,
+  checkTicketForEntry,
+  checkRevokedOnChain,
+  claimEntry,
+  releaseEntry,
+  recordCheckIn
+} from '../../lib/check-in.js';
+import { recordAudit, AUDIT_ACTIONS } from '../../lib/audit.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  console.log('🚪 ============ CHECK-IN REQUEST ============');
+  console.log('⏰ Timestamp:', new Date().toISOString());
+
+  // CORS Headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      status: 'error',
+      message: 'Method not allowed'
+    });
+  }
+
+  try {
+    // Verify staff authentication and permission
+    const staffUser = await requirePermission(supabase, req, res, PERMISSIONS.CHECK_IN_TICKETS);
+    if (!staffUser) return;
+
+    const { qr_data, event_id, gate, verify_on_chain = false } = req.body || {};
+
+    console.log('🎭 Event:', event_id);
+    console.log('🚪 Gate:', gate);
+    console.log('⛓️ Verify on chain:', verify_on_chain);
+
+    if (!qr_data || typeof qr_data !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'qr_data is required'
+      });
+    }
+
+    if (!event_id || !gate) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'event_id and gate are required'
+      });
+    }
+
+    const ticket = await findTicketByQrPayload(supabase, qr_data.trim());
+    const previousCheckIn = ticket ? await findAcceptedCheckIn(supabase, ticket.ticket_id) : null;
+
+    let reason = checkTicketForEntry(ticket, event_id, previousCheckIn);
+    let chain = { checked: false, revoked: null, error: null };
+    const warnings = [];
+
+    if (!reason && verify_on_chain) {
+      chain = await checkRevokedOnChain(supabase, ticket);
+      if (chain.revoked) {
+        reason = 'revoked_on_chain';
+      } else if (!chain.checked) {
+        console.warn(`⚠️ On-chain check skipped for ticket ${ticket.ticket_id}: ${chain.error}`);
+        warnings.push(`On-chain check not done: ${chain.error}`);
+      }
+    }
+
+    // Another gate may have let the same ticket in since it was read above
+    const checkedInAt = reason ? null : await claimEntry(supabase, ticket.ticket_id);
+    if (!reason && !checkedInAt) {
+      reason = 'already_checked_in';
+    }
+
+    const checkIn = {
+      ticket_id: ticket?.ticket_id || null,
+      event_id: ticket?.event_id || event_id,
+      gate: String(gate),
+      scanned_by: staffUser.user_id,
+      result: reason ? 'rejected' : 'accepted',
+      reason: reason,
+      chain_checked: chain.checked,
+      chain_error: chain.error,
+      ...(checkedInAt ? { checked_in_at: checkedInAt } : {})
+    };
+
+    try {
+      await recordCheckIn(supabase, checkIn);
+    } catch (error) {
+      if (checkedInAt) await releaseEntry(supabase, ticket.ticket_id, checkedInAt);
+      throw error;
+    }
+
+    if (checkedInAt) {
+      await recordAudit(supabase, req, {
+        actor: staffUser,
+        action: AUDIT_ACTIONS.TICKETS_CHECK_IN,
+        targetType: 'ticket',
+        targetIds: [ticket.ticket_id],
+        before: { [ticket.ticket_id]: { checked_in_at: null } },
+        after: { [ticket.ticket_id]: { checked_in_at: checkedInAt } },
+        metadata: {
+          event_id: ticket.event_id,
+          gate: String(gate),
+          chain_checked: chain.checked,
+          chain_error: chain.error
+        }
+      });
+    }
+
+    const accepted = !reason;
+    const previousEntry = reason === 'already_checked_in'
+      ? previousCheckIn || await findAcceptedCheckIn(supabase, ticket.ticket_id)
+      : null;
+
+    console.log(accepted
+      ? `✅ Ticket ${ticket.ticket_id} checked in at gate ${gate}`
+      : `🚫 Rejected at gate ${gate}: ${reason}${ticket ? ` (ticket ${ticket.ticket_id})` : ''}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: accepted ? 'Ticket accepted' : CHECK_IN_REASONS[reason],
+      data: {
+        accepted: accepted,
+        reason: reason,
+        ticket: ticket
+          ? {
+            ticket_id: ticket.ticket_id,
+            ticket_number: ticket.ticket_number,
+            ticket_status: ticket.ticket_status,
+            holder: ticket.users.id_name,
+            event: ticket.events
+          }
+          : null,
+        previous_check_in: previousEntry,
+        chain: verify_on_chain ? chain : null
+      },
+      warnings: warnings
+    });
+
+  } catch (error) {
+    console.error('❌ Error during check-in:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+}
@@ -1,6 +1,56 @@
 import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import { EXPORT_FORMATS, streamExport } from '../../lib/export.js';
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// Columns read for CSV / XLSX exports (QR code images are left out)
+const TICKET_EXPORT_SELECT = `
+    ticket_id,
+    user_id,
+    event_id,
+    payment_id,
+    purchase_date,
+    ticket_status,
+    ticket_number,
+    total_tickets_in_group,
+    nft_contract_address,
+    nft_token_id,
+    nft_mint_status,
+    blockchain_registered,
+    blockchain_tx_hash,
+    users!inner(user_id, id_name, id_number, verification_status),
+    events!inner(event_id, event_name, event_date, venue, ticket_price),
+    payments!inner(payment_id, amount, payment_status, paypal_order_id, paypal_transaction_id)
+`;
+
+const TICKET_EXPORT_COLUMNS = [
+    { header: 'ticket_id', value: t => t.ticket_id },
+    { header: 'ticket_number', value: t => t.ticket_number },
+    { header: 'total_tickets_in_group', value: t => t.total_tickets_in_group },
+    { header: 'ticket_status', value: t => t.ticket_status },
+    { header: 'purchase_date', value: t => t.purchase_date },
+    { header: 'nft_contract_address', value: t => t.nft_contract_address },
+    { header: 'nft_token_id', value: t => t.nft_token_id },
+    { header: 'nft_mint_status', value: t => t.nft_mint_status },
+    { header: 'blockchain_registered', value: t => t.blockchain_registered },
+    { header: 'blockchain_tx_hash', value: t => t.blockchain_tx_hash },
+    { header: 'user_id', value: t => t.users.user_id },
+    { header: 'user_name', value: t => t.users.id_name },
+    { header: 'user_id_number', value: t => t.users.id_number },
+    { header: 'user_verification_status', value: t => t.users.verification_status },
+    { header: 'event_id', value: t => t.events.event_id },
+    { header: 'event_name', value: t => t.events.event_name },
+    { header: 'event_date', value: t => t.events.event_date },
+    { header: 'venue', value: t => t.events.venue },
+    { header: 'ticket_price', value: t => t.events.ticket_price },
+    { header: 'payment_id', value: t => t.payments.payment_id },
+    { header: 'payment_amount', value: t => t.payments.amount },
+    { header: 'payment_status', value: t => t.payments.payment_status },
+    { header: 'paypal_order_id', value: t => t.payments.paypal_order_id },
+    { header: 'paypal_transaction_id', value: t => t.payments.paypal_transaction_id }
+];
 
 export default async function handler(req, res) {
     // CORS Headers
@@ -21,13 +71,9 @@ export default async function handler(req, res) {
     }
 
     try {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) {
-            return res.status(401).json({ 
-                status: 'error', 
-                message: 'Authorization token required' 
-            });
-        }
+        // Verify admin authentication and permission
+        const adminUser = await requirePermission(supabase, req, res, PERMISSIONS.READ_TICKETS);
+        if (!adminUser) return;
 
         const { 
             page = 1, 
@@ -37,7 +83,8 @@ export default async function handler(req, res) {
             user_id,
             search, // Search by user name or ticket ID
             sort_by = 'purchase_date', // 'purchase_date', 'ticket_number', 'event_name'
-            sort_order = 'desc' // 'asc', 'desc'
+            sort_order = 'desc', // 'asc', 'desc'
+            format = 'json' // 'json', or 'csv' / 'xlsx' to export every matching ticket
         } = req.query;
 
         console.log('🎫 ============ FETCHING ALL TICKETS ============');
@@ -48,6 +95,23 @@ export default async function handler(req, res) {
         console.log('🔍 Search term:', search || 'None');
         console.log('📈 Sort:', sort_by, sort_order);
 
+        const filters = { ticket_status, event_id, user_id, search };
+
+        if (EXPORT_FORMATS.includes(format)) {
+            // Oldest first, so tickets issued during the export do not shift the pages
+            await streamExport(res, {
+                format: format,
+                filename: 'tickets',
+                sheetName: 'Tickets',
+                columns: TICKET_EXPORT_COLUMNS,
+                fetchPage: (from, to) => applyTicketFilters(supabase.from('tickets').select(TICKET_EXPORT_SELECT), filters)
+                    .order('purchase_date', { ascending: true })
+                    .order('ticket_id', { ascending: true })
+                    .range(from, to)
+            });
+            return;
+        }
+
         // Build base query with ONLY existing columns from your schema
         let query = supabase
             .from('tickets')
@@ -96,26 +160,7 @@ export default async function handler(req, res) {
                 )
             `);
 
-        // Apply filters
-        if (ticket_status) {
-            query = query.eq('ticket_status', ticket_status);
-        }
-        
-        if (event_id) {
-            query = query.eq('event_id', event_id);
-        }
-        
-        if (user_id) {
-            query = query.eq('user_id', user_id);
-        }
-
-        // Apply search filter (simplified for now - full-text search would be better)
-        if (search) {
-            query = query.or(`
-                ticket_id.ilike.%${search}%,
-                blockchain_ticket_id.ilike.%${search}%
-            `);
-        }
+        query = applyTicketFilters(query, filters);
 
         // Get total count for pagination (before applying range)
         const { count } = await query;
@@ -200,10 +245,37 @@ export default async function handler(req, res) {
 
     } catch (error) {
         console.error('❌ Error retrieving tickets:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
         return res.status(500).json({
             status: 'error',
             message: 'Internal server error',
             error: error.message
         });
     }
-}
\ No newline at end of file
+}
+
+function applyTicketFilters(query, { ticket_status, event_id, user_id, search }) {
+    if (ticket_status) {
+        query = query.eq('ticket_status', ticket_status);
+    }
+    
+    if (event_id) {
+        query = query.eq('event_id', event_id);
+    }
+    
+    if (user_id) {
+        query = query.eq('user_id', user_id);
+    }
+
+    // Apply search filter (ticket IDs only; /api/admin/search covers names, order IDs and hashes)
+    if (search) {
+        query = query.or(`
+            ticket_id.ilike.%${search}%,
+            blockchain_ticket_id.ilike.%${search}%
+        `);
+    }
+
+    return query;
+}
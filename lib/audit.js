@@ -0,0 +1,120 @@
+// /lib/audit.js
+// Append-only audit trail of mutating admin actions
+//
+// Every entry in `admin_audit_log` records who did what to which records: actor, action,
+// target type and IDs, before/after values, request metadata and the result. This module
+// only ever inserts; the table itself must not grant UPDATE or DELETE to the API role
+// (revoke them and add a trigger that raises on update/delete) so entries are immutable.
+
+// Actions written to the log, grouped by area
+export const AUDIT_ACTIONS = {
+  TICKETS_REVOKE: 'tickets.revoke',
+  TICKETS_REINSTATE: 'tickets.reinstate',
+  TICKETS_REGISTER: 'tickets.register',
+  TICKETS_CHECK_IN: 'tickets.check_in',
+  PAYMENTS_REFUND: 'payments.refund',
+  PURCHASES_BOT_SCAN: 'purchases.bot_scan',
+  FLAG_CASES_ASSIGN: 'flag_cases.assign',
+  FLAG_CASES_NOTE: 'flag_cases.note',
+  FLAG_CASES_DISMISS: 'flag_cases.dismiss',
+  FLAG_CASES_ESCALATE: 'flag_cases.escalate',
+  BLOCKCHAIN_SYNC: 'blockchain.sync',
+  BLOCKCHAIN_CONNECTION_CHECK: 'blockchain.connection_check',
+  TX_QUEUE_PROCESS: 'tx_queue.process',
+  TX_QUEUE_RETRY: 'tx_queue.retry',
+  EVENTS_CREATE: 'events.create',
+  EVENTS_UPDATE: 'events.update',
+  EVENTS_DELETE: 'events.delete',
+  USERS_SUSPEND: 'users.suspend',
+  USERS_BAN: 'users.ban',
+  USERS_REINSTATE: 'users.reinstate',
+  ROLES_CHANGE: 'roles.change'
+};
+
+// Request body keys never copied into the log
+const REDACTED_KEYS = ['password', 'token', 'private_key', 'privateKey', 'secret', 'authorization'];
+
+// Cap on before/after entries kept per row so bulk actions stay a reasonable size
+const MAX_CHANGES_PER_ENTRY = 1000;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+      key,
+      REDACTED_KEYS.includes(key) ? '[REDACTED]' : redact(inner)
+    ]));
+  }
+  return value;
+}
+
+function limitChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return changes;
+  const entries = Object.entries(changes);
+  if (entries.length <= MAX_CHANGES_PER_ENTRY) return changes;
+  return {
+    ...Object.fromEntries(entries.slice(0, MAX_CHANGES_PER_ENTRY)),
+    _truncated: entries.length - MAX_CHANGES_PER_ENTRY
+  };
+}
+
+// Who made the request and how, without credentials
+function requestMetadata(req) {
+  if (!req) return null;
+  const forwardedFor = req.headers?.['x-forwarded-for'];
+  return {
+    method: req.method,
+    path: req.url,
+    ip: (forwardedFor ? String(forwardedFor).split(',')[0].trim() : null) || req.socket?.remoteAddress || null,
+    user_agent: req.headers?.['user-agent'] || null,
+    params: redact({ ...(req.query || {}), ...(req.body && typeof req.body === 'object' ? req.body : {}) })
+  };
+}
+
+// Record one admin action. Never throws: a failed write is logged and null is returned,
+// so auditing can never break the action it describes.
+//   actor     - the admin's users row (from requirePermission)
+//   before    - object keyed by target ID with the values before the change (optional)
+//   after     - same shape, values after the change (optional)
+//   result    - 'success', 'partial_success' or 'failure'
+export async function recordAudit(supabase, req, {
+  actor,
+  action,
+  targetType,
+  targetIds = [],
+  before = null,
+  after = null,
+  result = 'success',
+  error = null,
+  metadata = {}
+}) {
+  const entry = {
+    actor_id: actor?.user_id ?? null,
+    actor_name: actor?.id_name ?? null,
+    actor_role: actor?.role ?? null,
+    action: action,
+    target_type: targetType,
+    target_ids: [...new Set(targetIds.filter(id => id !== null && id !== undefined).map(String))],
+    before: limitChanges(before),
+    after: limitChanges(after),
+    result: result,
+    error_message: error,
+    request: requestMetadata(req),
+    metadata: metadata,
+    created_at: new Date().toISOString()
+  };
+
+  const { data, error: insertError } = await supabase
+    .from('admin_audit_log')
+    .insert(entry)
+    .select('id')
+    .single();
+
+  if (insertError) {
+    console.error(`⚠️ Failed to write audit entry for ${action}:`, insertError.message);
+    return null;
+  }
+
+  console.log(`📝 Audit: ${action} by ${entry.actor_name || entry.actor_id || 'unknown'} (${result}, ${entry.target_ids.length} targets)`);
+  return data.id;
+}
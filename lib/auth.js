@@ -0,0 +1,68 @@
+// /lib/auth.js
+// Shared admin authentication and permission checks for API handlers
+
+import { hasPermission, isStaffRole } from './permissions.js';
+
+// Verify the bearer token and make sure the caller's role grants `permission`.
+// Sends the 401/403 response itself and returns null when the caller is not allowed,
+// otherwise returns the admin's row from the users table.
+export async function requirePermission(supabase, req, res, permission) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) {
+    res.status(401).json({
+      status: 'error',
+      message: 'Authorization token required'
+    });
+    return null;
+  }
+
+  const { data, error: authError } = await supabase.auth.getUser(token);
+  const user = data?.user;
+
+  if (authError || !user) {
+    res.status(401).json({
+      status: 'error',
+      message: 'Invalid authentication token'
+    });
+    return null;
+  }
+
+  // Look up admin's user_id in the users table
+  const { data: adminUser, error: adminError } = await supabase
+    .from('users')
+    .select('user_id, id_name, role')
+    .eq('auth_id', user.id)
+    .single();
+
+  if (adminError || !adminUser) {
+    res.status(401).json({
+      status: 'error',
+      message: 'Admin user not found'
+    });
+    return null;
+  }
+
+  if (!isStaffRole(adminUser.role)) {
+    console.warn('🚫 Non-admin access attempt by:', adminUser.user_id, `(role: ${adminUser.role})`);
+    res.status(403).json({
+      status: 'error',
+      message: 'Admin privileges required'
+    });
+    return null;
+  }
+
+  if (!hasPermission(adminUser.role, permission)) {
+    console.warn(`🚫 ${adminUser.id_name} (${adminUser.role}) lacks permission: ${permission}`);
+    res.status(403).json({
+      status: 'error',
+      message: 'Insufficient permissions for this operation',
+      required_permission: permission
+    });
+    return null;
+  }
+
+  console.log('✅ Admin authentication verified:', adminUser.id_name);
+  console.log('👮 Admin role:', adminUser.role, `(permission: ${permission})`);
+
+  return adminUser;
+}
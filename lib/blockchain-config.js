@@ -0,0 +1,224 @@
+// /lib/blockchain-config.js
+// Registry of networks and revocation contracts
+//
+// Every contract has a key (e.g. 'sepolia-revocation'), the network it lives on, its
+// address and the ABI version it was deployed with. Events choose their contract through
+// `events.contract_key`; events without one use DEFAULT_CONTRACT_KEY. Extra networks or
+// contracts can be added without a deploy through BLOCKCHAIN_REGISTRY, a JSON object
+// shaped like { "networks": { ... }, "contracts": { ... } } that is merged over the defaults.
+// A contract's `startBlock` is the block it was deployed in, where the event indexer begins;
+// the indexer refuses to start a contract without one rather than scan from genesis.
+//
+// The admin wallet's key comes from <NETWORK>_ADMIN_PRIVATE_KEY (e.g. MAINNET_ADMIN_PRIVATE_KEY).
+// Only the default contract's network may fall back to the shared ADMIN_PRIVATE_KEY, so a
+// contract added on another network never signs with a key meant for a different chain.
+
+import { readTicketStatuses } from './multicall.js';
+import { createFallbackProvider, redactRpcUrl } from './rpc-provider.js';
+
+export { redactRpcUrl };
+
+const envBlock = (name) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? null : value;
+};
+
+const envList = (name, fallback = []) => {
+  const value = process.env[name];
+  return value ? value.split(',').map(url => url.trim()).filter(Boolean) : fallback;
+};
+
+const REVOCATION_ABI_V1 = [
+  "function revokeTicket(uint256 tokenId) external",
+  "function batchRevokeTickets(uint256[] calldata tokenIds) external",
+  "function reinstateTicket(uint256 tokenId) external",
+  "function batchReinstateTickets(uint256[] calldata tokenIds) external",
+  "function registerTicket(uint256 tokenId) external",
+  "function batchRegisterTickets(uint256[] calldata tokenIds) external",
+  "function getTicketStatus(uint256 tokenId) external view returns (uint8)",
+  "function isRevoked(uint256 tokenId) external view returns (bool)",
+  "function owner() external view returns (address)",
+  "function name() external view returns (string)",
+  "function totalSupply() external view returns (uint256)",
+  "event TicketRegistered(uint256 indexed tokenId)",
+  "event TicketRevoked(uint256 indexed tokenId)",
+  "event BatchTicketsRevoked(uint256[] tokenIds)",
+  "event TicketReinstated(uint256 indexed tokenId)"
+];
+
+// ABIs by version; a new contract deployment with a changed interface gets a new entry
+export const CONTRACT_ABIS = {
+  'revocation-v1': REVOCATION_ABI_V1
+};
+
+const DEFAULT_NETWORKS = {
+  sepolia: {
+    chainId: 11155111,
+    rpcUrls: envList('SEPOLIA_RPC_URLS', [
+      process.env.ETHEREUM_RPC_URL || 'https://sepolia.infura.io/v3/' + process.env.INFURA_PROJECT_ID
+    ])
+  },
+  mainnet: {
+    chainId: 1,
+    rpcUrls: envList('MAINNET_RPC_URLS')
+  },
+  local: {
+    chainId: parseInt(process.env.LOCAL_CHAIN_ID) || 31337,
+    rpcUrls: envList('LOCAL_RPC_URLS', ['http://127.0.0.1:8545'])
+  }
+};
+
+const DEFAULT_CONTRACTS = {
+  'sepolia-revocation': {
+    network: 'sepolia',
+    address: process.env.REVOCATION_CONTRACT_ADDRESS || '0x86d22947cE0D2908eC0CAC78f7EC405f15cB9e50',
+    abiVersion: 'revocation-v1',
+    startBlock: envBlock('INDEXER_START_BLOCK')
+  },
+  'mainnet-revocation': {
+    network: 'mainnet',
+    address: process.env.MAINNET_REVOCATION_CONTRACT_ADDRESS || null,
+    abiVersion: 'revocation-v1',
+    startBlock: envBlock('MAINNET_INDEXER_START_BLOCK')
+  }
+};
+
+function loadRegistry() {
+  let overrides = {};
+  if (process.env.BLOCKCHAIN_REGISTRY) {
+    try {
+      overrides = JSON.parse(process.env.BLOCKCHAIN_REGISTRY);
+    } catch (error) {
+      console.error('❌ BLOCKCHAIN_REGISTRY is not valid JSON, ignoring it:', error.message);
+    }
+  }
+  return {
+    networks: { ...DEFAULT_NETWORKS, ...(overrides.networks || {}) },
+    contracts: { ...DEFAULT_CONTRACTS, ...(overrides.contracts || {}) }
+  };
+}
+
+export const BLOCKCHAIN_REGISTRY = loadRegistry();
+
+export const DEFAULT_CONTRACT_KEY = process.env.DEFAULT_CONTRACT_KEY || 'sepolia-revocation';
+
+// The admin key for a network: its own key, or the shared one on the default contract's network
+function getNetworkPrivateKey(networkName) {
+  const ownKey = process.env[`${networkName.toUpperCase()}_ADMIN_PRIVATE_KEY`];
+  if (ownKey) return ownKey;
+  const defaultNetwork = BLOCKCHAIN_REGISTRY.contracts[DEFAULT_CONTRACT_KEY]?.network;
+  return networkName === defaultNetwork ? process.env.ADMIN_PRIVATE_KEY || null : null;
+}
+
+// Full configuration for one contract: network, RPC URLs, address, ABI and signing key.
+// With `signer`, a missing signing key throws instead of leaving `privateKey` null.
+export function getContractConfig(contractKey = DEFAULT_CONTRACT_KEY, { signer = false } = {}) {
+  const contract = BLOCKCHAIN_REGISTRY.contracts[contractKey];
+  if (!contract) {
+    throw new Error(`Unknown contract key: ${contractKey}`);
+  }
+
+  const network = BLOCKCHAIN_REGISTRY.networks[contract.network];
+  if (!network) {
+    throw new Error(`Contract ${contractKey} refers to unknown network: ${contract.network}`);
+  }
+  if (!contract.address) {
+    throw new Error(`Contract ${contractKey} has no address configured`);
+  }
+
+  const abi = CONTRACT_ABIS[contract.abiVersion];
+  if (!abi) {
+    throw new Error(`Contract ${contractKey} uses unknown ABI version: ${contract.abiVersion}`);
+  }
+
+  const privateKey = getNetworkPrivateKey(contract.network);
+  if (signer && !privateKey) {
+    throw new Error(`Blockchain configuration missing: set ${contract.network.toUpperCase()}_ADMIN_PRIVATE_KEY to sign for ${contractKey}`);
+  }
+
+  return {
+    key: contractKey,
+    network: contract.network,
+    chainId: network.chainId,
+    rpcUrls: network.rpcUrls,
+    contractAddress: contract.address,
+    abiVersion: contract.abiVersion,
+    abi: abi,
+    startBlock: Number.isInteger(contract.startBlock) ? contract.startBlock : null,
+    privateKey: privateKey
+  };
+}
+
+// Keys of every contract that has an address configured
+export function listContractKeys() {
+  return Object.entries(BLOCKCHAIN_REGISTRY.contracts)
+    .filter(([, contract]) => contract.address)
+    .map(([key]) => key);
+}
+
+// Provider for the contract's network that fails over between its RPC URLs (see lib/rpc-provider.js)
+export async function connectProvider(ethers, config) {
+  return createFallbackProvider(ethers, config);
+}
+
+// Contract key for each event ID, from events.contract_key (falls back to the default)
+export async function resolveEventContracts(supabase, eventIds) {
+  const ids = [...new Set(eventIds.filter(id => id !== null && id !== undefined))];
+  const contractByEvent = {};
+  if (ids.length === 0) return contractByEvent;
+
+  const { data: events, error } = await supabase
+    .from('events')
+    .select('event_id, contract_key')
+    .in('event_id', ids);
+
+  if (error) {
+    throw new Error(`Failed to resolve event contracts: ${error.message}`);
+  }
+
+  (events || []).forEach(event => {
+    contractByEvent[event.event_id] = event.contract_key || DEFAULT_CONTRACT_KEY;
+  });
+  return contractByEvent;
+}
+
+// Group tickets (which must carry event_id) by the contract their event uses
+export async function groupTicketsByContract(supabase, tickets) {
+  const contractByEvent = await resolveEventContracts(supabase, tickets.map(t => t.event_id));
+  const groups = new Map();
+
+  tickets.forEach(ticket => {
+    const key = contractByEvent[ticket.event_id] || DEFAULT_CONTRACT_KEY;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(ticket);
+  });
+
+  return groups;
+}
+
+// Read on-chain statuses for tickets (each with event_id and nft_token_id) from whichever
+// contract their event uses. Returns a Map of ticket_id → { status, isRevoked, error, contractKey }.
+export async function readStatusesForTickets(supabase, ethers, tickets, options = {}) {
+  const results = new Map();
+  if (tickets.length === 0) return results;
+
+  const groups = await groupTicketsByContract(supabase, tickets);
+
+  for (const [contractKey, group] of groups) {
+    try {
+      const config = getContractConfig(contractKey);
+      const provider = await connectProvider(ethers, config);
+      const statuses = await readTicketStatuses(ethers, provider, config.contractAddress, group.map(t => String(t.nft_token_id)), options);
+      group.forEach(ticket => {
+        results.set(ticket.ticket_id, { ...statuses.get(String(ticket.nft_token_id)), contractKey });
+      });
+    } catch (error) {
+      console.error(`❌ Status read failed for contract ${contractKey}:`, error.message);
+      group.forEach(ticket => {
+        results.set(ticket.ticket_id, { status: null, isRevoked: null, error: error.message, contractKey });
+      });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,392 @@
+// /lib/blockchain-diagnostics.js
+// Structured diagnostics for one registry contract, its network and the admin wallet
+//
+// Every check returns { id, name, result: 'pass' | 'warn' | 'fail', message, remediation,
+// details }. The overall result is the worst check result. Runs are stored in
+// `blockchain_diagnostic_runs` (contract_key, network, overall_status, checks jsonb,
+// connection jsonb, run_by, duration_ms, created_at) so history can be compared.
+
+import { BLOCKCHAIN_REGISTRY, connectProvider, redactRpcUrl } from './blockchain-config.js';
+import { probeEndpoints, getEndpointHealth, primaryConnection } from './rpc-provider.js';
+import { getSpendLimits } from './spend-guard.js';
+
+const DIAGNOSTIC_CONFIG = {
+  minRunwayDays: parseFloat(process.env.WALLET_MIN_RUNWAY_DAYS) || 7,     // warn below this many days of fees
+  runwayWindowDays: parseInt(process.env.WALLET_RUNWAY_WINDOW_DAYS) || 14, // spend history used for the daily average
+  sampleTokenId: process.env.DIAGNOSTIC_SAMPLE_TOKEN_ID || '1'
+};
+
+// Every contract function the handlers call, and whether it is a view we can call safely
+const REQUIRED_FUNCTIONS = [
+  { signature: 'getTicketStatus(uint256)', view: true },
+  { signature: 'isRevoked(uint256)', view: true },
+  { signature: 'owner()', view: true },
+  { signature: 'revokeTicket(uint256)', view: false },
+  { signature: 'batchRevokeTickets(uint256[])', view: false },
+  { signature: 'reinstateTicket(uint256)', view: false },
+  { signature: 'batchReinstateTickets(uint256[])', view: false },
+  { signature: 'registerTicket(uint256)', view: false },
+  { signature: 'batchRegisterTickets(uint256[])', view: false }
+];
+
+// Optional OpenZeppelin AccessControl interface, for contracts that grant a revoker role
+const ACCESS_CONTROL_ABI = [
+  "function hasRole(bytes32 role, address account) external view returns (bool)",
+  "function REVOKER_ROLE() external view returns (bytes32)"
+];
+
+const RESULT_RANK = { pass: 0, warn: 1, fail: 2 };
+
+function check(id, name, result, message, remediation = null, details = {}) {
+  return { id, name, result, message, remediation: result === 'pass' ? null : remediation, details };
+}
+
+// Run every check for a contract config (see getContractConfig) and store the run
+export async function runBlockchainDiagnostics(supabase, config, { runBy = null } = {}) {
+  const startTime = Date.now();
+  const checks = [];
+  const connection = {
+    network: config.network,
+    chain_id: config.chainId,
+    contract_address: config.contractAddress,
+    wallet_address: null,
+    wallet_balance_eth: null,
+    current_block: null,
+    contract_owner: null,
+    gas_price_gwei: null,
+    rpc_url: null,
+    latency_ms: null,
+    rpc_endpoints: [],
+    rpc_health: []
+  };
+
+  console.log('🩺 ============ BLOCKCHAIN DIAGNOSTICS ============');
+  console.log('📋 Contract:', config.key, config.contractAddress);
+
+  const ethersModule = await import('ethers');
+  const ethers = ethersModule.default || ethersModule;
+
+  // Configuration
+  const missing = [
+    ...(config.rpcUrls.length === 0 ? ['RPC URLs'] : []),
+    ...(!config.privateKey ? ['admin private key'] : [])
+  ];
+  checks.push(missing.length === 0
+    ? check('configuration', 'Configuration', 'pass', 'RPC URLs, contract address and admin key are configured', null, {
+      rpc_urls: config.rpcUrls.map(redactRpcUrl),
+      abi_version: config.abiVersion
+    })
+    : check('configuration', 'Configuration', 'fail', `Missing ${missing.join(' and ')}`,
+      `Set ${config.network.toUpperCase()}_RPC_URLS and ${config.network.toUpperCase()}_ADMIN_PRIVATE_KEY (ADMIN_PRIVATE_KEY only covers the default contract's network), or add them to BLOCKCHAIN_REGISTRY`));
+
+  if (config.rpcUrls.length === 0) {
+    return finishRun(supabase, config, checks, connection, runBy, startTime);
+  }
+
+  // RPC endpoints and chain ID
+  const probes = await probeEndpoints(ethers, config);
+  connection.rpc_endpoints = probes;
+  const reachable = probes.filter(p => p.chain_id !== null);
+  const healthy = probes.filter(p => p.ok);
+
+  checks.push(healthy.length === probes.length
+    ? check('rpc_endpoints', 'RPC endpoints reachable', 'pass', `All ${probes.length} endpoints answered`, null, { endpoints: probes })
+    : check('rpc_endpoints', 'RPC endpoints reachable',
+      healthy.length > 0 ? 'warn' : 'fail',
+      `${healthy.length} of ${probes.length} endpoints answered on the expected chain`,
+      'Check the failing endpoints\' URLs, API keys and provider status; failover keeps working while one endpoint is healthy',
+      { endpoints: probes }));
+
+  const wrongChain = reachable.filter(p => p.chain_id !== config.chainId);
+  checks.push(wrongChain.length === 0
+    ? check('chain_id', 'Chain ID matches configuration', reachable.length > 0 ? 'pass' : 'fail',
+      reachable.length > 0 ? `Endpoints report chain ${config.chainId}` : 'No endpoint answered eth_chainId',
+      'Restore at least one RPC endpoint so the chain ID can be read', { expected: config.chainId })
+    : check('chain_id', 'Chain ID matches configuration', 'fail',
+      `${wrongChain.length} endpoints are on another chain (${[...new Set(wrongChain.map(p => p.chain_id))].join(', ')}), expected ${config.chainId}`,
+      `Point ${config.network.toUpperCase()}_RPC_URLS at ${config.network} endpoints, or fix the network's chainId in BLOCKCHAIN_REGISTRY`,
+      { expected: config.chainId, endpoints: wrongChain.map(p => ({ url: p.url, chain_id: p.chain_id })) }));
+
+  if (healthy.length === 0) {
+    connection.rpc_health = getEndpointHealth(config.rpcUrls);
+    return finishRun(supabase, config, checks, connection, runBy, startTime);
+  }
+
+  try {
+    await runConnectedChecks(supabase, ethers, config, checks, connection);
+  } catch (error) {
+    console.error('❌ Diagnostics aborted:', error.message);
+    checks.push(check('rpc_connection', 'RPC calls', 'fail', `Diagnostics stopped on an RPC error: ${error.message}`,
+      'Retry the check; if it keeps failing, look at rpc_health for the endpoint that is erroring'));
+  }
+
+  connection.rpc_health = getEndpointHealth(config.rpcUrls);
+  return finishRun(supabase, config, checks, connection, runBy, startTime);
+}
+
+// Checks that need a working provider: contract, ABI, permissions, balance and nonces
+async function runConnectedChecks(supabase, ethers, config, checks, connection) {
+  const connectStart = Date.now();
+  const provider = await connectProvider(ethers, config);
+  connection.current_block = await provider.getBlockNumber();
+  connection.latency_ms = Date.now() - connectStart;
+  connection.rpc_url = redactRpcUrl(primaryConnection(provider)?.url || config.rpcUrls[0]);
+  connection.gas_price_gwei = ethers.utils.formatUnits(await provider.getGasPrice(), 'gwei');
+
+  // Contract bytecode
+  const code = await provider.getCode(config.contractAddress);
+  const hasCode = code && code !== '0x';
+  checks.push(hasCode
+    ? check('contract_code', 'Contract deployed', 'pass', `Contract bytecode found (${(code.length - 2) / 2} bytes)`)
+    : check('contract_code', 'Contract deployed', 'fail', `No bytecode at ${config.contractAddress} on ${config.network}`,
+      'Check the contract address for this network in BLOCKCHAIN_REGISTRY / REVOCATION_CONTRACT_ADDRESS, or deploy the contract'));
+
+  const wallet = config.privateKey ? new ethers.Wallet(config.privateKey, provider) : null;
+  connection.wallet_address = wallet?.address || null;
+  const contract = new ethers.Contract(config.contractAddress, config.abi, provider);
+
+  if (hasCode) {
+    checks.push(await checkAbiCompatibility(ethers, contract, code));
+    checks.push(await checkWalletPermission(ethers, contract, config, wallet, connection));
+  }
+
+  if (wallet) {
+    checks.push(await checkWalletRunway(supabase, ethers, wallet, config, connection));
+    checks.push(await checkNonceGap(supabase, provider, wallet, config));
+  }
+}
+
+// Each function must be in the ABI and in the bytecode's dispatcher; views must decode a sample call
+async function checkAbiCompatibility(ethers, contract, code) {
+  const problems = [];
+  const functions = REQUIRED_FUNCTIONS.map(fn => {
+    const entry = { function: fn.signature, in_abi: true, in_bytecode: null, call_ok: null, error: null };
+
+    let fragment;
+    try {
+      fragment = contract.interface.getFunction(fn.signature);
+    } catch (error) {
+      entry.in_abi = false;
+      problems.push(`${fn.signature} is missing from ABI`);
+      return entry;
+    }
+
+    const selector = contract.interface.getSighash(fragment).slice(2);
+    entry.in_bytecode = code.toLowerCase().includes(selector.toLowerCase());
+    return entry;
+  });
+
+  for (const entry of functions) {
+    const fn = REQUIRED_FUNCTIONS.find(f => f.signature === entry.function);
+    if (!fn.view || !entry.in_abi) continue;
+    try {
+      const args = fn.signature.startsWith('owner') ? [] : [DIAGNOSTIC_CONFIG.sampleTokenId];
+      await contract[fn.signature](...args);
+      entry.call_ok = true;
+    } catch (error) {
+      entry.call_ok = false;
+      entry.error = error.reason || error.message;
+      problems.push(`${fn.signature} call failed: ${entry.error}`);
+    }
+  }
+
+  const notInBytecode = functions.filter(f => f.in_abi && f.in_bytecode === false).map(f => f.function);
+
+  if (problems.length > 0) {
+    return check('abi_compatibility', 'ABI compatibility', 'fail', problems.join('; '),
+      'Check that the contract\'s abiVersion in BLOCKCHAIN_REGISTRY matches the deployed contract; add a new ABI version to lib/blockchain-config.js if the interface changed',
+      { functions });
+  }
+  if (notInBytecode.length > 0) {
+    return check('abi_compatibility', 'ABI compatibility', 'warn',
+      `Selectors not found in bytecode: ${notInBytecode.join(', ')}`,
+      'If the contract is a proxy this is expected; otherwise the deployed contract does not implement these functions and the matching admin actions will revert',
+      { functions });
+  }
+  return check('abi_compatibility', 'ABI compatibility', 'pass', `All ${functions.length} functions present and view calls decode`, null, { functions });
+}
+
+// The admin wallet must be the owner or hold the revoker role to send revocations
+async function checkWalletPermission(ethers, contract, config, wallet, connection) {
+  let owner = null;
+  try {
+    owner = await contract.owner();
+    connection.contract_owner = owner;
+  } catch (error) {
+    console.warn('⚠️ Could not read contract owner:', error.message);
+  }
+
+  if (!wallet) {
+    return check('wallet_permission', 'Wallet may revoke', 'fail', 'No admin wallet configured',
+      'Set the admin private key so the wallet\'s permissions can be checked', { owner });
+  }
+
+  if (owner && owner.toLowerCase() === wallet.address.toLowerCase()) {
+    return check('wallet_permission', 'Wallet may revoke', 'pass', 'Admin wallet is the contract owner', null, { owner, wallet: wallet.address });
+  }
+
+  // Not the owner: the contract may grant a revoker role instead
+  try {
+    const accessControl = new ethers.Contract(config.contractAddress, ACCESS_CONTROL_ABI, contract.provider);
+    let role;
+    try {
+      role = await accessControl.REVOKER_ROLE();
+    } catch (roleError) {
+      role = ethers.utils.id('REVOKER_ROLE');
+    }
+    if (await accessControl.hasRole(role, wallet.address)) {
+      return check('wallet_permission', 'Wallet may revoke', 'pass', 'Admin wallet holds REVOKER_ROLE', null, { owner, wallet: wallet.address, role });
+    }
+    return check('wallet_permission', 'Wallet may revoke', 'fail', 'Admin wallet is neither the owner nor a revoker',
+      `Grant REVOKER_ROLE to ${wallet.address} or transfer ownership, or configure the owner's key`, { owner, wallet: wallet.address, role });
+  } catch (error) {
+    return owner
+      ? check('wallet_permission', 'Wallet may revoke', 'fail', `Admin wallet is not the owner (${owner}) and the contract has no role support`,
+        `Configure the owner's private key or transfer ownership to ${wallet.address}`, { owner, wallet: wallet.address })
+      : check('wallet_permission', 'Wallet may revoke', 'warn', 'Could not read the owner or roles from the contract',
+        'Check the ABI compatibility result; the permission will only show when a transaction reverts', { wallet: wallet.address, error: error.message });
+  }
+}
+
+// Balance against the average daily fee spend on the contract's network from the ledger
+async function checkWalletRunway(supabase, ethers, wallet, config, connection) {
+  const balance = await wallet.getBalance();
+  connection.wallet_balance_eth = ethers.utils.formatEther(balance);
+
+  const since = new Date(Date.now() - DIAGNOSTIC_CONFIG.runwayWindowDays * 24 * 60 * 60 * 1000).toISOString();
+  const { data: ledgerRows, error } = await supabase
+    .from('blockchain_spend_ledger')
+    .select('cost_wei')
+    .eq('network', config.network)
+    .gte('created_at', since);
+
+  if (error) {
+    console.warn('⚠️ Could not read spend ledger for runway:', error.message);
+  }
+
+  const spent = (ledgerRows || []).reduce((sum, row) => sum.add(ethers.BigNumber.from(row.cost_wei || '0')), ethers.BigNumber.from(0));
+  const dailyAverage = spent.div(DIAGNOSTIC_CONFIG.runwayWindowDays);
+  const runwayDays = dailyAverage.isZero()
+    ? null
+    : Math.round((parseFloat(ethers.utils.formatEther(balance)) / parseFloat(ethers.utils.formatEther(dailyAverage))) * 100) / 100;
+  const limits = getSpendLimits(config.network);
+  const maxTxFee = ethers.utils.parseEther(limits.maxFeePerTxEth);
+
+  const details = {
+    balance_eth: connection.wallet_balance_eth,
+    average_daily_spend_eth: ethers.utils.formatEther(dailyAverage),
+    runway_days: runwayDays,
+    min_runway_days: DIAGNOSTIC_CONFIG.minRunwayDays,
+    window_days: DIAGNOSTIC_CONFIG.runwayWindowDays
+  };
+  const remediation = `Top up ${wallet.address}; WALLET_MIN_RUNWAY_DAYS sets the warning threshold`;
+
+  if (balance.lt(maxTxFee)) {
+    return check('wallet_runway', 'Wallet balance runway', 'fail',
+      `Balance ${details.balance_eth} ETH is below one maximum transaction fee (${limits.maxFeePerTxEth} ETH)`, remediation, details);
+  }
+  if (runwayDays === null) {
+    return check('wallet_runway', 'Wallet balance runway', 'pass', `Balance ${details.balance_eth} ETH; no fees spent in the last ${DIAGNOSTIC_CONFIG.runwayWindowDays} days`, null, details);
+  }
+  if (runwayDays < DIAGNOSTIC_CONFIG.minRunwayDays) {
+    return check('wallet_runway', 'Wallet balance runway', 'warn',
+      `Balance lasts about ${runwayDays} days at the current spend, below the ${DIAGNOSTIC_CONFIG.minRunwayDays} day minimum`, remediation, details);
+  }
+  return check('wallet_runway', 'Wallet balance runway', 'pass', `Balance lasts about ${runwayDays} days at the current spend`, null, details);
+}
+
+// Nonces reserved in wallet_nonces but never broadcast leave a hole that blocks every later transaction
+async function checkNonceGap(supabase, provider, wallet, config) {
+  const walletAddress = wallet.address.toLowerCase();
+  const [minedNonce, pendingNonce] = await Promise.all([
+    provider.getTransactionCount(wallet.address, 'latest'),
+    provider.getTransactionCount(wallet.address, 'pending')
+  ]);
+
+  const { data: row } = await supabase
+    .from('wallet_nonces')
+    .select('next_nonce')
+    .eq('wallet_address', walletAddress)
+    .eq('network', config.network)
+    .maybeSingle();
+
+  // Jobs on this network that hold a nonce at or above the node's pending nonce
+  const networkContracts = Object.entries(BLOCKCHAIN_REGISTRY.contracts)
+    .filter(([, contract]) => contract.network === config.network)
+    .map(([key]) => key);
+
+  const { data: holders } = await supabase
+    .from('blockchain_tx_queue')
+    .select('id, nonce, status')
+    .eq('wallet_address', walletAddress)
+    .in('contract_key', networkContracts)
+    .in('status', ['queued', 'dropped', 'pending'])
+    .gte('nonce', pendingNonce);
+
+  const reservedNext = row ? row.next_nonce : pendingNonce;
+  const reservedAhead = Math.max(0, reservedNext - pendingNonce);
+  const heldNonces = new Set((holders || []).map(h => h.nonce));
+  const orphanedNonces = [];
+  for (let nonce = pendingNonce; nonce < reservedNext; nonce++) {
+    if (!heldNonces.has(nonce)) orphanedNonces.push(nonce);
+  }
+
+  const details = {
+    mined_nonce: minedNonce,
+    pending_nonce: pendingNonce,
+    unmined_transactions: pendingNonce - minedNonce,
+    reserved_next_nonce: reservedNext,
+    reserved_ahead: reservedAhead,
+    orphaned_nonces: orphanedNonces
+  };
+
+  if (orphanedNonces.length > 0) {
+    return check('nonce_gap', 'Pending nonce gap', 'fail',
+      `${orphanedNonces.length} reserved nonces (${orphanedNonces.slice(0, 5).join(', ')}${orphanedNonces.length > 5 ? ', …' : ''}) belong to no live job`,
+      `Reset wallet_nonces.next_nonce to ${pendingNonce} for ${walletAddress} on ${config.network} once no job is sending, or send a 0 ETH self-transfer with each missing nonce`,
+      details);
+  }
+  if (pendingNonce > minedNonce) {
+    return check('nonce_gap', 'Pending nonce gap', 'warn',
+      `${pendingNonce - minedNonce} transactions are waiting to be mined`,
+      'The transaction queue bumps fees on stuck transactions; check the tx-queue endpoint if this persists', details);
+  }
+  return check('nonce_gap', 'Pending nonce gap', 'pass', 'No unmined transactions or unused reserved nonces', null, details);
+}
+
+async function finishRun(supabase, config, checks, connection, runBy, startTime) {
+  const overallStatus = checks.reduce((worst, c) => RESULT_RANK[c.result] > RESULT_RANK[worst] ? c.result : worst, 'pass');
+  const duration = Date.now() - startTime;
+
+  console.log(`🩺 Diagnostics ${overallStatus.toUpperCase()} in ${duration}ms`);
+  checks.forEach(c => {
+    console.log(`   ${c.result === 'pass' ? '✅' : c.result === 'warn' ? '⚠️' : '❌'} ${c.name}: ${c.message}`);
+  });
+
+  const { data: run, error } = await supabase
+    .from('blockchain_diagnostic_runs')
+    .insert({
+      contract_key: config.key,
+      network: config.network,
+      overall_status: overallStatus,
+      checks: checks,
+      connection: connection,
+      run_by: runBy,
+      duration_ms: duration,
+      created_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('⚠️ Failed to save diagnostic run:', error.message);
+  }
+
+  return {
+    runId: run?.id || null,
+    overallStatus: overallStatus,
+    checks: checks,
+    connection: connection,
+    duration: duration
+  };
+}
@@ -0,0 +1,550 @@
+// /lib/blockchain-sync.js
+// Core database ↔ blockchain state sync, shared by the admin endpoint and the scheduled job
+//
+// The sync walks every ticket with an nft_token_id in ticket_id order across as many
+// invocations as it takes. Its position is persisted in `sync_cursors`, so each call
+// continues where the previous one stopped. Tickets whose chain read fails are parked in
+// `sync_retry_queue` and retried (with backoff) at the start of later invocations.
+//
+// Only one invocation works the pass at a time: it claims the cursor row with a lease
+// (locked_until plus a lease_id that every cursor write must match), and a second
+// invocation that finds the lease held returns `busy` without touching anything.
+//
+// A ticket whose revocation, reinstatement or registration is still on its way to the chain
+// (see findTicketsAwaitingChain in tx-queue.js) is ahead of the contract, so its ticket_status
+// is left alone until the transaction lands; only its sync fields are refreshed.
+
+import { randomUUID } from 'crypto';
+import { readStatusesForTickets } from './blockchain-config.js';
+import { findTicketsAwaitingChain } from './tx-queue.js';
+
+const SYNC_CURSOR_NAME = 'blockchain-sync';
+const MAX_RETRY_ATTEMPTS = 5;
+
+// Stop picking up new tickets after this long so the function returns before its timeout
+const DEFAULT_MAX_DURATION_MS = parseInt(process.env.SYNC_MAX_DURATION_MS) || 45000;
+
+// The cursor lease outlives the time budget by this much, covering the writes after it.
+// A run that dies without releasing the lease blocks others only until it expires.
+const SYNC_LEASE_MARGIN_MS = parseInt(process.env.SYNC_LEASE_MARGIN_MS) || 60000;
+
+const TICKET_SYNC_COLUMNS = `
+  ticket_id,
+  event_id,
+  nft_token_id,
+  ticket_status,
+  blockchain_registered,
+  nft_mint_status,
+  blockchain_tx_hash,
+  users!inner(id_name),
+  events!inner(event_name)
+`;
+
+// Main blockchain sync function
+// `limit` is the number of tickets handled per invocation (retries included).
+// Status reads are batched through lib/multicall.js; `batchSize` tokens per RPC round trip.
+export async function performBlockchainSync(supabase, limit, forceResync, { resetCursor = false, maxDurationMs = DEFAULT_MAX_DURATION_MS, batchSize } = {}) {
+  const startTime = Date.now();
+  const deadline = startTime + maxDurationMs;
+  let lease = null;
+
+  try {
+    console.log('📍 ============ CLAIMING SYNC CURSOR ============');
+
+    lease = await claimSyncCursor(supabase, maxDurationMs + SYNC_LEASE_MARGIN_MS);
+    if (!lease.id) {
+      console.log('⏳ Another sync run holds the cursor until', lease.lockedUntil);
+      return {
+        success: false,
+        busy: true,
+        error: `Another sync run holds the cursor until ${lease.lockedUntil}`,
+        lockedUntil: lease.lockedUntil,
+        details: 'Blockchain sync already running',
+        duration: Date.now() - startTime
+      };
+    }
+
+    let cursor = lease.cursor;
+    if (resetCursor || !cursor.pass_started_at) {
+      cursor = await saveSyncCursor(supabase, lease.id, {
+        last_ticket_id: null,
+        pass_started_at: new Date().toISOString(),
+        completed_at: null
+      });
+      console.log('🆕 Starting a new sync pass');
+    } else {
+      console.log('↪️ Resuming sync pass started at', cursor.pass_started_at, 'after ticket', cursor.last_ticket_id || '(start)');
+    }
+
+    // Each ticket is read from the contract its event uses (see lib/blockchain-config.js)
+    const ethersModule = await import('ethers');
+    const ethers = ethersModule.default || ethersModule;
+
+    const readStatuses = (ticketsToRead) => readStatusesForTickets(supabase, ethers, ticketsToRead, { batchSize });
+
+    const stats = {
+      updatedCount: 0,
+      successfulSyncs: 0,
+      failedSyncs: 0,
+      discrepanciesFound: 0,
+      syncDetails: []
+    };
+
+    // 1. Retry tickets that failed in earlier invocations
+    console.log('🔁 ============ RETRYING FAILED TICKETS ============');
+
+    const { data: dueRetries, error: retryFetchError } = await supabase
+      .from('sync_retry_queue')
+      .select('ticket_id, attempts')
+      .lte('next_retry_at', new Date().toISOString())
+      .lt('attempts', MAX_RETRY_ATTEMPTS)
+      .order('next_retry_at', { ascending: true })
+      .limit(limit);
+
+    if (retryFetchError) {
+      throw new Error(`Failed to fetch retry queue: ${retryFetchError.message}`);
+    }
+
+    const retryResults = { attempted: 0, recovered: 0, still_failing: 0 };
+
+    if (dueRetries && dueRetries.length > 0) {
+      const attemptsByTicket = Object.fromEntries(dueRetries.map(r => [r.ticket_id, r.attempts]));
+
+      const { data: retryTickets, error: retryTicketsError } = await supabase
+        .from('tickets')
+        .select(TICKET_SYNC_COLUMNS)
+        .in('ticket_id', dueRetries.map(r => r.ticket_id));
+
+      if (retryTicketsError) {
+        throw new Error(`Failed to fetch retry tickets: ${retryTicketsError.message}`);
+      }
+
+      console.log(`🔁 Retrying ${retryTickets.length} tickets`);
+
+      const retryStatuses = await readStatuses(retryTickets);
+      const retryAwaiting = await findTicketsAwaitingChain(supabase, retryTickets.map(t => t.ticket_id));
+
+      for (const ticket of retryTickets) {
+        if (Date.now() > deadline) break;
+        retryResults.attempted++;
+
+        const detail = await syncTicketWithStats(supabase, ticket, retryStatuses.get(ticket.ticket_id), stats,
+          retryAwaiting.has(String(ticket.ticket_id)));
+        if (detail.status === 'failed') {
+          retryResults.still_failing++;
+          await scheduleRetry(supabase, ticket.ticket_id, attemptsByTicket[ticket.ticket_id] + 1, detail.error);
+        } else {
+          retryResults.recovered++;
+          await supabase.from('sync_retry_queue').delete().eq('ticket_id', ticket.ticket_id);
+        }
+      }
+    }
+
+    // 2. Continue the pass from the cursor
+    console.log('🔍 ============ FETCHING TICKETS FOR SYNC ============');
+
+    const remaining = Math.max(0, limit - retryResults.attempted);
+    let tickets = [];
+    let reachedEnd = false;
+    let lastTicketId = cursor.last_ticket_id;
+
+    if (remaining > 0 && Date.now() < deadline) {
+      let query = supabase
+        .from('tickets')
+        .select(TICKET_SYNC_COLUMNS)
+        .not('nft_token_id', 'is', null)
+        .order('ticket_id', { ascending: true })
+        .limit(remaining);
+
+      if (cursor.last_ticket_id) {
+        query = query.gt('ticket_id', cursor.last_ticket_id);
+      }
+
+      const { data, error: fetchError } = await query;
+
+      if (fetchError) {
+        throw new Error(`Failed to fetch tickets: ${fetchError.message}`);
+      }
+
+      tickets = data || [];
+      reachedEnd = tickets.length < remaining;
+    }
+
+    console.log(`📋 Found ${tickets.length} tickets to sync after the cursor`);
+
+    // If not forcing resync, skip tickets that were synced in the last hour
+    let recentlySynced = new Set();
+    if (!forceResync && tickets.length > 0) {
+      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const { data: recent } = await supabase
+        .from('tickets')
+        .select('ticket_id')
+        .in('ticket_id', tickets.map(t => t.ticket_id))
+        .gte('last_blockchain_sync', oneHourAgo);
+      recentlySynced = new Set((recent || []).map(t => t.ticket_id));
+    }
+
+    console.log('🔄 ============ SYNCING TICKET STATES ============');
+
+    const ticketsToRead = tickets.filter(t => !recentlySynced.has(t.ticket_id));
+    const chainStatuses = await readStatuses(ticketsToRead);
+    const awaitingChain = await findTicketsAwaitingChain(supabase, ticketsToRead.map(t => t.ticket_id));
+
+    let skippedRecent = 0;
+    let processedInPass = 0;
+
+    for (let i = 0; i < tickets.length; i++) {
+      const ticket = tickets[i];
+
+      if (Date.now() > deadline) {
+        console.log('⏱️ Time budget reached, stopping at cursor', lastTicketId);
+        reachedEnd = false;
+        break;
+      }
+
+      if (recentlySynced.has(ticket.ticket_id)) {
+        skippedRecent++;
+      } else {
+        console.log(`\n🎫 ---- Syncing Ticket ${i + 1}/${tickets.length} ----`);
+        const detail = await syncTicketWithStats(supabase, ticket, chainStatuses.get(ticket.ticket_id), stats,
+          awaitingChain.has(String(ticket.ticket_id)));
+        if (detail.status === 'failed') {
+          await scheduleRetry(supabase, ticket.ticket_id, 1, detail.error);
+        }
+      }
+
+      lastTicketId = ticket.ticket_id;
+      processedInPass++;
+    }
+
+    // 3. Persist the cursor and release the lease; a finished pass starts over on the next invocation
+    cursor = await saveSyncCursor(supabase, lease.id, {
+      ...(reachedEnd
+        ? { last_ticket_id: null, pass_started_at: null, completed_at: new Date().toISOString() }
+        : { last_ticket_id: lastTicketId }),
+      lease_id: null,
+      locked_until: null
+    });
+    lease = null;
+
+    const progress = await getSyncProgress(supabase, reachedEnd ? null : lastTicketId, reachedEnd);
+    const retryBacklog = await countRetryBacklog(supabase);
+
+    const totalChecked = retryResults.attempted + processedInPass - skippedRecent;
+    const duration = Date.now() - startTime;
+
+    console.log('✅ ============ SYNC INVOCATION COMPLETED ============');
+    console.log(`📊 Final summary:`);
+    console.log(`   🎫 Tickets checked: ${totalChecked} (${skippedRecent} skipped as recently synced)`);
+    console.log(`   🔄 Database updates made: ${stats.updatedCount}`);
+    console.log(`   ✅ Successful syncs: ${stats.successfulSyncs}`);
+    console.log(`   ❌ Failed syncs: ${stats.failedSyncs} (queued for retry)`);
+    console.log(`   📈 Pass progress: ${progress.processed}/${progress.total} (${progress.percentage}%)`);
+    console.log(`   ⏱️ Total duration: ${duration}ms`);
+
+    return {
+      success: true,
+      totalChecked: totalChecked,
+      updatedCount: stats.updatedCount,
+      successfulSyncs: stats.successfulSyncs,
+      failedSyncs: stats.failedSyncs,
+      discrepanciesFound: stats.discrepanciesFound,
+      skippedRecent: skippedRecent,
+      duration: duration,
+      details: `Processed ${totalChecked} tickets, found ${stats.discrepanciesFound} discrepancies`,
+      syncDetails: stats.syncDetails,
+      progress: progress,
+      cursor: cursor,
+      retries: {
+        ...retryResults,
+        backlog: retryBacklog.pending,
+        exhausted: retryBacklog.exhausted
+      }
+    };
+
+  } catch (error) {
+    console.error('🔥 ============ SYNC OPERATION FAILED ============');
+    console.error('❌ Error message:', error.message);
+    console.error('📊 Error stack:', error.stack);
+
+    if (lease?.id) {
+      await releaseSyncCursor(supabase, lease.id);
+    }
+
+    return {
+      success: false,
+      error: error.message,
+      details: 'Blockchain sync operation failed',
+      duration: Date.now() - startTime
+    };
+  }
+}
+
+// Sync one ticket and fold the outcome into the running stats
+async function syncTicketWithStats(supabase, ticket, chainRead, stats, awaitingChain) {
+  const detail = await syncTicket(supabase, ticket, chainRead, awaitingChain);
+
+  if (detail.status === 'failed') {
+    stats.failedSyncs++;
+  } else {
+    stats.successfulSyncs++;
+    if (detail.status === 'updated') {
+      stats.updatedCount++;
+      stats.discrepanciesFound++;
+    }
+  }
+
+  stats.syncDetails.push(detail);
+  return detail;
+}
+
+// Reconcile the database row with the ticket's on-chain status read. With `awaitingChain`
+// the ticket has a transaction still to land, so its ticket_status is kept.
+async function syncTicket(supabase, ticket, chainRead, awaitingChain = false) {
+  console.log(`   🆔 Ticket ID: ${ticket.ticket_id}`);
+  console.log(`   🔢 Token ID: ${ticket.nft_token_id}`);
+  console.log(`   📊 DB Status: ${ticket.ticket_status}`);
+  console.log(`   ⛓️ DB Registered: ${ticket.blockchain_registered}`);
+
+  try {
+    if (!chainRead || chainRead.error) {
+      throw new Error(chainRead?.error || 'No status returned for token');
+    }
+
+    const blockchainStatusInt = chainRead.status;
+
+    console.log(`   🔗 Blockchain Status: ${blockchainStatusInt}`);
+
+    // Interpret blockchain status
+    let expectedTicketStatus;
+    let expectedBlockchainRegistered;
+
+    switch (blockchainStatusInt) {
+      case 0: // Unregistered
+        expectedTicketStatus = ticket.ticket_status; // Keep current status
+        expectedBlockchainRegistered = false;
+        break;
+      case 1: // Registered
+        expectedTicketStatus = 'valid';
+        expectedBlockchainRegistered = true;
+        break;
+      case 2: // Revoked
+        expectedTicketStatus = 'revoked';
+        expectedBlockchainRegistered = true;
+        break;
+      default:
+        console.warn(`   ⚠️ Unknown blockchain status: ${blockchainStatusInt}`);
+        expectedTicketStatus = ticket.ticket_status;
+        expectedBlockchainRegistered = ticket.blockchain_registered;
+    }
+
+    if (awaitingChain && expectedTicketStatus !== ticket.ticket_status) {
+      console.log(`   ⏳ Transaction still pending, keeping DB status ${ticket.ticket_status}`);
+      expectedTicketStatus = ticket.ticket_status;
+    }
+
+    // Check if update is needed
+    const needsUpdate =
+      ticket.ticket_status !== expectedTicketStatus ||
+      ticket.blockchain_registered !== expectedBlockchainRegistered;
+
+    if (needsUpdate) {
+      console.log(`   🔄 Discrepancy found - updating database`);
+      console.log(`      📊 Status: ${ticket.ticket_status} → ${expectedTicketStatus}`);
+      console.log(`      ⛓️ Registered: ${ticket.blockchain_registered} → ${expectedBlockchainRegistered}`);
+
+      // Update the ticket in database
+      const { error: updateError } = await supabase
+        .from('tickets')
+        .update({
+          ticket_status: expectedTicketStatus,
+          blockchain_registered: expectedBlockchainRegistered,
+          nft_mint_status: blockchainStatusInt > 0 ? 'minted' : ticket.nft_mint_status,
+          last_blockchain_sync: new Date().toISOString(),
+          blockchain_sync_status: blockchainStatusInt
+        })
+        .eq('ticket_id', ticket.ticket_id);
+
+      if (updateError) {
+        throw new Error(`Failed to update ticket: ${updateError.message}`);
+      }
+
+      console.log(`   ✅ Ticket updated successfully`);
+      return {
+        ticket_id: ticket.ticket_id,
+        token_id: ticket.nft_token_id,
+        status: 'updated',
+        old_status: ticket.ticket_status,
+        new_status: expectedTicketStatus,
+        old_registered: ticket.blockchain_registered,
+        new_registered: expectedBlockchainRegistered,
+        blockchain_status: blockchainStatusInt
+      };
+    }
+
+    console.log(`   ✅ Ticket already in sync`);
+
+    // Just update the last sync timestamp
+    await supabase
+      .from('tickets')
+      .update({
+        last_blockchain_sync: new Date().toISOString(),
+        blockchain_sync_status: blockchainStatusInt
+      })
+      .eq('ticket_id', ticket.ticket_id);
+
+    return {
+      ticket_id: ticket.ticket_id,
+      token_id: ticket.nft_token_id,
+      status: 'in_sync',
+      blockchain_status: blockchainStatusInt,
+      ...(awaitingChain ? { awaiting_chain: true } : {})
+    };
+
+  } catch (error) {
+    console.error(`   ❌ Failed to sync ticket ${ticket.ticket_id}:`, error.message);
+    return {
+      ticket_id: ticket.ticket_id,
+      token_id: ticket.nft_token_id,
+      status: 'failed',
+      error: error.message
+    };
+  }
+}
+
+async function loadSyncCursor(supabase) {
+  const { data: cursor, error } = await supabase
+    .from('sync_cursors')
+    .select('*')
+    .eq('name', SYNC_CURSOR_NAME)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load sync cursor: ${error.message}`);
+  }
+
+  return cursor || { name: SYNC_CURSOR_NAME, last_ticket_id: null, pass_started_at: null };
+}
+
+// Take the cursor lease with a compare-and-swap on locked_until, like claimJob in
+// tx-queue.js. Returns { id, cursor }, or { id: null, lockedUntil } while another run holds it.
+async function claimSyncCursor(supabase, leaseMs) {
+  // The first run ever has no row to claim yet
+  const { error: createError } = await supabase
+    .from('sync_cursors')
+    .upsert({ name: SYNC_CURSOR_NAME }, { onConflict: 'name', ignoreDuplicates: true });
+
+  if (createError) {
+    throw new Error(`Failed to create sync cursor: ${createError.message}`);
+  }
+
+  const now = new Date();
+  const leaseId = randomUUID();
+  const { data, error } = await supabase
+    .from('sync_cursors')
+    .update({ lease_id: leaseId, locked_until: new Date(now.getTime() + leaseMs).toISOString() })
+    .eq('name', SYNC_CURSOR_NAME)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to claim sync cursor: ${error.message}`);
+  }
+
+  if (data?.[0]) {
+    return { id: leaseId, cursor: data[0] };
+  }
+
+  const held = await loadSyncCursor(supabase);
+  return { id: null, lockedUntil: held.locked_until };
+}
+
+// Cursor writes only land while the lease is still ours; a run whose lease expired and was
+// taken over stops instead of moving the other run's cursor
+async function saveSyncCursor(supabase, leaseId, changes) {
+  const { data, error } = await supabase
+    .from('sync_cursors')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('name', SYNC_CURSOR_NAME)
+    .eq('lease_id', leaseId)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to save sync cursor: ${error.message}`);
+  }
+  if (!data?.[0]) {
+    throw new Error('Sync cursor lease expired and was taken by another run');
+  }
+
+  return data[0];
+}
+
+async function releaseSyncCursor(supabase, leaseId) {
+  const { error } = await supabase
+    .from('sync_cursors')
+    .update({ lease_id: null, locked_until: null })
+    .eq('name', SYNC_CURSOR_NAME)
+    .eq('lease_id', leaseId);
+
+  if (error) {
+    console.error('⚠️ Failed to release sync cursor:', error.message);
+  }
+}
+
+// Park a failed ticket for a later invocation, backing off 2, 4, 8... minutes
+async function scheduleRetry(supabase, ticketId, attempts, errorMessage) {
+  const backoffMinutes = Math.pow(2, attempts);
+  const { error } = await supabase
+    .from('sync_retry_queue')
+    .upsert({
+      ticket_id: ticketId,
+      attempts: attempts,
+      last_error: errorMessage,
+      next_retry_at: new Date(Date.now() + backoffMinutes * 60 * 1000).toISOString(),
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'ticket_id' });
+
+  if (error) {
+    console.error(`   ⚠️ Failed to queue ticket ${ticketId} for retry:`, error.message);
+  }
+}
+
+// How far the current pass has got, counted over all tickets with a token ID
+async function getSyncProgress(supabase, lastTicketId, passComplete) {
+  const { count: total } = await supabase
+    .from('tickets')
+    .select('*', { count: 'exact', head: true })
+    .not('nft_token_id', 'is', null);
+
+  let processed = passComplete ? (total || 0) : 0;
+  if (!passComplete && lastTicketId) {
+    const { count } = await supabase
+      .from('tickets')
+      .select('*', { count: 'exact', head: true })
+      .not('nft_token_id', 'is', null)
+      .lte('ticket_id', lastTicketId);
+    processed = count || 0;
+  }
+
+  return {
+    processed: processed,
+    total: total || 0,
+    percentage: total > 0 ? ((processed / total) * 100).toFixed(2) : '100.00',
+    pass_complete: passComplete
+  };
+}
+
+async function countRetryBacklog(supabase) {
+  const [{ count: pending }, { count: exhausted }] = await Promise.all([
+    supabase
+      .from('sync_retry_queue')
+      .select('*', { count: 'exact', head: true })
+      .lt('attempts', MAX_RETRY_ATTEMPTS),
+    supabase
+      .from('sync_retry_queue')
+      .select('*', { count: 'exact', head: true })
+      .gte('attempts', MAX_RETRY_ATTEMPTS)
+  ]);
+
+  return { pending: pending || 0, exhausted: exhausted || 0 };
+}
@@ -0,0 +1,213 @@
+// /lib/bot-rules.js
+// Pluggable bot detection rules used by the bot activity scan
+//
+// Each rule looks at the purchases of one event inside the scan window and returns
+// matches of the form { purchase_ids, reason }. Thresholds come from the rule defaults,
+// overridden by the event's `bot_rule_config` and then by the scan request, e.g.
+//   { "quantity_cap": { "max_quantity_per_user": 4 }, "shared_payer": { "enabled": false } }
+// An event's `max_tickets_per_user` purchase limit replaces the default per-user quantity cap.
+// The per-user cap counts everything the user bought for the event, not just the window:
+// the scan passes each user's all-time quantity in as `userQuantities`.
+
+// Purchases with a combined risk score at or above this are flagged
+export const DEFAULT_MIN_RISK_SCORE = 30;
+
+const normalizeIdNumber = (idNumber) =>
+  String(idNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const groupBy = (items, keyFn) => {
+  const groups = {};
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (key === null || key === undefined || key === '') return;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(item);
+  });
+  return groups;
+};
+
+const distinctUsers = (purchases) => new Set(purchases.map(p => p.user_id)).size;
+
+export const BOT_RULES = [
+  {
+    id: 'rapid_purchase',
+    flag: 'rapid_purchase',
+    description: 'Several purchases by the same account inside the scan window',
+    defaults: { enabled: true, weight: 40, min_purchases: 2 },
+    evaluate(purchases, thresholds, context) {
+      return Object.entries(groupBy(purchases, p => p.user_id))
+        .filter(([, userPurchases]) => userPurchases.length >= thresholds.min_purchases)
+        .map(([userId, userPurchases]) => ({
+          purchase_ids: userPurchases.map(p => p.id),
+          reason: `User ${userId} made ${userPurchases.length} purchases within ${context.timeWindowMinutes} minutes`
+        }));
+    }
+  },
+  {
+    id: 'quantity_cap',
+    flag: 'quantity_over_cap',
+    description: 'Ticket quantity above the per-purchase or per-user cap for the event',
+    defaults: { enabled: true, weight: 35, max_quantity_per_purchase: 4, max_quantity_per_user: 6 },
+    evaluate(purchases, thresholds, context) {
+      const matches = [];
+
+      purchases
+        .filter(p => p.quantity > thresholds.max_quantity_per_purchase)
+        .forEach(p => matches.push({
+          purchase_ids: [p.id],
+          reason: `Purchase of ${p.quantity} tickets exceeds cap of ${thresholds.max_quantity_per_purchase}`
+        }));
+
+      Object.entries(groupBy(purchases, p => p.user_id)).forEach(([userId, userPurchases]) => {
+        const windowQuantity = userPurchases.reduce((sum, p) => sum + (p.quantity || 0), 0);
+        const totalQuantity = Math.max(context.userQuantities?.[userId] ?? 0, windowQuantity);
+        if (totalQuantity > thresholds.max_quantity_per_user) {
+          matches.push({
+            purchase_ids: userPurchases.map(p => p.id),
+            reason: `User ${userId} bought ${totalQuantity} tickets for the event (${windowQuantity} in this window), above cap of ${thresholds.max_quantity_per_user}`
+          });
+        }
+      });
+
+      return matches;
+    }
+  },
+  {
+    id: 'shared_payer',
+    flag: 'shared_payer',
+    description: 'Same PayPal payer or payment instrument used by several accounts',
+    defaults: { enabled: true, weight: 45, min_accounts: 2 },
+    evaluate(purchases, thresholds) {
+      const byPayer = groupBy(purchases, p => p.payments?.paypal_payer_id || p.payments?.payer_email);
+      return Object.entries(byPayer)
+        .filter(([, payerPurchases]) => distinctUsers(payerPurchases) >= thresholds.min_accounts)
+        .map(([payer, payerPurchases]) => ({
+          purchase_ids: payerPurchases.map(p => p.id),
+          reason: `Payer ${payer} used by ${distinctUsers(payerPurchases)} accounts`
+        }));
+    }
+  },
+  {
+    id: 'shared_id_number',
+    flag: 'shared_id_number',
+    description: 'Same (or same-prefix) ID number across several accounts',
+    // prefix_length 0 compares the full normalized ID number
+    defaults: { enabled: true, weight: 50, min_accounts: 2, prefix_length: 0 },
+    evaluate(purchases, thresholds) {
+      const byIdNumber = groupBy(purchases, p => {
+        const normalized = normalizeIdNumber(p.users?.id_number);
+        if (!normalized) return null;
+        return thresholds.prefix_length > 0 ? normalized.substring(0, thresholds.prefix_length) : normalized;
+      });
+      return Object.entries(byIdNumber)
+        .filter(([, idPurchases]) => distinctUsers(idPurchases) >= thresholds.min_accounts)
+        .map(([idPattern, idPurchases]) => ({
+          purchase_ids: idPurchases.map(p => p.id),
+          reason: `ID number pattern ${idPattern} shared by ${distinctUsers(idPurchases)} accounts`
+        }));
+    }
+  },
+  {
+    id: 'early_onsale',
+    flag: 'early_onsale_purchase',
+    description: 'Purchase completed within seconds of the event going on sale',
+    defaults: { enabled: true, weight: 25, seconds_after_sale_start: 10 },
+    evaluate(purchases, thresholds, context) {
+      const saleStart = context.event?.sale_start ? new Date(context.event.sale_start) : null;
+      if (!saleStart || isNaN(saleStart)) return [];
+
+      return purchases
+        .map(p => ({ purchase: p, seconds: (new Date(p.purchase_timestamp) - saleStart) / 1000 }))
+        .filter(({ seconds }) => seconds >= 0 && seconds <= thresholds.seconds_after_sale_start)
+        .map(({ purchase, seconds }) => ({
+          purchase_ids: [purchase.id],
+          reason: `Purchased ${seconds.toFixed(1)}s after sale start`
+        }));
+    }
+  },
+  {
+    id: 'unverified_user',
+    flag: 'unverified_account',
+    description: 'Purchase by an account that has not completed verification',
+    defaults: { enabled: true, weight: 20, allowed_statuses: ['verified'] },
+    evaluate(purchases, thresholds) {
+      return purchases
+        .filter(p => !thresholds.allowed_statuses.includes(p.users?.verification_status))
+        .map(p => ({
+          purchase_ids: [p.id],
+          reason: `Account verification status is ${p.users?.verification_status || 'unknown'}`
+        }));
+    }
+  }
+];
+
+// Merge rule defaults with the event's config and the request overrides
+export function resolveRuleConfig(eventConfig = {}, overrides = {}) {
+  const resolved = {};
+  BOT_RULES.forEach(rule => {
+    resolved[rule.id] = {
+      ...rule.defaults,
+      ...(eventConfig?.[rule.id] || {}),
+      ...(overrides?.[rule.id] || {})
+    };
+  });
+  resolved.min_risk_score = overrides?.min_risk_score ?? eventConfig?.min_risk_score ?? DEFAULT_MIN_RISK_SCORE;
+  return resolved;
+}
+
+// The event's bot_rule_config, with its purchase limit as the per-user cap unless set there
+function withEventLimits(event) {
+  const eventConfig = event?.bot_rule_config || {};
+  if (!event?.max_tickets_per_user || eventConfig.quantity_cap?.max_quantity_per_user !== undefined) {
+    return eventConfig;
+  }
+  return {
+    ...eventConfig,
+    quantity_cap: { ...(eventConfig.quantity_cap || {}), max_quantity_per_user: event.max_tickets_per_user }
+  };
+}
+
+// Run every enabled rule against the purchases of one event. `userQuantities` maps user IDs
+// to the tickets they hold for the event over all time.
+// Returns one assessment per purchase that matched at least one rule.
+export function evaluatePurchases(purchases, { event, timeWindowMinutes, overrides, userQuantities = {} } = {}) {
+  const config = resolveRuleConfig(withEventLimits(event), overrides);
+  const context = { event, timeWindowMinutes, userQuantities };
+  const purchasesById = Object.fromEntries(purchases.map(p => [p.id, p]));
+  const assessments = {};
+
+  BOT_RULES.forEach(rule => {
+    const thresholds = config[rule.id];
+    if (!thresholds.enabled) return;
+
+    rule.evaluate(purchases, thresholds, context).forEach(match => {
+      match.purchase_ids.forEach(purchaseId => {
+        if (!assessments[purchaseId]) {
+          assessments[purchaseId] = { purchase: purchasesById[purchaseId], matches: [] };
+        }
+        // A rule counts once per purchase even if it matched several ways
+        if (!assessments[purchaseId].matches.some(m => m.rule === rule.id)) {
+          assessments[purchaseId].matches.push({
+            rule: rule.id,
+            flag: rule.flag,
+            weight: thresholds.weight,
+            reason: match.reason
+          });
+        }
+      });
+    });
+  });
+
+  return Object.values(assessments).map(({ purchase, matches }) => {
+    const riskScore = Math.min(100, matches.reduce((sum, m) => sum + m.weight, 0));
+    const primary = [...matches].sort((a, b) => b.weight - a.weight)[0];
+    return {
+      purchase,
+      risk_score: riskScore,
+      flag: primary.flag,
+      risk_factors: matches.map(m => m.flag),
+      reasons: matches.map(m => m.reason),
+      should_flag: riskScore >= config.min_risk_score
+    };
+  });
+}
@@ -0,0 +1,203 @@
+// /lib/bot-scan.js
+// Core bot activity scan, shared by the admin endpoint and the scheduled job
+
+import { BOT_RULES, evaluatePurchases } from './bot-rules.js';
+import { openFlagCases, dismissedPurchaseIds } from './flag-cases.js';
+
+// Scan recent `normal` purchases, score them with the bot rules and flag the risky ones.
+// With dryRun the would-be results are returned and nothing is written.
+export async function runBotScan(supabase, { eventId = null, timeWindowMinutes = 5, rules = {}, dryRun = false } = {}) {
+  console.log('🔍 ============ BOT SCAN STARTED ============');
+  console.log('⏰ Time window:', timeWindowMinutes, 'minutes');
+  console.log('🎭 Event filter:', eventId || 'All events');
+  console.log('🧪 Dry run:', dryRun);
+  console.log('📏 Rule overrides:', Object.keys(rules).length > 0 ? JSON.stringify(rules) : 'none');
+
+  // Calculate the time threshold
+  const timeThreshold = new Date();
+  timeThreshold.setMinutes(timeThreshold.getMinutes() - timeWindowMinutes);
+  const timeThresholdISO = timeThreshold.toISOString();
+
+  console.log('🕐 Scanning purchases since:', timeThresholdISO);
+
+  // Build base query for purchases in the time window, with the data the rules need
+  let query = supabase
+    .from('purchase_history')
+    .select(`
+      *,
+      users(user_id, id_number, verification_status),
+      payments(payment_id, paypal_payer_id, payer_email),
+      events(event_id, event_name, sale_start, max_tickets_per_user, bot_rule_config)
+    `)
+    .gte('purchase_timestamp', timeThresholdISO)
+    .eq('status', 'normal');
+
+  // Add event filter if specified
+  if (eventId) {
+    query = query.eq('event_id', eventId);
+  }
+
+  // Get all purchases in the time window
+  const { data: recentPurchases, error } = await query
+    .order('purchase_timestamp', { ascending: false });
+
+  if (error) {
+    throw new Error(`Database scan failed: ${error.message}`);
+  }
+
+  console.log(`📊 Found ${recentPurchases?.length || 0} purchases in time window`);
+
+  if (!recentPurchases || recentPurchases.length === 0) {
+    return {
+      message: 'Scan completed. No purchases found in time window',
+      data: {
+        dry_run: dryRun,
+        scan_timestamp: new Date().toISOString(),
+        time_window_minutes: timeWindowMinutes,
+        event_filter: eventId || null,
+        flagged_users_count: 0,
+        flagged_purchases: []
+      }
+    };
+  }
+
+  // Rules run per event so each event's thresholds apply
+  const purchasesByEvent = {};
+  recentPurchases.forEach(purchase => {
+    if (!purchasesByEvent[purchase.event_id]) {
+      purchasesByEvent[purchase.event_id] = [];
+    }
+    purchasesByEvent[purchase.event_id].push(purchase);
+  });
+
+  const quantitiesByEvent = await userEventQuantities(supabase, recentPurchases);
+
+  const assessments = [];
+  Object.entries(purchasesByEvent).forEach(([eventKey, eventPurchases]) => {
+    const eventAssessments = evaluatePurchases(eventPurchases, {
+      event: eventPurchases[0].events,
+      timeWindowMinutes,
+      overrides: rules,
+      userQuantities: quantitiesByEvent[eventKey]
+    });
+    assessments.push(...eventAssessments);
+  });
+
+  console.log(`🎯 ${assessments.length} purchases matched at least one rule`);
+
+  // Purchases an analyst already cleared keep their score but are not flagged again
+  const dismissed = await dismissedPurchaseIds(supabase, assessments.map(a => a.purchase.id));
+
+  // Store the risk score on every matched purchase; flag those above the threshold
+  const flaggedPurchases = [];
+  const scoredPurchases = [];
+
+  for (const assessment of assessments) {
+    const purchase = assessment.purchase;
+    if (assessment.should_flag && dismissed.has(purchase.id)) {
+      console.log(`⏭️ Purchase ${purchase.id} was dismissed on review; not flagging again`);
+      assessment.should_flag = false;
+    }
+
+    const update = {
+      risk_score: assessment.risk_score,
+      risk_factors: assessment.risk_factors
+    };
+    if (assessment.should_flag) {
+      update.status = 'flagged';
+      update.flag = assessment.flag;
+    }
+
+    if (!dryRun) {
+      const { error: updateError } = await supabase
+        .from('purchase_history')
+        .update(update)
+        .eq('id', purchase.id);
+
+      if (updateError) {
+        console.error(`❌ Failed to update purchase ${purchase.id}:`, updateError);
+        continue;
+      }
+    }
+
+    const summary = {
+      purchase_id: purchase.id,
+      user_id: purchase.user_id,
+      event_id: purchase.event_id,
+      quantity: purchase.quantity,
+      purchase_timestamp: purchase.purchase_timestamp,
+      risk_score: assessment.risk_score,
+      flag: assessment.flag,
+      risk_factors: assessment.risk_factors,
+      reasons: assessment.reasons
+    };
+
+    if (assessment.should_flag) {
+      flaggedPurchases.push(summary);
+      console.log(`🚨 ${dryRun ? 'Would flag' : 'Flagged'} purchase ${purchase.id} (user ${purchase.user_id}): score ${assessment.risk_score} [${assessment.risk_factors.join(', ')}]`);
+    } else {
+      scoredPurchases.push(summary);
+    }
+  }
+
+  if (!dryRun) {
+    await openFlagCases(supabase, flaggedPurchases.map(p => p.purchase_id));
+  }
+
+  const flaggedUsersCount = new Set(flaggedPurchases.map(p => p.user_id)).size;
+
+  // Count matches per rule for the scan report
+  const ruleSummary = {};
+  BOT_RULES.forEach(rule => {
+    ruleSummary[rule.flag] = assessments.filter(a => a.risk_factors.includes(rule.flag)).length;
+  });
+
+  console.log(`🎉 ============ BOT SCAN COMPLETE${dryRun ? ' (DRY RUN, NO CHANGES MADE)' : ''} ============`);
+  console.log(`📈 Results: ${flaggedUsersCount} users flagged, ${flaggedPurchases.length} purchases flagged, ${scoredPurchases.length} scored below threshold`);
+
+  return {
+    message: dryRun
+      ? `Dry run completed. ${flaggedUsersCount} users would be flagged`
+      : `Scan completed. Found ${flaggedUsersCount} suspicious users`,
+    data: {
+      dry_run: dryRun,
+      scan_timestamp: new Date().toISOString(),
+      time_window_minutes: timeWindowMinutes,
+      event_filter: eventId || null,
+      flagged_users_count: flaggedUsersCount,
+      flagged_purchases: flaggedPurchases,
+      scored_purchases: scoredPurchases,
+      rule_summary: ruleSummary,
+      scan_details: {
+        total_purchases_in_window: recentPurchases.length,
+        unique_users_in_window: new Set(recentPurchases.map(p => p.user_id)).size,
+        events_scanned: Object.keys(purchasesByEvent).length,
+        purchases_matching_rules: assessments.length,
+        time_threshold: timeThresholdISO
+      }
+    }
+  };
+}
+
+// Tickets each scanned user bought per event over all time, revoked purchases excluded:
+// { [event_id]: { [user_id]: quantity } }. Spreading purchases over several windows must
+// not get around the per-user cap.
+async function userEventQuantities(supabase, purchases) {
+  const { data, error } = await supabase
+    .from('purchase_history')
+    .select('user_id, event_id, quantity')
+    .in('event_id', [...new Set(purchases.map(p => p.event_id))])
+    .in('user_id', [...new Set(purchases.map(p => p.user_id))])
+    .neq('status', 'revoked');
+
+  if (error) {
+    throw new Error(`Failed to load purchase totals: ${error.message}`);
+  }
+
+  const totals = {};
+  (data || []).forEach(p => {
+    if (!totals[p.event_id]) totals[p.event_id] = {};
+    totals[p.event_id][p.user_id] = (totals[p.event_id][p.user_id] || 0) + (p.quantity || 0);
+  });
+  return totals;
+}
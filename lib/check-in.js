@@ -0,0 +1,154 @@
+// /lib/check-in.js
+// Venue check-in: resolve a scanned QR payload to a ticket and decide whether it gets in
+//
+// Every scan is recorded in `ticket_check_ins`:
+//   ticket_id, event_id   - null when the payload matched no ticket
+//   gate, scanned_by      - gate name from the scanner and the staff user who scanned
+//   result, reason        - accepted, or rejected with one of CHECK_IN_REASONS
+//   chain_checked, chain_error
+//   checked_in_at
+// Only tickets in ticket_status `valid` get in, and each only once: the entry is claimed by
+// setting tickets.checked_in_at with a compare-and-swap on it being null, so two gates
+// scanning the same ticket at the same moment cannot both let it in. ticket_status is left
+// alone; a used ticket is still valid on chain.
+
+import { createHash } from 'crypto';
+import { readStatusesForTickets } from './blockchain-config.js';
+
+// Why a scan was turned away, with the text shown on the scanner
+export const CHECK_IN_REASONS = {
+  not_found: 'No ticket matches this QR code',
+  wrong_event: 'Ticket is for a different event',
+  event_cancelled: 'Event has been cancelled',
+  revoked: 'Ticket has been revoked',
+  not_valid: 'Ticket is not valid for entry',
+  revoked_on_chain: 'Ticket is revoked on the blockchain',
+  already_checked_in: 'Ticket has already been used'
+};
+
+const CHECK_IN_TICKET_COLUMNS = `
+  ticket_id,
+  event_id,
+  user_id,
+  ticket_number,
+  ticket_status,
+  checked_in_at,
+  nft_token_id,
+  blockchain_registered,
+  users!inner(user_id, id_name),
+  events!inner(event_id, event_name, event_date, venue, status)
+`;
+
+// Scanners send either the ticket's qr_code_data or its qr_code_hash
+export async function findTicketByQrPayload(supabase, payload) {
+  const payloadHash = createHash('sha256').update(payload).digest('hex');
+
+  const { data: byHash, error: hashError } = await supabase
+    .from('tickets')
+    .select(CHECK_IN_TICKET_COLUMNS)
+    .in('qr_code_hash', [payload, payloadHash])
+    .limit(1);
+
+  if (hashError) {
+    throw new Error(`Failed to look up ticket by QR hash: ${hashError.message}`);
+  }
+  if (byHash?.length > 0) return byHash[0];
+
+  const { data: byData, error: dataError } = await supabase
+    .from('tickets')
+    .select(CHECK_IN_TICKET_COLUMNS)
+    .eq('qr_code_data', payload)
+    .limit(1);
+
+  if (dataError) {
+    throw new Error(`Failed to look up ticket by QR data: ${dataError.message}`);
+  }
+  return byData?.[0] || null;
+}
+
+// The accepted check-in for a ticket, if it already has one
+export async function findAcceptedCheckIn(supabase, ticketId) {
+  const { data, error } = await supabase
+    .from('ticket_check_ins')
+    .select('id, gate, scanned_by, checked_in_at')
+    .eq('ticket_id', ticketId)
+    .eq('result', 'accepted')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read check-ins: ${error.message}`);
+  }
+  return data;
+}
+
+// Rejection reason from the database state alone, or null when the ticket may enter
+export function checkTicketForEntry(ticket, eventId, previousCheckIn) {
+  if (!ticket) return 'not_found';
+  if (eventId && String(ticket.event_id) !== String(eventId)) return 'wrong_event';
+  if (ticket.events?.status === 'cancelled') return 'event_cancelled';
+  if (ticket.ticket_status === 'revoked') return 'revoked';
+  if (ticket.ticket_status !== 'valid') return 'not_valid';
+  if (previousCheckIn || ticket.checked_in_at) return 'already_checked_in';
+  return null;
+}
+
+// Ask the event's contract whether the token is revoked. Only registered tokens can be
+// checked; a failed read is reported back rather than turning the holder away.
+export async function checkRevokedOnChain(supabase, ticket) {
+  if (!ticket.blockchain_registered || ticket.nft_token_id === null || ticket.nft_token_id === undefined) {
+    return { checked: false, revoked: null, error: 'Ticket is not registered on chain' };
+  }
+
+  const ethersModule = await import('ethers');
+  const ethers = ethersModule.default || ethersModule;
+
+  const statuses = await readStatusesForTickets(supabase, ethers, [ticket], { includeRevoked: true });
+  const chainRead = statuses.get(ticket.ticket_id);
+
+  if (!chainRead || chainRead.error) {
+    return { checked: false, revoked: null, error: chainRead?.error || 'No status returned for token' };
+  }
+  return { checked: true, revoked: Boolean(chainRead.isRevoked), error: null };
+}
+
+// Mark the ticket as used if nobody has yet. Returns the check-in time, or null when
+// another gate got there first.
+export async function claimEntry(supabase, ticketId) {
+  const checkedInAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('tickets')
+    .update({ checked_in_at: checkedInAt })
+    .eq('ticket_id', ticketId)
+    .eq('ticket_status', 'valid')
+    .is('checked_in_at', null)
+    .select('ticket_id');
+
+  if (error) {
+    throw new Error(`Failed to claim entry: ${error.message}`);
+  }
+  return data?.length > 0 ? checkedInAt : null;
+}
+
+// Undo a claim whose scan could not be recorded, so the holder can be scanned again
+export async function releaseEntry(supabase, ticketId, checkedInAt) {
+  const { error } = await supabase
+    .from('tickets')
+    .update({ checked_in_at: null })
+    .eq('ticket_id', ticketId)
+    .eq('checked_in_at', checkedInAt);
+
+  if (error) {
+    console.error(`⚠️ Failed to release entry of ticket ${ticketId}:`, error.message);
+  }
+}
+
+// Record a scan
+export async function recordCheckIn(supabase, checkIn) {
+  const { error } = await supabase
+    .from('ticket_check_ins')
+    .insert({ checked_in_at: new Date().toISOString(), ...checkIn });
+
+  if (error) {
+    throw new Error(`Failed to record check-in: ${error.message}`);
+  }
+}
@@ -0,0 +1,275 @@
+// /lib/event-indexer.js
+// Indexes the revocation contracts' event logs into the database
+//
+// Logs are read from the block after the stored checkpoint (`indexer_checkpoints`) up to
+// the chain head minus a few confirmations, in fixed-size block ranges. Each token affected
+// by a log becomes one row in `onchain_events` (unique on tx_hash + log_index + token_id,
+// so re-indexing a range is harmless), and the ticket rows are updated from the result.
+// Every contract in the registry (lib/blockchain-config.js) is indexed with its own
+// checkpoint, and only tickets whose event uses that contract are updated from its logs.
+// A range's checkpoint is only saved once its events are stored and applied; if either
+// fails the range is read again on the next run. A contract without a checkpoint starts at
+// its configured deployment block (`startBlock`), which is required. Tickets with a
+// transaction of ours still on its way to the chain keep their ticket_status, since the
+// database is ahead of the events there.
+
+import { getContractConfig, listContractKeys, connectProvider, DEFAULT_CONTRACT_KEY } from './blockchain-config.js';
+import { findTicketsAwaitingChain } from './tx-queue.js';
+
+// On-chain status each event leaves the token in (0=Unregistered, 1=Registered, 2=Revoked)
+const EVENT_RESULTING_STATUS = {
+  TicketRegistered: 1,
+  TicketRevoked: 2,
+  BatchTicketsRevoked: 2,
+  TicketReinstated: 1
+};
+
+const INDEXER_CONFIG = {
+  blockRange: parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000,   // blocks per eth_getLogs call
+  confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS) || 2  // stay behind the head to avoid reorgs
+};
+
+const DEFAULT_MAX_DURATION_MS = 45000;
+
+// Index new contract events since each contract's checkpoint and apply them to tickets.
+// Contracts share the time budget; one that fails is reported and the others still run.
+export async function indexContractEvents(supabase, { maxDurationMs = DEFAULT_MAX_DURATION_MS } = {}) {
+  const startTime = Date.now();
+  const deadline = startTime + maxDurationMs;
+
+  console.log('📚 ============ EVENT INDEXER STARTED ============');
+
+  const ethersModule = await import('ethers');
+  const ethers = ethersModule.default || ethersModule;
+
+  const contracts = [];
+  for (const contractKey of listContractKeys()) {
+    try {
+      contracts.push(await indexContract(supabase, ethers, getContractConfig(contractKey), deadline));
+    } catch (error) {
+      console.error(`❌ Indexing failed for ${contractKey}:`, error.message);
+      contracts.push({ contractKey, caughtUp: false, blocksRemaining: null, eventsIndexed: 0, ticketsUpdated: 0, error: error.message });
+    }
+  }
+
+  const eventsIndexed = contracts.reduce((sum, c) => sum + c.eventsIndexed, 0);
+  const ticketsUpdated = contracts.reduce((sum, c) => sum + c.ticketsUpdated, 0);
+  const caughtUp = contracts.every(c => c.caughtUp);
+  const duration = Date.now() - startTime;
+
+  console.log('✅ ============ EVENT INDEXER COMPLETED ============');
+  console.log(`   📚 Events indexed: ${eventsIndexed}`);
+  console.log(`   🎫 Tickets updated: ${ticketsUpdated}`);
+  contracts.forEach(c => {
+    console.log(`   📍 ${c.contractKey}: ${c.error ? `failed (${c.error})` : `up to block ${c.toBlock}${c.caughtUp ? ' (caught up)' : ''}`}`);
+  });
+
+  return {
+    contracts: contracts,
+    blocksRemaining: contracts.reduce((sum, c) => sum + (c.blocksRemaining || 0), 0),
+    caughtUp: caughtUp,
+    eventsIndexed: eventsIndexed,
+    ticketsUpdated: ticketsUpdated,
+    duration: duration
+  };
+}
+
+// Index one contract from its checkpoint until caught up or out of time
+async function indexContract(supabase, ethers, config, deadline) {
+  const contractAddress = config.contractAddress.toLowerCase();
+  const provider = await connectProvider(ethers, config);
+  const eventInterface = new ethers.utils.Interface(config.abi);
+  const topics = Object.keys(EVENT_RESULTING_STATUS).map(name => eventInterface.getEventTopic(name));
+
+  const { data: checkpoint, error: checkpointError } = await supabase
+    .from('indexer_checkpoints')
+    .select('last_indexed_block')
+    .eq('contract_address', contractAddress)
+    .eq('network', config.network)
+    .maybeSingle();
+
+  if (checkpointError) {
+    throw new Error(`Failed to load indexer checkpoint: ${checkpointError.message}`);
+  }
+
+  if (!checkpoint && config.startBlock === null) {
+    throw new Error(`Contract ${config.key} has no startBlock configured; set its deployment block before indexing`);
+  }
+
+  const firstBlock = checkpoint ? checkpoint.last_indexed_block + 1 : config.startBlock;
+  const headBlock = await provider.getBlockNumber();
+  const targetBlock = headBlock - INDEXER_CONFIG.confirmations;
+
+  console.log(`   📋 Contract: ${config.key} (${contractAddress} on ${config.network})`);
+  console.log('   📍 Checkpoint:', checkpoint ? checkpoint.last_indexed_block : '(none)');
+  console.log('   🎯 Indexing blocks', firstBlock, '→', targetBlock, `(head ${headBlock})`);
+
+  let fromBlock = firstBlock;
+  let eventsIndexed = 0;
+  let ticketsUpdated = 0;
+  const blockTimestamps = {};
+  const eventIds = await listContractEventIds(supabase, config.key);
+
+  while (fromBlock <= targetBlock && Date.now() < deadline) {
+    const toBlock = Math.min(fromBlock + INDEXER_CONFIG.blockRange - 1, targetBlock);
+
+    const logs = await provider.getLogs({
+      address: config.contractAddress,
+      fromBlock,
+      toBlock,
+      topics: [topics]
+    });
+
+    console.log(`📦 Blocks ${fromBlock}-${toBlock}: ${logs.length} logs`);
+
+    const eventRows = [];
+    for (const log of logs) {
+      const parsed = eventInterface.parseLog(log);
+      const tokenIds = parsed.name === 'BatchTicketsRevoked'
+        ? parsed.args.tokenIds.map(id => id.toString())
+        : [parsed.args.tokenId.toString()];
+
+      if (!(log.blockNumber in blockTimestamps)) {
+        const block = await provider.getBlock(log.blockNumber);
+        blockTimestamps[log.blockNumber] = new Date(block.timestamp * 1000).toISOString();
+      }
+
+      tokenIds.forEach(tokenId => {
+        eventRows.push({
+          contract_address: contractAddress,
+          network: config.network,
+          event_name: parsed.name,
+          token_id: tokenId,
+          resulting_status: EVENT_RESULTING_STATUS[parsed.name],
+          tx_hash: log.transactionHash,
+          log_index: log.logIndex,
+          block_number: log.blockNumber,
+          block_hash: log.blockHash,
+          block_timestamp: blockTimestamps[log.blockNumber],
+          indexed_at: new Date().toISOString()
+        });
+      });
+    }
+
+    if (eventRows.length > 0) {
+      const { error: insertError } = await supabase
+        .from('onchain_events')
+        .upsert(eventRows, { onConflict: 'tx_hash,log_index,token_id', ignoreDuplicates: true });
+
+      if (insertError) {
+        throw new Error(`Failed to store events for blocks ${fromBlock}-${toBlock}: ${insertError.message}`);
+      }
+
+      eventsIndexed += eventRows.length;
+      ticketsUpdated += await applyEventsToTickets(supabase, eventRows, eventIds);
+    }
+
+    // Checkpoint after every range so a timeout never re-reads finished blocks
+    const { error: saveError } = await supabase
+      .from('indexer_checkpoints')
+      .upsert({
+        contract_address: contractAddress,
+        network: config.network,
+        contract_key: config.key,
+        last_indexed_block: toBlock,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'contract_address,network' });
+
+    if (saveError) {
+      throw new Error(`Failed to save indexer checkpoint: ${saveError.message}`);
+    }
+
+    fromBlock = toBlock + 1;
+  }
+
+  return {
+    contractKey: config.key,
+    network: config.network,
+    fromBlock: firstBlock,
+    toBlock: fromBlock - 1,
+    headBlock: headBlock,
+    blocksRemaining: Math.max(0, targetBlock - fromBlock + 1),
+    caughtUp: fromBlock > targetBlock,
+    eventsIndexed: eventsIndexed,
+    ticketsUpdated: ticketsUpdated
+  };
+}
+
+// IDs of the events whose tickets live on this contract (events without a contract_key use the default)
+async function listContractEventIds(supabase, contractKey) {
+  let query = supabase.from('events').select('event_id');
+  query = contractKey === DEFAULT_CONTRACT_KEY
+    ? query.or(`contract_key.eq.${contractKey},contract_key.is.null`)
+    : query.eq('contract_key', contractKey);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to load events for contract ${contractKey}: ${error.message}`);
+  }
+  return (data || []).map(e => e.event_id);
+}
+
+// Update tickets from the last event seen for each token in this range. Throws on a failed
+// update so the caller does not checkpoint past events that were never applied.
+async function applyEventsToTickets(supabase, eventRows, eventIds) {
+  if (eventIds.length === 0) return 0;
+
+  const finalStatusByToken = {};
+  [...eventRows]
+    .sort((a, b) => a.block_number - b.block_number || a.log_index - b.log_index)
+    .forEach(row => {
+      finalStatusByToken[row.token_id] = row.resulting_status;
+    });
+
+  const tokensByStatus = {};
+  Object.entries(finalStatusByToken).forEach(([tokenId, status]) => {
+    if (!tokensByStatus[status]) tokensByStatus[status] = [];
+    tokensByStatus[status].push(tokenId);
+  });
+
+  let updated = 0;
+  for (const [status, tokenIds] of Object.entries(tokensByStatus)) {
+    const statusInt = parseInt(status);
+
+    const { data: tickets, error: ticketsError } = await supabase
+      .from('tickets')
+      .select('ticket_id')
+      .in('nft_token_id', tokenIds)
+      .in('event_id', eventIds);
+
+    if (ticketsError) {
+      throw new Error(`Failed to load tickets for ${tokenIds.length} tokens: ${ticketsError.message}`);
+    }
+
+    const ticketIds = (tickets || []).map(t => t.ticket_id);
+    const awaiting = await findTicketsAwaitingChain(supabase, ticketIds);
+
+    const syncFields = {
+      blockchain_registered: true,
+      blockchain_sync_status: statusInt,
+      last_blockchain_sync: new Date().toISOString()
+    };
+    const groups = [
+      [ticketIds.filter(id => !awaiting.has(String(id))), { ...syncFields, ticket_status: statusInt === 2 ? 'revoked' : 'valid' }],
+      [ticketIds.filter(id => awaiting.has(String(id))), syncFields]
+    ];
+
+    for (const [ids, update] of groups) {
+      if (ids.length === 0) continue;
+
+      const { data, error } = await supabase
+        .from('tickets')
+        .update(update)
+        .in('ticket_id', ids)
+        .select('ticket_id');
+
+      if (error) {
+        throw new Error(`Failed to apply status ${status} to ${ids.length} tickets: ${error.message}`);
+      }
+
+      updated += data?.length || 0;
+    }
+  }
+
+  return updated;
+}
@@ -0,0 +1,155 @@
+// /lib/events.js
+// Event fields, validation and sales counts for event management
+//
+// Columns of `events` managed through api/admin/events.js:
+//   event_name, event_date, venue, ticket_price
+//   capacity             - tickets that can be sold in total
+//   sale_start, sale_end - on-sale window (sale_start also feeds the early_onsale bot rule)
+//   max_tickets_per_user - purchase limit per account, also the bot scan's per-user quantity cap
+//   status               - draft, on_sale, sold_out or cancelled
+//   contract_key         - registry contract for the event's tokens (see blockchain-config.js)
+//   bot_rule_config      - per-event bot rule thresholds (see bot-rules.js)
+//   created_at, updated_at
+
+import { listContractKeys } from './blockchain-config.js';
+
+export const EVENT_STATUSES = ['draft', 'on_sale', 'sold_out', 'cancelled'];
+
+export const EVENT_COLUMNS = 'event_id, event_name, event_date, venue, ticket_price, capacity, sale_start, sale_end, max_tickets_per_user, status, contract_key, bot_rule_config, created_at, updated_at';
+
+// Fields an admin may set; anything else in the request body is ignored
+const EDITABLE_FIELDS = [
+  'event_name', 'event_date', 'venue', 'ticket_price', 'capacity', 'sale_start', 'sale_end',
+  'max_tickets_per_user', 'status', 'contract_key', 'bot_rule_config'
+];
+
+export function pickEventFields(body = {}) {
+  return Object.fromEntries(EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+// Tickets sold for an event (revoked tickets give their place back), and how many of them are on chain
+export async function getEventSales(supabase, eventId) {
+  const [{ count: sold, error: soldError }, { count: onChain, error: chainError }] = await Promise.all([
+    supabase
+      .from('tickets')
+      .select('ticket_id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .neq('ticket_status', 'revoked'),
+    supabase
+      .from('tickets')
+      .select('ticket_id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .eq('blockchain_registered', true)
+  ]);
+
+  if (soldError || chainError) {
+    throw new Error(`Failed to count tickets for event ${eventId}: ${(soldError || chainError).message}`);
+  }
+
+  return { ticketsSold: sold || 0, ticketsOnChain: onChain || 0 };
+}
+
+const isDate = value => typeof value === 'string' && !isNaN(new Date(value));
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// Check a create (existing = null) or an update against the event's current state.
+// Returns a list of problems; empty when the change is allowed.
+export function validateEvent(fields, { existing = null, sales = { ticketsSold: 0, ticketsOnChain: 0 } } = {}) {
+  const errors = [];
+  const merged = { ...(existing || {}), ...fields };
+  const now = new Date();
+
+  if (!existing) {
+    ['event_name', 'event_date', 'venue', 'capacity'].forEach(field => {
+      if (fields[field] === undefined || fields[field] === null || fields[field] === '') {
+        errors.push(`${field} is required`);
+      }
+    });
+  }
+
+  if (fields.event_name !== undefined && (typeof fields.event_name !== 'string' || !fields.event_name.trim())) {
+    errors.push('event_name must be a non-empty string');
+  }
+  if (fields.venue !== undefined && (typeof fields.venue !== 'string' || !fields.venue.trim())) {
+    errors.push('venue must be a non-empty string');
+  }
+  if (fields.ticket_price !== undefined && (typeof fields.ticket_price !== 'number' || fields.ticket_price < 0)) {
+    errors.push('ticket_price must be a number of 0 or more');
+  }
+
+  ['event_date', 'sale_start', 'sale_end'].forEach(field => {
+    if (fields[field] !== undefined && fields[field] !== null && !isDate(fields[field])) {
+      errors.push(`${field} must be an ISO date`);
+    }
+  });
+
+  if (fields.event_date !== undefined && isDate(fields.event_date) && new Date(fields.event_date) < now) {
+    errors.push('event_date cannot be in the past');
+  }
+
+  if (isDate(merged.sale_start) && isDate(merged.sale_end) && new Date(merged.sale_start) >= new Date(merged.sale_end)) {
+    errors.push('sale_start must be before sale_end');
+  }
+  if (isDate(merged.sale_end) && isDate(merged.event_date) && new Date(merged.sale_end) > new Date(merged.event_date)) {
+    errors.push('sale_end cannot be after the event date');
+  }
+
+  if (fields.capacity !== undefined) {
+    if (!isPositiveInteger(fields.capacity)) {
+      errors.push('capacity must be a positive integer');
+    } else if (fields.capacity < sales.ticketsSold) {
+      errors.push(`capacity cannot be lowered below the ${sales.ticketsSold} tickets already sold`);
+    }
+  }
+
+  if (fields.max_tickets_per_user !== undefined && fields.max_tickets_per_user !== null) {
+    if (!isPositiveInteger(fields.max_tickets_per_user)) {
+      errors.push('max_tickets_per_user must be a positive integer');
+    } else if (isPositiveInteger(merged.capacity) && fields.max_tickets_per_user > merged.capacity) {
+      errors.push('max_tickets_per_user cannot be more than the capacity');
+    }
+  }
+
+  if (fields.contract_key !== undefined && fields.contract_key !== null) {
+    if (!listContractKeys().includes(fields.contract_key)) {
+      errors.push(`contract_key must be one of: ${listContractKeys().join(', ')}`);
+    } else if (existing && fields.contract_key !== existing.contract_key && sales.ticketsOnChain > 0) {
+      errors.push(`contract_key cannot change after ${sales.ticketsOnChain} tickets were registered on chain`);
+    }
+  }
+
+  if (fields.bot_rule_config !== undefined && fields.bot_rule_config !== null &&
+      (typeof fields.bot_rule_config !== 'object' || Array.isArray(fields.bot_rule_config))) {
+    errors.push('bot_rule_config must be an object');
+  }
+
+  if (fields.status !== undefined && fields.status !== (existing?.status)) {
+    errors.push(...validateStatusChange(existing?.status || null, fields.status, merged, sales));
+  }
+
+  return errors;
+}
+
+function validateStatusChange(from, to, event, sales) {
+  if (!EVENT_STATUSES.includes(to)) {
+    return [`status must be one of: ${EVENT_STATUSES.join(', ')}`];
+  }
+  if (from === 'cancelled') {
+    return ['A cancelled event cannot be reopened'];
+  }
+  if (to === 'draft' && sales.ticketsSold > 0) {
+    return ['An event with tickets sold cannot go back to draft'];
+  }
+  if (to === 'on_sale') {
+    if (!isDate(event.sale_start) || !isDate(event.sale_end)) {
+      return ['sale_start and sale_end are required to put an event on sale'];
+    }
+    if (new Date(event.sale_end) <= new Date()) {
+      return ['The sale window has already ended'];
+    }
+    if (isPositiveInteger(event.capacity) && sales.ticketsSold >= event.capacity) {
+      return ['The event is already sold out'];
+    }
+  }
+  return [];
+}
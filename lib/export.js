@@ -0,0 +1,337 @@
+// /lib/export.js
+// Streaming CSV and XLSX exports for admin list endpoints
+//
+// Rows are read from the database one page at a time and written to the response as they
+// arrive, so an export of tens of thousands of rows never holds more than a page in memory.
+// XLSX files are written as a zip stream (one deflated sheet with inline strings), which
+// spreadsheet apps open like any other workbook.
+//
+// The first page is read before anything is sent, so an export that fails straight away
+// answers 500 with a JSON error. A later page can only fail once the response has started:
+// the file is then ended with a final "export incomplete" row, and the X-Export-Status
+// trailer (declared up front) says `incomplete` instead of `complete`, so clients can tell a
+// truncated file from a whole one.
+
+import zlib from 'zlib';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export const EXPORT_PAGE_SIZE = parseInt(process.env.EXPORT_PAGE_SIZE) || 1000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Stream every row returned by `fetchPage` to the response.
+//   columns   - [{ header, value: row => cell }]; numbers stay numeric in XLSX, objects become JSON
+//   fetchPage - (from, to) => supabase query result ({ data, error }) for that inclusive range;
+//               it must use a stable order so pages do not overlap
+// Returns the number of rows exported.
+export async function streamExport(res, {
+  format,
+  filename,
+  columns,
+  fetchPage,
+  sheetName = 'Export',
+  pageSize = EXPORT_PAGE_SIZE
+}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const fullName = `${filename}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  let offset = 0;
+  let page = await fetchPage(offset, offset + pageSize - 1);
+
+  if (page.error) {
+    console.error(`❌ Export of ${fullName} failed:`, page.error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch rows for export',
+      error: page.error.message
+    });
+    return 0;
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fullName}"`);
+  res.setHeader('Trailer', 'X-Export-Status');
+  res.status(200);
+
+  const writer = format === 'xlsx' ? createXlsxWriter(res, sheetName) : createCsvWriter(res);
+  await writer.writeRows([columns.map(c => c.header)]);
+
+  let exported = 0;
+  let complete = true;
+
+  while (true) {
+    const { data: rows, error } = page;
+
+    if (error) {
+      console.error(`❌ Export of ${fullName} failed after ${exported} rows:`, error);
+      await writer.writeRows([[`export incomplete after ${exported} rows: ${error.message}`]]);
+      complete = false;
+      break;
+    }
+
+    if (!rows || rows.length === 0) break;
+
+    await writer.writeRows(rows.map(row => columns.map(c => c.value(row))));
+    exported += rows.length;
+
+    if (rows.length < pageSize) break;
+    offset += pageSize;
+    page = await fetchPage(offset, offset + pageSize - 1);
+  }
+
+  res.addTrailers({ 'X-Export-Status': complete ? 'complete' : 'incomplete' });
+  await writer.finish();
+
+  console.log(`📤 Exported ${exported} rows to ${fullName}${complete ? '' : ' (incomplete)'}`);
+  return exported;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// ============ CSV ============
+
+function createCsvWriter(res) {
+  return {
+    async writeRows(rows) {
+      await write(res, rows.map(row => row.map(csvField).join(',')).join('\n') + '\n');
+    },
+    async finish() {
+      res.end();
+    }
+  };
+}
+
+function csvField(value) {
+  let text = cellText(value);
+
+  // Keep spreadsheet apps from evaluating cell contents as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Respect backpressure so a slow client does not pile rows up in memory
+function write(res, chunk) {
+  return new Promise(resolve => {
+    if (res.write(chunk)) {
+      resolve();
+    } else {
+      res.once('drain', resolve);
+    }
+  });
+}
+
+// ============ XLSX ============
+
+const XLSX_STATIC_PARTS = {
+  '[Content_Types].xml':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>',
+  '_rels/.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/_rels/workbook.xml.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>'
+};
+
+function createXlsxWriter(res, sheetName) {
+  const zip = createZipStream(res);
+  let sheet = null;
+
+  const workbook =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${xmlEscape(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>';
+
+  return {
+    async writeRows(rows) {
+      if (!sheet) {
+        for (const [name, content] of Object.entries(XLSX_STATIC_PARTS)) {
+          await zip.addFile(name, content);
+        }
+        await zip.addFile('xl/workbook.xml', workbook);
+
+        sheet = zip.openFile('xl/worksheets/sheet1.xml');
+        await sheet.write(
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+        );
+      }
+
+      await sheet.write(rows.map(row => `<row>${row.map(xlsxCell).join('')}</row>`).join(''));
+    },
+    async finish() {
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.close();
+      await zip.finish();
+      res.end();
+    }
+  };
+}
+
+function xlsxCell(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c><v>${value}</v></c>`;
+  }
+  const text = cellText(value);
+  if (text === '') return '<c/>';
+  return `<c t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+}
+
+function xmlEscape(text) {
+  return String(text)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ============ ZIP STREAM ============
+// Minimal zip writer: deflated entries whose sizes and CRC follow the data in a data
+// descriptor, so nothing has to be buffered. No zip64, which caps an export at 4 GB.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function createZipStream(res) {
+  const entries = [];
+  const modified = dosDateTime(new Date());
+  let offset = 0;
+
+  async function output(buffer) {
+    offset += buffer.length;
+    await write(res, buffer);
+  }
+
+  function openFile(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset, crc: 0, compressedSize: 0, size: 0 };
+    const deflate = zlib.createDeflateRaw();
+    const ended = new Promise(resolve => deflate.once('end', resolve));
+    let pending = Promise.resolve();
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);               // version needed
+    header.writeUInt16LE(0x0808, 6);           // data descriptor follows, UTF-8 names
+    header.writeUInt16LE(8, 8);                // deflate
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    const opened = output(Buffer.concat([header, nameBuffer]));
+
+    deflate.on('data', chunk => {
+      entry.compressedSize += chunk.length;
+      pending = pending.then(() => output(chunk));
+    });
+
+    return {
+      async write(text) {
+        await opened;
+        const buffer = Buffer.from(text, 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        deflate.write(buffer);
+        // Flush each chunk through so compressed output never builds up
+        await new Promise(resolve => deflate.flush(resolve));
+        await pending;
+      },
+      async close() {
+        await opened;
+        deflate.end();
+        await ended;
+        await pending;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await output(descriptor);
+
+        entries.push(entry);
+      }
+    };
+  }
+
+  return {
+    openFile,
+    async addFile(name, content) {
+      const file = openFile(name);
+      await file.write(content);
+      await file.close();
+    },
+    async finish() {
+      const centralStart = offset;
+
+      for (const entry of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);             // version made by
+        header.writeUInt16LE(20, 6);             // version needed
+        header.writeUInt16LE(0x0808, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(modified.time, 12);
+        header.writeUInt16LE(modified.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.nameBuffer.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        await output(Buffer.concat([header, entry.nameBuffer]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - centralStart, 12);
+      end.writeUInt32LE(centralStart, 16);
+      await output(end);
+    }
+  };
+}
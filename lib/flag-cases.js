@@ -0,0 +1,166 @@
+// /lib/flag-cases.js
+// Review cases for flagged purchases
+//
+// Each flagged purchase gets one row in `flag_cases` (purchase_id is unique):
+//   state              - open, in_review, escalated, dismissed or revoked
+//   assigned_to        - reviewing analyst (users.user_id), assigned_at
+//   escalated_by, escalated_at, escalation_reason
+//   resolved_by, resolved_at, resolution_reason  (set when dismissed or revoked)
+//   created_at, updated_at
+// Analysts' notes go to `flag_case_notes` (case_id, author_id, note, evidence jsonb, created_at).
+//
+// The bot scan opens a case when it flags a purchase. Purchases flagged before cases existed
+// get theirs from scripts/backfill-flag-cases.js (run it once when deploying cases, and again
+// if a scan logs that it could not open its cases), or when an analyst first acts on them.
+// Filtering get-flagged-activities.js by case state or reviewer only finds purchases with a
+// case. A dismissed purchase goes back to `normal` and is never flagged again by later scans.
+
+export const CASE_STATES = ['open', 'in_review', 'escalated', 'dismissed', 'revoked'];
+
+// States in which a case is still waiting for a decision
+export const ACTIVE_CASE_STATES = ['open', 'in_review', 'escalated'];
+
+export const CASE_COLUMNS = 'id, purchase_id, state, assigned_to, assigned_at, escalated_by, escalated_at, escalation_reason, resolved_by, resolved_at, resolution_reason, created_at, updated_at';
+
+// Open a case for each purchase that does not have one yet. Returns the error, if any.
+export async function openFlagCases(supabase, purchaseIds) {
+  if (purchaseIds.length === 0) return null;
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('flag_cases')
+    .upsert(
+      purchaseIds.map(purchaseId => ({ purchase_id: purchaseId, state: 'open', created_at: now, updated_at: now })),
+      { onConflict: 'purchase_id', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    console.error(`⚠️ Failed to open review cases for ${purchaseIds.length} purchases:`, error.message);
+  }
+  return error;
+}
+
+// Open the cases of flagged purchases that have none, a page of purchases at a time.
+// Returns { checked, opened }.
+export async function openMissingFlagCases(supabase, { pageSize = 500 } = {}) {
+  let lastId = null;
+  let checked = 0;
+  let opened = 0;
+
+  while (true) {
+    let query = supabase
+      .from('purchase_history')
+      .select('id')
+      .eq('status', 'flagged')
+      .order('id', { ascending: true })
+      .limit(pageSize);
+    if (lastId !== null) query = query.gt('id', lastId);
+
+    const { data: purchases, error } = await query;
+    if (error) {
+      throw new Error(`Failed to read flagged purchases: ${error.message}`);
+    }
+    if (!purchases || purchases.length === 0) break;
+
+    const purchaseIds = purchases.map(p => p.id);
+    const { data: cases, error: caseError } = await supabase
+      .from('flag_cases')
+      .select('purchase_id')
+      .in('purchase_id', purchaseIds);
+    if (caseError) {
+      throw new Error(`Failed to read review cases: ${caseError.message}`);
+    }
+
+    const withCase = new Set((cases || []).map(c => c.purchase_id));
+    const missing = purchaseIds.filter(id => !withCase.has(id));
+    const openError = await openFlagCases(supabase, missing);
+    if (openError) {
+      throw new Error(`Failed to open review cases: ${openError.message}`);
+    }
+
+    checked += purchaseIds.length;
+    opened += missing.length;
+    lastId = purchaseIds[purchaseIds.length - 1];
+    if (purchases.length < pageSize) break;
+  }
+
+  return { checked, opened };
+}
+
+// The purchase's case, opening one if it is flagged and has none yet
+export async function getOrOpenCase(supabase, purchaseId) {
+  const existing = await findCase(supabase, { purchaseId });
+  if (existing) return existing;
+
+  await openFlagCases(supabase, [purchaseId]);
+  return findCase(supabase, { purchaseId });
+}
+
+export async function findCase(supabase, { caseId = null, purchaseId = null }) {
+  let query = supabase.from('flag_cases').select(CASE_COLUMNS);
+  query = caseId ? query.eq('id', caseId) : query.eq('purchase_id', purchaseId);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    throw new Error(`Failed to load review case: ${error.message}`);
+  }
+  return data;
+}
+
+// Purchases among `purchaseIds` whose case was dismissed as a false positive
+export async function dismissedPurchaseIds(supabase, purchaseIds) {
+  if (purchaseIds.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('flag_cases')
+    .select('purchase_id')
+    .in('purchase_id', purchaseIds)
+    .eq('state', 'dismissed');
+
+  if (error) {
+    console.error('⚠️ Failed to read dismissed review cases:', error.message);
+    return new Set();
+  }
+  return new Set((data || []).map(c => c.purchase_id));
+}
+
+// Close the cases of revoked purchases (opening any that are missing, so every revocation
+// of a flagged purchase leaves a resolved case behind)
+export async function resolveCasesAsRevoked(supabase, purchaseIds, adminId, reason) {
+  if (purchaseIds.length === 0) return;
+
+  await openFlagCases(supabase, purchaseIds);
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('flag_cases')
+    .update({ state: 'revoked', resolved_by: adminId, resolved_at: now, resolution_reason: reason, updated_at: now })
+    .in('purchase_id', purchaseIds)
+    .in('state', ACTIVE_CASE_STATES);
+
+  if (error) {
+    console.error('⚠️ Failed to close review cases of revoked purchases:', error.message);
+  }
+}
+
+// A reinstatement overturns the revocation, so the purchase's case ends up dismissed
+export async function dismissRevokedCases(supabase, purchaseIds, adminId, reason) {
+  if (purchaseIds.length === 0) return;
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('flag_cases')
+    .update({ state: 'dismissed', resolved_by: adminId, resolved_at: now, resolution_reason: reason, updated_at: now })
+    .in('purchase_id', purchaseIds)
+    .eq('state', 'revoked');
+
+  if (error) {
+    console.error('⚠️ Failed to dismiss review cases of reinstated purchases:', error.message);
+  }
+}
+
+// PostgREST returns an embedded one-to-one row as an object or a one-element array
+export function embeddedCase(purchase) {
+  const flagCase = purchase?.flag_cases;
+  return Array.isArray(flagCase) ? flagCase[0] || null : flagCase || null;
+}
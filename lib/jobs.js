@@ -0,0 +1,220 @@
+// /lib/jobs.js
+// Scheduled background jobs and their run history
+//
+// Jobs are triggered by Vercel cron through /api/cron/<job name> (schedules live in vercel.json).
+// Every run is recorded in the `job_runs` table with its duration, counts and error.
+// A job can be switched off without a deploy by setting JOB_<NAME>_ENABLED=false,
+// e.g. JOB_BOT_SCAN_ENABLED=false.
+
+import { runBotScan } from './bot-scan.js';
+import { performBlockchainSync } from './blockchain-sync.js';
+import { performTokenVerification } from './token-verification.js';
+import { indexContractEvents } from './event-indexer.js';
+import { processQueue, redriveBlockchainActions } from './tx-queue.js';
+import { liftExpiredRestrictions } from './user-moderation.js';
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+export const JOBS = {
+  'bot-scan': {
+    description: 'Score and flag recent purchases with the bot detection rules',
+    async run(supabase) {
+      const result = await runBotScan(supabase, {
+        timeWindowMinutes: envInt('BOT_SCAN_WINDOW_MINUTES', 10)
+      });
+      return {
+        processed: result.data.scan_details?.total_purchases_in_window || 0,
+        affected: result.data.flagged_purchases.length,
+        summary: {
+          flagged_users_count: result.data.flagged_users_count,
+          rule_summary: result.data.rule_summary || {},
+          time_window_minutes: result.data.time_window_minutes
+        }
+      };
+    }
+  },
+  'tx-queue': {
+    description: 'Re-drive pending or failed chain actions and advance queued transactions',
+    async run(supabase) {
+      const redrive = await redriveBlockchainActions(supabase);
+      const queue = await processQueue(supabase, { limit: envInt('TX_QUEUE_JOB_LIMIT', 50) });
+      return {
+        processed: queue.processed,
+        affected: queue.confirmed,
+        summary: {
+          requeued: redrive.requeued,
+          not_required: redrive.not_required,
+          superseded: redrive.superseded,
+          confirmed: queue.confirmed,
+          failed: queue.failed,
+          in_flight: queue.pending
+        }
+      };
+    }
+  },
+  'event-indexer': {
+    description: 'Index new revocation contract events and apply them to tickets',
+    async run(supabase) {
+      const result = await indexContractEvents(supabase);
+      return {
+        processed: result.eventsIndexed,
+        affected: result.ticketsUpdated,
+        summary: {
+          contracts: result.contracts.map(c => ({ contract_key: c.contractKey, to_block: c.toBlock, error: c.error || null })),
+          blocks_remaining: result.blocksRemaining,
+          caught_up: result.caughtUp
+        }
+      };
+    }
+  },
+  'blockchain-sync': {
+    description: 'Sync ticket states in the database with the revocation contract',
+    async run(supabase) {
+      const result = await performBlockchainSync(supabase, envInt('SYNC_JOB_LIMIT', 100), false);
+      // An admin-triggered sync is working the pass; this run has nothing to do
+      if (result.busy) {
+        return { processed: 0, affected: 0, summary: { skipped: 'sync already running', locked_until: result.lockedUntil } };
+      }
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return {
+        processed: result.totalChecked,
+        affected: result.updatedCount,
+        summary: {
+          successful_syncs: result.successfulSyncs,
+          failed_syncs: result.failedSyncs,
+          discrepancies_found: result.discrepanciesFound,
+          progress: result.progress,
+          retry_backlog: result.retries.backlog
+        }
+      };
+    }
+  },
+  'token-verification': {
+    description: 'Verify tokens against the contract and report inconsistencies',
+    async run(supabase) {
+      const result = await performTokenVerification(supabase, envInt('VERIFY_JOB_LIMIT', 200), 'all', false, false);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return {
+        processed: result.totalChecked,
+        affected: result.inconsistencies,
+        summary: {
+          valid_tokens: result.validTokens,
+          revoked_tokens: result.revokedTokens,
+          unregistered_tokens: result.unregisteredTokens,
+          verification_errors: result.invalidTokens
+        }
+      };
+    }
+  },
+  'account-expiry': {
+    description: 'Lift account suspensions and bans whose end date has passed',
+    async run(supabase) {
+      const result = await liftExpiredRestrictions(supabase, { limit: envInt('ACCOUNT_EXPIRY_JOB_LIMIT', 500) });
+      return {
+        processed: result.checked,
+        affected: result.lifted,
+        summary: { lifted: result.lifted }
+      };
+    }
+  }
+};
+
+export function isJobEnabled(jobName) {
+  const envName = `JOB_${jobName.toUpperCase().replace(/-/g, '_')}_ENABLED`;
+  return process.env[envName] !== 'false';
+}
+
+// Vercel cron invocations carry `Authorization: Bearer <CRON_SECRET>`
+export function isAuthorizedCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.error('❌ CRON_SECRET is not configured; refusing cron request');
+    return false;
+  }
+  return req.headers.authorization === `Bearer ${secret}`;
+}
+
+// Run a job and record the run in job_runs. Never throws: failures are stored on the run.
+export async function runJob(supabase, jobName, { trigger = 'cron', triggeredBy = null } = {}) {
+  const job = JOBS[jobName];
+  if (!job) {
+    throw new Error(`Unknown job: ${jobName}`);
+  }
+
+  console.log(`⏱️ ============ JOB ${jobName.toUpperCase()} STARTED ============`);
+  console.log('🚦 Trigger:', trigger);
+
+  const startedAt = new Date();
+
+  const { data: run, error: insertError } = await supabase
+    .from('job_runs')
+    .insert({
+      job_name: jobName,
+      trigger: trigger,
+      triggered_by: triggeredBy,
+      status: 'running',
+      started_at: startedAt.toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    // Still run the job; losing a history row is better than skipping a scan
+    console.error('⚠️ Failed to record job run start:', insertError.message);
+  }
+
+  let outcome;
+  try {
+    const result = await job.run(supabase);
+    outcome = {
+      status: 'success',
+      items_processed: result.processed || 0,
+      items_affected: result.affected || 0,
+      summary: result.summary || {},
+      error: null
+    };
+    console.log(`✅ Job ${jobName} succeeded: ${outcome.items_processed} processed, ${outcome.items_affected} affected`);
+  } catch (error) {
+    outcome = {
+      status: 'failed',
+      items_processed: 0,
+      items_affected: 0,
+      summary: {},
+      error: error.message
+    };
+    console.error(`❌ Job ${jobName} failed:`, error.message);
+  }
+
+  const finishedAt = new Date();
+  const completedRun = {
+    ...outcome,
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - startedAt
+  };
+
+  if (run?.id) {
+    const { error: updateError } = await supabase
+      .from('job_runs')
+      .update(completedRun)
+      .eq('id', run.id);
+
+    if (updateError) {
+      console.error('⚠️ Failed to record job run result:', updateError.message);
+    }
+  }
+
+  return {
+    id: run?.id || null,
+    job_name: jobName,
+    trigger: trigger,
+    started_at: startedAt.toISOString(),
+    ...completedRun
+  };
+}
@@ -0,0 +1,155 @@
+// /lib/multicall.js
+// Batched on-chain ticket status reads
+//
+// Reads getTicketStatus (and optionally isRevoked) for many tokens in a few RPC round
+// trips instead of one call per token. Three strategies return identical results:
+//   multicall  - one eth_call per batch through the Multicall3 aggregate3 contract
+//   rpc_batch  - JSON-RPC batch requests (one HTTP request per batch)
+//   individual - one eth_call per token read, the old behaviour (kept for comparison)
+// `auto` uses Multicall3 when it is deployed on the connected chain, else rpc_batch.
+// With `blockTag` every read is made against the state at that block instead of the head.
+
+import { primaryConnection } from './rpc-provider.js';
+
+// Multicall3 is deployed at the same address on mainnet, Sepolia and most other chains
+const MULTICALL3_ADDRESS = process.env.MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+const STATUS_ABI = [
+  "function getTicketStatus(uint256 tokenId) external view returns (uint8)",
+  "function isRevoked(uint256 tokenId) external view returns (bool)"
+];
+
+export const DEFAULT_STATUS_BATCH_SIZE = parseInt(process.env.STATUS_READ_BATCH_SIZE) || 200;
+
+// Returns a Map of tokenId (string) → { status, isRevoked, error }.
+// `status` is the getTicketStatus value as a number; `isRevoked` is only read with includeRevoked.
+export async function readTicketStatuses(ethers, provider, contractAddress, tokenIds, {
+  batchSize = DEFAULT_STATUS_BATCH_SIZE,
+  includeRevoked = false,
+  mode = 'auto',
+  blockTag = undefined
+} = {}) {
+  const ids = tokenIds.map(id => String(id));
+  const results = new Map();
+  if (ids.length === 0) return results;
+
+  let strategy = mode;
+  if (strategy === 'auto') {
+    strategy = await isMulticallAvailable(provider) ? 'multicall' : 'rpc_batch';
+  }
+
+  const size = Math.max(1, parseInt(batchSize) || DEFAULT_STATUS_BATCH_SIZE);
+  const overrides = blockTag === undefined ? {} : { blockTag };
+  console.log(`📡 Reading ${ids.length} token statuses via ${strategy} (batch size ${size})`);
+
+  for (let i = 0; i < ids.length; i += size) {
+    const batch = ids.slice(i, i + size);
+    let batchResults;
+
+    switch (strategy) {
+      case 'multicall':
+        batchResults = await readViaMulticall(ethers, provider, contractAddress, batch, includeRevoked, overrides);
+        break;
+      case 'rpc_batch':
+        batchResults = await readViaRpcBatch(ethers, provider, contractAddress, batch, includeRevoked, overrides);
+        break;
+      case 'individual':
+        batchResults = await readIndividually(ethers, provider, contractAddress, batch, includeRevoked, overrides);
+        break;
+      default:
+        throw new Error(`Unknown status read mode: ${mode}`);
+    }
+
+    batchResults.forEach((value, key) => results.set(key, value));
+  }
+
+  return results;
+}
+
+async function isMulticallAvailable(provider) {
+  try {
+    const code = await provider.getCode(MULTICALL3_ADDRESS);
+    return code && code !== '0x';
+  } catch (error) {
+    console.warn('⚠️ Could not check for Multicall3:', error.message);
+    return false;
+  }
+}
+
+async function readViaMulticall(ethers, provider, contractAddress, tokenIds, includeRevoked, overrides) {
+  const statusInterface = new ethers.utils.Interface(STATUS_ABI);
+  const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+
+  const calls = [];
+  tokenIds.forEach(tokenId => {
+    calls.push({ target: contractAddress, allowFailure: true, callData: statusInterface.encodeFunctionData('getTicketStatus', [tokenId]) });
+    if (includeRevoked) {
+      calls.push({ target: contractAddress, allowFailure: true, callData: statusInterface.encodeFunctionData('isRevoked', [tokenId]) });
+    }
+  });
+
+  const responses = await multicall.callStatic.aggregate3(calls, overrides);
+  const callsPerToken = includeRevoked ? 2 : 1;
+  const results = new Map();
+
+  tokenIds.forEach((tokenId, index) => {
+    const statusResponse = responses[index * callsPerToken];
+    const revokedResponse = includeRevoked ? responses[index * callsPerToken + 1] : null;
+
+    try {
+      if (!statusResponse.success) {
+        throw new Error('getTicketStatus call reverted');
+      }
+      const [status] = statusInterface.decodeFunctionResult('getTicketStatus', statusResponse.returnData);
+
+      let isRevoked = null;
+      if (includeRevoked) {
+        if (!revokedResponse.success) {
+          throw new Error('isRevoked call reverted');
+        }
+        [isRevoked] = statusInterface.decodeFunctionResult('isRevoked', revokedResponse.returnData);
+      }
+
+      results.set(tokenId, { status: Number(status), isRevoked, error: null });
+    } catch (error) {
+      results.set(tokenId, { status: null, isRevoked: null, error: error.message });
+    }
+  });
+
+  return results;
+}
+
+async function readViaRpcBatch(ethers, provider, contractAddress, tokenIds, includeRevoked, overrides) {
+  // A FallbackProvider has no connection of its own; batch against its healthiest endpoint
+  const connection = primaryConnection(provider);
+  if (!connection) {
+    return readIndividually(ethers, provider, contractAddress, tokenIds, includeRevoked, overrides);
+  }
+
+  // JsonRpcBatchProvider groups every call made in the same tick into one HTTP request
+  const batchProvider = new ethers.providers.JsonRpcBatchProvider(connection, await provider.getNetwork());
+  return readIndividually(ethers, batchProvider, contractAddress, tokenIds, includeRevoked, overrides);
+}
+
+async function readIndividually(ethers, provider, contractAddress, tokenIds, includeRevoked, overrides = {}) {
+  const contract = new ethers.Contract(contractAddress, STATUS_ABI, provider);
+  const results = new Map();
+
+  await Promise.all(tokenIds.map(async tokenId => {
+    try {
+      const [status, isRevoked] = await Promise.all([
+        contract.getTicketStatus(tokenId, overrides),
+        includeRevoked ? contract.isRevoked(tokenId, overrides) : Promise.resolve(null)
+      ]);
+      results.set(tokenId, { status: Number(status), isRevoked, error: null });
+    } catch (error) {
+      results.set(tokenId, { status: null, isRevoked: null, error: error.message });
+    }
+  }));
+
+  return results;
+}
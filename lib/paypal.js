@@ -0,0 +1,91 @@
+// /lib/paypal.js
+// Minimal PayPal Payments API client for issuing refunds
+
+// PayPal configuration
+// PAYPAL_API_BASE can point at a local mock server for testing
+const PAYPAL_CONFIG = {
+  apiBase: process.env.PAYPAL_API_BASE ||
+    (process.env.PAYPAL_MODE === 'live' ? 'https://api-m.paypal.com' : 'https://api-m.sandbox.paypal.com'),
+  clientId: process.env.PAYPAL_CLIENT_ID,
+  clientSecret: process.env.PAYPAL_CLIENT_SECRET
+};
+
+// Get an OAuth access token using client credentials
+async function getAccessToken() {
+  if (!PAYPAL_CONFIG.clientId || !PAYPAL_CONFIG.clientSecret) {
+    throw new Error('PayPal configuration missing: PAYPAL_CLIENT_ID or PAYPAL_CLIENT_SECRET');
+  }
+
+  const credentials = Buffer.from(`${PAYPAL_CONFIG.clientId}:${PAYPAL_CONFIG.clientSecret}`).toString('base64');
+
+  const response = await fetch(`${PAYPAL_CONFIG.apiBase}/v1/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: 'grant_type=client_credentials'
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.access_token) {
+    throw new Error(`PayPal authentication failed (${response.status}): ${body.error_description || body.message || 'no access token'}`);
+  }
+
+  return body.access_token;
+}
+
+// Refund a captured payment, fully (no amount) or partially (amount as a decimal string in
+// `currency`, the capture's own currency code). `requestId` is sent as PayPal-Request-Id
+// so PayPal returns the original refund on retries.
+export async function refundCapture(captureId, { amount, currency, requestId, note } = {}) {
+  if (!captureId) {
+    throw new Error('PayPal capture ID is required for a refund');
+  }
+
+  const hasAmount = amount !== undefined && amount !== null;
+  if (hasAmount && !currency) {
+    throw new Error('A currency is required for a refund of part of a capture');
+  }
+
+  const accessToken = await getAccessToken();
+
+  const payload = {};
+  if (hasAmount) {
+    payload.amount = {
+      value: String(amount),
+      currency_code: currency
+    };
+  }
+  if (note) {
+    payload.note_to_payer = note.substring(0, 255);
+  }
+
+  console.log(`💸 Requesting PayPal refund for capture ${captureId}${payload.amount ? ` (${payload.amount.value} ${payload.amount.currency_code})` : ' (full)'}`);
+
+  const response = await fetch(`${PAYPAL_CONFIG.apiBase}/v2/payments/captures/${encodeURIComponent(captureId)}/refund`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'PayPal-Request-Id': requestId || `refund-${captureId}`,
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify(payload)
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = body.details?.[0]?.issue || body.name || 'unknown error';
+    throw new Error(`PayPal refund failed (${response.status}): ${detail} - ${body.message || ''}`.trim());
+  }
+
+  return {
+    refundId: body.id,
+    status: body.status,
+    amount: body.amount?.value || (amount !== undefined ? String(amount) : null),
+    currency: body.amount?.currency_code || payload.amount?.currency_code || null
+  };
+}
@@ -0,0 +1,80 @@
+// /lib/permissions.js
+// Role-based permission model for admin operations
+
+// Actions an admin endpoint can require
+export const PERMISSIONS = {
+  READ_PURCHASES: 'purchases:read',
+  READ_TICKETS: 'tickets:read',
+  READ_BLOCKCHAIN: 'blockchain:read',
+  READ_EVENTS: 'events:read',
+  READ_USERS: 'users:read',
+  MANAGE_EVENTS: 'events:manage',
+  SCAN_BOTS: 'flags:scan',
+  REVIEW_FLAGS: 'flags:review',
+  MODERATE_USERS: 'users:moderate',
+  REVOKE_TICKETS: 'tickets:revoke',
+  REINSTATE_TICKETS: 'tickets:reinstate',
+  CHECK_IN_TICKETS: 'tickets:check_in',
+  REFUND_PAYMENTS: 'payments:refund',
+  SYNC_BLOCKCHAIN: 'blockchain:sync',
+  VERIFY_TOKENS: 'blockchain:verify',
+  REGISTER_TICKETS: 'blockchain:register',
+  MANAGE_TX_QUEUE: 'blockchain:queue',
+  CHECK_CONNECTION: 'blockchain:connection',
+  READ_JOBS: 'jobs:read',
+  READ_AUDIT_LOG: 'audit:read',
+  MANAGE_ROLES: 'roles:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const VIEWER_PERMISSIONS = [
+  PERMISSIONS.READ_PURCHASES,
+  PERMISSIONS.READ_TICKETS,
+  PERMISSIONS.READ_BLOCKCHAIN,
+  PERMISSIONS.READ_EVENTS,
+  PERMISSIONS.READ_JOBS
+];
+
+// Staff roles and the actions each one may perform.
+// `admin` is kept for existing accounts and can do everything except manage roles.
+export const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  fraud_analyst: [
+    ...VIEWER_PERMISSIONS,
+    PERMISSIONS.SCAN_BOTS,
+    PERMISSIONS.REVIEW_FLAGS,
+    PERMISSIONS.READ_USERS,
+    PERMISSIONS.MODERATE_USERS,
+    PERMISSIONS.REVOKE_TICKETS,
+    PERMISSIONS.REINSTATE_TICKETS
+  ],
+  blockchain_operator: [
+    ...VIEWER_PERMISSIONS,
+    PERMISSIONS.SYNC_BLOCKCHAIN,
+    PERMISSIONS.VERIFY_TOKENS,
+    PERMISSIONS.REGISTER_TICKETS,
+    PERMISSIONS.MANAGE_TX_QUEUE,
+    PERMISSIONS.CHECK_CONNECTION
+  ],
+  // Scanner devices at the venue gates; nothing else in the admin API
+  gate_staff: [
+    PERMISSIONS.CHECK_IN_TICKETS
+  ],
+  admin: ALL_PERMISSIONS.filter(permission => permission !== PERMISSIONS.MANAGE_ROLES),
+  super_admin: ALL_PERMISSIONS
+};
+
+// Roles that can sign in to the admin API
+export const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Role given to regular customers (no admin access)
+export const CUSTOMER_ROLE = 'user';
+
+export function isStaffRole(role) {
+  return STAFF_ROLES.includes(role);
+}
+
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
@@ -0,0 +1,175 @@
+// /lib/refunds.js
+// PayPal refunds of the payments behind revoked purchases
+//
+// A payment is refunded at most once: payments that already carry a refund_id (or a
+// refunded status) are skipped, and the PayPal-Request-Id is derived from the payment so a
+// retried call returns the original refund instead of issuing a second one. A failed
+// refund leaves its message in payments.refund_error, which marks it for a retry.
+//
+// Only the revoked tickets' share of a payment is refunded: a payment whose tickets are all
+// revoked gets a full refund, otherwise the amount is split evenly over its tickets. Amounts
+// are sent in the payment's own currency.
+
+import { refundCapture } from './paypal.js';
+
+export const REFUND_MODES = ['none', 'full', 'partial'];
+
+export function isAlreadyRefunded(payment) {
+  return Boolean(payment.refund_id) || ['refunded', 'partially_refunded'].includes(payment.payment_status);
+}
+
+// A revoked purchase whose refund was attempted and failed
+export function isRefundRetryable(purchase) {
+  return purchase.status === 'revoked' &&
+    Boolean(purchase.payments?.refund_error) &&
+    !isAlreadyRefunded(purchase.payments);
+}
+
+// How many of each payment's tickets are revoked, counting `revokingTicketIds` as revoked
+// already (for previews made before the revocation is written)
+export async function loadRevokedShares(supabase, paymentIds, revokingTicketIds = []) {
+  if (paymentIds.length === 0) return new Map();
+
+  const { data: tickets, error } = await supabase
+    .from('tickets')
+    .select('ticket_id, payment_id, ticket_status')
+    .in('payment_id', paymentIds);
+
+  if (error) {
+    throw new Error(`Failed to load the tickets of payments to refund: ${error.message}`);
+  }
+
+  const revoking = new Set(revokingTicketIds);
+  const shares = new Map(paymentIds.map(id => [id, { revoked: 0, total: 0 }]));
+  (tickets || []).forEach(ticket => {
+    const share = shares.get(ticket.payment_id);
+    if (!share) return;
+    share.total++;
+    if (ticket.ticket_status === 'revoked' || revoking.has(ticket.ticket_id)) share.revoked++;
+  });
+  return shares;
+}
+
+// Whether the share covers every ticket of the payment (no tickets on record counts as all)
+export function coversWholePayment(share) {
+  return !share || share.total === 0 || share.revoked >= share.total;
+}
+
+export function calculateRefundAmount(payment, refundMode, refundPercentage, share) {
+  const fullAmount = parseFloat(payment.amount);
+  const revokedAmount = coversWholePayment(share)
+    ? fullAmount
+    : Math.round(fullAmount * share.revoked / share.total * 100) / 100;
+  return refundMode === 'partial'
+    ? (Math.round(revokedAmount * refundPercentage) / 100).toFixed(2)
+    : revokedAmount.toFixed(2);
+}
+
+// Refund each distinct payment of the given purchases (rows joined with `payments`) and
+// record the outcome on the payment row
+export async function refundPurchases(supabase, purchases, { mode, percentage, reason }) {
+  console.log('💸 ============ PAYPAL REFUNDS ============');
+
+  const results = {
+    mode: mode,
+    percentage: mode === 'partial' ? percentage : 100,
+    refunded: 0,
+    skipped: 0,
+    failed: 0,
+    total_refunded: 0,
+    details: []
+  };
+
+  // One refund per payment, even if several purchases point at it
+  const payments = [...new Map(purchases.map(p => [p.payments.payment_id, p.payments])).values()];
+
+  // Without the ticket counts no amount can be worked out; every refund fails and is retryable
+  let shares = new Map();
+  let sharesError = null;
+  try {
+    shares = await loadRevokedShares(supabase, payments.map(p => p.payment_id));
+  } catch (error) {
+    sharesError = error;
+  }
+
+  for (const payment of payments) {
+    if (isAlreadyRefunded(payment)) {
+      console.log(`⏭️ Payment ${payment.payment_id} already refunded (${payment.refund_id || payment.payment_status})`);
+      results.skipped++;
+      results.details.push({
+        payment_id: payment.payment_id,
+        status: 'already_refunded',
+        refund_id: payment.refund_id || null,
+        refund_amount: payment.refund_amount || null
+      });
+      continue;
+    }
+
+    const share = shares.get(payment.payment_id);
+    const refundAmount = calculateRefundAmount(payment, mode, percentage, share);
+    const wholePayment = mode === 'full' && coversWholePayment(share);
+
+    try {
+      if (sharesError) throw sharesError;
+      if (!wholePayment && !payment.currency) {
+        throw new Error(`Payment ${payment.payment_id} has no currency on record; cannot refund part of it`);
+      }
+
+      // A whole-payment refund leaves the amount to PayPal, which refunds the full capture
+      const refund = await refundCapture(payment.paypal_transaction_id, {
+        amount: wholePayment ? undefined : refundAmount,
+        currency: payment.currency,
+        requestId: `refund-${payment.payment_id}`,
+        note: `Refund for revoked tickets: ${reason}`
+      });
+
+      const { error: paymentUpdateError } = await supabase
+        .from('payments')
+        .update({
+          payment_status: wholePayment ? 'refunded' : 'partially_refunded',
+          refund_id: refund.refundId,
+          refund_amount: refund.amount || refundAmount,
+          refund_status: refund.status,
+          refunded_at: new Date().toISOString(),
+          refund_error: null
+        })
+        .eq('payment_id', payment.payment_id);
+
+      if (paymentUpdateError) {
+        console.error(`⚠️ Refund ${refund.refundId} issued but payment ${payment.payment_id} not updated:`, paymentUpdateError);
+      }
+
+      console.log(`✅ Refunded payment ${payment.payment_id}: ${refund.refundId} (${refund.status})`);
+      results.refunded++;
+      results.total_refunded += parseFloat(refund.amount || refundAmount);
+      results.details.push({
+        payment_id: payment.payment_id,
+        status: 'refunded',
+        refund_id: refund.refundId,
+        refund_status: refund.status,
+        refund_amount: refund.amount || refundAmount,
+        currency: refund.currency || payment.currency || null,
+        revoked_tickets: share?.revoked ?? null,
+        total_tickets: share?.total ?? null
+      });
+
+    } catch (error) {
+      console.error(`❌ Refund failed for payment ${payment.payment_id}:`, error.message);
+
+      await supabase
+        .from('payments')
+        .update({ refund_error: error.message })
+        .eq('payment_id', payment.payment_id);
+
+      results.failed++;
+      results.details.push({
+        payment_id: payment.payment_id,
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+
+  results.total_refunded = Math.round(results.total_refunded * 100) / 100;
+  return results;
+}
@@ -0,0 +1,198 @@
+// /lib/rpc-provider.js
+// RPC endpoint failover and health tracking
+//
+// A network's RPC URLs are combined into one ethers FallbackProvider. Endpoints are ranked by
+// health (error rate, latency and recent consecutive failures): the healthiest one is asked
+// first, and the next takes over when it errors or stalls for RPC_STALL_TIMEOUT_MS. With
+// RPC_QUORUM above 1, reads must agree across that many endpoints. Every request made through
+// these providers updates the endpoint's health stats, which live for the life of the
+// serverless instance and are reported by check-blockchain-connection.
+
+const RPC_CONFIG = {
+  stallTimeoutMs: parseInt(process.env.RPC_STALL_TIMEOUT_MS) || 2000,
+  quorum: parseInt(process.env.RPC_QUORUM) || 1,
+  probeTimeoutMs: parseInt(process.env.RPC_PROBE_TIMEOUT_MS) || 5000,
+  downAfterFailures: 3,                 // consecutive failures before an endpoint is ranked last
+  downCooldownMs: 60000,                // after which it is given another chance
+  latencySmoothing: 0.2                 // weight of the newest sample in the latency average
+};
+
+// url → stats; module-level so warm instances keep their history
+const endpointHealth = new Map();
+
+function statsFor(url) {
+  if (!endpointHealth.has(url)) {
+    endpointHealth.set(url, {
+      requests: 0,
+      errors: 0,
+      avgLatencyMs: null,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null
+    });
+  }
+  return endpointHealth.get(url);
+}
+
+function recordRequest(url, latencyMs, error) {
+  const stats = statsFor(url);
+  stats.requests++;
+  stats.avgLatencyMs = stats.avgLatencyMs === null
+    ? latencyMs
+    : Math.round(stats.avgLatencyMs * (1 - RPC_CONFIG.latencySmoothing) + latencyMs * RPC_CONFIG.latencySmoothing);
+
+  if (error) {
+    stats.errors++;
+    stats.consecutiveFailures++;
+    stats.lastError = error.message;
+    stats.lastFailureAt = new Date().toISOString();
+  } else {
+    stats.consecutiveFailures = 0;
+    stats.lastSuccessAt = new Date().toISOString();
+  }
+}
+
+function isDown(stats) {
+  return stats.consecutiveFailures >= RPC_CONFIG.downAfterFailures &&
+    Date.now() - new Date(stats.lastFailureAt).getTime() < RPC_CONFIG.downCooldownMs;
+}
+
+// 0-100: error rate costs up to 60 points, latency up to 30; down endpoints score 0
+function healthScore(stats) {
+  if (stats.requests === 0) return 100;
+  if (isDown(stats)) return 0;
+  const errorRate = stats.errors / stats.requests;
+  const latencyPenalty = Math.min((stats.avgLatencyMs || 0) / 50, 30);
+  return Math.max(0, Math.round(100 - errorRate * 60 - latencyPenalty));
+}
+
+// Health report for the given URLs (or every endpoint seen by this instance), best first
+export function getEndpointHealth(rpcUrls = [...endpointHealth.keys()]) {
+  return rankEndpoints(rpcUrls).map(url => {
+    const stats = statsFor(url);
+    const score = healthScore(stats);
+    return {
+      url: redactRpcUrl(url),
+      status: stats.requests === 0 ? 'unknown' : isDown(stats) ? 'down' : score >= 70 ? 'healthy' : 'degraded',
+      score: score,
+      requests: stats.requests,
+      errors: stats.errors,
+      error_rate: stats.requests > 0 ? Math.round((stats.errors / stats.requests) * 10000) / 100 : null,
+      avg_latency_ms: stats.avgLatencyMs,
+      consecutive_failures: stats.consecutiveFailures,
+      last_error: stats.lastError,
+      last_success_at: stats.lastSuccessAt,
+      last_failure_at: stats.lastFailureAt
+    };
+  });
+}
+
+// Order URLs by health score; ties keep the configured order
+function rankEndpoints(rpcUrls) {
+  return rpcUrls
+    .map((url, index) => ({ url, index, score: healthScore(statsFor(url)) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.url);
+}
+
+// A StaticJsonRpcProvider that records the latency and outcome of every request
+function createTrackedProvider(ethers, rpcUrl, network) {
+  class TrackedJsonRpcProvider extends ethers.providers.StaticJsonRpcProvider {
+    async send(method, params) {
+      const startTime = Date.now();
+      try {
+        const result = await super.send(method, params);
+        recordRequest(rpcUrl, Date.now() - startTime, null);
+        return result;
+      } catch (error) {
+        recordRequest(rpcUrl, Date.now() - startTime, error);
+        throw error;
+      }
+    }
+  }
+
+  return new TrackedJsonRpcProvider(rpcUrl, network);
+}
+
+// Provider for a network config ({ network, chainId, rpcUrls }) that fails over between its
+// endpoints. A single URL gets a plain tracked provider.
+export function createFallbackProvider(ethers, config, { quorum = RPC_CONFIG.quorum } = {}) {
+  if (!config.rpcUrls || config.rpcUrls.length === 0) {
+    throw new Error(`No RPC endpoints configured for ${config.network}`);
+  }
+
+  const network = { chainId: config.chainId, name: config.network };
+  const ranked = rankEndpoints(config.rpcUrls);
+
+  if (ranked.length === 1) {
+    return createTrackedProvider(ethers, ranked[0], network);
+  }
+
+  const providerConfigs = ranked.map((url, index) => ({
+    provider: createTrackedProvider(ethers, url, network),
+    priority: index + 1,
+    stallTimeout: RPC_CONFIG.stallTimeoutMs,
+    weight: 1
+  }));
+
+  return new ethers.providers.FallbackProvider(providerConfigs, Math.min(Math.max(1, quorum), providerConfigs.length));
+}
+
+// The JSON-RPC connection of a provider, or of the healthiest endpoint behind a FallbackProvider
+export function primaryConnection(provider) {
+  if (provider.connection) return provider.connection;
+  const primary = provider.providerConfigs?.[0]?.provider;
+  return primary?.connection || null;
+}
+
+// Call every endpoint directly and report whether it answers on the expected chain
+export async function probeEndpoints(ethers, config) {
+  const network = { chainId: config.chainId, name: config.network };
+
+  return Promise.all(config.rpcUrls.map(async rpcUrl => {
+    const provider = createTrackedProvider(ethers, rpcUrl, network);
+    const startTime = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${RPC_CONFIG.probeTimeoutMs}ms`)), RPC_CONFIG.probeTimeoutMs);
+      });
+      const [blockNumber, chainIdHex] = await Promise.race([
+        Promise.all([provider.getBlockNumber(), provider.send('eth_chainId', [])]),
+        timeout
+      ]);
+      const chainId = parseInt(chainIdHex, 16);
+
+      return {
+        url: redactRpcUrl(rpcUrl),
+        ok: chainId === config.chainId,
+        latency_ms: Date.now() - startTime,
+        block_number: blockNumber,
+        chain_id: chainId,
+        error: chainId === config.chainId ? null : `Endpoint is on chain ${chainId}, expected ${config.chainId}`
+      };
+    } catch (error) {
+      // A timeout never reached send(), so count it here
+      if (error.message.startsWith('No response within')) {
+        recordRequest(rpcUrl, Date.now() - startTime, error);
+      }
+      return {
+        url: redactRpcUrl(rpcUrl),
+        ok: false,
+        latency_ms: Date.now() - startTime,
+        block_number: null,
+        chain_id: null,
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+}
+
+// Hide API keys embedded in RPC URLs before they reach logs or responses
+export function redactRpcUrl(rpcUrl) {
+  return rpcUrl.replace(/\/v3\/.+$/, '/v3/[HIDDEN]').replace(/([?&](api[-_]?key|key)=)[^&]+/i, '$1[HIDDEN]');
+}
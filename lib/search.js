@@ -0,0 +1,180 @@
+// /lib/search.js
+// Global admin search across users, events, payments and tickets
+//
+// Support usually starts from a customer name, an ID number, a PayPal order ID or a
+// transaction hash. Each source below is searched field by field with ilike, in tiers:
+// exact matches first, then prefix matches, then any other match, each tier only filling
+// what is left of the limit, so a large table of loose matches cannot crowd out an exact
+// one. Every hit is scored by how closely the field matches (exact, prefix, word prefix,
+// substring) weighted by how identifying the field is, so an exact order ID outranks a name
+// that merely contains the term. Only the best `limit` matches are ever read, so there is no
+// total match count; `has_more` says whether more matches may exist.
+
+export const MIN_SEARCH_LENGTH = 2;
+
+const MATCH_SCORES = {
+  exact: 100,
+  prefix: 70,
+  word: 55,
+  contains: 40
+};
+
+// Searchable record types: table, columns read, fields matched (with weight) and how a
+// row is shown in the results
+export const SEARCH_SOURCES = {
+  user: {
+    table: 'users',
+    select: 'user_id, id_name, id_number, verification_status',
+    fields: { id_number: 1, id_name: 0.8 },
+    toResult: user => ({
+      id: user.user_id,
+      title: user.id_name,
+      subtitle: `ID ${user.id_number || 'unknown'} · ${user.verification_status || 'unverified'}`,
+      record: user
+    })
+  },
+  event: {
+    table: 'events',
+    select: 'event_id, event_name, event_date, venue, status',
+    fields: { event_name: 0.8 },
+    toResult: event => ({
+      id: event.event_id,
+      title: event.event_name,
+      subtitle: `${event.venue || 'No venue'} · ${event.event_date || 'no date'}`,
+      record: event
+    })
+  },
+  payment: {
+    table: 'payments',
+    select: 'payment_id, amount, payment_status, paypal_order_id, paypal_transaction_id',
+    fields: { paypal_order_id: 1, paypal_transaction_id: 1 },
+    toResult: payment => ({
+      id: payment.payment_id,
+      title: `Payment ${payment.paypal_order_id || payment.payment_id}`,
+      subtitle: `${payment.amount ?? '?'} · ${payment.payment_status || 'unknown status'}`,
+      record: payment
+    })
+  },
+  ticket: {
+    table: 'tickets',
+    select: 'ticket_id, user_id, event_id, payment_id, ticket_number, ticket_status, nft_token_id, blockchain_tx_hash, users!inner(id_name), events!inner(event_name)',
+    fields: { blockchain_tx_hash: 1, nft_token_id: 1 },
+    toResult: ({ users, events, ...ticket }) => ({
+      id: ticket.ticket_id,
+      title: `Ticket ${ticket.ticket_number || ticket.ticket_id}${ticket.nft_token_id ? ` (token ${ticket.nft_token_id})` : ''}`,
+      subtitle: `${users.id_name} · ${events.event_name} · ${ticket.ticket_status}`,
+      record: { ...ticket, holder_name: users.id_name, event_name: events.event_name }
+    })
+  }
+};
+
+export const SEARCH_TYPES = Object.keys(SEARCH_SOURCES);
+
+// How well `value` matches `term` (both compared case-insensitively), or null for no match
+export function matchKind(value, term) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).toLowerCase();
+  const needle = term.toLowerCase();
+
+  if (text === needle) return 'exact';
+  if (text.startsWith(needle)) return 'prefix';
+  if (text.split(/[\s\-_.]+/).some(word => word.startsWith(needle))) return 'word';
+  if (text.includes(needle)) return 'contains';
+  return null;
+}
+
+// ilike treats % and _ as wildcards; search for them literally
+const escapeLike = term => term.replace(/[\\%_]/g, char => `\\${char}`);
+
+// ilike patterns for each tier; a tier leaves out what an earlier tier already matched
+function matchTiers(term) {
+  const escaped = escapeLike(term);
+  return [
+    { pattern: escaped, exclude: null },
+    { pattern: `${escaped}%`, exclude: escaped },
+    { pattern: `%${escaped}%`, exclude: `${escaped}%` }
+  ];
+}
+
+// Up to `limit` rows whose `field` matches the term, best tiers first
+async function lookupField(supabase, source, field, term, limit) {
+  const rows = [];
+  let hasMore = false;
+
+  for (const tier of matchTiers(term)) {
+    const wanted = limit - rows.length;
+    if (wanted <= 0) {
+      hasMore = true;
+      break;
+    }
+
+    let query = supabase
+      .from(source.table)
+      .select(source.select)
+      .ilike(field, tier.pattern);
+    if (tier.exclude) query = query.not(field, 'ilike', tier.exclude);
+
+    // One row more than needed tells whether the tier had more
+    const { data, error } = await query.limit(wanted + 1);
+    if (error) return { data: rows, error, hasMore };
+
+    rows.push(...(data || []).slice(0, wanted));
+    if ((data || []).length > wanted) hasMore = true;
+  }
+
+  return { data: rows, error: null, hasMore };
+}
+
+// Search the given types and return the best `limit` results ranked best first, with counts
+// per type among them and whether more matches may exist
+export async function runSearch(supabase, term, { types = SEARCH_TYPES, limit = 20 } = {}) {
+  // One lookup per searched field, all at once
+  const lookups = types.flatMap(type => Object.keys(SEARCH_SOURCES[type].fields).map(field => ({ type, field })));
+
+  const responses = await Promise.all(lookups.map(({ type, field }) =>
+    lookupField(supabase, SEARCH_SOURCES[type], field, term, limit)));
+
+  const best = new Map();
+  const warnings = [];
+  let hasMore = false;
+
+  responses.forEach(({ data, error, hasMore: fieldHasMore }, index) => {
+    hasMore = hasMore || fieldHasMore;
+
+    const { type, field } = lookups[index];
+    const source = SEARCH_SOURCES[type];
+
+    if (error) {
+      console.error(`⚠️ Search of ${source.table}.${field} failed:`, error.message);
+      warnings.push(`Could not search ${type} ${field}: ${error.message}`);
+      return;
+    }
+
+    (data || []).forEach(row => {
+      const kind = matchKind(row[field], term);
+      if (!kind) return;
+
+      const result = source.toResult(row);
+      const score = Math.round(MATCH_SCORES[kind] * source.fields[field]);
+      const key = `${type}:${result.id}`;
+
+      // A record matched through several fields keeps its best match
+      if (!best.has(key) || best.get(key).score < score) {
+        best.set(key, {
+          type,
+          ...result,
+          score,
+          match: { field, kind, value: String(row[field]) }
+        });
+      }
+    });
+  });
+
+  const ranked = [...best.values()].sort((a, b) =>
+    b.score - a.score || String(a.title).localeCompare(String(b.title)));
+
+  const results = ranked.slice(0, limit);
+  const counts = Object.fromEntries(types.map(type => [type, results.filter(r => r.type === type).length]));
+
+  return { results, counts, has_more: hasMore || ranked.length > limit, warnings };
+}
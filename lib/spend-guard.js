@@ -0,0 +1,290 @@
+// /lib/spend-guard.js
+// Fee caps and the on-chain spending ledger for the admin wallet, per network
+//
+// Every transaction the queue sends is checked against two caps before it goes out:
+//   TX_MAX_FEE_ETH      - worst-case fee (gas limit × max fee per gas) of one transaction
+//   DAILY_MAX_SPEND_ETH - fees committed today (UTC): fees of settled transactions plus the
+//                         worst-case fees reserved by transactions still in flight
+// Each network has its own caps and budget. <NETWORK>_TX_MAX_FEE_ETH and
+// <NETWORK>_DAILY_MAX_SPEND_ETH (e.g. MAINNET_DAILY_MAX_SPEND_ETH) override the shared values.
+//
+// The daily budget is a row in `spend_budgets` (network, day, spent_wei, reserved_wei). A send
+// reserves its worst-case fee with a compare-and-swap on that row which only succeeds while the
+// fee still fits under the cap, so two workers can never both take the last of the budget. The
+// reservation stays on the job (spend_network, spend_day, spend_reserved_wei) until its
+// transaction settles, when it is swapped for the actual fee, or is dropped, when it is handed
+// back.
+//
+// Confirmed and reverted transactions are written to `blockchain_spend_ledger`, one row per
+// event the transaction touched (the fee is shared out by token count) tagged with the network
+// and contract, so costs can be reported per network, admin and event.
+
+const SHARED_LIMITS = {
+  maxFeePerTxEth: process.env.TX_MAX_FEE_ETH || '0.01',
+  maxDailySpendEth: process.env.DAILY_MAX_SPEND_ETH || '0.1'
+};
+
+// Job fields of a reservation that has been settled or handed back
+const NO_RESERVATION = { spend_network: null, spend_day: null, spend_reserved_wei: null };
+
+const WEI_PER_ETH = 10n ** 18n;
+
+// Caps for one network, falling back to the shared ones
+export function getSpendLimits(network) {
+  const prefix = String(network || '').toUpperCase();
+  return {
+    network: network,
+    maxFeePerTxEth: (prefix && process.env[`${prefix}_TX_MAX_FEE_ETH`]) || SHARED_LIMITS.maxFeePerTxEth,
+    maxDailySpendEth: (prefix && process.env[`${prefix}_DAILY_MAX_SPEND_ETH`]) || SHARED_LIMITS.maxDailySpendEth
+  };
+}
+
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+export function nextUtcDay(date = new Date()) {
+  return new Date(startOfUtcDay(date).getTime() + 24 * 60 * 60 * 1000);
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// ETH decimal string to wei (BigInt), without going through floating point
+function parseEth(eth) {
+  const [whole, fraction = ''] = String(eth).split('.');
+  return BigInt(whole || '0') * WEI_PER_ETH + BigInt(fraction.padEnd(18, '0').slice(0, 18) || '0');
+}
+
+function formatEth(wei) {
+  const amount = wei < 0n ? 0n : wei;
+  const fraction = (amount % WEI_PER_ETH).toString().padStart(18, '0').replace(/0+$/, '');
+  return `${amount / WEI_PER_ETH}.${fraction || '0'}`;
+}
+
+async function loadBudget(supabase, network, day) {
+  const { data, error } = await supabase
+    .from('spend_budgets')
+    .select('spent_wei, reserved_wei')
+    .eq('network', network)
+    .eq('day', day)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read spending budget: ${error.message}`);
+  }
+  return data;
+}
+
+// Apply `spentWei` / `reservedWei` deltas to a network's budget for `day` with a
+// compare-and-swap on the row's current values. With `capWei`, a change that would take
+// the day over the cap is refused. Returns { applied, spent, reserved } (the totals after
+// an applied change, the unchanged totals of a refused one).
+async function adjustBudget(supabase, network, day, { spentWei = 0n, reservedWei = 0n }, capWei = null) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const row = await loadBudget(supabase, network, day);
+    const current = { spent: BigInt(row?.spent_wei || '0'), reserved: BigInt(row?.reserved_wei || '0') };
+    const spent = current.spent + spentWei;
+    const reserved = current.reserved + reservedWei < 0n ? 0n : current.reserved + reservedWei;
+
+    if (capWei !== null && spent + reserved > capWei) {
+      return { applied: false, ...current };
+    }
+
+    const values = { spent_wei: spent.toString(), reserved_wei: reserved.toString(), updated_at: new Date().toISOString() };
+
+    if (!row) {
+      const { error: insertError } = await supabase
+        .from('spend_budgets')
+        .insert({ network: network, day: day, ...values });
+      if (!insertError) return { applied: true, spent, reserved };
+      if (insertError.code !== '23505') {
+        throw new Error(`Failed to create spending budget: ${insertError.message}`);
+      }
+      continue; // another worker created the row first
+    }
+
+    const { data: swapped, error: swapError } = await supabase
+      .from('spend_budgets')
+      .update(values)
+      .eq('network', network)
+      .eq('day', day)
+      .eq('spent_wei', row.spent_wei)
+      .eq('reserved_wei', row.reserved_wei)
+      .select('network');
+
+    if (swapError) {
+      throw new Error(`Failed to update spending budget: ${swapError.message}`);
+    }
+    if (swapped && swapped.length > 0) return { applied: true, spent, reserved };
+  }
+
+  throw new Error('Could not update the spending budget after 5 attempts (heavy contention)');
+}
+
+// Fees committed today on a network: settled (`spent`) plus in flight (`reserved`), in wei
+export async function getDailySpend(supabase, network) {
+  const row = await loadBudget(supabase, network, utcDay());
+  const spent = BigInt(row?.spent_wei || '0');
+  const reserved = BigInt(row?.reserved_wei || '0');
+  return { spent, reserved, total: spent + reserved };
+}
+
+// The verdict on a fee given the day's budget before it
+function judgeSpend(limits, costWei, daily) {
+  const maxPerTx = parseEth(limits.maxFeePerTxEth);
+  const remaining = parseEth(limits.maxDailySpendEth) - daily.spent - daily.reserved;
+
+  const details = {
+    network: limits.network,
+    estimated_cost_eth: formatEth(costWei),
+    tx_fee_cap_eth: limits.maxFeePerTxEth,
+    daily_cap_eth: limits.maxDailySpendEth,
+    daily_spent_eth: formatEth(daily.spent),
+    daily_reserved_eth: formatEth(daily.reserved),
+    daily_remaining_eth: formatEth(remaining)
+  };
+
+  if (costWei > maxPerTx) {
+    return {
+      allowed: false,
+      capExceeded: 'transaction',
+      reason: `Estimated fee ${details.estimated_cost_eth} ETH exceeds the per-transaction cap of ${limits.maxFeePerTxEth} ETH on ${limits.network}`,
+      ...details
+    };
+  }
+
+  if (costWei > remaining) {
+    return {
+      allowed: false,
+      capExceeded: 'daily',
+      reason: `Estimated fee ${details.estimated_cost_eth} ETH exceeds today's remaining budget of ${details.daily_remaining_eth} ETH on ${limits.network}`,
+      ...details
+    };
+  }
+
+  return { allowed: true, capExceeded: null, reason: null, ...details };
+}
+
+// Check a transaction's worst-case fee against both caps of its network without reserving
+// anything (for previews). Returns { allowed, reason, capExceeded: 'transaction' | 'daily' | null, ... }
+export async function checkSpend(supabase, network, estimatedCostWei) {
+  const daily = await getDailySpend(supabase, network);
+  return judgeSpend(getSpendLimits(network), BigInt(estimatedCostWei.toString()), daily);
+}
+
+// Check a fee against the caps and, if it fits, reserve it in today's budget in the same
+// compare-and-swap. An allowed result carries `reservation`, the fields to store on the job.
+export async function reserveSpend(supabase, network, estimatedCostWei) {
+  const limits = getSpendLimits(network);
+  const cost = BigInt(estimatedCostWei.toString());
+
+  if (cost > parseEth(limits.maxFeePerTxEth)) {
+    return judgeSpend(limits, cost, await getDailySpend(supabase, network));
+  }
+
+  const day = utcDay();
+  const budget = await adjustBudget(supabase, network, day, { reservedWei: cost }, parseEth(limits.maxDailySpendEth));
+  const before = budget.applied
+    ? { spent: budget.spent, reserved: budget.reserved - cost }
+    : budget;
+  const verdict = judgeSpend(limits, cost, before);
+
+  return budget.applied
+    ? { ...verdict, reservation: { spend_network: network, spend_day: day, spend_reserved_wei: cost.toString() } }
+    : verdict;
+}
+
+// Grow a job's reservation to cover a re-send or gas bump costing up to `estimatedCostWei`.
+// Returns the job's new reservation fields, or null when the increase does not fit today's cap.
+export async function extendReservation(supabase, network, job, estimatedCostWei) {
+  const cost = BigInt(estimatedCostWei.toString());
+  const reserved = BigInt(job.spend_reserved_wei || '0');
+  const reservation = {
+    spend_network: job.spend_network || network,
+    spend_day: job.spend_day || utcDay(),
+    spend_reserved_wei: (cost > reserved ? cost : reserved).toString()
+  };
+  if (cost <= reserved) return reservation;
+
+  const limits = getSpendLimits(reservation.spend_network);
+  const budget = await adjustBudget(supabase, reservation.spend_network, reservation.spend_day,
+    { reservedWei: cost - reserved }, parseEth(limits.maxDailySpendEth));
+  return budget.applied ? reservation : null;
+}
+
+// Hand back the reservation of a job whose transaction never went out.
+// Returns the job fields that clear it.
+export async function releaseSpend(supabase, job) {
+  if (!job.spend_reserved_wei) return NO_RESERVATION;
+
+  await adjustBudget(supabase, job.spend_network, job.spend_day, { reservedWei: -BigInt(job.spend_reserved_wei) });
+  console.log(`↩️ Job ${job.id}: released ${formatEth(BigInt(job.spend_reserved_wei))} ETH of reserved fees on ${job.spend_network}`);
+  return NO_RESERVATION;
+}
+
+// Record what a mined transaction actually cost, shared across the events it touched, and
+// swap the job's reservation for that cost. Returns the job fields that clear the reservation.
+export async function recordSpend(supabase, ctx, job, receipt) {
+  const { ethers } = ctx;
+  const { BigNumber } = ethers;
+  const items = job.sent_items?.length ? job.sent_items : job.items;
+  const gasPrice = receipt.effectiveGasPrice || BigNumber.from(job.gas_price || job.max_fee_per_gas || '0');
+  const cost = receipt.gasUsed.mul(gasPrice);
+
+  const { data: tickets } = await supabase
+    .from('tickets')
+    .select('ticket_id, event_id')
+    .in('ticket_id', items.map(i => i.ticket_id));
+
+  const eventByTicket = {};
+  (tickets || []).forEach(t => { eventByTicket[t.ticket_id] = t.event_id; });
+
+  const tokensByEvent = {};
+  items.forEach(item => {
+    const eventId = eventByTicket[item.ticket_id] ?? null;
+    tokensByEvent[eventId] = (tokensByEvent[eventId] || 0) + 1;
+  });
+
+  const rows = Object.entries(tokensByEvent).map(([eventId, tokenCount]) => {
+    const share = cost.mul(tokenCount).div(items.length);
+    return {
+      tx_queue_id: job.id,
+      tx_hash: receipt.transactionHash,
+      action: job.action,
+      tx_status: receipt.status === 1 ? 'confirmed' : 'reverted',
+      network: ctx.config.network,
+      contract_key: ctx.config.key,
+      admin_id: job.created_by,
+      event_id: eventId === 'null' ? null : eventId,
+      token_count: tokenCount,
+      gas_used: receipt.gasUsed.toString(),
+      effective_gas_price: gasPrice.toString(),
+      cost_wei: share.toString(),
+      cost_eth: ethers.utils.formatEther(share),
+      created_at: new Date().toISOString()
+    };
+  });
+
+  const { data: inserted, error } = await supabase
+    .from('blockchain_spend_ledger')
+    .upsert(rows, { onConflict: 'tx_hash,event_id', ignoreDuplicates: true })
+    .select('id');
+
+  if (error) {
+    console.error(`⚠️ Failed to record spend for ${receipt.transactionHash}:`, error.message);
+    return {};
+  }
+
+  // Already recorded (and settled) by an earlier check of this job
+  if (!inserted || inserted.length === 0) return NO_RESERVATION;
+
+  await adjustBudget(supabase, job.spend_network || ctx.config.network, job.spend_day || utcDay(), {
+    spentWei: BigInt(cost.toString()),
+    reservedWei: -BigInt(job.spend_reserved_wei || '0')
+  });
+
+  console.log(`💸 Recorded ${ethers.utils.formatEther(cost)} ETH on ${ctx.config.network} for ${job.action} tx ${receipt.transactionHash}`);
+  return NO_RESERVATION;
+}
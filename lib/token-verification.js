@@ -0,0 +1,317 @@
+// /lib/token-verification.js
+// Core batch token verification, shared by the admin endpoint and the scheduled job
+
+import { getContractConfig, connectProvider, groupTicketsByContract, readStatusesForTickets } from './blockchain-config.js';
+
+// Main token verification function
+// Status reads are batched through lib/multicall.js; `batchSize` tokens per RPC round trip.
+export async function performTokenVerification(supabase, limit, verificationType, includeDetailedReport, checkContractState, { batchSize } = {}) {
+  const startTime = Date.now();
+  
+  try {
+    console.log('🔍 ============ FETCHING TOKENS FOR VERIFICATION ============');
+
+    // Build query based on verification type
+    let query = supabase
+      .from('tickets')
+      .select(`
+        ticket_id,
+        event_id,
+        nft_token_id,
+        ticket_status,
+        blockchain_registered,
+        nft_mint_status,
+        blockchain_tx_hash,
+        blockchain_sync_status,
+        last_blockchain_sync,
+        users!inner(id_name, id_number),
+        events!inner(event_name, event_date)
+      `)
+      .not('nft_token_id', 'is', null)
+      .limit(limit)
+      .order('purchase_date', { ascending: false });
+
+    // Apply verification type filters
+    switch (verificationType) {
+      case 'registered_only':
+        query = query.eq('blockchain_registered', true);
+        break;
+      case 'flagged_only':
+        // Get tickets that might have inconsistencies
+        query = query.or('blockchain_registered.eq.false,nft_mint_status.eq.failed');
+        break;
+      case 'all':
+      default:
+        // No additional filter - check all tokens with IDs
+        break;
+    }
+
+    const { data: tickets, error: fetchError } = await query;
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch tickets: ${fetchError.message}`);
+    }
+
+    if (!tickets || tickets.length === 0) {
+      console.log('ℹ️ No tokens found for verification');
+      return {
+        success: true,
+        totalChecked: 0,
+        validTokens: 0,
+        invalidTokens: 0,
+        revokedTokens: 0,
+        unregisteredTokens: 0,
+        inconsistencies: 0,
+        duration: Date.now() - startTime,
+        contractInfo: null,
+        detailedReport: [],
+        summaryStats: {}
+      };
+    }
+
+    console.log(`📋 Found ${tickets.length} tokens to verify`);
+
+    const ethersModule = await import('ethers');
+    const ethers = ethersModule.default || ethersModule;
+
+    // Get contract-level information if requested, one entry per contract the tickets use
+    let contractInfo = null;
+    if (checkContractState) {
+      console.log('📋 ============ GATHERING CONTRACT INFO ============');
+      contractInfo = {};
+      const contractGroups = await groupTicketsByContract(supabase, tickets);
+      for (const contractKey of contractGroups.keys()) {
+        try {
+          const config = getContractConfig(contractKey);
+          const provider = await connectProvider(ethers, config);
+          const contract = new ethers.Contract(config.contractAddress, config.abi, provider);
+          contractInfo[contractKey] = {
+            owner: await contract.owner(),
+            network: config.network,
+            chain_id: config.chainId,
+            contract_address: config.contractAddress,
+            abi_version: config.abiVersion,
+            current_block: await provider.getBlockNumber(),
+            gas_price_gwei: ethers.utils.formatUnits(await provider.getGasPrice(), 'gwei')
+          };
+          console.log(`✅ Contract info gathered for ${contractKey}`);
+          console.log('   👑 Owner:', contractInfo[contractKey].owner);
+          console.log('   📦 Block:', contractInfo[contractKey].current_block);
+          console.log('   ⛽ Gas Price:', contractInfo[contractKey].gas_price_gwei, 'Gwei');
+        } catch (error) {
+          console.warn(`⚠️ Failed to gather contract info for ${contractKey}:`, error.message);
+          contractInfo[contractKey] = { error: error.message };
+        }
+      }
+    }
+
+    // Verify each token
+    console.log('🔍 ============ VERIFYING TOKEN STATES ============');
+
+    let validTokens = 0;
+    let invalidTokens = 0;
+    let revokedTokens = 0;
+    let unregisteredTokens = 0;
+    let inconsistencies = 0;
+    const detailedReport = [];
+    const verificationErrors = [];
+
+    // Read every token's status in batched RPC round trips, each from its event's contract
+    const readStartTime = Date.now();
+    const chainStatuses = await readStatusesForTickets(supabase, ethers, tickets, { batchSize, includeRevoked: true });
+    const averageReadTime = (Date.now() - readStartTime) / tickets.length;
+
+    tickets.forEach((ticket, index) => {
+      console.log(`🎫 Verifying token ${index + 1}/${tickets.length}: ${ticket.nft_token_id}`);
+
+      try {
+        const chainRead = chainStatuses.get(ticket.ticket_id);
+        if (!chainRead || chainRead.error) {
+          throw new Error(chainRead?.error || 'No status returned for token');
+        }
+
+        const blockchainStatusInt = chainRead.status;
+        const isRevoked = chainRead.isRevoked;
+
+        console.log(`   🔗 Blockchain status: ${blockchainStatusInt} (revoked: ${isRevoked})`);
+        console.log(`   💾 Database status: ${ticket.ticket_status} (registered: ${ticket.blockchain_registered})`);
+
+        // Analyze verification results
+        const verification = analyzeTokenVerification(ticket, blockchainStatusInt, isRevoked);
+        verification.verification_time_ms = Math.round(averageReadTime * 100) / 100;
+
+        // Update counters
+        switch (blockchainStatusInt) {
+          case 0:
+            unregisteredTokens++;
+            break;
+          case 1:
+            validTokens++;
+            break;
+          case 2:
+            revokedTokens++;
+            break;
+          default:
+            invalidTokens++;
+        }
+
+        if (verification.has_inconsistency) {
+          inconsistencies++;
+          console.log(`   ⚠️ Inconsistency detected: ${verification.inconsistency_reason}`);
+        } else {
+          console.log(`   ✅ Verification passed`);
+        }
+
+        if (includeDetailedReport) {
+          detailedReport.push(verification);
+        }
+
+      } catch (error) {
+        console.error(`   ❌ Verification failed for token ${ticket.nft_token_id}:`, error.message);
+        invalidTokens++;
+        verificationErrors.push({
+          ticket_id: ticket.ticket_id,
+          token_id: ticket.nft_token_id,
+          error: error.message
+        });
+
+        if (includeDetailedReport) {
+          detailedReport.push({
+            ticket_id: ticket.ticket_id,
+            token_id: ticket.nft_token_id,
+            user_name: ticket.users.id_name,
+            event_name: ticket.events.event_name,
+            verification_status: 'failed',
+            error: error.message,
+            has_inconsistency: true,
+            inconsistency_reason: `Verification failed: ${error.message}`
+          });
+        }
+      }
+    });
+
+    // Generate summary statistics
+    const summaryStats = {
+      total_tokens: tickets.length,
+      valid_percentage: ((validTokens / tickets.length) * 100).toFixed(2),
+      revoked_percentage: ((revokedTokens / tickets.length) * 100).toFixed(2),
+      unregistered_percentage: ((unregisteredTokens / tickets.length) * 100).toFixed(2),
+      inconsistency_percentage: ((inconsistencies / tickets.length) * 100).toFixed(2),
+      verification_errors: verificationErrors.length,
+      average_verification_time_ms: includeDetailedReport ? 
+        (detailedReport.reduce((sum, r) => sum + (r.verification_time_ms || 0), 0) / detailedReport.length).toFixed(2) : 
+        null
+    };
+
+    const duration = Date.now() - startTime;
+
+    console.log('✅ ============ VERIFICATION COMPLETED ============');
+    console.log(`📊 Final verification summary:`);
+    console.log(`   🎫 Total tokens verified: ${tickets.length}`);
+    console.log(`   ✅ Valid (status 1): ${validTokens} (${summaryStats.valid_percentage}%)`);
+    console.log(`   ❌ Revoked (status 2): ${revokedTokens} (${summaryStats.revoked_percentage}%)`);
+    console.log(`   ⚪ Unregistered (status 0): ${unregisteredTokens} (${summaryStats.unregistered_percentage}%)`);
+    console.log(`   🔄 Verification errors: ${verificationErrors.length}`);
+    console.log(`   ⚠️ Inconsistencies: ${inconsistencies} (${summaryStats.inconsistency_percentage}%)`);
+    console.log(`   ⏱️ Total duration: ${duration}ms`);
+
+    return {
+      success: true,
+      totalChecked: tickets.length,
+      validTokens: validTokens,
+      invalidTokens: verificationErrors.length,
+      revokedTokens: revokedTokens,
+      unregisteredTokens: unregisteredTokens,
+      inconsistencies: inconsistencies,
+      duration: duration,
+      contractInfo: contractInfo,
+      detailedReport: detailedReport,
+      summaryStats: summaryStats,
+      verificationErrors: verificationErrors
+    };
+
+  } catch (error) {
+    console.error('🔥 ============ VERIFICATION FAILED ============');
+    console.error('❌ Error message:', error.message);
+    console.error('📊 Error stack:', error.stack);
+
+    return {
+      success: false,
+      error: error.message,
+      details: 'Token verification operation failed',
+      duration: Date.now() - startTime
+    };
+  }
+}
+
+// Analyze individual token verification results
+function analyzeTokenVerification(ticket, blockchainStatus, isRevoked) {
+  const result = {
+    ticket_id: ticket.ticket_id,
+    token_id: ticket.nft_token_id,
+    user_name: ticket.users.id_name,
+    user_id_number: ticket.users.id_number,
+    event_name: ticket.events.event_name,
+    event_date: ticket.events.event_date,
+    
+    // Database state
+    db_ticket_status: ticket.ticket_status,
+    db_blockchain_registered: ticket.blockchain_registered,
+    db_mint_status: ticket.nft_mint_status,
+    db_last_sync: ticket.last_blockchain_sync,
+    
+    // Blockchain state
+    blockchain_status: blockchainStatus,
+    blockchain_is_revoked: isRevoked,
+    blockchain_status_text: getStatusText(blockchainStatus),
+    
+    // Verification results
+    verification_status: 'verified',
+    has_inconsistency: false,
+    inconsistency_reason: null,
+    recommended_action: null
+  };
+
+  // Check for inconsistencies
+  const inconsistencies = [];
+
+  // Check status consistency
+  if (blockchainStatus === 0 && ticket.blockchain_registered === true) {
+    inconsistencies.push('Token marked as registered in DB but unregistered on blockchain');
+  }
+  
+  if (blockchainStatus === 1 && ticket.ticket_status !== 'valid') {
+    inconsistencies.push('Token registered on blockchain but not marked as valid in DB');
+  }
+  
+  if (blockchainStatus === 2 && ticket.ticket_status !== 'revoked') {
+    inconsistencies.push('Token revoked on blockchain but not marked as revoked in DB');
+  }
+
+  if (isRevoked && ticket.ticket_status === 'valid') {
+    inconsistencies.push('Token is revoked on blockchain but marked as valid in DB');
+  }
+
+  if (ticket.blockchain_registered === false && blockchainStatus > 0) {
+    inconsistencies.push('Token exists on blockchain but not marked as registered in DB');
+  }
+
+  // Set inconsistency status
+  if (inconsistencies.length > 0) {
+    result.has_inconsistency = true;
+    result.inconsistency_reason = inconsistencies.join('; ');
+    result.recommended_action = 'Run blockchain sync to fix inconsistencies';
+  }
+
+  return result;
+}
+
+// Helper function to get human-readable status text
+function getStatusText(status) {
+  switch (status) {
+    case 0: return 'Unregistered';
+    case 1: return 'Registered';
+    case 2: return 'Revoked';
+    default: return `Unknown (${status})`;
+  }
+}
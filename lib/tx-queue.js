@@ -0,0 +1,1175 @@
+// /lib/tx-queue.js
+// Durable outbound transaction queue for contract writes
+//
+// Revocations, reinstatements and registrations are stored as jobs in `blockchain_tx_queue`
+// and driven through their states by whoever processes the queue (the admin request that
+// created them for a short while, then the tx-queue cron job):
+//
+//   queued → pending (broadcast) → mined (in a block) → confirmed (enough confirmations)
+//                 ↘ dropped (nonce used by another tx) → re-sent with a new nonce
+//   failed: gave up after 5 failed sends or reverts
+//
+// Each job belongs to one contract from the registry (`contract_key`, see blockchain-config.js);
+// tokens are grouped by their event's contract when they are enqueued.
+//
+// Nonces come from `wallet_nonces` (wallet_address, network, next_nonce) using compare-and-swap
+// updates, so concurrent admins never share one. A nonce is only reserved once gas
+// estimation succeeded and stays with the job until its transaction is mined, so a failed
+// broadcast is re-sent with the same nonce instead of leaving a gap. A job that gives up
+// without its transaction ever going out hands the nonce back (or fills it with an empty
+// self-transfer when later nonces are already taken), so it never stalls the wallet.
+// Pending transactions that sit unmined are replaced with the same nonce and higher fees.
+//
+// Before sending, the worst-case fee is reserved against the caps of the job's network in
+// spend-guard.js: a batch over the per-transaction cap is split in half (repeatedly), and a
+// send that would exceed the daily budget waits for the next UTC day. The reservation stays
+// on the job until its transaction settles or is dropped.
+//
+// Once confirmed, every token in the transaction is read back from the contract at the
+// transaction's block (retried if the read fails). Only tokens in the expected status are
+// marked completed; tokens read in any other status are sent again in a new job. Tokens that
+// could not be read at all are left for the re-drive, which re-reads them before sending.
+//
+// revocation_log and reinstatement_log rows point at their job through `tx_queue_id`; rows
+// that are pending or failed without a live job are re-queued by redriveBlockchainActions,
+// unless the ticket has moved on since (reinstated after the revocation or the other way
+// round), in which case the row is marked `superseded` and never sent. A revoke and a
+// reinstate of the same ticket never overtake each other: a job waits for older jobs of
+// the opposite action on the same tickets to settle first.
+
+import { readTicketStatuses } from './multicall.js';
+import { getSpendLimits, reserveSpend, extendReservation, releaseSpend, recordSpend, nextUtcDay } from './spend-guard.js';
+import { getContractConfig, connectProvider, groupTicketsByContract, DEFAULT_CONTRACT_KEY } from './blockchain-config.js';
+
+const QUEUE_CONFIG = {
+  batchSize: parseInt(process.env.TX_QUEUE_BATCH_SIZE) || 100,        // tokens per transaction
+  confirmations: parseInt(process.env.TX_CONFIRMATIONS) || 2,
+  bumpAfterMs: (parseInt(process.env.TX_BUMP_AFTER_SECONDS) || 120) * 1000,
+  bumpPercent: parseInt(process.env.TX_GAS_BUMP_PERCENT) || 20,        // nodes require at least +10%
+  maxBumps: 5,
+  maxAttempts: 5,
+  lockMs: 60000,
+  redriveAfterMs: 5 * 60 * 1000                                        // leave fresh rows to their request
+};
+
+// What each action sends and which on-chain status (0=Unregistered, 1=Registered, 2=Revoked)
+// a token must be in for the transaction to apply
+const TX_ACTIONS = {
+  revoke: {
+    single: 'revokeTicket',
+    batch: 'batchRevokeTickets',
+    fromStatus: 1,
+    targetStatus: 2,
+    logTable: 'revocation_log',
+    logTimeColumn: 'revoked_at',
+    ticketStatus: 'revoked',       // tickets.ticket_status the log row stands for
+    oppositeAction: 'reinstate'
+  },
+  reinstate: {
+    single: 'reinstateTicket',
+    batch: 'batchReinstateTickets',
+    fromStatus: 2,
+    targetStatus: 1,
+    logTable: 'reinstatement_log',
+    logTimeColumn: 'reinstated_at',
+    ticketStatus: 'valid',
+    oppositeAction: 'revoke'
+  },
+  register: {
+    single: 'registerTicket',
+    batch: 'batchRegisterTickets',
+    fromStatus: 0,
+    targetStatus: 1,
+    logTable: null
+  }
+};
+
+export const TX_STATES = ['queued', 'pending', 'mined', 'confirmed', 'dropped', 'failed'];
+const ACTIVE_STATES = ['queued', 'dropped', 'pending', 'mined'];
+
+// Log row states that still have to reach the chain
+const UNFINISHED_LOG_STATES = ['pending', 'failed'];
+
+// How long a job waits for an opposite-action job on the same tickets before checking again
+const CONFLICT_WAIT_MS = 60 * 1000;
+
+// Gas of a plain transfer, used to fill a nonce gap
+const TRANSFER_GAS_LIMIT = 21000;
+
+// Times a token that failed post-confirmation verification is sent again
+const MAX_VERIFY_RETRIES = 3;
+
+// Reads of a confirmed transaction's tokens, and the pause between them
+const VERIFY_READ_ATTEMPTS = 3;
+const VERIFY_READ_DELAY_MS = 2000;
+
+// Fields cleared when a job has to start over with a new nonce and transaction
+const FRESH_SEND = {
+  nonce: null,
+  tx_request: null,
+  tx_hashes: [],
+  bump_count: 0,
+  max_fee_per_gas: null,
+  max_priority_fee_per_gas: null,
+  gas_price: null
+};
+
+// Create queue jobs for `items` ({ ticket_id, token_id, source_id }), one per transaction batch.
+// Items are split by the contract their ticket's event uses unless `contractKey` is given.
+export async function enqueueTransactions(supabase, action, items, { createdBy = null, batchSize = QUEUE_CONFIG.batchSize, contractKey = null } = {}) {
+  if (!TX_ACTIONS[action]) {
+    throw new Error(`Unknown transaction action: ${action}`);
+  }
+  if (items.length === 0) return [];
+
+  const itemsByContract = contractKey
+    ? new Map([[contractKey, items]])
+    : await groupItemsByContract(supabase, items);
+
+  const rows = [];
+  for (const [key, contractItems] of itemsByContract) {
+    const config = getContractConfig(key);
+    for (let i = 0; i < contractItems.length; i += batchSize) {
+      rows.push({
+        action: action,
+        items: contractItems.slice(i, i + batchSize),
+        status: 'queued',
+        contract_key: key,
+        contract_address: config.contractAddress.toLowerCase(),
+        attempts: 0,
+        bump_count: 0,
+        tx_hashes: [],
+        created_by: createdBy,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+    }
+  }
+
+  const { data: jobs, error } = await supabase
+    .from('blockchain_tx_queue')
+    .insert(rows)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to enqueue ${action} transactions: ${error.message}`);
+  }
+
+  // Link the source rows to their job so the re-drive leaves them alone
+  const logTable = TX_ACTIONS[action].logTable;
+  for (const job of jobs) {
+    const sourceIds = job.items.map(item => item.source_id).filter(Boolean);
+    if (logTable && sourceIds.length > 0) {
+      await supabase
+        .from(logTable)
+        .update({ blockchain_status: 'pending', tx_queue_id: job.id, blockchain_error: null })
+        .in('id', sourceIds);
+    }
+    if (action === 'register') {
+      await supabase
+        .from('tickets')
+        .update({ nft_mint_status: 'pending', blockchain_error: null })
+        .in('ticket_id', job.items.map(item => item.ticket_id));
+    }
+  }
+
+  console.log(`📥 Enqueued ${items.length} ${action} tokens in ${jobs.length} transactions`);
+  return jobs;
+}
+
+// Drive one job forward, polling until it settles or `waitMs` runs out
+export async function processTransaction(supabase, jobId, { waitMs = 0 } = {}) {
+  const contexts = createContexts();
+  const deadline = Date.now() + waitMs;
+  let job;
+
+  do {
+    job = await advanceJob(supabase, contexts, jobId);
+    if (!job || ['confirmed', 'failed'].includes(job.status) || Date.now() >= deadline) break;
+    await new Promise(resolve => setTimeout(resolve, 3000));
+  } while (Date.now() < deadline);
+
+  return job;
+}
+
+// Drive every active job forward once
+export async function processQueue(supabase, { limit = 50, maxDurationMs = 45000 } = {}) {
+  const startTime = Date.now();
+
+  console.log('📤 ============ TX QUEUE PROCESSING ============');
+
+  const { data: jobs, error } = await supabase
+    .from('blockchain_tx_queue')
+    .select('id')
+    .in('status', ACTIVE_STATES)
+    .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load transaction queue: ${error.message}`);
+  }
+
+  const summary = { processed: 0, confirmed: 0, failed: 0, pending: 0 };
+  if (!jobs || jobs.length === 0) {
+    console.log('ℹ️ Transaction queue is empty');
+    return summary;
+  }
+
+  const contexts = createContexts();
+
+  for (const { id } of jobs) {
+    if (Date.now() - startTime > maxDurationMs) {
+      console.log('⏱️ Time budget reached, leaving remaining jobs for the next run');
+      break;
+    }
+
+    const job = await advanceJob(supabase, contexts, id);
+    if (!job) continue;
+
+    summary.processed++;
+    if (job.status === 'confirmed') summary.confirmed++;
+    else if (job.status === 'failed') summary.failed++;
+    else summary.pending++;
+  }
+
+  console.log(`📤 Queue run: ${summary.processed} processed, ${summary.confirmed} confirmed, ${summary.failed} failed, ${summary.pending} in flight`);
+  return summary;
+}
+
+// Enqueue revocation / reinstatement log rows that are pending or failed without a live job.
+// Rows the ticket has moved on from are marked superseded instead.
+export async function redriveBlockchainActions(supabase, { limit = 500 } = {}) {
+  const result = { requeued: 0, not_required: 0, superseded: 0 };
+
+  for (const [action, config] of Object.entries(TX_ACTIONS)) {
+    if (!config.logTable) continue;
+
+    const { data: logs, error } = await supabase
+      .from(config.logTable)
+      .select(`id, ticket_id, tx_queue_id, ${config.logTimeColumn}`)
+      .in('blockchain_status', UNFINISHED_LOG_STATES)
+      .lt(config.logTimeColumn, new Date(Date.now() - QUEUE_CONFIG.redriveAfterMs).toISOString())
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load ${config.logTable} rows to re-drive: ${error.message}`);
+    }
+    if (!logs || logs.length === 0) continue;
+
+    // Rows whose job is still live are left alone; rows whose job gave up get a new one
+    const jobIds = [...new Set(logs.map(l => l.tx_queue_id).filter(Boolean))];
+    const liveJobIds = new Set();
+    if (jobIds.length > 0) {
+      const { data: linkedJobs } = await supabase
+        .from('blockchain_tx_queue')
+        .select('id, status')
+        .in('id', jobIds);
+      (linkedJobs || []).filter(j => ACTIVE_STATES.includes(j.status)).forEach(j => liveJobIds.add(j.id));
+    }
+
+    const orphaned = logs.filter(l => !l.tx_queue_id || !liveJobIds.has(l.tx_queue_id));
+    if (orphaned.length === 0) continue;
+
+    const { data: tickets, error: ticketsError } = await supabase
+      .from('tickets')
+      .select('ticket_id, nft_token_id, blockchain_registered, ticket_status')
+      .in('ticket_id', orphaned.map(l => l.ticket_id));
+
+    if (ticketsError) {
+      throw new Error(`Failed to load tickets to re-drive: ${ticketsError.message}`);
+    }
+
+    const ticketsById = {};
+    (tickets || []).forEach(t => { ticketsById[t.ticket_id] = t; });
+
+    const latestOpposite = await latestOppositeActions(supabase, config, orphaned.map(l => l.ticket_id));
+
+    const items = [];
+    const notRequiredIds = [];
+    const supersededIds = [];
+    orphaned.forEach(log => {
+      const ticket = ticketsById[log.ticket_id];
+      const tokenId = ticket?.blockchain_registered ? cleanTokenId(ticket.nft_token_id) : null;
+      const oppositeAt = latestOpposite[log.ticket_id];
+
+      // The ticket was reinstated after this revocation (or revoked after this reinstatement)
+      if (ticket && (ticket.ticket_status !== config.ticketStatus || (oppositeAt && oppositeAt > log[config.logTimeColumn]))) {
+        supersededIds.push(log.id);
+      } else if (tokenId) {
+        items.push({ ticket_id: log.ticket_id, token_id: tokenId, source_id: log.id });
+      } else {
+        notRequiredIds.push(log.id);
+      }
+    });
+
+    if (notRequiredIds.length > 0) {
+      await supabase
+        .from(config.logTable)
+        .update({ blockchain_status: 'not_required', blockchain_error: null })
+        .in('id', notRequiredIds);
+      result.not_required += notRequiredIds.length;
+    }
+
+    if (supersededIds.length > 0) {
+      await supabase
+        .from(config.logTable)
+        .update({ blockchain_status: 'superseded', blockchain_error: `Ticket is no longer ${config.ticketStatus}; not sent` })
+        .in('id', supersededIds);
+      result.superseded += supersededIds.length;
+    }
+
+    if (items.length > 0) {
+      await enqueueTransactions(supabase, action, items, { createdBy: null });
+      result.requeued += items.length;
+    }
+
+    console.log(`🔁 Re-drive ${config.logTable}: ${items.length} requeued, ${notRequiredIds.length} not on chain, ${supersededIds.length} superseded`);
+  }
+
+  return result;
+}
+
+// Time of the newest opposite action (reinstatement for a revocation and vice versa) per ticket
+async function latestOppositeActions(supabase, config, ticketIds) {
+  const opposite = TX_ACTIONS[config.oppositeAction];
+  const { data, error } = await supabase
+    .from(opposite.logTable)
+    .select(`ticket_id, ${opposite.logTimeColumn}`)
+    .in('ticket_id', ticketIds);
+
+  if (error) {
+    throw new Error(`Failed to load ${opposite.logTable} rows: ${error.message}`);
+  }
+
+  const latest = {};
+  (data || []).forEach(row => {
+    const at = row[opposite.logTimeColumn];
+    if (!latest[row.ticket_id] || at > latest[row.ticket_id]) latest[row.ticket_id] = at;
+  });
+  return latest;
+}
+
+// IDs (as strings) of the given tickets with a revocation, reinstatement or registration still
+// on its way to the chain: an active queue job or an unfinished log row. Until it lands the
+// database is ahead of the contract, so chain reads must not overwrite their ticket_status.
+export async function findTicketsAwaitingChain(supabase, ticketIds) {
+  const wanted = new Set(ticketIds.map(String));
+  const awaiting = new Set();
+  if (wanted.size === 0) return awaiting;
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('blockchain_tx_queue')
+    .select('items')
+    .in('status', ACTIVE_STATES);
+
+  if (jobsError) {
+    throw new Error(`Failed to load active transaction jobs: ${jobsError.message}`);
+  }
+
+  (jobs || []).forEach(job => (job.items || []).forEach(item => {
+    if (wanted.has(String(item.ticket_id))) awaiting.add(String(item.ticket_id));
+  }));
+
+  for (const { logTable } of Object.values(TX_ACTIONS).filter(a => a.logTable)) {
+    const { data: logs, error } = await supabase
+      .from(logTable)
+      .select('ticket_id')
+      .in('ticket_id', ticketIds)
+      .in('blockchain_status', UNFINISHED_LOG_STATES);
+
+    if (error) {
+      throw new Error(`Failed to load unfinished ${logTable} rows: ${error.message}`);
+    }
+    (logs || []).forEach(log => awaiting.add(String(log.ticket_id)));
+  }
+
+  return awaiting;
+}
+
+function cleanTokenId(rawTokenId) {
+  if (rawTokenId === null || rawTokenId === undefined) return null;
+  const tokenId = String(rawTokenId).trim().replace(/[^0-9]/g, '');
+  return /^\d+$/.test(tokenId) ? tokenId : null;
+}
+
+// Group queue items by the contract their ticket's event uses
+async function groupItemsByContract(supabase, items) {
+  const { data: tickets, error } = await supabase
+    .from('tickets')
+    .select('ticket_id, event_id')
+    .in('ticket_id', items.map(item => item.ticket_id));
+
+  if (error) {
+    throw new Error(`Failed to resolve ticket events: ${error.message}`);
+  }
+
+  const eventByTicket = {};
+  (tickets || []).forEach(t => { eventByTicket[t.ticket_id] = t.event_id; });
+
+  const groups = await groupTicketsByContract(supabase, items.map(item => ({ event_id: eventByTicket[item.ticket_id], item })));
+  const itemsByContract = new Map();
+  groups.forEach((entries, key) => itemsByContract.set(key, entries.map(entry => entry.item)));
+  return itemsByContract;
+}
+
+// Lazily created signing context per contract key, shared by every job in one run
+function createContexts() {
+  const cache = new Map();
+  return {
+    get(contractKey) {
+      if (!cache.has(contractKey)) cache.set(contractKey, createContext(contractKey));
+      return cache.get(contractKey);
+    }
+  };
+}
+
+async function createContext(contractKey) {
+  const ethersModule = await import('ethers');
+  const ethers = ethersModule.default || ethersModule;
+
+  const config = getContractConfig(contractKey, { signer: true });
+
+  const provider = await connectProvider(ethers, config);
+  const wallet = new ethers.Wallet(config.privateKey, provider);
+  const contract = new ethers.Contract(config.contractAddress, config.abi, wallet);
+
+  return { ethers, config, provider, wallet, contract };
+}
+
+// Take the processing lock on a job; returns the job or null if another worker holds it
+async function claimJob(supabase, jobId) {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from('blockchain_tx_queue')
+    .update({ locked_until: new Date(now.getTime() + QUEUE_CONFIG.lockMs).toISOString() })
+    .eq('id', jobId)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to claim transaction job ${jobId}: ${error.message}`);
+  }
+  return data?.[0] || null;
+}
+
+async function saveJob(supabase, job, changes) {
+  const update = { ...changes, updated_at: new Date().toISOString() };
+  const { error } = await supabase
+    .from('blockchain_tx_queue')
+    .update(update)
+    .eq('id', job.id);
+
+  if (error) {
+    console.error(`⚠️ Failed to save transaction job ${job.id}:`, error.message);
+  }
+  return { ...job, ...update };
+}
+
+async function advanceJob(supabase, contexts, jobId) {
+  const job = await claimJob(supabase, jobId);
+  if (!job) {
+    const { data } = await supabase.from('blockchain_tx_queue').select('*').eq('id', jobId).maybeSingle();
+    return data;
+  }
+
+  const retryDue = !job.next_attempt_at || new Date(job.next_attempt_at) <= new Date();
+  let updated = job;
+  let ctx = null;
+
+  try {
+    ctx = await contexts.get(job.contract_key || DEFAULT_CONTRACT_KEY);
+    if (['queued', 'dropped'].includes(job.status) && retryDue) {
+      updated = await saveJob(supabase, job, { attempts: (job.attempts || 0) + 1 });
+      updated = await submitJob(supabase, ctx, updated);
+    } else if (['pending', 'mined'].includes(job.status)) {
+      updated = await checkJob(supabase, ctx, job);
+    }
+  } catch (error) {
+    console.error(`❌ Transaction job ${job.id} error:`, error.message);
+    // A broadcast transaction is still out there; only sends are retried
+    updated = ['pending', 'mined'].includes(updated.status)
+      ? await saveJob(supabase, updated, { last_error: error.message })
+      : await scheduleRetry(supabase, ctx, updated, error.message);
+  }
+
+  return saveJob(supabase, updated, { locked_until: null });
+}
+
+// Reserve the next nonce for the wallet on the job's network with a compare-and-swap on wallet_nonces
+async function reserveNonce(supabase, ctx) {
+  const walletAddress = ctx.wallet.address.toLowerCase();
+  const network = ctx.config.network;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const chainNonce = await ctx.provider.getTransactionCount(ctx.wallet.address, 'pending');
+
+    const { data: row, error } = await supabase
+      .from('wallet_nonces')
+      .select('next_nonce')
+      .eq('wallet_address', walletAddress)
+      .eq('network', network)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to read wallet nonce: ${error.message}`);
+    }
+
+    if (!row) {
+      const { error: insertError } = await supabase
+        .from('wallet_nonces')
+        .insert({ wallet_address: walletAddress, network: network, next_nonce: chainNonce + 1, updated_at: new Date().toISOString() });
+      if (!insertError) return chainNonce;
+      continue; // another worker created the row first
+    }
+
+    const nonce = Math.max(row.next_nonce, chainNonce);
+    const { data: swapped, error: swapError } = await supabase
+      .from('wallet_nonces')
+      .update({ next_nonce: nonce + 1, updated_at: new Date().toISOString() })
+      .eq('wallet_address', walletAddress)
+      .eq('network', network)
+      .eq('next_nonce', row.next_nonce)
+      .select('next_nonce');
+
+    if (swapError) {
+      throw new Error(`Failed to reserve wallet nonce: ${swapError.message}`);
+    }
+    if (swapped && swapped.length > 0) return nonce;
+  }
+
+  throw new Error('Could not reserve a nonce after 5 attempts (heavy contention)');
+}
+
+async function getFees(ctx, job) {
+  const feeData = await ctx.provider.getFeeData();
+  const { BigNumber } = ctx.ethers;
+  const bump = value => value.mul(100 + QUEUE_CONFIG.bumpPercent).div(100);
+  const max = (a, b) => (a.gt(b) ? a : b);
+
+  if (feeData.maxFeePerGas) {
+    let maxFeePerGas = feeData.maxFeePerGas;
+    let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+    // A replacement must outbid the transaction it replaces
+    if (job.max_fee_per_gas) {
+      maxFeePerGas = max(maxFeePerGas, bump(BigNumber.from(job.max_fee_per_gas)));
+      maxPriorityFeePerGas = max(maxPriorityFeePerGas, bump(BigNumber.from(job.max_priority_fee_per_gas)));
+    }
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  let gasPrice = feeData.gasPrice;
+  if (job.gas_price) {
+    gasPrice = max(gasPrice, bump(BigNumber.from(job.gas_price)));
+  }
+  return { gasPrice };
+}
+
+function feeColumns(fees) {
+  return {
+    max_fee_per_gas: fees.maxFeePerGas ? fees.maxFeePerGas.toString() : null,
+    max_priority_fee_per_gas: fees.maxPriorityFeePerGas ? fees.maxPriorityFeePerGas.toString() : null,
+    gas_price: fees.gasPrice ? fees.gasPrice.toString() : null
+  };
+}
+
+// Send (or re-send) a job's transaction
+async function submitJob(supabase, ctx, job) {
+  const action = TX_ACTIONS[job.action];
+  let txRequest = job.tx_request;
+  let fees = null;
+
+  if (!txRequest || job.nonce === null || job.nonce === undefined) {
+    // An older revoke/reinstate of the same tickets goes first so the two cannot overtake each other
+    const conflictingJob = await findConflictingJob(supabase, job);
+    if (conflictingJob) {
+      console.log(`⏸️ Job ${job.id}: waiting for ${conflictingJob.action} job ${conflictingJob.id} on the same tickets`);
+      return saveJob(supabase, job, {
+        status: 'queued',
+        attempts: Math.max((job.attempts || 1) - 1, 0),
+        next_attempt_at: new Date(Date.now() + CONFLICT_WAIT_MS).toISOString(),
+        last_error: `Waiting for ${conflictingJob.action} job ${conflictingJob.id} on the same tickets`
+      });
+    }
+
+    // Items whose log row was superseded (the ticket moved on) are not sent
+    const items = await withoutSupersededItems(supabase, job);
+
+    // Fresh send: only tokens still in the action's starting state need a transaction
+    const statuses = await readTicketStatuses(ctx.ethers, ctx.provider, ctx.config.contractAddress, items.map(i => i.token_id));
+    const sendable = items.filter(item => statuses.get(item.token_id)?.status === action.fromStatus);
+    const unreadable = items.filter(item => statuses.get(item.token_id)?.error);
+    const settled = items.filter(item => !sendable.includes(item) && !unreadable.includes(item));
+
+    if (unreadable.length > 0) {
+      throw new Error(`Could not read on-chain status for ${unreadable.length} tokens`);
+    }
+
+    if (settled.length > 0) {
+      await applyOutcome(supabase, job, settled, statuses, null);
+    }
+
+    if (sendable.length === 0) {
+      console.log(`✅ Job ${job.id}: no ${job.action} transaction needed`);
+      return saveJob(supabase, job, {
+        status: 'confirmed',
+        sent_items: [],
+        confirmed_at: new Date().toISOString(),
+        last_error: null
+      });
+    }
+
+    const tokenIds = sendable.map(item => item.token_id);
+    const populated = tokenIds.length === 1
+      ? await ctx.contract.populateTransaction[action.single](tokenIds[0])
+      : await ctx.contract.populateTransaction[action.batch](tokenIds);
+
+    // Estimate before taking a nonce so a reverting call never leaves a nonce gap
+    const gasEstimate = await ctx.wallet.estimateGas({ to: populated.to, data: populated.data });
+    const gasLimit = gasEstimate.mul(120).div(100);
+    fees = await getFees(ctx, job);
+
+    const estimatedCost = gasLimit.mul(fees.maxFeePerGas || fees.gasPrice);
+
+    const balance = await ctx.wallet.getBalance();
+    if (balance.lt(estimatedCost)) {
+      throw new Error(`Insufficient balance: ${ctx.ethers.utils.formatEther(balance)} ETH, transaction may cost up to ${ctx.ethers.utils.formatEther(estimatedCost)} ETH`);
+    }
+
+    // A reservation left from an attempt that never sent is replaced, not added to
+    if (job.spend_reserved_wei) {
+      job = await saveJob(supabase, job, await releaseSpend(supabase, job));
+    }
+
+    // Checked and reserved in one compare-and-swap on the network's daily budget
+    const spend = await reserveSpend(supabase, ctx.config.network, estimatedCost);
+
+    console.log(`⛽ Job ${job.id}: ${tokenIds.length} tokens, gas ${gasLimit.toString()}, worst-case fee ${spend.estimated_cost_eth} ETH`);
+
+    if (!spend.allowed) {
+      if (spend.capExceeded === 'transaction' && sendable.length > 1) {
+        // Too expensive as one transaction: keep the first half, queue the rest separately
+        const keep = sendable.slice(0, Math.ceil(sendable.length / 2));
+        const moved = sendable.slice(keep.length);
+        console.log(`✂️ Job ${job.id}: splitting ${sendable.length} tokens into ${keep.length} + ${moved.length}`);
+
+        await enqueueTransactions(supabase, job.action, moved, { createdBy: job.created_by, batchSize: moved.length, contractKey: ctx.config.key });
+        job = await saveJob(supabase, job, { items: keep });
+        return submitJob(supabase, ctx, job);
+      }
+      return deferJob(supabase, job, spend);
+    }
+    job = await saveJob(supabase, job, spend.reservation);
+
+    const network = await ctx.provider.getNetwork();
+
+    txRequest = {
+      to: populated.to,
+      data: populated.data,
+      gasLimit: gasLimit.toString(),
+      chainId: network.chainId
+    };
+
+    const nonce = await reserveNonce(supabase, ctx);
+    job = await saveJob(supabase, job, {
+      tx_request: txRequest,
+      nonce: nonce,
+      sent_items: sendable,
+      wallet_address: ctx.wallet.address.toLowerCase()
+    });
+  }
+
+  if (!fees) {
+    fees = capFees(ctx, await getFees(ctx, job), txRequest.gasLimit);
+
+    // A re-send may pay more than the first send reserved. If today's cap has no room for
+    // the difference, it goes out within the existing reservation rather than holding its
+    // nonce (and every later transaction) back.
+    const reservation = await extendReservation(supabase, ctx.config.network, job,
+      ctx.ethers.BigNumber.from(txRequest.gasLimit).mul(fees.maxFeePerGas || fees.gasPrice));
+    if (reservation) {
+      job = await saveJob(supabase, job, reservation);
+    } else if (job.spend_reserved_wei) {
+      fees = capFees(ctx, fees, txRequest.gasLimit, ctx.ethers.BigNumber.from(job.spend_reserved_wei));
+    }
+  }
+  console.log(`📤 Job ${job.id}: sending ${job.action} for ${job.sent_items.length} tokens with nonce ${job.nonce}`);
+
+  let transaction;
+  try {
+    transaction = await ctx.wallet.sendTransaction({ ...txRequest, nonce: job.nonce, ...fees });
+  } catch (error) {
+    if (error.code === 'NONCE_EXPIRED' || /nonce (too low|has already been used)/i.test(error.message)) {
+      // The nonce was used, possibly by an earlier broadcast of this job
+      const receipt = await findReceipt(ctx, job);
+      if (receipt) return checkJob(supabase, ctx, job);
+      return saveJob(supabase, job, {
+        ...FRESH_SEND,
+        ...(await releaseSpend(supabase, job)),
+        status: 'dropped',
+        last_error: 'Nonce already used by another transaction'
+      });
+    }
+    throw error;
+  }
+
+  console.log(`⏳ Job ${job.id}: transaction sent ${transaction.hash}`);
+
+  return saveJob(supabase, job, {
+    status: 'pending',
+    tx_hash: transaction.hash,
+    tx_hashes: [...(job.tx_hashes || []), transaction.hash],
+    submitted_at: job.submitted_at || new Date().toISOString(),
+    last_submitted_at: new Date().toISOString(),
+    next_attempt_at: null,
+    last_error: null,
+    estimated_cost_wei: ctx.ethers.BigNumber.from(txRequest.gasLimit).mul(fees.maxFeePerGas || fees.gasPrice).toString(),
+    ...feeColumns(fees)
+  });
+}
+
+// Hold a job back because of a spending cap; this does not count as a failed attempt
+async function deferJob(supabase, job, spend) {
+  const retryAt = spend.capExceeded === 'daily'
+    ? nextUtcDay()
+    : new Date(Date.now() + 15 * 60 * 1000); // gas prices may come down
+
+  console.warn(`⏸️ Job ${job.id}: ${spend.reason}; retrying at ${retryAt.toISOString()}`);
+
+  return saveJob(supabase, job, {
+    status: 'queued',
+    attempts: Math.max((job.attempts || 1) - 1, 0),
+    next_attempt_at: retryAt.toISOString(),
+    last_error: spend.reason
+  });
+}
+
+// Keep a transaction's worst-case fee within `maxCost` (by default the per-transaction cap)
+function capFees(ctx, fees, gasLimit, maxCost = ctx.ethers.utils.parseEther(getSpendLimits(ctx.config.network).maxFeePerTxEth)) {
+  const ceiling = maxCost.div(gasLimit);
+  const min = (a, b) => (a.lt(b) ? a : b);
+
+  if (fees.maxFeePerGas) {
+    return {
+      type: 2,
+      maxFeePerGas: min(fees.maxFeePerGas, ceiling),
+      maxPriorityFeePerGas: min(fees.maxPriorityFeePerGas, ceiling)
+    };
+  }
+  return { gasPrice: min(fees.gasPrice, ceiling) };
+}
+
+// The receipt for whichever of the job's broadcasts was mined, if any
+async function findReceipt(ctx, job) {
+  for (const hash of [...(job.tx_hashes || [])].reverse()) {
+    const receipt = await ctx.provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+// Follow a broadcast job: mined, confirmed, reverted, dropped or due for a gas bump
+async function checkJob(supabase, ctx, job) {
+  const receipt = await findReceipt(ctx, job);
+
+  if (receipt) {
+    if (receipt.status === 0) {
+      const settled = await recordSpend(supabase, ctx, job, receipt);
+      return scheduleRetry(supabase, ctx, await saveJob(supabase, job, { ...FRESH_SEND, ...settled, estimated_cost_wei: null }),
+        `Transaction ${receipt.transactionHash} reverted`);
+    }
+
+    const headBlock = await ctx.provider.getBlockNumber();
+    const confirmations = headBlock - receipt.blockNumber + 1;
+    const minedFields = {
+      tx_hash: receipt.transactionHash,
+      block_number: receipt.blockNumber,
+      gas_used: receipt.gasUsed.toString(),
+      mined_at: job.mined_at || new Date().toISOString()
+    };
+
+    if (confirmations < QUEUE_CONFIG.confirmations) {
+      console.log(`⛏️ Job ${job.id}: mined in block ${receipt.blockNumber} (${confirmations}/${QUEUE_CONFIG.confirmations} confirmations)`);
+      return saveJob(supabase, job, { status: 'mined', ...minedFields });
+    }
+
+    console.log(`✅ Job ${job.id}: confirmed in block ${receipt.blockNumber}`);
+    const settled = await recordSpend(supabase, ctx, job, receipt);
+    const confirmedJob = await saveJob(supabase, job, {
+      status: 'confirmed',
+      confirmed_at: new Date().toISOString(),
+      last_error: null,
+      ...minedFields,
+      ...settled
+    });
+    return verifyConfirmedJob(supabase, ctx, confirmedJob);
+  }
+
+  // Not mined: has something else taken our nonce?
+  const minedNonce = await ctx.provider.getTransactionCount(ctx.wallet.address, 'latest');
+  if (minedNonce > job.nonce) {
+    const lateReceipt = await findReceipt(ctx, job);
+    if (lateReceipt) return checkJob(supabase, ctx, job);
+
+    console.warn(`⚠️ Job ${job.id}: nonce ${job.nonce} was used by another transaction, re-sending`);
+    return saveJob(supabase, job, {
+      ...FRESH_SEND,
+      ...(await releaseSpend(supabase, job)),
+      status: 'dropped',
+      estimated_cost_wei: null,
+      last_error: `Transaction ${job.tx_hash} dropped or replaced`
+    });
+  }
+
+  // Stuck in the mempool: replace it with higher fees
+  const waitingMs = Date.now() - new Date(job.last_submitted_at).getTime();
+  if (waitingMs > QUEUE_CONFIG.bumpAfterMs && (job.bump_count || 0) < QUEUE_CONFIG.maxBumps) {
+    const fees = capFees(ctx, await getFees(ctx, job), job.tx_request.gasLimit);
+    const previousFee = ctx.ethers.BigNumber.from(job.max_fee_per_gas || job.gas_price);
+    if ((fees.maxFeePerGas || fees.gasPrice).lte(previousFee.mul(110).div(100))) {
+      console.warn(`⚠️ Job ${job.id}: cannot bump gas further within the ${getSpendLimits(ctx.config.network).maxFeePerTxEth} ETH fee cap`);
+      return job;
+    }
+
+    const bumpedCost = ctx.ethers.BigNumber.from(job.tx_request.gasLimit).mul(fees.maxFeePerGas || fees.gasPrice);
+    const reservation = await extendReservation(supabase, ctx.config.network, job, bumpedCost);
+    if (!reservation) {
+      console.warn(`⚠️ Job ${job.id}: bumping gas would exceed today's spending cap on ${ctx.config.network}`);
+      return job;
+    }
+    job = await saveJob(supabase, job, reservation);
+
+    const transaction = await ctx.wallet.sendTransaction({ ...job.tx_request, nonce: job.nonce, ...fees });
+
+    console.log(`⛽ Job ${job.id}: bumped gas, replacement ${transaction.hash}`);
+    return saveJob(supabase, job, {
+      tx_hash: transaction.hash,
+      tx_hashes: [...(job.tx_hashes || []), transaction.hash],
+      bump_count: (job.bump_count || 0) + 1,
+      last_submitted_at: new Date().toISOString(),
+      estimated_cost_wei: bumpedCost.toString(),
+      ...feeColumns(fees)
+    });
+  }
+
+  return job;
+}
+
+async function scheduleRetry(supabase, ctx, job, errorMessage) {
+  const attempts = job.attempts || 0;
+
+  if (attempts >= QUEUE_CONFIG.maxAttempts) {
+    console.error(`❌ Job ${job.id}: giving up after ${attempts} attempts`);
+
+    let nonceNote = null;
+    try {
+      nonceNote = await releaseNonce(supabase, ctx, job);
+    } catch (error) {
+      console.error(`⚠️ Job ${job.id}: could not release nonce ${job.nonce}:`, error.message);
+      nonceNote = `nonce ${job.nonce} could not be released: ${error.message}`;
+    }
+
+    // Nothing of this job is out on the network any more, so its fee reservation goes back
+    const released = job.nonce === null || job.nonce === undefined || nonceNote
+      ? await releaseSpend(supabase, job)
+      : {};
+
+    const failedJob = await saveJob(supabase, job, {
+      ...(nonceNote ? FRESH_SEND : {}),
+      ...released,
+      status: 'failed',
+      last_error: nonceNote ? `${errorMessage} (${nonceNote})` : errorMessage
+    });
+    await applyFailure(supabase, failedJob, errorMessage);
+    return failedJob;
+  }
+
+  // Exponential backoff: 2, 4, 8, 16 minutes. A job that already holds a nonce
+  // keeps it and re-sends the same transaction.
+  const nextAttemptAt = new Date(Date.now() + Math.pow(2, Math.max(attempts, 1)) * 60 * 1000);
+  return saveJob(supabase, job, {
+    status: 'queued',
+    last_error: errorMessage,
+    next_attempt_at: nextAttemptAt.toISOString()
+  });
+}
+
+// Hand back the nonce of a job that gives up before its transaction went out. If no later
+// nonce was reserved, next_nonce is moved back so the next job takes it; otherwise the gap
+// is filled with an empty transfer to the wallet itself. Returns a note for the job, or null
+// when there was nothing to release.
+async function releaseNonce(supabase, ctx, job) {
+  if (!ctx || job.nonce === null || job.nonce === undefined) return null;
+
+  // The node already has a transaction with this nonce (mined or in the mempool)
+  const pendingNonce = await ctx.provider.getTransactionCount(ctx.wallet.address, 'pending');
+  if (pendingNonce > job.nonce) return null;
+
+  const { data: swapped, error } = await supabase
+    .from('wallet_nonces')
+    .update({ next_nonce: job.nonce, updated_at: new Date().toISOString() })
+    .eq('wallet_address', ctx.wallet.address.toLowerCase())
+    .eq('network', ctx.config.network)
+    .eq('next_nonce', job.nonce + 1)
+    .select('next_nonce');
+
+  if (error) {
+    throw new Error(`Failed to release wallet nonce: ${error.message}`);
+  }
+
+  if (swapped && swapped.length > 0) {
+    console.log(`↩️ Job ${job.id}: released nonce ${job.nonce} for the next transaction`);
+    return `nonce ${job.nonce} released`;
+  }
+
+  const fees = capFees(ctx, await getFees(ctx, {}), TRANSFER_GAS_LIMIT);
+  const transaction = await ctx.wallet.sendTransaction({
+    to: ctx.wallet.address,
+    value: 0,
+    gasLimit: TRANSFER_GAS_LIMIT,
+    nonce: job.nonce,
+    ...fees
+  });
+
+  console.log(`🕳️ Job ${job.id}: filled nonce ${job.nonce} with self-transfer ${transaction.hash}`);
+  return `nonce ${job.nonce} filled by ${transaction.hash}`;
+}
+
+// An older, unsettled job of the opposite action (revoke vs reinstate) touching any of this job's tickets
+async function findConflictingJob(supabase, job) {
+  const oppositeAction = TX_ACTIONS[job.action].oppositeAction;
+  if (!oppositeAction) return null;
+
+  const { data: jobs, error } = await supabase
+    .from('blockchain_tx_queue')
+    .select('id, action, items')
+    .eq('action', oppositeAction)
+    .eq('contract_key', job.contract_key)
+    .in('status', ACTIVE_STATES)
+    .lt('created_at', job.created_at);
+
+  if (error) {
+    throw new Error(`Failed to check for conflicting jobs: ${error.message}`);
+  }
+
+  const ticketIds = new Set(job.items.map(item => String(item.ticket_id)));
+  return (jobs || []).find(other => (other.items || []).some(item => ticketIds.has(String(item.ticket_id)))) || null;
+}
+
+// The job's items minus those whose log row has been marked superseded
+async function withoutSupersededItems(supabase, job) {
+  const logTable = TX_ACTIONS[job.action].logTable;
+  const sourceIds = job.items.map(item => item.source_id).filter(Boolean);
+  if (!logTable || sourceIds.length === 0) return job.items;
+
+  const { data: superseded, error } = await supabase
+    .from(logTable)
+    .select('id')
+    .in('id', sourceIds)
+    .eq('blockchain_status', 'superseded');
+
+  if (error) {
+    throw new Error(`Failed to check ${logTable} rows: ${error.message}`);
+  }
+
+  const supersededIds = new Set((superseded || []).map(row => String(row.id)));
+  if (supersededIds.size > 0) {
+    console.log(`⏭️ Job ${job.id}: skipping ${supersededIds.size} superseded ${job.action} items`);
+  }
+  return job.items.filter(item => !supersededIds.has(String(item.source_id)));
+}
+
+// Read token statuses as of `blockTag`, re-reading the ones that failed
+async function readStatusesAtBlock(ctx, tokenIds, blockTag) {
+  const statuses = new Map();
+  let unread = tokenIds;
+
+  for (let attempt = 1; attempt <= VERIFY_READ_ATTEMPTS && unread.length > 0; attempt++) {
+    if (attempt > 1) await new Promise(resolve => setTimeout(resolve, VERIFY_READ_DELAY_MS));
+
+    let reads;
+    try {
+      reads = await readTicketStatuses(ctx.ethers, ctx.provider, ctx.config.contractAddress, unread, { blockTag });
+    } catch (error) {
+      reads = new Map(unread.map(tokenId => [tokenId, { status: null, isRevoked: null, error: error.message }]));
+    }
+
+    reads.forEach((value, tokenId) => statuses.set(tokenId, value));
+    unread = unread.filter(tokenId => !statuses.has(tokenId) || statuses.get(tokenId).error);
+  }
+
+  return statuses;
+}
+
+// Check every token the confirmed transaction covered, as of the block it was mined in.
+// Tokens read in another status are re-queued (up to MAX_VERIFY_RETRIES times); tokens that
+// could not be read keep their log row pending for the re-drive. Both are reported on the job.
+async function verifyConfirmedJob(supabase, ctx, job) {
+  const action = TX_ACTIONS[job.action];
+  const items = job.sent_items || [];
+  const statuses = await readStatusesAtBlock(ctx, items.map(i => String(i.token_id)), job.block_number);
+
+  const verified = items.filter(item => statuses.get(String(item.token_id))?.status === action.targetStatus);
+  const unreadable = items.filter(item => !verified.includes(item) && (statuses.get(String(item.token_id))?.error ?? true));
+  const unverified = items.filter(item => !verified.includes(item) && !unreadable.includes(item));
+
+  console.log(`🔍 Job ${job.id}: ${verified.length}/${items.length} tokens verified in status ${action.targetStatus} at block ${job.block_number}`);
+
+  if (unreadable.length > 0) {
+    console.warn(`⚠️ Job ${job.id}: could not read ${unreadable.length} tokens after confirmation, leaving them for the re-drive`);
+    if (action.logTable) {
+      const sourceIds = unreadable.map(i => i.source_id).filter(Boolean);
+      if (sourceIds.length > 0) {
+        await supabase
+          .from(action.logTable)
+          .update({ blockchain_error: 'Could not verify token after confirmation; will be re-checked' })
+          .in('id', sourceIds);
+      }
+    }
+  }
+
+  if (verified.length > 0) {
+    await applyOutcome(supabase, job, verified, statuses, job.tx_hash);
+  }
+
+  const failedTokens = [];
+  if (unverified.length > 0) {
+    const retryable = unverified.filter(item => (item.verify_retries || 0) < MAX_VERIFY_RETRIES);
+    const exhausted = unverified.filter(item => !retryable.includes(item));
+
+    let retryJob = null;
+    if (retryable.length > 0) {
+      [retryJob] = await enqueueTransactions(
+        supabase,
+        job.action,
+        retryable.map(item => ({ ...item, verify_retries: (item.verify_retries || 0) + 1 })),
+        { createdBy: job.created_by, batchSize: retryable.length, contractKey: ctx.config.key }
+      );
+    }
+
+    for (const item of unverified) {
+      const chainStatus = statuses.get(String(item.token_id));
+      const willRetry = retryable.includes(item);
+      const error = `Token in status ${chainStatus.status} after confirmation of ${job.tx_hash}, expected ${action.targetStatus}`;
+
+      failedTokens.push({
+        ticket_id: item.ticket_id,
+        token_id: item.token_id,
+        on_chain_status: chainStatus.status,
+        error: error,
+        retry_job_id: willRetry ? retryJob?.id || null : null
+      });
+
+      if (action.logTable && item.source_id) {
+        await supabase
+          .from(action.logTable)
+          .update({
+            ...(willRetry ? {} : { blockchain_status: 'failed' }),
+            blockchain_error: error,
+            verified_status: chainStatus.status,
+            verified_at: new Date().toISOString()
+          })
+          .eq('id', item.source_id);
+      }
+    }
+
+    if (job.action === 'register' && exhausted.length > 0) {
+      await supabase
+        .from('tickets')
+        .update({ nft_mint_status: 'failed', blockchain_error: 'Token not registered after confirmed transaction' })
+        .in('ticket_id', exhausted.map(i => i.ticket_id));
+    }
+
+    console.warn(`⚠️ Job ${job.id}: ${unverified.length} tokens failed verification (${retryable.length} re-queued)`);
+  }
+
+  return saveJob(supabase, job, {
+    verification_results: {
+      checked: items.length,
+      verified: verified.length,
+      failed: failedTokens,
+      unreadable: unreadable.map(item => ({ ticket_id: item.ticket_id, token_id: item.token_id })),
+      block_number: job.block_number,
+      verified_at: new Date().toISOString()
+    }
+  });
+}
+
+// Record the result for items that reached a settled state, either through this job's
+// transaction (txHash) or because the contract already had them there
+async function applyOutcome(supabase, job, items, statuses, txHash) {
+  const action = TX_ACTIONS[job.action];
+  const now = new Date().toISOString();
+
+  const completed = items.filter(item => statuses.get(item.token_id).status === action.targetStatus);
+  const notRequired = items.filter(item => !completed.includes(item));
+
+  if (action.logTable) {
+    const completedIds = completed.map(i => i.source_id).filter(Boolean);
+
+    if (completedIds.length > 0) {
+      await supabase
+        .from(action.logTable)
+        .update({
+          blockchain_status: 'completed',
+          blockchain_tx_hash: txHash,
+          blockchain_error: null,
+          verified_status: action.targetStatus,
+          verified_at: now
+        })
+        .in('id', completedIds);
+    }
+
+    for (const item of notRequired.filter(i => i.source_id)) {
+      await supabase
+        .from(action.logTable)
+        .update({
+          blockchain_status: 'not_required',
+          blockchain_error: null,
+          verified_status: statuses.get(item.token_id).status,
+          verified_at: now
+        })
+        .eq('id', item.source_id);
+    }
+  }
+
+  for (const item of items) {
+    const chainStatus = statuses.get(item.token_id).status;
+    const update = {
+      blockchain_sync_status: chainStatus,
+      last_blockchain_sync: now,
+      ...(txHash ? { blockchain_tx_hash: txHash } : {})
+    };
+    if (job.action === 'register') {
+      Object.assign(update, { blockchain_registered: true, nft_mint_status: 'minted', blockchain_error: null });
+    }
+
+    await supabase
+      .from('tickets')
+      .update(update)
+      .eq('ticket_id', item.ticket_id);
+  }
+}
+
+async function applyFailure(supabase, job, errorMessage) {
+  const action = TX_ACTIONS[job.action];
+  const items = job.sent_items?.length ? job.sent_items : job.items;
+
+  if (action.logTable) {
+    const sourceIds = items.map(i => i.source_id).filter(Boolean);
+    if (sourceIds.length > 0) {
+      await supabase
+        .from(action.logTable)
+        .update({ blockchain_status: 'failed', blockchain_error: errorMessage })
+        .in('id', sourceIds)
+        .neq('blockchain_status', 'superseded');
+    }
+  }
+
+  if (job.action === 'register') {
+    await supabase
+      .from('tickets')
+      .update({ nft_mint_status: 'failed', blockchain_error: errorMessage })
+      .in('ticket_id', items.map(i => i.ticket_id));
+  }
+}
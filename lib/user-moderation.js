@@ -0,0 +1,185 @@
+// /lib/user-moderation.js
+// Account suspensions and bans
+//
+// The current restriction lives on the `users` row so any system can check it before
+// taking a purchase:
+//   account_status         - active, suspended or banned
+//   account_status_reason  - why the account is restricted
+//   account_status_until   - when the restriction ends (null = until lifted; bans only)
+//   account_status_set_by, account_status_set_at
+// Use canPurchase(user) rather than reading account_status alone: a restriction whose
+// end has passed no longer applies, even before the account-expiry job has lifted it.
+//
+// Every change is also recorded in `user_moderation_actions` (user_id, action, reason,
+// expires_at, previous_status, new_status, admin_id, created_at). admin_id is null for
+// restrictions lifted automatically when they expire.
+
+import { isStaffRole } from './permissions.js';
+
+export const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+// Operation → resulting account status
+export const MODERATION_ACTIONS = {
+  suspend: 'suspended',
+  ban: 'banned',
+  reinstate: 'active'
+};
+
+export const ACCOUNT_COLUMNS = 'account_status, account_status_reason, account_status_until, account_status_set_by, account_status_set_at';
+
+// Status that applies right now, taking an expired restriction as lifted
+export function effectiveAccountStatus(user, now = new Date()) {
+  const status = user?.account_status || 'active';
+  if (status !== 'active' && user.account_status_until && new Date(user.account_status_until) <= now) {
+    return 'active';
+  }
+  return status;
+}
+
+export function canPurchase(user) {
+  return effectiveAccountStatus(user) === 'active';
+}
+
+// Check a moderation request. Returns a list of problems; empty when it may go ahead.
+export function validateModeration(target, admin, { operation, reason, expiresAt }) {
+  const errors = [];
+
+  if (!MODERATION_ACTIONS[operation]) {
+    return [`operation must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`];
+  }
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    errors.push('reason is required');
+  }
+  if (target.user_id === admin.user_id) {
+    errors.push('You cannot moderate your own account');
+  }
+  // Staff access is managed through roles, not restrictions
+  if (isStaffRole(target.role)) {
+    errors.push('Staff accounts cannot be suspended or banned; change their role first');
+  }
+
+  if (operation === 'suspend' && !expiresAt) {
+    errors.push('expires_at is required for a suspension; use ban for an open-ended restriction');
+  }
+  if (expiresAt !== undefined && expiresAt !== null) {
+    if (operation === 'reinstate') {
+      errors.push('expires_at does not apply to reinstate');
+    } else if (isNaN(new Date(expiresAt)) || new Date(expiresAt) <= new Date()) {
+      errors.push('expires_at must be a future ISO date');
+    }
+  }
+
+  if (operation === 'reinstate' && effectiveAccountStatus(target) === 'active') {
+    errors.push('Account is not restricted');
+  }
+
+  return errors;
+}
+
+// Apply a suspend, ban or reinstate to the users row and record it.
+// Returns the updated user, or null when the account changed since it was read.
+export async function applyModeration(supabase, target, { operation, reason, expiresAt = null, adminId }) {
+  const newStatus = MODERATION_ACTIONS[operation];
+  const now = new Date().toISOString();
+
+  let update = supabase
+    .from('users')
+    .update({
+      account_status: newStatus,
+      account_status_reason: newStatus === 'active' ? null : reason.trim(),
+      account_status_until: newStatus === 'active' ? null : expiresAt,
+      account_status_set_by: adminId,
+      account_status_set_at: now
+    })
+    .eq('user_id', target.user_id);
+
+  // Compare-and-swap so two admins acting at once cannot overwrite each other
+  update = target.account_status_set_at
+    ? update.eq('account_status_set_at', target.account_status_set_at)
+    : update.is('account_status_set_at', null);
+
+  const { data: updated, error: updateError } = await update
+    .select(`user_id, id_name, role, ${ACCOUNT_COLUMNS}`);
+
+  if (updateError) {
+    throw new Error(`Failed to update account status: ${updateError.message}`);
+  }
+  if (!updated || updated.length === 0) return null;
+
+  await recordModerationAction(supabase, {
+    user_id: target.user_id,
+    action: operation,
+    reason: reason.trim(),
+    expires_at: newStatus === 'active' ? null : expiresAt,
+    previous_status: target.account_status || 'active',
+    new_status: newStatus,
+    admin_id: adminId,
+    created_at: now
+  });
+
+  return updated[0];
+}
+
+// Lift suspensions and bans whose end has passed (run by the account-expiry job)
+export async function liftExpiredRestrictions(supabase, { limit = 500 } = {}) {
+  const now = new Date().toISOString();
+
+  const { data: expired, error } = await supabase
+    .from('users')
+    .select(`user_id, ${ACCOUNT_COLUMNS}`)
+    .in('account_status', ['suspended', 'banned'])
+    .not('account_status_until', 'is', null)
+    .lte('account_status_until', now)
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to read expired restrictions: ${error.message}`);
+  }
+
+  let lifted = 0;
+  for (const user of expired || []) {
+    const { data: updated, error: updateError } = await supabase
+      .from('users')
+      .update({
+        account_status: 'active',
+        account_status_reason: null,
+        account_status_until: null,
+        account_status_set_by: null,
+        account_status_set_at: now
+      })
+      .eq('user_id', user.user_id)
+      .eq('account_status_until', user.account_status_until)
+      .select('user_id');
+
+    if (updateError) {
+      console.error(`⚠️ Failed to lift restriction on user ${user.user_id}:`, updateError.message);
+      continue;
+    }
+    if (!updated || updated.length === 0) continue; // changed by an admin meanwhile
+
+    await recordModerationAction(supabase, {
+      user_id: user.user_id,
+      action: 'expire',
+      reason: `${user.account_status === 'banned' ? 'Ban' : 'Suspension'} ended`,
+      expires_at: null,
+      previous_status: user.account_status,
+      new_status: 'active',
+      admin_id: null,
+      created_at: now
+    });
+    lifted++;
+  }
+
+  console.log(`🔓 Lifted ${lifted} of ${expired?.length || 0} expired account restrictions`);
+  return { checked: expired?.length || 0, lifted };
+}
+
+async function recordModerationAction(supabase, action) {
+  const { error } = await supabase
+    .from('user_moderation_actions')
+    .insert(action);
+
+  if (error) {
+    console.error(`⚠️ Failed to record moderation action for user ${action.user_id}:`, error.message);
+  }
+}
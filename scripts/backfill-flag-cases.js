@@ -0,0 +1,29 @@
+// /scripts/backfill-flag-cases.js
+// Open a review case for every flagged purchase that has none
+//
+// Usage:
+//   SUPABASE_URL=https://... SUPABASE_SERVICE_KEY=... npm run backfill:flag-cases
+//
+// Purchases flagged before review cases existed have no case, so the case state and
+// reviewer filters of get-flagged-activities.js cannot match them. Safe to run again:
+// purchases that already have a case are left alone.
+
+import { createClient } from '@supabase/supabase-js';
+import { openMissingFlagCases } from '../lib/flag-cases.js';
+
+async function main() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+  console.log('🗃️ ============ BACKFILL REVIEW CASES ============');
+  const { checked, opened } = await openMissingFlagCases(supabase);
+  console.log(`✅ Checked ${checked} flagged purchases, opened ${opened} review cases`);
+}
+
+main().catch(error => {
+  console.error('🔥 Backfill failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+// /scripts/benchmark-status-reads.js
+// Compare per-token vs batched on-chain status reads against a local Hardhat/Anvil node
+//
+// Usage:
+//   RPC_URL=http://127.0.0.1:8545 CONTRACT_ADDRESS=0x... TOKEN_COUNT=1000 npm run benchmark:status-reads
+//
+// The revocation contract must be deployed on the node. Multicall mode only runs when
+// Multicall3 exists on the chain (deploy it, or start Anvil with --fork-url); set
+// MULTICALL_ADDRESS if it lives somewhere other than the canonical address.
+
+import { readTicketStatuses } from '../lib/multicall.js';
+
+const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
+const TOKEN_COUNT = parseInt(process.env.TOKEN_COUNT) || 500;
+const BATCH_SIZE = parseInt(process.env.BATCH_SIZE) || 200;
+const FIRST_TOKEN_ID = parseInt(process.env.FIRST_TOKEN_ID) || 1;
+
+async function main() {
+  if (!CONTRACT_ADDRESS) {
+    throw new Error('CONTRACT_ADDRESS is required');
+  }
+
+  const ethersModule = await import('ethers');
+  const ethers = ethersModule.default || ethersModule;
+  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  const network = await provider.getNetwork();
+
+  const tokenIds = Array.from({ length: TOKEN_COUNT }, (_, i) => String(FIRST_TOKEN_ID + i));
+
+  console.log('📊 ============ STATUS READ BENCHMARK ============');
+  console.log('   🌐 RPC URL:', RPC_URL, `(chain ${network.chainId})`);
+  console.log('   📋 Contract:', CONTRACT_ADDRESS);
+  console.log('   🎫 Tokens:', TOKEN_COUNT, `(IDs ${tokenIds[0]}-${tokenIds[tokenIds.length - 1]})`);
+  console.log('   📦 Batch size:', BATCH_SIZE);
+
+  const modes = ['individual', 'rpc_batch'];
+  const multicallCode = await provider.getCode(process.env.MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11');
+  if (multicallCode && multicallCode !== '0x') {
+    modes.push('multicall');
+  } else {
+    console.log('ℹ️ Multicall3 not deployed on this chain, skipping multicall mode');
+  }
+
+  const results = {};
+  for (const mode of modes) {
+    const start = Date.now();
+    results[mode] = await readTicketStatuses(ethers, provider, CONTRACT_ADDRESS, tokenIds, {
+      batchSize: mode === 'individual' ? 10 : BATCH_SIZE,
+      includeRevoked: true,
+      mode
+    });
+    const duration = Date.now() - start;
+    console.log(`⏱️ ${mode.padEnd(10)} ${String(duration).padStart(7)} ms  (${(duration / TOKEN_COUNT).toFixed(2)} ms/token)`);
+    results[mode].duration = duration;
+  }
+
+  // Every mode must return exactly what the per-token reads return
+  const baseline = results.individual;
+  let mismatches = 0;
+  for (const mode of modes.filter(m => m !== 'individual')) {
+    tokenIds.forEach(tokenId => {
+      const expected = baseline.get(tokenId);
+      const actual = results[mode].get(tokenId);
+      if (expected.status !== actual.status || expected.isRevoked !== actual.isRevoked || Boolean(expected.error) !== Boolean(actual.error)) {
+        mismatches++;
+        console.error(`❌ ${mode} mismatch for token ${tokenId}:`, expected, actual);
+      }
+    });
+    console.log(`🚀 ${mode} speed-up: ${(baseline.duration / results[mode].duration).toFixed(1)}x`);
+  }
+
+  if (mismatches > 0) {
+    console.error(`❌ ${mismatches} mismatches between read modes`);
+    process.exit(1);
+  }
+
+  console.log('✅ All read modes returned identical results');
+}
+
+main().catch(error => {
+  console.error('🔥 Benchmark failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+// requirePermission and the routes that use it: anonymous callers get 401, signed-in users
+// without a staff role or without the route's permission get 403.
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { requirePermission } from '../lib/auth.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { createMockResponse } from './helpers/mock-response.js';
+
+const ACCOUNTS = {
+  'customer-token': { authId: 'auth-customer', row: { user_id: 1, id_name: 'Casey Customer', role: 'user' } },
+  'viewer-token': { authId: 'auth-viewer', row: { user_id: 2, id_name: 'Vic Viewer', role: 'viewer' } },
+  'admin-token': { authId: 'auth-admin', row: { user_id: 3, id_name: 'Ada Admin', role: 'admin' } }
+};
+
+function fakeClient() {
+  return createFakeSupabase({
+    authUsers: Object.fromEntries(Object.entries(ACCOUNTS).map(([token, account]) => [token, { id: account.authId }])),
+    tables: {
+      users: Object.values(ACCOUNTS).map(account => ({ ...account.row, auth_id: account.authId }))
+    }
+  });
+}
+
+const request = token => ({
+  method: 'GET',
+  query: {},
+  body: {},
+  headers: token ? { authorization: `Bearer ${token}` } : {}
+});
+
+describe('requirePermission', () => {
+  test('rejects a request without a token with 401', async () => {
+    const res = createMockResponse();
+    const user = await requirePermission(fakeClient(), request(null), res, PERMISSIONS.READ_PURCHASES);
+    assert.equal(user, null);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('rejects an unknown token with 401', async () => {
+    const res = createMockResponse();
+    const user = await requirePermission(fakeClient(), request('forged-token'), res, PERMISSIONS.READ_PURCHASES);
+    assert.equal(user, null);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test('rejects a signed-in customer with 403', async () => {
+    const res = createMockResponse();
+    const user = await requirePermission(fakeClient(), request('customer-token'), res, PERMISSIONS.READ_PURCHASES);
+    assert.equal(user, null);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, 'Admin privileges required');
+  });
+
+  test('rejects staff whose role lacks the permission with 403', async () => {
+    const res = createMockResponse();
+    const user = await requirePermission(fakeClient(), request('viewer-token'), res, PERMISSIONS.SCAN_BOTS);
+    assert.equal(user, null);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.required_permission, PERMISSIONS.SCAN_BOTS);
+  });
+
+  test('returns the staff row when the role grants the permission', async () => {
+    const res = createMockResponse();
+    const user = await requirePermission(fakeClient(), request('admin-token'), res, PERMISSIONS.SCAN_BOTS);
+    assert.equal(user.user_id, 3);
+    assert.equal(res.statusCode, null);
+  });
+});
+
+// The handlers create their Supabase client at import time, so they are pointed at a local
+// stand-in for the auth and REST endpoints before being imported
+describe('protected routes', () => {
+  let server;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const token = req.headers.authorization?.replace('Bearer ', '');
+      res.setHeader('Content-Type', 'application/json');
+
+      if (url.pathname === '/auth/v1/user') {
+        const account = ACCOUNTS[token];
+        if (!account) {
+          res.statusCode = 401;
+          return res.end(JSON.stringify({ code: 401, msg: 'invalid JWT' }));
+        }
+        return res.end(JSON.stringify({ id: account.authId, aud: 'authenticated' }));
+      }
+
+      if (url.pathname === '/rest/v1/users') {
+        const authId = url.searchParams.get('auth_id')?.replace(/^eq\./, '');
+        const account = Object.values(ACCOUNTS).find(a => a.authId === authId);
+        if (!account) {
+          res.statusCode = 406;
+          return res.end(JSON.stringify({ code: 'PGRST116', message: 'no rows' }));
+        }
+        return res.end(JSON.stringify(account.row));
+      }
+
+      res.statusCode = 404;
+      res.end(JSON.stringify({ message: `unexpected request ${url.pathname}` }));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+    // supabase-js sets up its realtime client on creation and needs a WebSocket global,
+    // which Node only ships from version 22; the routes never open a socket
+    globalThis.WebSocket ??= class WebSocket {};
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const ROUTES = [
+    { path: '../api/admin/get-flagged-activities.js', method: 'GET' },
+    { path: '../api/admin/get-purchase-history.js', method: 'GET' },
+    { path: '../api/admin/scan-bot-activity.js', method: 'POST' },
+    { path: '../api/tickets/get.js', method: 'GET' }
+  ];
+
+  for (const route of ROUTES) {
+    test(`${route.path.replace('../', '')} answers 401 to anonymous and 403 to non-admin callers`, async () => {
+      const { default: handler } = await import(route.path);
+
+      const anonymous = createMockResponse();
+      await handler({ ...request(null), method: route.method }, anonymous);
+      assert.equal(anonymous.statusCode, 401);
+
+      const forged = createMockResponse();
+      await handler({ ...request('forged-token'), method: route.method }, forged);
+      assert.equal(forged.statusCode, 401);
+
+      const customer = createMockResponse();
+      await handler({ ...request('customer-token'), method: route.method }, customer);
+      assert.equal(customer.statusCode, 403);
+    });
+  }
+
+  test('scan-bot-activity refuses a viewer, who may only read', async () => {
+    const { default: handler } = await import('../api/admin/scan-bot-activity.js');
+    const res = createMockResponse();
+    await handler({ ...request('viewer-token'), method: 'POST' }, res);
+    assert.equal(res.statusCode, 403);
+  });
+});
@@ -0,0 +1,48 @@
+// Signing keys per network: only the default contract's network may use the shared
+// ADMIN_PRIVATE_KEY; a contract on any other network needs that network's own key.
+
+import { test, describe, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const SHARED_KEY = '0x' + '11'.repeat(32);
+const SEPOLIA_KEY = '0x' + '22'.repeat(32);
+
+describe('getContractConfig signing keys', () => {
+  let getContractConfig;
+
+  before(async () => {
+    process.env.BLOCKCHAIN_REGISTRY = JSON.stringify({
+      contracts: {
+        'local-revocation': { network: 'local', address: '0x' + 'aa'.repeat(20), abiVersion: 'revocation-v1' },
+        'sepolia-revocation': { network: 'sepolia', address: '0x' + 'bb'.repeat(20), abiVersion: 'revocation-v1' }
+      }
+    });
+    process.env.DEFAULT_CONTRACT_KEY = 'local-revocation';
+    process.env.ADMIN_PRIVATE_KEY = SHARED_KEY;
+    ({ getContractConfig } = await import('../lib/blockchain-config.js'));
+  });
+
+  afterEach(() => {
+    delete process.env.LOCAL_ADMIN_PRIVATE_KEY;
+    delete process.env.SEPOLIA_ADMIN_PRIVATE_KEY;
+  });
+
+  test('lets the default network fall back to the shared key', () => {
+    assert.equal(getContractConfig('local-revocation', { signer: true }).privateKey, SHARED_KEY);
+  });
+
+  test('prefers the network key on the default network', () => {
+    process.env.LOCAL_ADMIN_PRIVATE_KEY = SEPOLIA_KEY;
+    assert.equal(getContractConfig('local-revocation').privateKey, SEPOLIA_KEY);
+  });
+
+  test('refuses to sign on another network with the shared key', () => {
+    assert.equal(getContractConfig('sepolia-revocation').privateKey, null);
+    assert.throws(() => getContractConfig('sepolia-revocation', { signer: true }), /SEPOLIA_ADMIN_PRIVATE_KEY/);
+  });
+
+  test('signs on another network with its own key', () => {
+    process.env.SEPOLIA_ADMIN_PRIVATE_KEY = SEPOLIA_KEY;
+    assert.equal(getContractConfig('sepolia-revocation', { signer: true }).privateKey, SEPOLIA_KEY);
+  });
+});
@@ -0,0 +1,92 @@
+// Diagnostics against a revocation contract on a local dev chain: a reachable node passes
+// every check, an unreachable RPC fails the connection checks without going further, and a
+// dead endpoint next to a healthy one only warns.
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { startDevChain, useDevChainRegistry } from './helpers/dev-chain.js';
+
+// A localhost URL nothing listens on: bind a free port, then release it
+function closedPortUrl() {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(`http://127.0.0.1:${port}`));
+    });
+  });
+}
+
+describe('runBlockchainDiagnostics', () => {
+  let chain;
+  let config;
+  let runBlockchainDiagnostics;
+
+  before(async () => {
+    // Every check is logged; Node 20's test runner can garble that output when it
+    // interleaves with its own test messages
+    mock.method(console, 'log', () => {});
+    chain = await startDevChain();
+    const contract = await chain.deployRevocation();
+    useDevChainRegistry(chain, { 'local-revocation': { address: contract.address, startBlock: 0 } });
+
+    const { getContractConfig } = await import('../lib/blockchain-config.js');
+    ({ runBlockchainDiagnostics } = await import('../lib/blockchain-diagnostics.js'));
+    config = getContractConfig('local-revocation');
+  });
+
+  after(() => chain?.stop());
+
+  const setup = () => createFakeSupabase({
+    tables: { blockchain_diagnostic_runs: [], blockchain_spend_ledger: [], wallet_nonces: [], blockchain_tx_queue: [] }
+  });
+
+  const resultOf = (run, id) => run.checks.find(c => c.id === id)?.result;
+
+  test('passes every check against a reachable node and stores the run', async () => {
+    const supabase = setup();
+
+    const run = await runBlockchainDiagnostics(supabase, config, { runBy: 3 });
+
+    assert.deepEqual(run.checks.filter(c => c.result !== 'pass'), []);
+    assert.equal(run.overallStatus, 'pass');
+    assert.deepEqual(run.checks.map(c => c.id), [
+      'configuration', 'rpc_endpoints', 'chain_id', 'contract_code', 'abi_compatibility',
+      'wallet_permission', 'wallet_runway', 'nonce_gap'
+    ]);
+    assert.equal(run.connection.wallet_address, chain.wallet.address);
+    assert.ok(run.connection.current_block > 0);
+
+    const [stored] = supabase.db.blockchain_diagnostic_runs;
+    assert.equal(stored.id, run.runId);
+    assert.equal(stored.overall_status, 'pass');
+    assert.equal(stored.network, 'local');
+    assert.equal(stored.run_by, 3);
+  });
+
+  test('fails the connection checks and stops when the RPC is unreachable', async () => {
+    const supabase = setup();
+
+    const run = await runBlockchainDiagnostics(supabase, { ...config, rpcUrls: [await closedPortUrl()] });
+
+    assert.equal(run.overallStatus, 'fail');
+    assert.equal(resultOf(run, 'rpc_endpoints'), 'fail');
+    assert.equal(resultOf(run, 'chain_id'), 'fail');
+    assert.equal(resultOf(run, 'contract_code'), undefined);
+    assert.equal(run.connection.current_block, null);
+    assert.equal(supabase.db.blockchain_diagnostic_runs[0].overall_status, 'fail');
+  });
+
+  test('warns about a dead endpoint while another one is healthy', async () => {
+    const supabase = setup();
+
+    const run = await runBlockchainDiagnostics(supabase, { ...config, rpcUrls: [await closedPortUrl(), chain.url] });
+
+    assert.equal(resultOf(run, 'rpc_endpoints'), 'warn');
+    assert.equal(resultOf(run, 'chain_id'), 'pass');
+    assert.equal(resultOf(run, 'contract_code'), 'pass');
+    assert.equal(run.overallStatus, 'warn');
+  });
+});
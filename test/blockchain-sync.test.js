@@ -0,0 +1,146 @@
+// The full sync against a revocation contract on a local dev chain: a pass is worked across
+// invocations from the saved cursor, and only one invocation holds the cursor at a time; the
+// admin route answers 409 while another run holds it.
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { createMockResponse } from './helpers/mock-response.js';
+import { startSupabaseStandIn } from './helpers/supabase-stand-in.js';
+import { startDevChain, useDevChainRegistry } from './helpers/dev-chain.js';
+
+const TOKEN_IDS = ['1', '2', '3', '4', '5'];
+
+describe('performBlockchainSync', () => {
+  let chain;
+  let performBlockchainSync;
+
+  before(async () => {
+    // The sync logs every ticket; Node 20's test runner can garble that output when it
+    // interleaves with its own test messages
+    mock.method(console, 'log', () => {});
+    chain = await startDevChain();
+    const contract = await chain.deployRevocation();
+    await (await contract.batchRegisterTickets(TOKEN_IDS)).wait();
+    await (await contract.revokeTicket('2')).wait();
+
+    useDevChainRegistry(chain, { 'local-revocation': { address: contract.address, startBlock: 0 } });
+    ({ performBlockchainSync } = await import('../lib/blockchain-sync.js'));
+  });
+
+  after(() => chain?.stop());
+
+  const setup = (syncCursors = []) => createFakeSupabase({
+    tables: {
+      events: [{ event_id: 1, contract_key: null }],
+      tickets: TOKEN_IDS.map(tokenId => ({
+        ticket_id: Number(tokenId),
+        event_id: 1,
+        nft_token_id: tokenId,
+        ticket_status: 'valid',
+        blockchain_registered: true,
+        users: { id_name: 'Casey Customer' },
+        events: { event_name: 'Launch Night' }
+      })),
+      sync_cursors: syncCursors,
+      sync_retry_queue: []
+    }
+  });
+
+  const sync = (supabase, limit) => performBlockchainSync(supabase, limit, true, { maxDurationMs: 30000 });
+
+  test('resumes the pass from the cursor and starts over once it is done', async () => {
+    const supabase = setup();
+
+    const first = await sync(supabase, 2);
+    assert.equal(first.success, true);
+    assert.equal(first.cursor.last_ticket_id, 2);
+    assert.equal(first.cursor.locked_until, null);
+
+    const second = await sync(supabase, 2);
+    assert.equal(second.cursor.last_ticket_id, 4);
+    assert.equal(second.cursor.pass_started_at, first.cursor.pass_started_at);
+
+    const third = await sync(supabase, 2);
+    assert.equal(third.progress.pass_complete, true);
+    assert.equal(third.cursor.last_ticket_id, null);
+    assert.ok(third.cursor.completed_at);
+
+    assert.equal(first.totalChecked + second.totalChecked + third.totalChecked, TOKEN_IDS.length);
+    assert.deepEqual(supabase.db.tickets.filter(t => t.ticket_status === 'revoked').map(t => t.ticket_id), [2]);
+  });
+
+  test('lets only one of two concurrent runs work the pass', async () => {
+    const supabase = setup();
+
+    const runs = await Promise.all([sync(supabase, 5), sync(supabase, 5)]);
+
+    assert.equal(runs.filter(r => r.success).length, 1);
+    const busy = runs.find(r => r.busy);
+    assert.ok(busy);
+    assert.ok(busy.lockedUntil);
+    assert.equal(runs.find(r => r.success).totalChecked, TOKEN_IDS.length);
+  });
+
+  test('leaves a cursor leased by another run untouched', async () => {
+    const lockedUntil = new Date(Date.now() + 60000).toISOString();
+    const supabase = setup([{ name: 'blockchain-sync', last_ticket_id: 3, pass_started_at: '2026-10-01T00:00:00.000Z', lease_id: 'other-run', locked_until: lockedUntil }]);
+
+    const result = await sync(supabase, 5);
+
+    assert.equal(result.busy, true);
+    assert.equal(result.lockedUntil, lockedUntil);
+    assert.deepEqual(supabase.db.sync_cursors[0], { name: 'blockchain-sync', last_ticket_id: 3, pass_started_at: '2026-10-01T00:00:00.000Z', lease_id: 'other-run', locked_until: lockedUntil });
+    assert.ok(supabase.db.tickets.every(t => t.ticket_status === 'valid'));
+  });
+
+  test('takes over an expired lease and resumes where that run stopped', async () => {
+    const supabase = setup([{
+      name: 'blockchain-sync',
+      last_ticket_id: 3,
+      pass_started_at: '2026-10-01T00:00:00.000Z',
+      lease_id: 'crashed-run',
+      locked_until: new Date(Date.now() - 1000).toISOString()
+    }]);
+
+    const result = await sync(supabase, 5);
+
+    assert.equal(result.success, true);
+    assert.equal(result.totalChecked, 2);
+    assert.equal(supabase.db.sync_cursors[0].lease_id, null);
+    assert.equal(supabase.db.sync_cursors[0].locked_until, null);
+  });
+});
+
+describe('sync-blockchain-state route', () => {
+  const admin = { user_id: 3, id_name: 'Ada Admin', role: 'admin', auth_id: 'auth-admin' };
+  const fake = createFakeSupabase({
+    authUsers: { 'admin-token': { id: admin.auth_id } },
+    tables: { users: [admin], sync_cursors: [], audit_log: [] }
+  });
+  let standIn;
+  let handler;
+
+  before(async () => {
+    standIn = await startSupabaseStandIn(fake);
+    process.env.SUPABASE_URL = standIn.url;
+    process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+    // supabase-js needs a WebSocket global on creation; Node only ships one from version 22
+    globalThis.WebSocket ??= class WebSocket {};
+    ({ default: handler } = await import('../api/admin/sync-blockchain-state.js'));
+  });
+
+  after(() => standIn.stop());
+
+  test('answers 409 while another run holds the cursor', async () => {
+    const lockedUntil = new Date(Date.now() + 60000).toISOString();
+    fake.db.sync_cursors = [{ name: 'blockchain-sync', last_ticket_id: null, pass_started_at: null, lease_id: 'cron-run', locked_until: lockedUntil }];
+
+    const res = createMockResponse();
+    await handler({ method: 'POST', query: {}, body: {}, headers: { authorization: 'Bearer admin-token' } }, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.data.locked_until, lockedUntil);
+    assert.equal(fake.db.sync_cursors[0].lease_id, 'cron-run');
+  });
+});
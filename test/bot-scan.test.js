@@ -0,0 +1,57 @@
+// The bot scan's per-user quantity cap counts purchases made before the scan window.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBotScan } from '../lib/bot-scan.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const event = { event_id: 7, event_name: 'Summer Fest', max_tickets_per_user: 4, bot_rule_config: {} };
+const verifiedUser = { user_id: 1, id_number: 'A1', verification_status: 'verified' };
+
+function purchase(id, quantity, minutes, status = 'normal') {
+  return {
+    id,
+    user_id: 1,
+    event_id: 7,
+    quantity,
+    status,
+    purchase_timestamp: minutesAgo(minutes),
+    users: verifiedUser,
+    payments: { payment_id: id, paypal_payer_id: `PAYER-${id}` },
+    events: event
+  };
+}
+
+describe('runBotScan quantity cap', () => {
+  test('flags a purchase that takes the user over the cap across windows', async () => {
+    const supabase = createFakeSupabase({
+      tables: {
+        purchase_history: [purchase(1, 2, 600), purchase(2, 2, 300), purchase(3, 2, 1)],
+        flag_cases: []
+      }
+    });
+
+    const result = await runBotScan(supabase, { timeWindowMinutes: 5, dryRun: true });
+    const match = result.data.scored_purchases.concat(result.data.flagged_purchases).find(p => p.purchase_id === 3);
+
+    assert.ok(match, 'purchase 3 should match a rule');
+    assert.ok(match.risk_factors.includes('quantity_over_cap'));
+    assert.match(match.reasons.join(' '), /bought 6 tickets for the event \(2 in this window\)/);
+  });
+
+  test('does not count revoked purchases towards the cap', async () => {
+    const supabase = createFakeSupabase({
+      tables: {
+        purchase_history: [purchase(1, 4, 600, 'revoked'), purchase(3, 2, 1)],
+        flag_cases: []
+      }
+    });
+
+    const result = await runBotScan(supabase, { timeWindowMinutes: 5, dryRun: true });
+    const matched = result.data.scored_purchases.concat(result.data.flagged_purchases);
+
+    assert.equal(matched.some(p => p.risk_factors.includes('quantity_over_cap')), false);
+  });
+});
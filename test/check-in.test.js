@@ -0,0 +1,44 @@
+// Venue check-in rules: only valid tickets get in, and each only once.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkTicketForEntry, claimEntry } from '../lib/check-in.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+const ticket = overrides => ({ ticket_id: 1, event_id: 7, ticket_status: 'valid', checked_in_at: null, events: { status: 'active' }, ...overrides });
+
+describe('checkTicketForEntry', () => {
+  test('accepts a valid, unused ticket for the event', () => {
+    assert.equal(checkTicketForEntry(ticket(), 7, null), null);
+  });
+
+  test('turns away tickets that are not valid', () => {
+    assert.equal(checkTicketForEntry(ticket({ ticket_status: 'revoked' }), 7, null), 'revoked');
+    for (const status of ['pending', 'refunded', 'cancelled', null]) {
+      assert.equal(checkTicketForEntry(ticket({ ticket_status: status }), 7, null), 'not_valid', String(status));
+    }
+  });
+
+  test('turns away a ticket that was already used', () => {
+    assert.equal(checkTicketForEntry(ticket({ checked_in_at: new Date().toISOString() }), 7, null), 'already_checked_in');
+    assert.equal(checkTicketForEntry(ticket(), 7, { id: 3 }), 'already_checked_in');
+  });
+});
+
+describe('claimEntry', () => {
+  test('lets a ticket in once when two gates scan it together', async () => {
+    const supabase = createFakeSupabase({ tables: { tickets: [ticket()] } });
+
+    const claims = await Promise.all([claimEntry(supabase, 1), claimEntry(supabase, 1)]);
+
+    assert.equal(claims.filter(Boolean).length, 1);
+    assert.equal(supabase.db.tickets[0].checked_in_at, claims.find(Boolean));
+  });
+
+  test('does not claim a ticket that is no longer valid', async () => {
+    const supabase = createFakeSupabase({ tables: { tickets: [ticket({ ticket_status: 'revoked' })] } });
+
+    assert.equal(await claimEntry(supabase, 1), null);
+    assert.equal(supabase.db.tickets[0].checked_in_at, null);
+  });
+});
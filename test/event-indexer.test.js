@@ -0,0 +1,104 @@
+// The event indexer against a revocation contract on a local dev chain: it applies events
+// to tickets, never checkpoints past events it failed to apply, and will not start a
+// contract that has no deployment block configured. Tickets with a transaction of ours still
+// on its way keep their database status.
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { startDevChain, useDevChainRegistry } from './helpers/dev-chain.js';
+
+describe('indexContractEvents', () => {
+  let chain;
+  let contract;
+  let unconfigured;
+  let indexContractEvents;
+
+  before(async () => {
+    chain = await startDevChain();
+    contract = await chain.deployRevocation();
+    unconfigured = await chain.deployRevocation();
+
+    await (await contract.batchRegisterTickets(['1', '2', '3'])).wait();
+    await (await contract.revokeTicket('2')).wait();
+    await (await unconfigured.registerTicket('9')).wait();
+    // Past the indexer's confirmation depth
+    for (let i = 0; i < 3; i++) await chain.provider.send('evm_mine', []);
+
+    useDevChainRegistry(chain, {
+      'local-revocation': { address: contract.address, startBlock: 0 },
+      'local-unconfigured': { address: unconfigured.address }
+    });
+    ({ indexContractEvents } = await import('../lib/event-indexer.js'));
+  });
+
+  after(() => chain?.stop());
+
+  const setup = (extraTables = {}) => createFakeSupabase({
+    tables: {
+      events: [{ event_id: 1, contract_key: null }],
+      tickets: ['1', '2', '3'].map(tokenId => ({ ticket_id: Number(tokenId), event_id: 1, nft_token_id: tokenId, ticket_status: 'valid' })),
+      indexer_checkpoints: [],
+      onchain_events: [],
+      ...extraTables
+    }
+  });
+
+  const resultFor = (result, contractKey) => result.contracts.find(c => c.contractKey === contractKey);
+
+  test('applies indexed events to tickets and saves the checkpoint', async () => {
+    const supabase = setup();
+
+    const result = await indexContractEvents(supabase);
+    const indexed = resultFor(result, 'local-revocation');
+
+    assert.equal(indexed.error, undefined);
+    assert.equal(indexed.caughtUp, true);
+    assert.equal(supabase.db.onchain_events.length, 4);
+    assert.deepEqual(supabase.db.tickets.map(t => [t.ticket_id, t.ticket_status]), [[1, 'valid'], [2, 'revoked'], [3, 'valid']]);
+    assert.equal(supabase.db.indexer_checkpoints.find(c => c.contract_key === 'local-revocation').last_indexed_block, indexed.toBlock);
+  });
+
+  test('keeps the status of a ticket whose reinstatement has not reached the chain yet', async () => {
+    const supabase = setup({
+      reinstatement_log: [{ id: 1, ticket_id: 2, blockchain_status: 'pending' }]
+    });
+
+    await indexContractEvents(supabase);
+
+    const ticket = supabase.db.tickets.find(t => t.ticket_id === 2);
+    assert.equal(ticket.ticket_status, 'valid');
+    assert.equal(ticket.blockchain_sync_status, 2);
+  });
+
+  test('does not checkpoint a range whose ticket updates failed', async () => {
+    const supabase = setup();
+    const from = supabase.from.bind(supabase);
+    supabase.from = table => {
+      const query = from(table);
+      if (table === 'tickets') {
+        query.update = () => {
+          const failing = { in: () => failing, select: async () => ({ data: null, error: { message: 'connection reset' } }) };
+          return failing;
+        };
+      }
+      return query;
+    };
+
+    const result = await indexContractEvents(supabase);
+    const indexed = resultFor(result, 'local-revocation');
+
+    assert.match(indexed.error, /connection reset/);
+    assert.equal(supabase.db.indexer_checkpoints.some(c => c.contract_key === 'local-revocation'), false);
+  });
+
+  test('refuses to index a contract without a start block instead of scanning from genesis', async () => {
+    const supabase = setup();
+
+    const result = await indexContractEvents(supabase);
+    const skipped = resultFor(result, 'local-unconfigured');
+
+    assert.match(skipped.error, /no startBlock configured/);
+    assert.equal(supabase.db.onchain_events.some(e => e.contract_address === unconfigured.address.toLowerCase()), false);
+  });
+});
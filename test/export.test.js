@@ -0,0 +1,161 @@
+// Streamed CSV and XLSX exports, read back independently: the zip is parsed from its central
+// directory and checked against zlib's CRC-32, sheet cells are unescaped from the XML, and
+// CSV fields are parsed per RFC 4180. A failure on the first page answers 500; a later one
+// ends the file early and marks it incomplete in the X-Export-Status trailer.
+
+import { test, describe, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { streamExport } from '../lib/export.js';
+import { createMockResponse } from './helpers/mock-response.js';
+
+const COLUMNS = [
+  { header: 'name', value: row => row.name },
+  { header: 'note', value: row => row.note },
+  { header: 'amount', value: row => row.amount }
+];
+
+const ROWS = [
+  { name: 'Smith, John', note: 'He said "hi"', amount: 42 },
+  { name: 'Tom & "Jerry" <b>', note: 'line one\nline two', amount: null },
+  { name: '=SUM(A1:A2)', note: 'bell\u0007ring\u0000', amount: { currency: 'USD' } }
+];
+
+// fetchPage over `rows`; `failAt` makes the page starting at that offset fail
+const pagesOf = (rows, failAt = null) => async (from, to) => (from === failAt
+  ? { data: null, error: { message: 'connection reset' } }
+  : { data: rows.slice(from, to + 1), error: null });
+
+async function exportTo(format, fetchPage, pageSize = 2) {
+  const res = createMockResponse();
+  await streamExport(res, { format, filename: 'test', columns: COLUMNS, fetchPage, pageSize });
+  return res;
+}
+
+// RFC 4180 fields, with the line breaks inside quoted fields kept
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') { row.push(field); field = ''; }
+    else if (char === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
+    else field += char;
+  }
+  return rows;
+}
+
+// Entries of a zip from its central directory; every entry's data is inflated and checked
+// against the CRC and sizes recorded for it
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50, 'end of central directory');
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(position), 0x02014b50, 'central directory header');
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    assert.equal(buffer.readUInt32LE(localOffset), 0x04034b50, `local header of ${name}`);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const content = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    assert.equal(content.length, size, `size of ${name}`);
+    assert.equal(zlib.crc32(content), crc, `CRC of ${name}`);
+    files[name] = content.toString('utf8');
+  }
+  return files;
+}
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"' };
+
+// Cell values of sheet1.xml: inline strings unescaped, numbers as numbers, empty cells as ''
+function sheetRows(xml) {
+  return [...xml.matchAll(/<row>([\s\S]*?)<\/row>/g)].map(([, row]) =>
+    [...row.matchAll(/<c\/>|<c><v>([^<]*)<\/v><\/c>|<c t="inlineStr"><is><t xml:space="preserve">([^<]*)<\/t><\/is><\/c>/g)]
+      .map(([, number, text]) => number !== undefined
+        ? Number(number)
+        : text !== undefined ? text.replace(/&(amp|lt|gt|quot);/g, entity => XML_ENTITIES[entity]) : ''));
+}
+
+describe('streamExport', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  test('writes CSV fields with commas, quotes and line breaks that parse back unchanged', async () => {
+    const res = await exportTo('csv', pagesOf(ROWS));
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-disposition'], /filename="test-\d{4}-\d{2}-\d{2}\.csv"/);
+    assert.equal(res.headers.trailer, 'X-Export-Status');
+    assert.deepEqual(res.trailers, { 'X-Export-Status': 'complete' });
+    assert.deepEqual(parseCsv(res.text()), [
+      ['name', 'note', 'amount'],
+      ['Smith, John', 'He said "hi"', '42'],
+      ['Tom & "Jerry" <b>', 'line one\nline two', ''],
+      ["'=SUM(A1:A2)", 'bell\u0007ring\u0000', '{"currency":"USD"}']
+    ]);
+  });
+
+  test('writes an XLSX zip whose entries and escaped cells read back', async () => {
+    const res = await exportTo('xlsx', pagesOf(ROWS));
+    const files = readZip(Buffer.concat(res.chunks));
+
+    assert.deepEqual(Object.keys(files).sort(), [
+      '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+    ]);
+    assert.match(files['xl/workbook.xml'], /<sheet name="Export"/);
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    // Control characters are not allowed in XML 1.0 and are dropped
+    assert.doesNotMatch(sheet, /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/);
+    assert.deepEqual(sheetRows(sheet), [
+      ['name', 'note', 'amount'],
+      ['Smith, John', 'He said "hi"', 42],
+      ['Tom & "Jerry" <b>', 'line one\nline two', ''],
+      ['=SUM(A1:A2)', 'bellring', '{"currency":"USD"}']
+    ]);
+    assert.deepEqual(res.trailers, { 'X-Export-Status': 'complete' });
+  });
+
+  test('answers 500 before sending anything when the first page fails', async () => {
+    const res = await exportTo('xlsx', pagesOf(ROWS, 0));
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'connection reset');
+    assert.equal(res.headers['content-disposition'], undefined);
+    assert.deepEqual(res.chunks, []);
+  });
+
+  test('marks an export cut short by a later page as incomplete', async () => {
+    const csv = await exportTo('csv', pagesOf(ROWS, 2));
+    const xlsx = await exportTo('xlsx', pagesOf(ROWS, 2));
+
+    assert.deepEqual(csv.trailers, { 'X-Export-Status': 'incomplete' });
+    assert.deepEqual(parseCsv(csv.text()).at(-1), ['export incomplete after 2 rows: connection reset']);
+
+    const rows = sheetRows(readZip(Buffer.concat(xlsx.chunks))['xl/worksheets/sheet1.xml']);
+    assert.deepEqual(xlsx.trailers, { 'X-Export-Status': 'incomplete' });
+    assert.equal(rows.length, 4);
+    assert.deepEqual(rows.at(-1), ['export incomplete after 2 rows: connection reset']);
+  });
+});
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+// The aggregate3 function of Multicall3 (https://github.com/mds1/multicall), which is all
+// lib/multicall.js uses
+pragma solidity ^0.8.24;
+
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    function aggregate3(Call3[] calldata calls) public payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory result) = calls[i].target.call(calls[i].callData);
+            require(success || calls[i].allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, result);
+        }
+    }
+}
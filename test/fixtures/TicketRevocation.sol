@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+// Stand-in for the deployed revocation contract, with the revocation-v1 interface from
+// lib/blockchain-config.js. Statuses: 0 not registered, 1 valid, 2 revoked.
+pragma solidity ^0.8.24;
+
+contract TicketRevocation {
+    uint8 private constant UNREGISTERED = 0;
+    uint8 private constant VALID = 1;
+    uint8 private constant REVOKED = 2;
+
+    address public owner;
+    string public name = "Ticket Revocation (test)";
+    uint256 public totalSupply;
+
+    mapping(uint256 => uint8) private statuses;
+
+    event TicketRegistered(uint256 indexed tokenId);
+    event TicketRevoked(uint256 indexed tokenId);
+    event BatchTicketsRevoked(uint256[] tokenIds);
+    event TicketReinstated(uint256 indexed tokenId);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not the owner");
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function registerTicket(uint256 tokenId) external onlyOwner {
+        _register(tokenId);
+    }
+
+    function batchRegisterTickets(uint256[] calldata tokenIds) external onlyOwner {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _register(tokenIds[i]);
+        }
+    }
+
+    function revokeTicket(uint256 tokenId) external onlyOwner {
+        _revoke(tokenId);
+        emit TicketRevoked(tokenId);
+    }
+
+    function batchRevokeTickets(uint256[] calldata tokenIds) external onlyOwner {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _revoke(tokenIds[i]);
+        }
+        emit BatchTicketsRevoked(tokenIds);
+    }
+
+    function reinstateTicket(uint256 tokenId) external onlyOwner {
+        _reinstate(tokenId);
+    }
+
+    function batchReinstateTickets(uint256[] calldata tokenIds) external onlyOwner {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _reinstate(tokenIds[i]);
+        }
+    }
+
+    function getTicketStatus(uint256 tokenId) external view returns (uint8) {
+        return statuses[tokenId];
+    }
+
+    function isRevoked(uint256 tokenId) external view returns (bool) {
+        return statuses[tokenId] == REVOKED;
+    }
+
+    function _register(uint256 tokenId) private {
+        require(statuses[tokenId] == UNREGISTERED, "Ticket already registered");
+        statuses[tokenId] = VALID;
+        totalSupply++;
+        emit TicketRegistered(tokenId);
+    }
+
+    function _revoke(uint256 tokenId) private {
+        require(statuses[tokenId] == VALID, "Ticket not valid");
+        statuses[tokenId] = REVOKED;
+    }
+
+    function _reinstate(uint256 tokenId) private {
+        require(statuses[tokenId] == REVOKED, "Ticket not revoked");
+        statuses[tokenId] = VALID;
+        emit TicketReinstated(tokenId);
+    }
+}
@@ -0,0 +1,53 @@
+// Backfilling review cases: every flagged purchase without a case gets an open one, across
+// pages, and cases that already exist are left as they are.
+
+import { test, describe, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { openMissingFlagCases } from '../lib/flag-cases.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+describe('openMissingFlagCases', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  const setup = () => createFakeSupabase({
+    tables: {
+      purchase_history: [
+        { id: 1, status: 'flagged' },
+        { id: 2, status: 'flagged' },
+        { id: 3, status: 'normal' },
+        { id: 4, status: 'flagged' },
+        { id: 5, status: 'flagged' },
+        { id: 6, status: 'flagged' }
+      ],
+      flag_cases: [
+        { id: 90, purchase_id: 2, state: 'in_review', assigned_to: 7 },
+        { id: 91, purchase_id: 5, state: 'escalated', assigned_to: null }
+      ]
+    }
+  });
+
+  test('opens a case for each flagged purchase without one, page by page', async () => {
+    const supabase = setup();
+
+    const result = await openMissingFlagCases(supabase, { pageSize: 2 });
+
+    assert.deepEqual(result, { checked: 5, opened: 3 });
+    const byPurchase = Object.fromEntries(supabase.db.flag_cases.map(c => [c.purchase_id, c]));
+    assert.deepEqual(Object.keys(byPurchase).map(Number).sort(), [1, 2, 4, 5, 6]);
+    assert.ok([1, 4, 6].every(id => byPurchase[id].state === 'open'));
+    assert.deepEqual(byPurchase[2], { id: 90, purchase_id: 2, state: 'in_review', assigned_to: 7 });
+    assert.equal(byPurchase[5].state, 'escalated');
+  });
+
+  test('opens nothing on a second run', async () => {
+    const supabase = setup();
+    await openMissingFlagCases(supabase, { pageSize: 2 });
+
+    const again = await openMissingFlagCases(supabase, { pageSize: 2 });
+
+    assert.deepEqual(again, { checked: 5, opened: 0 });
+    assert.equal(supabase.db.flag_cases.length, 5);
+  });
+});
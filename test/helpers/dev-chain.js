@@ -0,0 +1,116 @@
+// Local development chain for tests that talk to a real node: an in-process ganache
+// server with the revocation stand-in from test/fixtures compiled by solc-js.
+//
+// The chain ID matches the `local` network in lib/blockchain-config.js, so contract configs
+// on that network only need the server's URL.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import ganache from 'ganache';
+import solc from 'solc';
+import ethersModule from 'ethers';
+
+const ethers = ethersModule.default || ethersModule;
+
+export const DEV_CHAIN_ID = 31337;
+
+// Canonical Multicall3 address, where lib/multicall.js looks for it by default
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+let compiled = null;
+
+// Compile the fixture contracts once per test process
+function compileFixtures() {
+  if (compiled) return compiled;
+
+  const sources = Object.fromEntries(['TicketRevocation.sol', 'Multicall3.sol'].map(file => [
+    file,
+    { content: fs.readFileSync(path.join(FIXTURES, file), 'utf8') }
+  ]));
+
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources,
+    settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+  })));
+
+  const errors = (output.errors || []).filter(e => e.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Fixture compilation failed: ${errors.map(e => e.formattedMessage).join('\n')}`);
+  }
+
+  compiled = {
+    TicketRevocation: output.contracts['TicketRevocation.sol'].TicketRevocation,
+    Multicall3: output.contracts['Multicall3.sol'].Multicall3
+  };
+  return compiled;
+}
+
+export async function startDevChain() {
+  const server = ganache.server({
+    logging: { quiet: true },
+    chain: { chainId: DEV_CHAIN_ID },
+    wallet: { deterministic: true, totalAccounts: 2 },
+    miner: { instamine: 'eager' }
+  });
+  await server.listen(0, '127.0.0.1');
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const [account] = Object.values(server.provider.getInitialAccounts());
+  const provider = new ethers.providers.JsonRpcProvider(url, { chainId: DEV_CHAIN_ID, name: 'local' });
+  const wallet = new ethers.Wallet(account.secretKey, provider);
+
+  async function deploy(name) {
+    const { abi, evm } = compileFixtures()[name];
+    const contract = await new ethers.ContractFactory(abi, evm.bytecode.object, wallet).deploy();
+    await contract.deployed();
+    return contract;
+  }
+
+  return {
+    url,
+    provider,
+    wallet,
+    privateKey: account.secretKey,
+
+    // A fresh revocation contract owned by `wallet`
+    deployRevocation: () => deploy('TicketRevocation'),
+
+    // Put Multicall3's runtime code at `address` (the canonical one by default)
+    async installMulticall(address = MULTICALL3_ADDRESS) {
+      const multicall = await deploy('Multicall3');
+      const code = await provider.getCode(multicall.address);
+      await provider.send('evm_setAccountCode', [address, code]);
+    },
+
+    async removeCode(address) {
+      await provider.send('evm_setAccountCode', [address, '0x']);
+    },
+
+    stop: () => server.close()
+  };
+}
+
+// Point lib/blockchain-config.js at the dev chain: `contracts` maps contract keys to
+// { address, startBlock } on the `local` network, the first becomes the default contract and
+// the chain's funded account signs. The registry is read when that module loads, so call
+// this before importing anything that uses it.
+export function useDevChainRegistry(chain, contracts) {
+  process.env.BLOCKCHAIN_REGISTRY = JSON.stringify({
+    networks: { local: { chainId: DEV_CHAIN_ID, rpcUrls: [chain.url] } },
+    contracts: {
+      // Keep the built-in public network contracts out of the tests
+      'sepolia-revocation': { address: null },
+      'mainnet-revocation': { address: null },
+      ...Object.fromEntries(Object.entries(contracts).map(([key, contract]) => [
+        key,
+        { network: 'local', abiVersion: 'revocation-v1', ...contract }
+      ]))
+    }
+  });
+  process.env.DEFAULT_CONTRACT_KEY = Object.keys(contracts)[0];
+  process.env.LOCAL_ADMIN_PRIVATE_KEY = chain.privateKey;
+}
@@ -0,0 +1,184 @@
+// In-memory stand-in for the parts of the Supabase client the lib modules use.
+//
+// Tables are plain arrays of row objects. Selects return whole rows (column lists and
+// embedded relations are not projected), which is enough for code that reads its own
+// columns back. `unique` lists column sets per table that reject duplicate inserts with
+// Postgres' 23505, so compare-and-swap and conflict paths can be exercised.
+
+export function createFakeSupabase({ tables = {}, unique = {}, authUsers = {} } = {}) {
+  const db = {};
+  Object.entries(tables).forEach(([name, rows]) => { db[name] = rows.map(row => ({ ...row })); });
+  let nextId = 1000;
+
+  const client = {
+    db,
+    auth: {
+      async getUser(token) {
+        const user = authUsers[token];
+        return user
+          ? { data: { user }, error: null }
+          : { data: { user: null }, error: { message: 'invalid JWT' } };
+      }
+    },
+    from(table) {
+      if (!db[table]) db[table] = [];
+      return new Query(db, table, unique[table] || [], () => nextId++);
+    }
+  };
+  return client;
+}
+
+class Query {
+  constructor(db, table, uniqueKeys, newId) {
+    this.db = db;
+    this.table = table;
+    this.uniqueKeys = uniqueKeys;
+    this.newId = newId;
+    this.filters = [];
+    this.operation = 'select';
+    this.returning = false;
+    this.mode = 'many';
+    this.orders = [];
+    this.rangeFrom = 0;
+    this.rangeTo = null;
+    this.countRequested = false;
+    this.head = false;
+  }
+
+  select(_columns, { count, head } = {}) {
+    if (this.operation === 'select') {
+      this.countRequested = Boolean(count);
+      this.head = Boolean(head);
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) { this.operation = 'insert'; this.payload = [].concat(rows); return this; }
+  upsert(rows, options = {}) { this.operation = 'upsert'; this.payload = [].concat(rows); this.upsertOptions = options; return this; }
+  update(values) { this.operation = 'update'; this.payload = values; return this; }
+  delete() { this.operation = 'delete'; return this; }
+
+  eq(column, value) { return this.where(row => same(row[column], value)); }
+  neq(column, value) { return this.where(row => !same(row[column], value)); }
+  in(column, values) { return this.where(row => values.some(value => same(row[column], value))); }
+  is(column, value) { return this.where(row => (value === null ? row[column] === null || row[column] === undefined : row[column] === value)); }
+  lt(column, value) { return this.where(row => compare(row[column], value) < 0); }
+  lte(column, value) { return this.where(row => compare(row[column], value) <= 0); }
+  gt(column, value) { return this.where(row => compare(row[column], value) > 0); }
+  gte(column, value) { return this.where(row => compare(row[column], value) >= 0); }
+  ilike(column, pattern) {
+    const regex = new RegExp(`^${pattern.split('%').map(escapeRegex).join('.*')}$`, 'i');
+    return this.where(row => row[column] !== null && row[column] !== undefined && regex.test(String(row[column])));
+  }
+  contains(column, values) { return this.where(row => values.every(v => (row[column] || []).includes(v))); }
+  not(column, operator, value) {
+    const inner = new Query(this.db, this.table, [], this.newId);
+    inner[operator](column, value === 'null' ? null : value);
+    const test = inner.filters[0];
+    return this.where(row => !test(row));
+  }
+  or(expression) {
+    const tests = expression.split(',').map(part => {
+      const [column, operator, ...rest] = part.trim().split('.');
+      const value = rest.join('.');
+      const inner = new Query(this.db, this.table, [], this.newId);
+      inner[operator](column, value === 'null' ? null : value);
+      return inner.filters[0];
+    });
+    return this.where(row => tests.some(test => test(row)));
+  }
+
+  order(column, { ascending = true } = {}) { this.orders.push({ column, ascending }); return this; }
+  limit(count) { this.rangeTo = this.rangeFrom + count - 1; return this; }
+  range(from, to) { this.rangeFrom = from; this.rangeTo = to; return this; }
+  single() { this.mode = 'single'; return this; }
+  maybeSingle() { this.mode = 'maybeSingle'; return this; }
+
+  where(test) { this.filters.push(test); return this; }
+
+  then(resolve, reject) {
+    try {
+      resolve(this.execute());
+    } catch (error) {
+      reject(error);
+    }
+  }
+
+  execute() {
+    const rows = this.db[this.table];
+    const matching = rows.filter(row => this.filters.every(test => test(row)));
+
+    switch (this.operation) {
+      case 'insert':
+      case 'upsert': {
+        const inserted = [];
+        for (const payload of this.payload) {
+          const conflictKeys = this.operation === 'upsert' && this.upsertOptions.onConflict
+            ? [this.upsertOptions.onConflict.split(',')]
+            : this.uniqueKeys;
+          const existing = rows.find(row => conflictKeys.some(keys => keys.every(key => same(row[key], payload[key]))));
+          if (existing) {
+            if (this.operation === 'upsert' && this.upsertOptions.ignoreDuplicates) continue;
+            if (this.operation === 'upsert') { Object.assign(existing, payload); inserted.push(existing); continue; }
+            return this.result(null, { code: '23505', message: `duplicate key value violates unique constraint on ${this.table}` });
+          }
+          const row = { id: this.newId(), ...payload };
+          rows.push(row);
+          inserted.push(row);
+        }
+        return this.result(this.returning ? inserted : null);
+      }
+      case 'update':
+        matching.forEach(row => Object.assign(row, this.payload));
+        return this.result(this.returning ? matching : null);
+      case 'delete':
+        this.db[this.table] = rows.filter(row => !matching.includes(row));
+        return this.result(this.returning ? matching : null);
+      default: {
+        let selected = [...matching];
+        this.orders.slice().reverse().forEach(({ column, ascending }) => {
+          selected.sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+        });
+        const count = selected.length;
+        selected = selected.slice(this.rangeFrom, this.rangeTo === null ? undefined : this.rangeTo + 1);
+        return this.result(this.head ? null : selected, null, this.countRequested ? count : null);
+      }
+    }
+  }
+
+  result(data, error = null, count = null) {
+    if (error) return { data: null, error, count: null };
+    const copies = data === null ? null : data.map(row => structuredClone(row));
+    if (this.mode === 'many') return { data: copies, error: null, count };
+    if (!copies || copies.length === 0) {
+      return this.mode === 'single'
+        ? { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }, count }
+        : { data: null, error: null, count };
+    }
+    if (copies.length > 1) {
+      return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }, count };
+    }
+    return { data: copies[0], error: null, count };
+  }
+}
+
+// PostgREST filters arrive as strings; compare IDs and numbers by value
+function same(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return String(a) === String(b);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  return String(a) < String(b) ? -1 : 1;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,40 @@
+// Minimal stand-in for the Vercel response object handlers write to. Streamed writes are
+// collected in `chunks` (see `text()`), trailers in `trailers`.
+
+export function createMockResponse() {
+  return {
+    statusCode: null,
+    body: undefined,
+    headers: {},
+    chunks: [],
+    trailers: {},
+    ended: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.ended = true;
+      return this;
+    },
+    write(chunk) {
+      this.chunks.push(Buffer.from(chunk));
+      return true;
+    },
+    addTrailers(trailers) {
+      Object.assign(this.trailers, trailers);
+    },
+    end() {
+      this.ended = true;
+      return this;
+    },
+    text() {
+      return Buffer.concat(this.chunks).toString('utf8');
+    }
+  };
+}
@@ -0,0 +1,63 @@
+// Minimal JSON-RPC endpoints on localhost for failover tests. Each stand-in answers
+// eth_chainId, net_version and eth_blockNumber, and behaves in one of three ways:
+//   failing - every request gets HTTP 500
+//   stalled - answers correctly but only after `stallMs`
+//   healthy - answers correctly straight away
+
+import http from 'node:http';
+
+export const STAND_IN_CHAIN_ID = 31337;
+export const STAND_IN_BLOCK_NUMBER = 1234;
+
+function rpcResult(request) {
+  switch (request.method) {
+    case 'eth_chainId':
+      return { jsonrpc: '2.0', id: request.id, result: '0x' + STAND_IN_CHAIN_ID.toString(16) };
+    case 'net_version':
+      return { jsonrpc: '2.0', id: request.id, result: String(STAND_IN_CHAIN_ID) };
+    case 'eth_blockNumber':
+      return { jsonrpc: '2.0', id: request.id, result: '0x' + STAND_IN_BLOCK_NUMBER.toString(16) };
+    default:
+      return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: `Method ${request.method} not supported by stand-in` } };
+  }
+}
+
+export function startStandIn(behaviour, { stallMs = 3000 } = {}) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (behaviour === 'failing') {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        return res.end('stand-in failure');
+      }
+
+      const payload = JSON.parse(body);
+      const response = Array.isArray(payload) ? payload.map(rpcResult) : rpcResult(payload);
+      const reply = () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+      };
+
+      if (behaviour === 'stalled') {
+        setTimeout(reply, stallMs).unref();
+      } else {
+        reply();
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        behaviour,
+        url: `http://127.0.0.1:${server.address().port}`,
+        // Drop stalled requests too, so the test process is not kept waiting on them
+        stop() {
+          server.closeAllConnections?.();
+          server.close();
+        }
+      });
+    });
+  });
+}
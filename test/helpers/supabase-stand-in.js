@@ -0,0 +1,149 @@
+// Serves a fake Supabase client (see fake-supabase.js) over HTTP, so route handlers that
+// build their own client from SUPABASE_URL at import can run against in-memory tables.
+//
+// Covers the PostgREST requests supabase-js sends for the query methods fake-supabase
+// supports: column filters (eq, neq, in, is, lt, lte, gt, gte, ilike, cs, not.*), or=(),
+// order, limit/offset, count and single rows, plus insert, upsert, update and delete.
+// A select of plain columns returns only those columns; one with embedded resources or *
+// returns whole rows, embedded objects included as they are stored.
+// /auth/v1/user answers from the fake's authUsers.
+
+import http from 'node:http';
+
+const FILTER_METHODS = { eq: 'eq', neq: 'neq', in: 'in', is: 'is', lt: 'lt', lte: 'lte', gt: 'gt', gte: 'gte', ilike: 'ilike', cs: 'contains' };
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns']);
+
+export function startSupabaseStandIn(fake) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      try {
+        await respond(fake, req, body, res);
+      } catch (error) {
+        send(res, 400, { code: 'STAND_IN', message: error.message });
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        stop: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+async function respond(fake, req, body, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/auth/v1/user') {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const { data, error } = await fake.auth.getUser(token);
+    return error ? send(res, 401, { code: 401, msg: error.message }) : send(res, 200, data.user);
+  }
+
+  const table = url.pathname.match(/^\/rest\/v1\/([^/]+)$/)?.[1];
+  if (!table) return send(res, 404, { message: `unexpected request ${url.pathname}` });
+
+  const prefer = req.headers.prefer || '';
+  const payload = body ? JSON.parse(body) : null;
+  let query = fake.from(table);
+
+  switch (req.method) {
+    case 'POST':
+      query = prefer.includes('resolution=')
+        ? query.upsert(payload, {
+          onConflict: url.searchParams.get('on_conflict') || undefined,
+          ignoreDuplicates: prefer.includes('resolution=ignore-duplicates')
+        })
+        : query.insert(payload);
+      break;
+    case 'PATCH':
+      query = query.update(payload);
+      break;
+    case 'DELETE':
+      query = query.delete();
+      break;
+    default:
+      query = query.select('*', { count: /count=/.test(prefer) ? 'exact' : undefined, head: req.method === 'HEAD' });
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD' && prefer.includes('return=representation')) {
+    query = query.select('*');
+  }
+
+  for (const [column, expression] of url.searchParams) {
+    if (RESERVED_PARAMS.has(column)) continue;
+    if (column === 'or') {
+      query = query.or(expression.replace(/^\(|\)$/g, ''));
+      continue;
+    }
+    if (column.includes('.')) throw new Error(`filters on embedded resources are not supported (${column})`);
+    query = applyFilter(query, column, expression);
+  }
+
+  for (const part of (url.searchParams.get('order') || '').split(',').filter(Boolean)) {
+    const [column, direction] = part.split('.');
+    query = query.order(column, { ascending: direction !== 'desc' });
+  }
+  const offset = parseInt(url.searchParams.get('offset')) || 0;
+  const limit = parseInt(url.searchParams.get('limit'));
+  if (!Number.isNaN(limit)) query = query.range(offset, offset + limit - 1);
+
+  const wantsObject = (req.headers.accept || '').startsWith('application/vnd.pgrst.object+json');
+  if (wantsObject) query = query.single();
+
+  const { data, error, count } = await query;
+  if (error) return send(res, error.code === 'PGRST116' ? 406 : error.code === '23505' ? 409 : 400, error);
+
+  if (count !== null && count !== undefined) {
+    const rows = Array.isArray(data) ? data.length : 0;
+    res.setHeader('Content-Range', `${offset}-${offset + Math.max(rows - 1, 0)}/${count}`);
+  }
+  if (req.method === 'HEAD' || data === null) {
+    res.statusCode = req.method === 'GET' || req.method === 'HEAD' ? 200 : 201;
+    return res.end();
+  }
+  return send(res, 200, project(data, url.searchParams.get('select')));
+}
+
+function project(data, select) {
+  if (!select || /[*(]/.test(select)) return data;
+  const columns = select.split(',').map(column => column.trim());
+  const pick = row => Object.fromEntries(columns.filter(column => column in row).map(column => [column, row[column]]));
+  return Array.isArray(data) ? data.map(pick) : pick(data);
+}
+
+function applyFilter(query, column, expression) {
+  const negated = expression.startsWith('not.');
+  const [operator, ...rest] = (negated ? expression.slice(4) : expression).split('.');
+  const method = FILTER_METHODS[operator];
+  if (!method) throw new Error(`unsupported filter operator ${operator}`);
+
+  let value = rest.join('.');
+  if (operator === 'in') value = parseList(value);
+  else if (operator === 'cs') value = JSON.parse(value.replace(/^\{/, '[').replace(/\}$/, ']'));
+  else if (operator === 'is') value = value === 'null' ? null : value === 'true' ? true : value === 'false' ? false : value;
+  else if (operator === 'ilike') value = value.replace(/\*/g, '%');
+
+  if (negated) return query.not(column, method, value);
+  return query[method](column, value);
+}
+
+// "(1,2,\"a,b\")" -> ['1', '2', 'a,b']
+function parseList(text) {
+  const values = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|([^,]+)/g;
+  for (const match of text.replace(/^\(|\)$/g, '').matchAll(pattern)) {
+    values.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  return values;
+}
+
+function send(res, statusCode, data) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(data));
+}
@@ -0,0 +1,91 @@
+// The three status read strategies in lib/multicall.js return the same results, at the head
+// or pinned to a block, checked against a revocation contract on a local dev chain.
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ethersModule from 'ethers';
+import { readTicketStatuses } from '../lib/multicall.js';
+import { startDevChain, MULTICALL3_ADDRESS } from './helpers/dev-chain.js';
+
+const ethers = ethersModule.default || ethersModule;
+
+// 1-20 registered, 21-24 never registered; some revoked, some revoked and reinstated
+const REGISTERED = Array.from({ length: 20 }, (_, i) => String(i + 1));
+const REVOKED = ['3', '4', '5', '11', '17'];
+const REINSTATED = ['4', '11'];
+const TOKEN_IDS = Array.from({ length: 24 }, (_, i) => String(i + 1));
+
+// Strategies fill the result Map in different orders
+const byToken = statuses => Object.fromEntries(statuses);
+
+function expectedStatus(tokenId) {
+  if (!REGISTERED.includes(tokenId)) return 0;
+  return REVOKED.includes(tokenId) && !REINSTATED.includes(tokenId) ? 2 : 1;
+}
+
+describe('readTicketStatuses', () => {
+  let chain;
+  let contract;
+  let registeredBlock;
+
+  before(async () => {
+    chain = await startDevChain();
+    contract = await chain.deployRevocation();
+    await chain.installMulticall();
+
+    ({ blockNumber: registeredBlock } = await (await contract.batchRegisterTickets(REGISTERED)).wait());
+    await (await contract.batchRevokeTickets(REVOKED)).wait();
+    await (await contract.batchReinstateTickets(REINSTATED)).wait();
+  });
+
+  after(() => chain?.stop());
+
+  const read = (mode, options = {}) =>
+    readTicketStatuses(ethers, chain.provider, contract.address, TOKEN_IDS, { mode, includeRevoked: true, batchSize: 7, ...options });
+
+  test('every strategy reads the contract state', async () => {
+    for (const mode of ['multicall', 'rpc_batch', 'individual']) {
+      const statuses = await read(mode);
+
+      assert.equal(statuses.size, TOKEN_IDS.length, mode);
+      TOKEN_IDS.forEach(tokenId => {
+        assert.deepEqual(statuses.get(tokenId), {
+          status: expectedStatus(tokenId),
+          isRevoked: expectedStatus(tokenId) === 2,
+          error: null
+        }, `${mode} token ${tokenId}`);
+      });
+    }
+  });
+
+  test('strategies agree with and without isRevoked and across batch sizes', async () => {
+    for (const options of [{ includeRevoked: false }, { batchSize: 3 }, { batchSize: 200 }]) {
+      const [multicall, rpcBatch, individual] = await Promise.all(
+        ['multicall', 'rpc_batch', 'individual'].map(mode => read(mode, options)));
+
+      assert.deepEqual(byToken(multicall), byToken(individual), JSON.stringify(options));
+      assert.deepEqual(byToken(rpcBatch), byToken(individual), JSON.stringify(options));
+    }
+  });
+
+  test('a blockTag reads the state as of that block', async () => {
+    for (const mode of ['multicall', 'rpc_batch', 'individual']) {
+      const statuses = await read(mode, { blockTag: registeredBlock });
+      TOKEN_IDS.forEach(tokenId => {
+        assert.equal(statuses.get(tokenId).status, REGISTERED.includes(tokenId) ? 1 : 0, `${mode} token ${tokenId}`);
+      });
+    }
+  });
+
+  test('auto uses Multicall3 when deployed and JSON-RPC batches otherwise', async () => {
+    const withMulticall = await read('auto');
+    await chain.removeCode(MULTICALL3_ADDRESS);
+    try {
+      const withoutMulticall = await read('auto');
+      assert.deepEqual(byToken(withoutMulticall), byToken(withMulticall));
+      await assert.rejects(read('multicall'));
+    } finally {
+      await chain.installMulticall();
+    }
+  });
+});
@@ -0,0 +1,190 @@
+// Refunds of revoked purchases against a local stand-in for the PayPal API: refunds are
+// recorded on the payment, failures leave refund_error behind and can be retried without
+// PayPal issuing a second refund.
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+describe('refundPurchases', () => {
+  let server;
+  let refunds;
+  const paypal = { requests: [], refundsByRequestId: new Map(), failCaptures: new Set() };
+
+  before(async () => {
+    // Refunds log every step; Node 20's test runner can garble that output when it
+    // interleaves with its own test messages
+    mock.method(console, 'log', () => {});
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+
+        if (req.url === '/v1/oauth2/token') {
+          return res.end(JSON.stringify({ access_token: 'test-access-token' }));
+        }
+
+        const match = req.url.match(/^\/v2\/payments\/captures\/([^/]+)\/refund$/);
+        if (!match) {
+          res.statusCode = 404;
+          return res.end(JSON.stringify({ name: 'RESOURCE_NOT_FOUND' }));
+        }
+
+        const captureId = decodeURIComponent(match[1]);
+        const requestId = req.headers['paypal-request-id'];
+        paypal.requests.push({ captureId, requestId, payload: JSON.parse(body || '{}') });
+
+        if (paypal.failCaptures.has(captureId)) {
+          res.statusCode = 503;
+          return res.end(JSON.stringify({ name: 'SERVICE_UNAVAILABLE', message: 'Try again later' }));
+        }
+
+        // PayPal answers a repeated PayPal-Request-Id with the refund it already made
+        if (!paypal.refundsByRequestId.has(requestId)) {
+          const amount = JSON.parse(body || '{}').amount;
+          paypal.refundsByRequestId.set(requestId, {
+            id: `REFUND-${paypal.refundsByRequestId.size + 1}`,
+            status: 'COMPLETED',
+            amount: amount || { value: '50.00', currency_code: 'USD' }
+          });
+        }
+        res.statusCode = 201;
+        res.end(JSON.stringify(paypal.refundsByRequestId.get(requestId)));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // lib/paypal.js reads its configuration on import
+    process.env.PAYPAL_API_BASE = `http://127.0.0.1:${server.address().port}`;
+    process.env.PAYPAL_CLIENT_ID = 'test-client';
+    process.env.PAYPAL_CLIENT_SECRET = 'test-secret';
+    refunds = await import('../lib/refunds.js');
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const purchaseOf = payment => ({ id: payment.payment_id * 10, status: 'revoked', payments: payment });
+
+  function setup(payments, tickets = []) {
+    paypal.requests.length = 0;
+    paypal.failCaptures.clear();
+    return createFakeSupabase({ tables: { payments, tickets } });
+  }
+
+  const ticketsOf = (paymentId, statuses) =>
+    statuses.map((status, i) => ({ ticket_id: paymentId * 100 + i, payment_id: paymentId, ticket_status: status }));
+
+  test('refunds each payment once and records the refund', async () => {
+    const payment = { payment_id: 1, amount: '50.00', payment_status: 'completed', paypal_transaction_id: 'CAP-1' };
+    const supabase = setup([payment]);
+
+    // Two purchases of the same payment
+    const results = await refunds.refundPurchases(supabase, [purchaseOf(payment), { ...purchaseOf(payment), id: 11 }], {
+      mode: 'full',
+      reason: 'Bot activity'
+    });
+
+    assert.equal(results.refunded, 1);
+    assert.equal(paypal.requests.length, 1);
+    assert.equal(paypal.requests[0].requestId, 'refund-1');
+    assert.equal(paypal.requests[0].payload.amount, undefined);
+
+    const stored = supabase.db.payments[0];
+    assert.equal(stored.payment_status, 'refunded');
+    assert.equal(stored.refund_id, results.details[0].refund_id);
+    assert.equal(stored.refund_error, null);
+  });
+
+  test('sends the partial amount in the payment currency', async () => {
+    const payment = { payment_id: 2, amount: '80.00', currency: 'EUR', payment_status: 'completed', paypal_transaction_id: 'CAP-2' };
+    const supabase = setup([payment]);
+
+    const results = await refunds.refundPurchases(supabase, [purchaseOf(payment)], { mode: 'partial', percentage: 25, reason: 'Bot activity' });
+
+    assert.equal(results.total_refunded, 20);
+    assert.deepEqual(paypal.requests[0].payload.amount, { value: '20.00', currency_code: 'EUR' });
+    assert.equal(supabase.db.payments[0].payment_status, 'partially_refunded');
+  });
+
+  test('refunds only the revoked tickets of a payment', async () => {
+    const payment = { payment_id: 6, amount: '90.00', currency: 'GBP', payment_status: 'completed', paypal_transaction_id: 'CAP-6' };
+    const supabase = setup([payment], ticketsOf(6, ['revoked', 'valid', 'valid']));
+
+    const results = await refunds.refundPurchases(supabase, [purchaseOf(payment)], { mode: 'full', reason: 'Bot activity' });
+
+    assert.equal(results.total_refunded, 30);
+    assert.deepEqual(paypal.requests[0].payload.amount, { value: '30.00', currency_code: 'GBP' });
+    assert.equal(supabase.db.payments[0].payment_status, 'partially_refunded');
+  });
+
+  test('refunds the whole capture once every ticket is revoked', async () => {
+    const payment = { payment_id: 7, amount: '90.00', currency: 'GBP', payment_status: 'completed', paypal_transaction_id: 'CAP-7' };
+    const supabase = setup([payment], ticketsOf(7, ['revoked', 'revoked', 'revoked']));
+
+    await refunds.refundPurchases(supabase, [purchaseOf(payment)], { mode: 'full', reason: 'Bot activity' });
+
+    assert.equal(paypal.requests[0].payload.amount, undefined);
+    assert.equal(supabase.db.payments[0].payment_status, 'refunded');
+  });
+
+  test('does not guess a currency for part of a payment', async () => {
+    const payment = { payment_id: 8, amount: '90.00', payment_status: 'completed', paypal_transaction_id: 'CAP-8' };
+    const supabase = setup([payment], ticketsOf(8, ['revoked', 'valid']));
+
+    const results = await refunds.refundPurchases(supabase, [purchaseOf(payment)], { mode: 'full', reason: 'Bot activity' });
+
+    assert.equal(results.failed, 1);
+    assert.equal(paypal.requests.length, 0);
+    assert.match(supabase.db.payments[0].refund_error, /no currency/);
+  });
+
+  test('previews the share of tickets about to be revoked', () => {
+    const payment = { amount: '100.00' };
+    assert.equal(refunds.calculateRefundAmount(payment, 'full', 100, { revoked: 1, total: 4 }), '25.00');
+    assert.equal(refunds.calculateRefundAmount(payment, 'partial', 50, { revoked: 1, total: 4 }), '12.50');
+    assert.equal(refunds.calculateRefundAmount(payment, 'full', 100, { revoked: 4, total: 4 }), '100.00');
+  });
+
+  test('skips payments that are already refunded', async () => {
+    const payment = { payment_id: 3, amount: '50.00', payment_status: 'refunded', refund_id: 'REFUND-OLD', paypal_transaction_id: 'CAP-3' };
+    const supabase = setup([payment]);
+
+    const results = await refunds.refundPurchases(supabase, [purchaseOf(payment)], { mode: 'full', reason: 'Bot activity' });
+
+    assert.equal(results.skipped, 1);
+    assert.equal(paypal.requests.length, 0);
+  });
+
+  test('keeps the error of a failed refund and retries it with the same request ID', async () => {
+    const payment = { payment_id: 4, amount: '50.00', payment_status: 'completed', paypal_transaction_id: 'CAP-4' };
+    const supabase = setup([payment]);
+    paypal.failCaptures.add('CAP-4');
+
+    const failed = await refunds.refundPurchases(supabase, [purchaseOf(payment)], { mode: 'full', reason: 'Bot activity' });
+    assert.equal(failed.failed, 1);
+    assert.match(supabase.db.payments[0].refund_error, /503/);
+
+    // What the revoke endpoint reloads on a rerun
+    const reloaded = purchaseOf(supabase.db.payments[0]);
+    assert.equal(refunds.isRefundRetryable(reloaded), true);
+
+    paypal.failCaptures.clear();
+    const retried = await refunds.refundPurchases(supabase, [reloaded], { mode: 'full', reason: 'Bot activity' });
+
+    assert.equal(retried.refunded, 1);
+    assert.deepEqual(paypal.requests.map(r => r.requestId), ['refund-4', 'refund-4']);
+    assert.equal(supabase.db.payments[0].refund_error, null);
+    assert.equal(refunds.isRefundRetryable(purchaseOf(supabase.db.payments[0])), false);
+  });
+
+  test('only revoked purchases with a refund error are retryable', () => {
+    const payment = { payment_id: 5, payment_status: 'completed', refund_error: 'PayPal refund failed (503)' };
+    assert.equal(refunds.isRefundRetryable({ status: 'revoked', payments: payment }), true);
+    assert.equal(refunds.isRefundRetryable({ status: 'completed', payments: payment }), false);
+    assert.equal(refunds.isRefundRetryable({ status: 'revoked', payments: { ...payment, refund_error: null } }), false);
+    assert.equal(refunds.isRefundRetryable({ status: 'revoked', payments: { ...payment, refund_id: 'REFUND-9' } }), false);
+  });
+});
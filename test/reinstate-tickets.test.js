@@ -0,0 +1,124 @@
+// The reinstate-tickets route against in-memory tables: tickets of refunded payments are
+// refused unless explicitly allowed, and a revocation that never reached the chain is
+// superseded so the transaction queue does not revoke the token after all.
+
+import { test, describe, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { createMockResponse } from './helpers/mock-response.js';
+import { startSupabaseStandIn } from './helpers/supabase-stand-in.js';
+
+const ADMIN = { user_id: 3, id_name: 'Ada Admin', role: 'admin', auth_id: 'auth-admin' };
+
+const fake = createFakeSupabase({
+  authUsers: { 'admin-token': { id: ADMIN.auth_id } },
+  tables: { users: [ADMIN] }
+});
+
+const reinstate = body => ({
+  method: 'POST',
+  query: {},
+  body: { justification: 'Cleared on review', ...body },
+  headers: { authorization: 'Bearer admin-token' }
+});
+
+describe('reinstate-tickets route', () => {
+  let standIn;
+  let handler;
+
+  before(async () => {
+    // The route logs every step; Node 20's test runner can garble that output when it
+    // interleaves with its own test messages
+    mock.method(console, 'log', () => {});
+    standIn = await startSupabaseStandIn(fake);
+    process.env.SUPABASE_URL = standIn.url;
+    process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+    process.env.TX_INLINE_WAIT_MS = '1';
+    // supabase-js needs a WebSocket global on creation; Node only ships one from version 22
+    globalThis.WebSocket ??= class WebSocket {};
+    ({ default: handler } = await import('../api/admin/reinstate-tickets.js'));
+  });
+
+  after(() => standIn.stop());
+
+  beforeEach(() => {
+    Object.assign(fake.db, {
+      tickets: [],
+      payments: [],
+      purchase_history: [],
+      revocation_log: [],
+      reinstatement_log: [],
+      flag_cases: [],
+      blockchain_tx_queue: [],
+      audit_log: []
+    });
+  });
+
+  test('refuses tickets of a refunded payment and changes nothing', async () => {
+    fake.db.tickets = [{ ticket_id: 11, payment_id: 'PAY-1', ticket_status: 'revoked', blockchain_registered: false }];
+    fake.db.payments = [{ payment_id: 'PAY-1', payment_status: 'refunded', refund_id: 'RF-1', refund_amount: '40.00' }];
+
+    const res = createMockResponse();
+    await handler(reinstate({ ticket_ids: [11] }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.refunded_ticket_ids, [11]);
+    assert.deepEqual(res.body.refunded_payment_ids, ['PAY-1']);
+    assert.equal(fake.db.tickets[0].ticket_status, 'revoked');
+    assert.equal(fake.db.reinstatement_log.length, 0);
+  });
+
+  test('reinstates refunded tickets when allow_refunded is set', async () => {
+    fake.db.tickets = [{ ticket_id: 11, payment_id: 'PAY-1', ticket_status: 'revoked', blockchain_registered: false }];
+    fake.db.payments = [{ payment_id: 'PAY-1', payment_status: 'refunded', refund_id: 'RF-1', refund_amount: '40.00' }];
+
+    const res = createMockResponse();
+    await handler(reinstate({ ticket_ids: [11], allow_refunded: true }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(fake.db.tickets[0].ticket_status, 'valid');
+  });
+
+  test('supersedes a revocation still pending on chain and records the reversal', async () => {
+    fake.db.tickets = [
+      { ticket_id: 21, payment_id: 'PAY-2', ticket_status: 'revoked', blockchain_registered: true, nft_token_id: '7' }
+    ];
+    fake.db.payments = [{ payment_id: 'PAY-2', payment_status: 'completed', refund_id: null }];
+    fake.db.purchase_history = [{ id: 5, payment_id: 'PAY-2', status: 'revoked' }];
+    fake.db.revocation_log = [
+      { id: 31, ticket_id: 21, revoked_at: '2026-10-01T10:00:00.000Z', blockchain_status: 'pending', blockchain_error: null }
+    ];
+
+    const res = createMockResponse();
+    await handler(reinstate({ ticket_ids: [21] }), res);
+
+    assert.equal(res.statusCode, 200);
+    const [revocation] = fake.db.revocation_log;
+    const [reinstatement] = fake.db.reinstatement_log;
+    assert.equal(revocation.blockchain_status, 'superseded');
+    assert.equal(revocation.reversed_by, reinstatement.id);
+    assert.ok(revocation.reversed_at);
+    assert.equal(reinstatement.revocation_log_id, 31);
+    assert.equal(fake.db.tickets[0].ticket_status, 'valid');
+    assert.equal(fake.db.purchase_history[0].status, 'normal');
+    assert.equal(fake.db.blockchain_tx_queue[0].action, 'reinstate');
+    assert.deepEqual(res.body.data.reversed_revocations, [{ ticket_id: 21, reinstatement_log_id: reinstatement.id, revocation_log_id: 31 }]);
+  });
+
+  test('leaves a revocation that already reached the chain confirmed', async () => {
+    fake.db.tickets = [
+      { ticket_id: 22, payment_id: 'PAY-3', ticket_status: 'revoked', blockchain_registered: true, nft_token_id: '8' }
+    ];
+    fake.db.payments = [{ payment_id: 'PAY-3', payment_status: 'completed', refund_id: null }];
+    fake.db.revocation_log = [
+      { id: 32, ticket_id: 22, revoked_at: '2026-10-01T10:00:00.000Z', blockchain_status: 'confirmed' }
+    ];
+
+    const res = createMockResponse();
+    await handler(reinstate({ ticket_ids: [22] }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(fake.db.revocation_log[0].blockchain_status, 'confirmed');
+    assert.ok(fake.db.revocation_log[0].reversed_at);
+  });
+});
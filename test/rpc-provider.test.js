@@ -0,0 +1,62 @@
+// RPC failover and health scoring in lib/rpc-provider.js against local stand-in endpoints:
+// one that always fails, one that stalls past the failover timeout and one healthy node.
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ethersModule from 'ethers';
+import { startStandIn, STAND_IN_CHAIN_ID, STAND_IN_BLOCK_NUMBER } from './helpers/rpc-stand-ins.js';
+
+const ethers = ethersModule.default || ethersModule;
+
+const READS = 5;
+
+describe('RPC failover', () => {
+  let standIns;
+  let config;
+  let urlOf;
+  let rpcProvider;
+
+  before(async () => {
+    // Short timeouts so the stalled stand-in is skipped quickly (read when rpc-provider loads)
+    process.env.RPC_STALL_TIMEOUT_MS = '500';
+    process.env.RPC_PROBE_TIMEOUT_MS = '1000';
+    rpcProvider = await import('../lib/rpc-provider.js');
+
+    standIns = await Promise.all(['failing', 'stalled', 'healthy'].map(behaviour => startStandIn(behaviour)));
+    urlOf = Object.fromEntries(standIns.map(s => [s.behaviour, s.url]));
+    config = {
+      network: 'local',
+      chainId: STAND_IN_CHAIN_ID,
+      rpcUrls: standIns.map(s => s.url)   // failing endpoint listed first on purpose
+    };
+  });
+
+  after(() => standIns?.forEach(s => s.stop()));
+
+  test('every read fails over to the healthy endpoint', async () => {
+    for (let i = 0; i < READS; i++) {
+      // A new provider per read, like separate requests, so it picks up the latest ranking
+      const provider = rpcProvider.createFallbackProvider(ethers, config);
+      assert.equal(await provider.getBlockNumber(), STAND_IN_BLOCK_NUMBER, `read ${i + 1}`);
+    }
+  });
+
+  test('ranks the failing endpoint below the healthy one', () => {
+    const health = rpcProvider.getEndpointHealth(config.rpcUrls);
+    const rank = url => health.findIndex(h => h.url === url);
+
+    assert.ok(rank(urlOf.failing) > rank(urlOf.healthy));
+    assert.ok(health.find(h => h.url === urlOf.failing).errors > 0);
+  });
+
+  test('probes tell healthy endpoints from failing and stalled ones', async () => {
+    const probes = await rpcProvider.probeEndpoints(ethers, config);
+    const probeOf = url => probes.find(p => p.url === url);
+
+    assert.equal(probeOf(urlOf.healthy).ok, true);
+    assert.equal(probeOf(urlOf.healthy).block_number, STAND_IN_BLOCK_NUMBER);
+    assert.equal(probeOf(urlOf.failing).ok, false);
+    assert.equal(probeOf(urlOf.stalled).ok, false);
+    assert.match(probeOf(urlOf.stalled).error, /No response within 1000ms/);
+  });
+});
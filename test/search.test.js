@@ -0,0 +1,94 @@
+// Admin search ranking: exact and prefix matches are found even when a table has more loose
+// matches than the limit. The route only searches users for callers who may read them.
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSearch } from '../lib/search.js';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { createMockResponse } from './helpers/mock-response.js';
+import { startSupabaseStandIn } from './helpers/supabase-stand-in.js';
+
+const user = (userId, name) => ({ user_id: userId, id_name: name, id_number: `N${userId}`, verification_status: 'verified' });
+
+describe('runSearch', () => {
+  test('ranks exact and prefix matches first even behind many substring matches', async () => {
+    const looseMatches = Array.from({ length: 30 }, (_, i) => user(i + 1, `Joanna Smith ${i + 1}`));
+    const supabase = createFakeSupabase({
+      tables: { users: [...looseMatches, user(31, 'Annabel Lee'), user(32, 'Anna')] }
+    });
+
+    const { results, counts, has_more } = await runSearch(supabase, 'anna', { types: ['user'], limit: 5 });
+
+    assert.deepEqual(results.slice(0, 2).map(r => [r.id, r.match.kind]), [[32, 'exact'], [31, 'prefix']]);
+    assert.equal(results.length, 5);
+    assert.deepEqual(counts, { user: 5 });
+    assert.equal(has_more, true);
+  });
+
+  test('reports no more matches when everything fits', async () => {
+    const supabase = createFakeSupabase({ tables: { users: [user(1, 'Anna'), user(2, 'Hanna')] } });
+
+    const { results, has_more } = await runSearch(supabase, 'anna', { types: ['user'], limit: 5 });
+
+    assert.deepEqual(results.map(r => r.id), [1, 2]);
+    assert.equal(has_more, false);
+  });
+});
+
+describe('search route', () => {
+  const viewer = { user_id: 1, id_name: 'Vera Viewer', role: 'viewer', auth_id: 'auth-viewer' };
+  const analyst = { user_id: 2, id_name: 'Fran Analyst', role: 'fraud_analyst', auth_id: 'auth-analyst' };
+  const fake = createFakeSupabase({
+    authUsers: { 'viewer-token': { id: viewer.auth_id }, 'analyst-token': { id: analyst.auth_id } },
+    tables: {
+      users: [viewer, analyst, { ...user(3, 'Anna Customer'), role: 'user', account_status: 'active', auth_id: 'auth-anna' }],
+      events: [{ event_id: 1, event_name: 'Anna Fest', event_date: '2026-11-01', venue: 'Hall' }],
+      payments: [],
+      tickets: []
+    }
+  });
+  let standIn;
+  let handler;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    standIn = await startSupabaseStandIn(fake);
+    process.env.SUPABASE_URL = standIn.url;
+    process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+    // supabase-js needs a WebSocket global on creation; Node only ships one from version 22
+    globalThis.WebSocket ??= class WebSocket {};
+    ({ default: handler } = await import('../api/admin/search.js'));
+  });
+
+  after(() => standIn.stop());
+
+  const search = async (token, query) => {
+    const res = createMockResponse();
+    await handler({ method: 'GET', query, headers: { authorization: `Bearer ${token}` } }, res);
+    return res;
+  };
+
+  test('leaves users out of a viewer\'s search', async () => {
+    const res = await search('viewer-token', { q: 'anna' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data.results.map(r => r.type), ['event']);
+    assert.equal(res.body.data.counts.user, undefined);
+  });
+
+  test('refuses a viewer who asks for users', async () => {
+    const res = await search('viewer-token', { q: 'anna', types: 'user,event' });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.required_permission, 'users:read');
+  });
+
+  test('shows users only the fields of the result card', async () => {
+    const res = await search('analyst-token', { q: 'anna', types: 'user' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data.results.map(r => r.record), [
+      { user_id: 3, id_name: 'Anna Customer', id_number: 'N3', verification_status: 'verified' }
+    ]);
+  });
+});
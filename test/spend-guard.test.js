@@ -0,0 +1,116 @@
+// Fee caps and the daily budget against in-memory tables: each network has its own caps and
+// budget, a reservation only succeeds while it fits under the cap (also when workers race for
+// the last of it), and a settled transaction swaps its reservation for the actual fee once.
+
+import { test, describe, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ethersModule from 'ethers';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+
+const ethers = ethersModule.default || ethersModule;
+const eth = amount => ethers.utils.parseEther(amount);
+
+describe('spend guard', () => {
+  let spendGuard;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    process.env.TX_MAX_FEE_ETH = '0.01';
+    process.env.DAILY_MAX_SPEND_ETH = '0.03';
+    spendGuard = await import('../lib/spend-guard.js');
+  });
+
+  const setup = (tables = {}) => createFakeSupabase({
+    tables: { spend_budgets: [], blockchain_spend_ledger: [], tickets: [], ...tables },
+    unique: { spend_budgets: [['network', 'day']] }
+  });
+
+  const budget = (supabase, network) => supabase.db.spend_budgets.find(b => b.network === network);
+
+  test('refuses a fee over the per-transaction cap without reserving anything', async () => {
+    const supabase = setup();
+
+    const spend = await spendGuard.reserveSpend(supabase, 'sepolia', eth('0.02'));
+
+    assert.equal(spend.allowed, false);
+    assert.equal(spend.capExceeded, 'transaction');
+    assert.equal(spend.reservation, undefined);
+    assert.equal(supabase.db.spend_budgets.length, 0);
+  });
+
+  test('lets only as many concurrent reservations through as fit under the daily cap', async () => {
+    const supabase = setup();
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => spendGuard.reserveSpend(supabase, 'sepolia', eth('0.008'))));
+
+    assert.equal(results.filter(r => r.allowed).length, 3);
+    assert.ok(results.filter(r => !r.allowed).every(r => r.capExceeded === 'daily'));
+    assert.equal(budget(supabase, 'sepolia').reserved_wei, eth('0.024').toString());
+
+    const check = await spendGuard.checkSpend(supabase, 'sepolia', eth('0.008'));
+    assert.equal(check.allowed, false);
+    assert.equal(check.daily_reserved_eth, '0.024');
+  });
+
+  test('keeps caps and budgets separate per network', async () => {
+    process.env.LOCAL_DAILY_MAX_SPEND_ETH = '0.01';
+    try {
+      const supabase = setup();
+
+      const local = await spendGuard.reserveSpend(supabase, 'local', eth('0.008'));
+      const localAgain = await spendGuard.reserveSpend(supabase, 'local', eth('0.008'));
+      const sepolia = await spendGuard.reserveSpend(supabase, 'sepolia', eth('0.008'));
+
+      assert.equal(local.allowed, true);
+      assert.equal(local.daily_cap_eth, '0.01');
+      assert.equal(localAgain.allowed, false);
+      assert.equal(sepolia.allowed, true);
+      assert.equal(sepolia.daily_cap_eth, '0.03');
+      assert.equal(budget(supabase, 'local').reserved_wei, eth('0.008').toString());
+      assert.equal(budget(supabase, 'sepolia').reserved_wei, eth('0.008').toString());
+    } finally {
+      delete process.env.LOCAL_DAILY_MAX_SPEND_ETH;
+    }
+  });
+
+  test('swaps the reservation for the actual fee once and tags the ledger with network and contract', async () => {
+    const supabase = setup({
+      tickets: [{ ticket_id: 1, event_id: 7 }, { ticket_id: 2, event_id: 8 }]
+    });
+    const { reservation } = await spendGuard.reserveSpend(supabase, 'local', eth('0.01'));
+    const job = {
+      id: 42,
+      action: 'revoke',
+      created_by: 9,
+      items: [{ ticket_id: 1 }, { ticket_id: 2 }],
+      ...reservation
+    };
+    const ctx = { ethers, config: { network: 'local', key: 'local-revocation' } };
+    const receipt = {
+      transactionHash: '0xabc',
+      status: 1,
+      gasUsed: ethers.BigNumber.from(100000),
+      effectiveGasPrice: ethers.utils.parseUnits('40', 'gwei')
+    };
+
+    const settled = await spendGuard.recordSpend(supabase, ctx, job, receipt);
+    await spendGuard.recordSpend(supabase, ctx, job, receipt);
+
+    assert.deepEqual(settled, { spend_network: null, spend_day: null, spend_reserved_wei: null });
+    assert.equal(budget(supabase, 'local').spent_wei, eth('0.004').toString());
+    assert.equal(budget(supabase, 'local').reserved_wei, '0');
+    assert.equal(supabase.db.blockchain_spend_ledger.length, 2);
+    assert.ok(supabase.db.blockchain_spend_ledger.every(row => row.network === 'local' && row.contract_key === 'local-revocation'));
+  });
+
+  test('hands back the reservation of a job that never sent', async () => {
+    const supabase = setup();
+    const { reservation } = await spendGuard.reserveSpend(supabase, 'sepolia', eth('0.01'));
+
+    const cleared = await spendGuard.releaseSpend(supabase, { id: 5, ...reservation });
+
+    assert.equal(cleared.spend_reserved_wei, null);
+    assert.equal(budget(supabase, 'sepolia').reserved_wei, '0');
+    assert.equal((await spendGuard.reserveSpend(supabase, 'sepolia', eth('0.01'))).allowed, true);
+  });
+});
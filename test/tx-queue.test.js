@@ -0,0 +1,181 @@
+// The transaction queue against a revocation contract on a local dev chain: tickets are
+// registered through queued batch transactions and their rows updated once confirmed, stale
+// revocations are not re-driven, and a job that gives up does not leave a nonce gap.
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeSupabase } from './helpers/fake-supabase.js';
+import { startDevChain, useDevChainRegistry } from './helpers/dev-chain.js';
+
+describe('transaction queue', () => {
+  let chain;
+  let contract;
+  let txQueue;
+
+  before(async () => {
+    // The queue logs every step; Node 20's test runner can garble that output when it
+    // interleaves with its own test messages
+    mock.method(console, 'log', () => {});
+    chain = await startDevChain();
+    contract = await chain.deployRevocation();
+    useDevChainRegistry(chain, { 'local-revocation': { address: contract.address, startBlock: 0 } });
+    txQueue = await import('../lib/tx-queue.js');
+  });
+
+  after(() => chain?.stop());
+
+  function setup(tickets, extraTables = {}) {
+    return createFakeSupabase({
+      tables: {
+        events: [{ event_id: 1, contract_key: null }],
+        tickets: tickets.map(ticket => ({
+          event_id: 1,
+          ticket_status: 'valid',
+          blockchain_registered: false,
+          nft_mint_status: 'pending',
+          ...ticket
+        })),
+        blockchain_tx_queue: [],
+        blockchain_spend_ledger: [],
+        wallet_nonces: [],
+        spend_budgets: [],
+        ...extraTables
+      },
+      unique: { spend_budgets: [['network', 'day']] }
+    });
+  }
+
+  // Advance a job until it settles, mining a block between steps for confirmations
+  async function settle(supabase, jobId) {
+    for (let step = 0; step < 10; step++) {
+      const job = await txQueue.processTransaction(supabase, jobId);
+      if (['confirmed', 'failed'].includes(job.status)) return job;
+      await chain.provider.send('evm_mine', []);
+    }
+    throw new Error(`Job ${jobId} did not settle`);
+  }
+
+  const itemsFor = tickets => tickets.map(t => ({ ticket_id: t.ticket_id, token_id: t.nft_token_id, source_id: null }));
+
+  test('registers pending tickets in one batch transaction and marks them minted', async () => {
+    // Token 103 is already on the contract and needs no transaction
+    await (await contract.registerTicket('103')).wait();
+    const supabase = setup([
+      { ticket_id: 1, nft_token_id: '101' },
+      { ticket_id: 2, nft_token_id: '102' },
+      { ticket_id: 3, nft_token_id: '103' }
+    ]);
+
+    const [queued] = await txQueue.enqueueTransactions(supabase, 'register', itemsFor(supabase.db.tickets), { createdBy: 9 });
+    const job = await settle(supabase, queued.id);
+
+    assert.equal(job.status, 'confirmed');
+    assert.deepEqual(job.sent_items.map(i => i.token_id), ['101', '102']);
+    assert.equal(job.verification_results.verified, 2);
+    assert.equal(job.verification_results.block_number, job.block_number);
+
+    for (const tokenId of ['101', '102', '103']) {
+      assert.equal(await contract.getTicketStatus(tokenId), 1);
+    }
+
+    const [first, second, third] = supabase.db.tickets;
+    for (const ticket of [first, second, third]) {
+      assert.equal(ticket.blockchain_registered, true);
+      assert.equal(ticket.nft_mint_status, 'minted');
+      assert.equal(ticket.blockchain_error, null);
+      assert.equal(ticket.blockchain_sync_status, 1);
+    }
+    assert.equal(first.blockchain_tx_hash, job.tx_hash);
+    assert.equal(second.blockchain_tx_hash, job.tx_hash);
+    assert.equal(third.blockchain_tx_hash, undefined);
+
+    assert.equal(supabase.db.blockchain_spend_ledger.length, 1);
+    assert.equal(supabase.db.blockchain_spend_ledger[0].network, 'local');
+    assert.equal(supabase.db.blockchain_spend_ledger[0].contract_key, 'local-revocation');
+    assert.equal(supabase.db.spend_budgets[0].spent_wei, supabase.db.blockchain_spend_ledger[0].cost_wei);
+    assert.equal(supabase.db.spend_budgets[0].reserved_wei, '0');
+    assert.equal(job.spend_reserved_wei, null);
+  });
+
+  test('splits registrations into one transaction per batch', async () => {
+    const supabase = setup([
+      { ticket_id: 4, nft_token_id: '104' },
+      { ticket_id: 5, nft_token_id: '105' },
+      { ticket_id: 6, nft_token_id: '106' }
+    ]);
+
+    const jobs = await txQueue.enqueueTransactions(supabase, 'register', itemsFor(supabase.db.tickets), { batchSize: 2 });
+    assert.equal(jobs.length, 2);
+
+    const settled = [];
+    for (const job of jobs) settled.push(await settle(supabase, job.id));
+
+    assert.deepEqual(settled.map(j => j.status), ['confirmed', 'confirmed']);
+    assert.notEqual(settled[0].tx_hash, settled[1].tx_hash);
+    assert.ok(supabase.db.tickets.every(t => t.nft_mint_status === 'minted'));
+  });
+
+  test('re-drive marks revocations of since-reinstated tickets superseded instead of re-sending them', async () => {
+    const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+    const supabase = setup([
+      { ticket_id: 7, nft_token_id: '107', blockchain_registered: true, ticket_status: 'valid' },
+      { ticket_id: 8, nft_token_id: '108', blockchain_registered: true, ticket_status: 'revoked' }
+    ], {
+      revocation_log: [
+        { id: 1, ticket_id: 7, revoked_at: minutesAgo(30), blockchain_status: 'failed' },
+        { id: 2, ticket_id: 8, revoked_at: minutesAgo(30), blockchain_status: 'failed' }
+      ],
+      reinstatement_log: [
+        { id: 1, ticket_id: 7, reinstated_at: minutesAgo(20), blockchain_status: 'not_required' }
+      ]
+    });
+
+    const result = await txQueue.redriveBlockchainActions(supabase);
+
+    assert.deepEqual(result, { requeued: 1, not_required: 0, superseded: 1 });
+    assert.equal(supabase.db.revocation_log[0].blockchain_status, 'superseded');
+    assert.equal(supabase.db.revocation_log[1].blockchain_status, 'pending');
+    assert.deepEqual(supabase.db.blockchain_tx_queue.map(j => j.items.map(i => i.ticket_id)), [[8]]);
+  });
+
+  test('a job that gives up hands its unused nonce back or fills the gap', async () => {
+    const address = chain.wallet.address;
+
+    async function giveUp(nextNonceOffset) {
+      const nonce = await chain.provider.getTransactionCount(address, 'pending');
+      const supabase = setup([{ ticket_id: 9, nft_token_id: '109' }], {
+        wallet_nonces: [{ wallet_address: address.toLowerCase(), network: 'local', next_nonce: nonce + nextNonceOffset }]
+      });
+      const items = itemsFor(supabase.db.tickets);
+      supabase.db.blockchain_tx_queue.push({
+        id: 1,
+        action: 'register',
+        items,
+        sent_items: items,
+        status: 'queued',
+        contract_key: 'local-revocation',
+        attempts: 5,
+        nonce,
+        // Below the intrinsic gas of any transaction, so the node rejects every send
+        tx_request: { to: contract.address, data: '0x', gasLimit: '1000', chainId: 31337 },
+        tx_hashes: [],
+        created_at: new Date().toISOString()
+      });
+
+      const job = await txQueue.processTransaction(supabase, 1);
+      assert.equal(job.status, 'failed');
+      assert.equal(job.nonce, null);
+      return { supabase, job, nonce };
+    }
+
+    // Nothing reserved after it: the next job takes the same nonce
+    const released = await giveUp(1);
+    assert.match(released.job.last_error, /released/);
+    assert.equal(released.supabase.db.wallet_nonces[0].next_nonce, released.nonce);
+
+    // A later nonce is taken: an empty self-transfer uses this one up
+    const filled = await giveUp(2);
+    assert.match(filled.job.last_error, /filled by 0x/);
+    assert.equal(await chain.provider.getTransactionCount(address, 'latest'), filled.nonce + 1);
+  });
+});